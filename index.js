@@ -11,6 +11,7 @@ const path = require("path");
 class ServiceLauncher {
 	constructor() {
 		this.availableServices = {
+			"coderdb": "./services/coderdb.service.js",
 			"etcd": "./services/etcd.service.js", 
 			"api": "./services/api.service.js",
 		};
@@ -22,7 +23,7 @@ class ServiceLauncher {
 	 * Parser la liste des services depuis la variable d'environnement
 	 */
 	parseServices() {
-		const servicesEnv = process.env.SERVICES || "coderdb,api";
+		const servicesEnv = process.env.SERVICES || "coderdb,etcd,api";
 		const requestedServices = servicesEnv
 			.split(",")
 			.map(s => s.trim().toLowerCase())
@@ -49,7 +50,7 @@ class ServiceLauncher {
 
 		if (validServices.length === 0) {
 			console.error("[ServiceLauncher] Aucun service valide trouvé, utilisation des services par défaut");
-			return ["coderdb", "api"];
+			return ["coderdb", "etcd", "api"];
 		}
 
 		return validServices;
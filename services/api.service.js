@@ -3,13 +3,16 @@
 
 const { Service } = require("moleculer");
 const BaseService = require("./base.service");
+const EtcdWatchClient = require("./watch/etcd-watch-client");
 const http = require("http");
 const url = require("url");
+const fs = require("fs");
+const path = require("path");
 
 module.exports = {
 	name: "api",
 
-	mixins: [BaseService],
+	mixins: [BaseService, EtcdWatchClient],
 
 	dependencies: [],
 
@@ -20,6 +23,32 @@ module.exports = {
 			origin: "*",
 			methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
 			headers: ["Content-Type", "Authorization"]
+		},
+		// Répertoire de l'interface web servie hors de /brain/
+		staticDir: path.join(__dirname, "..", "static"),
+		// Intervalle des commentaires keep-alive des flux SSE
+		sseKeepAlive: 15000,
+		// Routes REST explicites : "MÉTHODE /chemin/:param" -> action Moleculer
+		aliases: {
+			"GET /functions": "coderdb.list",
+			"POST /functions": "coderdb.create",
+			"GET /functions/:name": "coderdb.get",
+			"PUT /functions/:name": "coderdb.update",
+			"DELETE /functions/:name": "coderdb.delete",
+			"POST /functions/:name/test": "coderdb.test",
+			"POST /functions/:name/execute": "coderdb.execute",
+			"POST /functions/:name/promote": "coderdb.promote",
+			"GET /functions/:name/promotions": "coderdb.promotions",
+			"GET /functions/:name/revisions": "coderdb.revisions",
+			"GET /functions/:name/revisions/:revision": "coderdb.getRevision",
+			"GET /functions/:name/diff": "coderdb.diff",
+			"POST /functions/:name/rollback": "coderdb.rollback",
+			"GET /functions/:name/executions": "coderdb.executions",
+			"GET /graph": "coderdb.graph",
+			"GET /triggers": "coderdb.triggers",
+			"GET /export": "coderdb.export",
+			"POST /import": "coderdb.import",
+			"GET /status": "coderdb.status"
 		}
 	},
 
@@ -28,6 +57,8 @@ module.exports = {
 		 * Créer le serveur HTTP pour l'API
 		 */
 		createServer() {
+			// Flux SSE ouverts, fermés à l'arrêt du service (server.close() ne coupe pas les connexions actives)
+			this.sseStreams = new Set();
 			this.server = http.createServer(async (req, res) => {
 				try {
 					await this.handleRequest(req, res);
@@ -55,8 +86,11 @@ module.exports = {
 				return;
 			}
 
-			// Toutes les routes commencent par /brain/
+			// Toutes les routes API commencent par /brain/, le reste est l'interface web
 			if (!pathname.startsWith("/brain/")) {
+				if (method === "GET") {
+					return this.serveStatic(res, pathname);
+				}
 				return this.sendError(res, 404, "Not Found");
 			}
 
@@ -119,10 +153,78 @@ module.exports = {
 				});
 			}
 
+			// Flux SSE des changements etcd
+			if (pathname === "/brain/etcd/watch" && method === "GET") {
+				return this.streamEtcdWatch(req, res, parsedUrl.query);
+			}
+
+			// Routes REST déclarées dans les alias
+			const alias = this.matchAlias(method, pathname.substring(6));
+			if (alias) {
+				return this.routeToAlias(req, res, alias, method, parsedUrl.query);
+			}
+
 			// Router automatiquement vers les services
 			await this.routeToService(req, res, pathname.substring(7), method, parsedUrl.query);
 		},
 
+		/**
+		 * Trouver l'alias correspondant à une méthode et un chemin
+		 */
+		matchAlias(method, pathname) {
+			const segments = pathname.split("/").filter(s => s);
+
+			for (const [route, action] of Object.entries(this.settings.aliases)) {
+				const [routeMethod, routePath] = route.split(" ");
+				const routeSegments = routePath.split("/").filter(s => s);
+
+				if (routeMethod !== method || routeSegments.length !== segments.length) {
+					continue;
+				}
+
+				const params = {};
+				const matches = routeSegments.every((segment, i) => {
+					if (segment.startsWith(":")) {
+						params[segment.substring(1)] = decodeURIComponent(segments[i]);
+						return true;
+					}
+					return segment === segments[i];
+				});
+
+				if (matches) {
+					return { action, params };
+				}
+			}
+
+			return null;
+		},
+
+		/**
+		 * Appeler l'action d'un alias REST
+		 */
+		async routeToAlias(req, res, alias, method, query) {
+			const body = await this.getRequestBody(req);
+
+			// Les paramètres d'URL ont priorité sur le body et la query
+			const params = { ...body, ...query, ...alias.params };
+
+			try {
+				const result = await this.broker.call(alias.action, params, {
+					meta: {
+						httpMethod: method,
+						url: req.url,
+						headers: req.headers
+					}
+				});
+
+				const statusCode = method === "POST" && alias.action.endsWith(".create") ? 201 : 200;
+				this.sendJson(res, statusCode, result);
+			} catch (err) {
+				this.logger.error(`Error calling ${alias.action}:`, err);
+				this.sendActionError(res, err, alias.action);
+			}
+		},
+
 		/**
 		 * Router automatiquement vers les services Moleculer
 		 */
@@ -144,6 +246,11 @@ module.exports = {
 			// Construire les paramètres
 			const params = this.buildParams(segments, method, body, query);
 
+			// Les actions réservées aux appels entre services ne sont pas exposées
+			if (this.isInternalAction(actionPath)) {
+				return this.sendError(res, 404, `Service or action not found: ${actionPath}`);
+			}
+
 			try {
 				// Essayer d'appeler le service
 				const result = await this.broker.call(actionPath, params, {
@@ -162,7 +269,8 @@ module.exports = {
 				this.logger.error(`Error calling ${actionPath}:`, err);
 				
 				// Si le service n'existe pas, essayer des variantes
-				if (err.code === "SERVICE_NOT_FOUND" || err.code === "ACTION_NOT_FOUND") {
+				const errorType = err.type || err.code;
+				if (errorType === "SERVICE_NOT_FOUND" || errorType === "ACTION_NOT_FOUND") {
 					const altResult = await this.tryAlternativeActions(serviceName, actionName, method, params, segments);
 					if (altResult.success) {
 						const statusCode = this.getStatusCode(method, altResult.action);
@@ -170,18 +278,147 @@ module.exports = {
 					}
 				}
 
-				// Gérer les erreurs spécifiques
-				if (err.code === "VALIDATION_ERROR") {
-					return this.sendError(res, 400, err.message);
-				} else if (err.code === "NOT_FOUND") {
-					return this.sendError(res, 404, err.message);
-				} else if (err.code === "FORBIDDEN") {
-					return this.sendError(res, 403, err.message);
-				} else if (err.code === "SERVICE_NOT_FOUND" || err.code === "ACTION_NOT_FOUND") {
-					return this.sendError(res, 404, `Service or action not found: ${actionPath}`);
-				} else {
-					return this.sendError(res, 500, err.message);
+				this.sendActionError(res, err, actionPath);
+			}
+		},
+
+		/**
+		 * Action réservée aux appels entre services (visibilité "public", "protected" ou "private") ?
+		 */
+		isInternalAction(actionPath) {
+			const item = this.broker.registry.getActionList({ onlyAvailable: true })
+				.find(action => action.name === actionPath);
+
+			return Boolean(item && item.action && item.action.visibility && item.action.visibility !== "published");
+		},
+
+		/**
+		 * Convertir une erreur d'action Moleculer en réponse HTTP
+		 */
+		sendActionError(res, err, actionPath) {
+			// Les erreurs Moleculer portent leur catégorie dans `type`, le code HTTP dans `code`
+			const errorType = err.type || err.code;
+
+			if (errorType === "VALIDATION_ERROR") {
+				return this.sendError(res, 400, err.message);
+			} else if (errorType === "NOT_FOUND") {
+				return this.sendError(res, 404, err.message);
+			} else if (errorType === "FORBIDDEN") {
+				return this.sendError(res, 403, err.message);
+			} else if (errorType === "CONFLICT") {
+				return this.sendError(res, 409, err.message);
+			} else if (errorType === "SERVICE_NOT_FOUND" || errorType === "ACTION_NOT_FOUND") {
+				return this.sendError(res, 404, `Service or action not found: ${actionPath}`);
+			} else if (typeof err.code === "number" && err.code >= 400 && err.code < 600) {
+				// Les autres erreurs Moleculer portent déjà un code HTTP
+				return this.sendError(res, err.code, err.message);
+			} else {
+				return this.sendError(res, 500, err.message);
+			}
+		},
+
+		/**
+		 * Diffuser un watch etcd en server-sent events (id = révision)
+		 * À la reconnexion, EventSource renvoie Last-Event-ID : le flux reprend à la révision suivante
+		 */
+		async streamEtcdWatch(req, res, query) {
+			const lastEventId = parseInt(req.headers["last-event-id"], 10);
+			const fromRevision = Number.isInteger(lastEventId)
+				? lastEventId + 1
+				: (query.fromRevision !== undefined ? Number(query.fromRevision) : undefined);
+
+			const writeEvent = (event, data, id) => {
+				res.write(`${id !== undefined ? `id: ${id}\n` : ""}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+			};
+
+			// Les événements rejoués avant l'ouverture du flux sont mis en attente
+			let pending = [];
+			let closed = false;
+			let keepAlive = null;
+			let subscription = null;
+
+			const onChange = event => {
+				if (pending) {
+					pending.push(event);
+				} else if (!closed) {
+					writeEvent(event.type, event, event.revision);
 				}
+			};
+
+			const close = () => {
+				closed = true;
+				clearInterval(keepAlive);
+				this.sseStreams.delete(end);
+				if (subscription) {
+					subscription.stop();
+				}
+			};
+			const end = () => {
+				if (closed) return;
+				res.end();
+				close();
+			};
+
+			req.on("close", close);
+
+			try {
+				subscription = await this.watchEtcd({ key: query.key, prefix: query.prefix, fromRevision }, onChange, err => {
+					if (closed) return;
+					writeEvent("error", { error: err.message, type: err.type, code: err.code });
+					end();
+				});
+			} catch (err) {
+				this.logger.warn("Error opening etcd watch stream:", err.message);
+				return this.sendActionError(res, err, "etcd.watch");
+			}
+
+			if (closed) {
+				subscription.stop();
+				return;
+			}
+
+			res.writeHead(200, {
+				"Content-Type": "text/event-stream",
+				"Cache-Control": "no-cache",
+				"Connection": "keep-alive"
+			});
+			writeEvent("ready", { watchId: subscription.id, revision: subscription.revision });
+
+			for (const event of pending) {
+				writeEvent(event.type, event, event.revision);
+			}
+			pending = null;
+
+			keepAlive = setInterval(() => res.write(": keep-alive\n\n"), this.settings.sseKeepAlive);
+			this.sseStreams.add(end);
+		},
+
+		/**
+		 * Servir les fichiers de l'interface web
+		 */
+		async serveStatic(res, pathname) {
+			const contentTypes = {
+				".html": "text/html; charset=utf-8",
+				".js": "application/javascript; charset=utf-8",
+				".css": "text/css; charset=utf-8"
+			};
+
+			const relativePath = pathname === "/" ? "index.html" : decodeURIComponent(pathname).replace(/^\/+/, "");
+			const filePath = path.resolve(this.settings.staticDir, relativePath);
+
+			// Refuser toute sortie du répertoire statique
+			if (!filePath.startsWith(path.resolve(this.settings.staticDir) + path.sep)) {
+				return this.sendError(res, 404, "Not Found");
+			}
+
+			try {
+				const content = await fs.promises.readFile(filePath);
+				res.writeHead(200, {
+					"Content-Type": contentTypes[path.extname(filePath)] || "application/octet-stream"
+				});
+				res.end(content);
+			} catch (err) {
+				this.sendError(res, 404, "Not Found");
 			}
 		},
 
@@ -192,6 +429,8 @@ module.exports = {
 			const alternatives = this.getAlternativeActions(serviceName, actionName, method, segments);
 
 			for (const alt of alternatives) {
+				if (this.isInternalAction(alt.action)) continue;
+
 				try {
 					const result = await this.broker.call(alt.action, alt.params || params);
 					return { success: true, data: result, action: alt.name };
@@ -408,12 +647,14 @@ module.exports = {
 			this.logger.info("Available endpoints:");
 			this.logger.info("  GET  /brain/services - List available services");
 			this.logger.info("  GET  /brain/health - API health check");
+			this.logger.info("  GET  /brain/etcd/watch?key=|prefix= - Stream etcd changes (SSE)");
 			this.logger.info("  ALL  /brain/{service}/{action} - Dynamic routing to services");
 		});
 	},
 
 	async stopped() {
 		if (this.server) {
+			this.sseStreams.forEach(end => end());
 			this.server.close();
 		}
 		this.logger.info("Brain API Gateway stopped");
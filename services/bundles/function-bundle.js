@@ -0,0 +1,226 @@
+// services/bundles/function-bundle.js
+"use strict";
+
+const FunctionValidator = require("../validators/function-validator");
+
+// Identification du format, vérifiée à l'import
+const BUNDLE_FORMAT = "coderdb-bundle";
+const BUNDLE_VERSION = 1;
+
+// Environnements pouvant recevoir un déploiement (dev suit la révision courante)
+const DEPLOYMENT_ENVIRONMENTS = ["staging", "production"];
+
+class FunctionBundle {
+	/**
+	 * Construire un bundle portable à partir des fonctions et de leur historique
+	 */
+	static create(functions, source) {
+		return {
+			format: BUNDLE_FORMAT,
+			version: BUNDLE_VERSION,
+			exportedAt: new Date().toISOString(),
+			source,
+			functions
+		};
+	}
+
+	/**
+	 * Valider un bundle complet et retourner ses fonctions normalisées
+	 * Chaque fonction et chaque révision repasse par FunctionValidator.validate
+	 */
+	static validate(bundle) {
+		if (!bundle || typeof bundle !== "object" || Array.isArray(bundle)) {
+			throw new Error("Bundle must be an object");
+		}
+
+		if (bundle.format !== BUNDLE_FORMAT) {
+			throw new Error(`Bundle format must be '${BUNDLE_FORMAT}'`);
+		}
+
+		if (bundle.version !== BUNDLE_VERSION) {
+			throw new Error(`Unsupported bundle version: ${bundle.version} (expected ${BUNDLE_VERSION})`);
+		}
+
+		if (!Array.isArray(bundle.functions)) {
+			throw new Error("Bundle functions must be an array");
+		}
+
+		const names = new Set();
+
+		return bundle.functions.map((entry, i) => {
+			const label = entry && typeof entry.name === "string" ? `function '${entry.name}'` : `function ${i}`;
+
+			let normalized;
+			try {
+				normalized = this.validateEntry(entry);
+			} catch (err) {
+				throw new Error(`Bundle ${label}: ${err.message}`);
+			}
+
+			if (names.has(normalized.name)) {
+				throw new Error(`Bundle ${label} is duplicated`);
+			}
+			names.add(normalized.name);
+
+			return normalized;
+		});
+	}
+
+	/**
+	 * Valider une fonction du bundle avec ses révisions, déploiements et promotions
+	 */
+	static validateEntry(entry) {
+		if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+			throw new Error("must be an object");
+		}
+
+		const head = FunctionValidator.validate(entry);
+
+		if (entry.revisions !== undefined && !Array.isArray(entry.revisions)) {
+			throw new Error("revisions must be an array");
+		}
+
+		const revisions = (entry.revisions || [])
+			.map(revision => this.validateRevision(revision, head.name))
+			.sort((a, b) => a.revision - b.revision);
+
+		const numbers = revisions.map(revision => revision.revision);
+		if (new Set(numbers).size !== numbers.length) {
+			throw new Error("revision numbers must be unique");
+		}
+
+		// Sans historique, la fonction sera importée comme nouvelle révision 1
+		let revision = 0;
+		if (revisions.length > 0) {
+			revision = numbers.includes(entry.revision) ? entry.revision : numbers[numbers.length - 1];
+		}
+
+		const deployments = this.validateDeployments(entry.deployments, revisions);
+
+		if (entry.promotions !== undefined && !Array.isArray(entry.promotions)) {
+			throw new Error("promotions must be an array");
+		}
+
+		const promotions = (entry.promotions || []).map((promotion, i) => {
+			if (!promotion || typeof promotion !== "object" || !Number.isInteger(promotion.id) || promotion.id < 1) {
+				throw new Error(`promotion ${i} must be an object with a positive integer id`);
+			}
+			return { ...promotion, name: head.name };
+		});
+
+		// Le contenu courant est celui de la révision courante de l'historique
+		const current = revisions.find(candidate => candidate.revision === revision);
+
+		return {
+			...head,
+			...(current && {
+				inputParams: current.inputParams,
+				outputParams: current.outputParams,
+				code: current.code,
+				testCode: current.testCode,
+				dependencies: current.dependencies
+			}),
+			revision,
+			environment: deployments.production ? "production" : (deployments.staging ? "staging" : "dev"),
+			deployments,
+			createdAt: Number.isFinite(entry.createdAt) ? entry.createdAt : null,
+			updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : null,
+			revisions,
+			promotions
+		};
+	}
+
+	/**
+	 * Valider une révision de l'historique
+	 */
+	static validateRevision(revision, name) {
+		if (!revision || typeof revision !== "object" || !Number.isInteger(revision.revision) || revision.revision < 1) {
+			throw new Error("each revision must be an object with a positive integer revision number");
+		}
+
+		let content;
+		try {
+			// Les déclencheurs ne sont pas versionnés
+			const { triggers, ...validated } = FunctionValidator.validate({ ...revision, name });
+			content = validated;
+		} catch (err) {
+			throw new Error(`revision ${revision.revision}: ${err.message}`);
+		}
+
+		const normalized = {
+			...content,
+			revision: revision.revision,
+			createdAt: Number.isFinite(revision.createdAt) ? revision.createdAt : null,
+			author: revision.author || null
+		};
+
+		if (Number.isInteger(revision.rolledBackFrom)) {
+			normalized.rolledBackFrom = revision.rolledBackFrom;
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Valider les déploiements : chaque révision déployée doit figurer dans l'historique
+	 */
+	static validateDeployments(deployments, revisions) {
+		if (deployments === undefined || deployments === null) {
+			return {};
+		}
+
+		if (typeof deployments !== "object" || Array.isArray(deployments)) {
+			throw new Error("deployments must be an object");
+		}
+
+		const normalized = {};
+
+		for (const [environment, deployment] of Object.entries(deployments)) {
+			if (!DEPLOYMENT_ENVIRONMENTS.includes(environment)) {
+				throw new Error(`deployments.${environment} is not a valid environment`);
+			}
+
+			const deployed = deployment && revisions.find(revision => revision.revision === deployment.revision);
+			if (!deployed) {
+				throw new Error(`deployments.${environment} references a revision missing from the history`);
+			}
+
+			normalized[environment] = {
+				revision: deployed.revision,
+				dependencies: deployed.dependencies,
+				promotedAt: Number.isFinite(deployment.promotedAt) ? deployment.promotedAt : null,
+				promotionId: Number.isInteger(deployment.promotionId) ? deployment.promotionId : null
+			};
+		}
+
+		return normalized;
+	}
+
+	/**
+	 * Appliquer des renommages (ancien nom -> nouveau nom) à une fonction et à ses dépendances
+	 */
+	static rename(entry, renames) {
+		const renamed = name => renames[name] || name;
+		const name = renamed(entry.name);
+
+		const deployments = {};
+		for (const [environment, deployment] of Object.entries(entry.deployments)) {
+			deployments[environment] = { ...deployment, dependencies: deployment.dependencies.map(renamed) };
+		}
+
+		return {
+			...entry,
+			name,
+			dependencies: entry.dependencies.map(renamed),
+			deployments,
+			revisions: entry.revisions.map(revision => ({
+				...revision,
+				name,
+				dependencies: revision.dependencies.map(renamed)
+			})),
+			promotions: entry.promotions.map(promotion => ({ ...promotion, name }))
+		};
+	}
+}
+
+module.exports = FunctionBundle;
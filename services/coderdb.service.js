@@ -0,0 +1,1284 @@
+// services/coderdb.service.js
+"use strict";
+
+const { Errors } = require("moleculer");
+const BaseService = require("./base.service");
+const MasterElection = require("./election/master-election");
+const FunctionValidator = require("./validators/function-validator");
+const ContractValidator = require("./validators/contract-validator");
+const FunctionSandbox = require("./sandbox/function-sandbox");
+const RevisionDiff = require("./versioning/revision-diff");
+const FunctionTriggers = require("./triggers/function-triggers");
+const CronSchedule = require("./triggers/cron-schedule");
+const FunctionBundle = require("./bundles/function-bundle");
+
+// Cycle de vie d'une fonction, dans l'ordre de promotion
+const ENVIRONMENTS = ["dev", "staging", "production"];
+// Tentatives de réservation d'un numéro de promotion face aux promotions concurrentes
+const PROMOTION_ID_ATTEMPTS = 5;
+
+module.exports = {
+	name: "coderdb",
+
+	mixins: [BaseService, MasterElection, FunctionTriggers],
+
+	dependencies: ["etcd"],
+
+	settings: {
+		// Préfixe des clés etcd où sont stockées les fonctions
+		keyPrefix: "coderdb/functions/",
+		// Préfixe des révisions immuables : coderdb/revisions/<nom>/<numéro>
+		revisionPrefix: "coderdb/revisions/",
+		// Préfixe de l'historique des promotions : coderdb/promotions/<nom>/<numéro>
+		promotionPrefix: "coderdb/promotions/",
+		// Dernier numéro de promotion attribué à chaque fonction : coderdb/counters/promotions/<nom>
+		promotionCounterPrefix: "coderdb/counters/promotions/",
+		// Journal des exécutions déclenchées : coderdb/executions/<nom>/<id>
+		executionPrefix: "coderdb/executions/",
+		// Dernière minute exécutée par chaque déclencheur cron : coderdb/triggers/<nom>/<id>
+		triggerStatePrefix: "coderdb/triggers/",
+		// Nombre d'exécutions conservées par fonction
+		executionLogSize: 100,
+		// Service dynamique abonné aux événements des déclencheurs
+		triggerService: "coderdb-triggers",
+		heartbeatInterval: 5000,
+		// Service dynamique publiant les fonctions de production : fn.<nom>
+		actionNamespace: "fn",
+		// Resynchronisation périodique des actions publiées (en ms)
+		actionRefreshInterval: 30000,
+		// Limites d'exécution des fonctions stockées
+		sandbox: {
+			timeout: 5000,
+			maxHeapMb: 64
+		}
+	},
+
+	actions: {
+		/**
+		 * Lister toutes les fonctions
+		 */
+		list: {
+			async handler(ctx) {
+				return this.loadAllFunctions(ctx);
+			}
+		},
+
+		/**
+		 * Obtenir une fonction par son nom
+		 */
+		get: {
+			params: {
+				name: "string"
+			},
+			async handler(ctx) {
+				const func = await this.loadFunction(ctx, ctx.params.name);
+				if (!func) {
+					throw this.notFoundError(ctx.params.name);
+				}
+				return func;
+			}
+		},
+
+		/**
+		 * Créer une nouvelle fonction (master uniquement)
+		 */
+		create: {
+			async handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				const validated = this.validateFunction(() => FunctionValidator.validate(ctx.params));
+
+				const existing = await this.loadFunction(ctx, validated.name);
+				if (existing) {
+					throw new Errors.MoleculerClientError(
+						`Function '${validated.name}' already exists`, 409, "CONFLICT", { name: validated.name }
+					);
+				}
+
+				await this.checkDependencies(ctx, validated);
+
+				const now = Date.now();
+				const func = {
+					...validated,
+					environment: "dev",
+					revision: 0,
+					createdAt: now,
+					updatedAt: now
+				};
+
+				await this.saveRevision(ctx, func);
+				this.logger.info(`Function '${func.name}' created`);
+
+				if (func.triggers.length > 0) {
+					this.broker.broadcast("coderdb.functionsChanged", { name: func.name, change: "triggers" });
+				}
+
+				return func;
+			}
+		},
+
+		/**
+		 * Mettre à jour une fonction existante (master uniquement)
+		 */
+		update: {
+			params: {
+				name: "string"
+			},
+			async handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				const existing = await this.loadFunction(ctx, ctx.params.name);
+				if (!existing) {
+					throw this.notFoundError(ctx.params.name);
+				}
+
+				const validated = this.validateFunction(() => FunctionValidator.validateUpdate(ctx.params));
+				const func = {
+					...existing,
+					...validated,
+					updatedAt: Date.now()
+				};
+
+				if (validated.dependencies) {
+					await this.checkDependencies(ctx, func);
+				}
+
+				await this.saveRevision(ctx, func);
+				this.logger.info(`Function '${func.name}' updated to revision ${func.revision}`);
+
+				if (validated.triggers) {
+					this.broker.broadcast("coderdb.functionsChanged", { name: func.name, change: "triggers" });
+				}
+
+				return func;
+			}
+		},
+
+		/**
+		 * Supprimer une fonction (master uniquement)
+		 */
+		delete: {
+			params: {
+				name: "string"
+			},
+			async handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				const { name } = ctx.params;
+				const existing = await this.loadFunction(ctx, name);
+				if (!existing) {
+					throw this.notFoundError(name);
+				}
+
+				// Une fonction utilisée par d'autres (révision courante ou déployée) ne peut disparaître
+				const dependents = (await this.loadAllFunctions(ctx))
+					.filter(func => func.name !== name && ENVIRONMENTS.some(env => this.dependenciesIn(func, env).includes(name)))
+					.map(func => func.name);
+				if (dependents.length > 0) {
+					throw new Errors.MoleculerClientError(
+						`Function '${name}' is required by: ${dependents.join(", ")}`, 409, "CONFLICT", { name, dependents }
+					);
+				}
+
+				await ctx.call("etcd.delete", { key: this.functionKey(name) });
+
+				// L'historique disparaît avec la fonction
+				await this.deleteHistory(ctx, name);
+
+				this.logger.info(`Function '${name}' deleted`);
+
+				if ((existing.deployments && existing.deployments.production) || (existing.triggers && existing.triggers.length > 0)) {
+					this.broker.broadcast("coderdb.functionsChanged", { name, change: "deleted" });
+				}
+
+				return { name, deleted: true };
+			}
+		},
+
+		/**
+		 * Promouvoir une fonction vers l'environnement suivant (master uniquement)
+		 * dev -> staging promeut la révision courante, staging -> production
+		 * promeut la révision validée en staging. Le code de test doit passer.
+		 */
+		promote: {
+			params: {
+				name: "string",
+				target: { type: "enum", values: ["staging", "production"], optional: true },
+				testInputs: { type: "object", optional: true, default: {} }
+			},
+			async handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				const { name, testInputs } = ctx.params;
+				const func = await this.loadFunction(ctx, name);
+				if (!func) {
+					throw this.notFoundError(name);
+				}
+
+				const deployments = func.deployments || {};
+				const target = ctx.params.target || this.nextEnvironment(func);
+				const source = target === "staging" ? "dev" : "staging";
+
+				const revision = source === "dev" ? func.revision : (deployments.staging && deployments.staging.revision);
+				if (!revision) {
+					throw new Errors.MoleculerClientError(
+						`Function '${name}' must be promoted to staging before production`, 409, "CONFLICT", { name, target }
+					);
+				}
+
+				if (deployments[target] && deployments[target].revision === revision) {
+					throw new Errors.MoleculerClientError(
+						`Revision ${revision} of function '${name}' is already in ${target}`, 409, "CONFLICT", { name, target, revision }
+					);
+				}
+
+				// Exécuter le code de test de la révision promue dans le sandbox,
+				// avec les dépendances déjà déployées dans l'environnement cible
+				const candidate = await this.loadRevision(ctx, name, revision);
+				const testRun = await this.sandbox.run({
+					code: candidate.code,
+					testCode: candidate.testCode,
+					inputs: testInputs,
+					runTests: true,
+					dependencies: candidate.dependencies || [],
+					functions: await this.resolveDependencies(ctx, candidate, target)
+				});
+
+				const promotion = {
+					id: await this.nextPromotionId(ctx, name),
+					name,
+					revision,
+					from: source,
+					to: target,
+					promotedAt: Date.now(),
+					author: this.getAuthor(ctx),
+					testRun: {
+						success: !!(testRun.testResults && testRun.testResults.success),
+						testResults: testRun.testResults,
+						error: testRun.error,
+						duration: testRun.duration,
+						executedAt: testRun.executedAt
+					}
+				};
+
+				if (!promotion.testRun.success) {
+					promotion.rejected = true;
+					await ctx.call("etcd.set", { key: this.promotionKey(name, promotion.id), value: promotion });
+
+					const reason = testRun.testResults ? testRun.testResults.error : testRun.error;
+					throw new Errors.MoleculerClientError(
+						`Promotion of '${name}' to ${target} rejected: tests failed (${reason})`, 412, "PROMOTION_REJECTED", promotion
+					);
+				}
+
+				await ctx.call("etcd.set", { key: this.promotionKey(name, promotion.id), value: promotion });
+
+				const updated = {
+					...func,
+					environment: target === "production" || func.environment === "production" ? "production" : target,
+					deployments: {
+						...deployments,
+						[target]: {
+							revision,
+							dependencies: candidate.dependencies || [],
+							promotedAt: promotion.promotedAt,
+							promotionId: promotion.id
+						}
+					}
+				};
+
+				await this.storeFunction(ctx, updated);
+				this.logger.info(`Function '${name}' revision ${revision} promoted from ${source} to ${target}`);
+
+				// Les déclencheurs ne s'activent qu'une fois la fonction déployée dans leur environnement
+				if (target === "production" || (func.triggers && func.triggers.length > 0)) {
+					this.broker.broadcast("coderdb.functionsChanged", { name, change: "promoted", revision });
+				}
+
+				return { ...updated, promotion };
+			}
+		},
+
+		/**
+		 * Lister l'historique des promotions d'une fonction
+		 */
+		promotions: {
+			params: {
+				name: "string"
+			},
+			async handler(ctx) {
+				const entries = await ctx.call("etcd.getPrefix", { prefix: this.promotionPrefix(ctx.params.name) });
+				return entries
+					.map(entry => entry.value)
+					.sort((a, b) => b.id - a.id);
+			}
+		},
+
+		/**
+		 * Lister les révisions d'une fonction
+		 */
+		revisions: {
+			params: {
+				name: "string"
+			},
+			async handler(ctx) {
+				const entries = await ctx.call("etcd.getPrefix", { prefix: this.revisionPrefix(ctx.params.name) });
+				if (entries.length === 0) {
+					throw this.notFoundError(ctx.params.name);
+				}
+
+				return entries
+					.map(entry => entry.value)
+					.sort((a, b) => b.revision - a.revision)
+					.map(({ name, revision, createdAt, author, rolledBackFrom }) => ({
+						name, revision, createdAt, author, rolledBackFrom
+					}));
+			}
+		},
+
+		/**
+		 * Obtenir une révision précise d'une fonction
+		 */
+		getRevision: {
+			params: {
+				name: "string",
+				revision: { type: "number", integer: true, positive: true, convert: true }
+			},
+			async handler(ctx) {
+				return this.loadRevision(ctx, ctx.params.name, ctx.params.revision);
+			}
+		},
+
+		/**
+		 * Comparer deux révisions ligne par ligne
+		 */
+		diff: {
+			params: {
+				name: "string",
+				from: { type: "number", integer: true, positive: true, convert: true },
+				to: { type: "number", integer: true, positive: true, convert: true, optional: true }
+			},
+			async handler(ctx) {
+				const { name, from } = ctx.params;
+
+				// Par défaut, comparer avec la révision courante
+				let to = ctx.params.to;
+				if (to === undefined) {
+					const func = await this.loadFunction(ctx, name);
+					if (!func) {
+						throw this.notFoundError(name);
+					}
+					to = func.revision;
+				}
+
+				const [fromRevision, toRevision] = await Promise.all([
+					this.loadRevision(ctx, name, from),
+					this.loadRevision(ctx, name, to)
+				]);
+
+				return RevisionDiff.diffRevisions(fromRevision, toRevision);
+			}
+		},
+
+		/**
+		 * Revenir à une révision antérieure (master uniquement)
+		 * Crée une nouvelle révision au contenu identique : l'historique reste immuable
+		 */
+		rollback: {
+			params: {
+				name: "string",
+				revision: { type: "number", integer: true, positive: true, convert: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				const { name, revision } = ctx.params;
+				const existing = await this.loadFunction(ctx, name);
+				if (!existing) {
+					throw this.notFoundError(name);
+				}
+
+				const target = await this.loadRevision(ctx, name, revision);
+				const func = {
+					...existing,
+					inputParams: target.inputParams,
+					outputParams: target.outputParams,
+					code: target.code,
+					testCode: target.testCode,
+					dependencies: target.dependencies || [],
+					updatedAt: Date.now()
+				};
+
+				await this.checkDependencies(ctx, func);
+				await this.saveRevision(ctx, func, { rolledBackFrom: revision });
+				this.logger.info(`Function '${name}' rolled back to revision ${revision} (new revision ${func.revision})`);
+
+				return func;
+			}
+		},
+
+		/**
+		 * Exécuter une fonction avec son code de test
+		 */
+		test: {
+			params: {
+				name: "string",
+				testInputs: { type: "object", optional: true, default: {} }
+			},
+			async handler(ctx) {
+				const func = await this.loadFunction(ctx, ctx.params.name);
+				if (!func) {
+					throw this.notFoundError(ctx.params.name);
+				}
+
+				const inputs = ContractValidator.validateInputs(func.inputParams, ctx.params.testInputs);
+				const execution = await this.sandbox.run({
+					code: func.code,
+					testCode: func.testCode,
+					inputs,
+					runTests: true,
+					dependencies: func.dependencies || [],
+					functions: await this.resolveDependencies(ctx, func, "dev")
+				});
+
+				// Signaler une sortie non conforme comme un échec du test
+				if (execution.success) {
+					try {
+						ContractValidator.validateOutputs(func.outputParams, execution.result);
+					} catch (err) {
+						execution.success = false;
+						execution.error = err.message;
+					}
+				}
+
+				return execution;
+			}
+		},
+
+		/**
+		 * Exécuter une fonction et retourner son résultat
+		 */
+		execute: {
+			params: {
+				name: "string",
+				inputs: { type: "object", optional: true, default: {} },
+				environment: { type: "enum", values: ENVIRONMENTS, optional: true, default: "dev" }
+			},
+			async handler(ctx) {
+				const func = await this.loadFunction(ctx, ctx.params.name);
+				if (!func) {
+					throw this.notFoundError(ctx.params.name);
+				}
+
+				const deployed = await this.resolveDeployment(ctx, func, ctx.params.environment);
+				return this.invokeFunction(ctx, deployed, ctx.params.inputs, ctx.params.environment);
+			}
+		},
+
+		/**
+		 * Graphe des dépendances entre fonctions dans un environnement
+		 * Même forme que l'analyse des services du network-analyzer (dependencyGraph)
+		 */
+		graph: {
+			params: {
+				environment: { type: "enum", values: ENVIRONMENTS, optional: true, default: "dev" }
+			},
+			async handler(ctx) {
+				const { environment } = ctx.params;
+				const functions = (await this.loadAllFunctions(ctx))
+					.filter(func => environment === "dev" || (func.deployments && func.deployments[environment]));
+
+				const dependencyGraph = {};
+				for (const func of functions) {
+					dependencyGraph[func.name] = this.dependenciesIn(func, environment);
+				}
+
+				return {
+					environment,
+					nodes: functions.map(func => ({
+						name: func.name,
+						environment: func.environment,
+						revision: environment === "dev" ? func.revision : func.deployments[environment].revision,
+						dependencies: dependencyGraph[func.name],
+						dependents: functions
+							.filter(other => dependencyGraph[other.name].includes(func.name))
+							.map(other => other.name)
+					})),
+					edges: functions.flatMap(func => dependencyGraph[func.name].map(dependency => ({
+						from: func.name,
+						to: dependency
+					}))),
+					dependencyGraph,
+					timestamp: Date.now()
+				};
+			}
+		},
+
+		/**
+		 * Lister les déclencheurs de toutes les fonctions, avec leur prochaine exécution cron
+		 */
+		triggers: {
+			async handler(ctx) {
+				const functions = await this.loadAllFunctions(ctx);
+				const active = new Set(this.triggerIndex.map(entry => `${entry.name}/${entry.trigger.id}`));
+
+				return functions.flatMap(func => (func.triggers || []).map(trigger => {
+					const next = trigger.type === "cron" ? new CronSchedule(trigger.schedule).next() : null;
+					return {
+						name: func.name,
+						...trigger,
+						active: active.has(`${func.name}/${trigger.id}`),
+						nextRun: next ? next.toISOString() : null
+					};
+				}));
+			}
+		},
+
+		/**
+		 * Journal des exécutions déclenchées d'une fonction, les plus récentes d'abord
+		 */
+		executions: {
+			params: {
+				name: "string",
+				limit: { type: "number", integer: true, positive: true, convert: true, optional: true, default: 50 }
+			},
+			async handler(ctx) {
+				const entries = await ctx.call("etcd.getPrefix", { prefix: this.executionPrefix(ctx.params.name) });
+				return entries
+					.map(entry => entry.value)
+					.sort((a, b) => b.id.localeCompare(a.id))
+					.slice(0, ctx.params.limit);
+			}
+		},
+
+		/**
+		 * Traiter un événement déclencheur relayé par un autre nœud (master uniquement)
+		 */
+		dispatchEvent: {
+			visibility: "public",
+			params: {
+				event: "string",
+				payload: { type: "any", optional: true },
+				sender: { type: "string", optional: true }
+			},
+			handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				this.dispatchTriggerEvent(ctx.params.event, ctx.params.payload, ctx.params.sender);
+				return { dispatched: true };
+			}
+		},
+
+		/**
+		 * Exporter le registre (ou une sélection) en bundle JSON portable
+		 * Sans historique, seules les révisions courante et déployées sont incluses
+		 */
+		export: {
+			params: {
+				names: {
+					type: "multi",
+					optional: true,
+					rules: [
+						{ type: "array", items: "string" },
+						{ type: "string" }
+					]
+				},
+				includeHistory: { type: "boolean", optional: true, default: true, convert: true }
+			},
+			async handler(ctx) {
+				const { includeHistory } = ctx.params;
+				let functions = await this.loadAllFunctions(ctx);
+
+				if (ctx.params.names !== undefined) {
+					const names = Array.isArray(ctx.params.names)
+						? ctx.params.names
+						: ctx.params.names.split(",").map(name => name.trim()).filter(name => name);
+
+					const missing = names.find(name => !functions.some(func => func.name === name));
+					if (missing) {
+						throw this.notFoundError(missing);
+					}
+					functions = functions.filter(func => names.includes(func.name));
+				}
+
+				const entries = [];
+				for (const func of functions) {
+					const deployed = Object.values(func.deployments || {}).map(deployment => deployment.revision);
+					const revisions = (await ctx.call("etcd.getPrefix", { prefix: this.revisionPrefix(func.name) }))
+						.map(entry => entry.value)
+						.filter(revision => includeHistory || revision.revision === func.revision || deployed.includes(revision.revision))
+						.sort((a, b) => a.revision - b.revision);
+					const promotions = includeHistory
+						? (await ctx.call("etcd.getPrefix", { prefix: this.promotionPrefix(func.name) }))
+							.map(entry => entry.value)
+							.sort((a, b) => a.id - b.id)
+						: [];
+
+					entries.push({ ...func, revisions, promotions });
+				}
+
+				return FunctionBundle.create(entries, {
+					nodeId: this.broker.nodeID,
+					namespace: this.broker.namespace || null
+				});
+			}
+		},
+
+		/**
+		 * Importer un bundle (master uniquement)
+		 * Politique de conflit : skip (défaut), overwrite ou rename ; dryRun n'écrit rien
+		 */
+		import: {
+			params: {
+				bundle: "object",
+				policy: { type: "enum", values: ["skip", "overwrite", "rename"], optional: true, default: "skip" },
+				dryRun: { type: "boolean", optional: true, default: false, convert: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster) {
+					return this.forwardToMaster(ctx);
+				}
+
+				const { policy, dryRun } = ctx.params;
+				const entries = this.validateFunction(() => FunctionBundle.validate(ctx.params.bundle));
+
+				const existing = new Map((await this.loadAllFunctions(ctx)).map(func => [func.name, func]));
+				const taken = new Set([...existing.keys(), ...entries.map(entry => entry.name)]);
+				const renames = {};
+				const results = [];
+
+				for (const entry of entries) {
+					if (!existing.has(entry.name)) {
+						results.push({ name: entry.name, importedAs: entry.name, status: "created" });
+					} else if (policy === "skip") {
+						results.push({ name: entry.name, importedAs: null, status: "skipped" });
+					} else if (policy === "overwrite") {
+						results.push({ name: entry.name, importedAs: entry.name, status: "overwritten" });
+					} else {
+						renames[entry.name] = this.availableName(entry.name, taken);
+						taken.add(renames[entry.name]);
+						results.push({ name: entry.name, importedAs: renames[entry.name], status: "renamed" });
+					}
+				}
+
+				const imported = entries
+					.filter((entry, i) => results[i].status !== "skipped")
+					.map(entry => FunctionBundle.rename(entry, renames));
+
+				// Les dépendances doivent exister après import et ne former aucun cycle
+				const graph = {};
+				for (const func of existing.values()) {
+					graph[func.name] = func.dependencies || [];
+				}
+				for (const func of imported) {
+					graph[func.name] = func.dependencies;
+				}
+				for (const func of imported) {
+					const missing = func.dependencies.filter(name => !graph[name]);
+					if (missing.length > 0) {
+						throw new Errors.ValidationError(
+							`Function '${func.name}' has unknown dependencies: ${missing.join(", ")}`,
+							"VALIDATION_ERROR", { name: func.name, missing }
+						);
+					}
+
+					const cycle = this.findCycle(graph, func.name);
+					if (cycle) {
+						throw new Errors.ValidationError(
+							`Circular dependency detected: ${cycle.join(" -> ")}`, "VALIDATION_ERROR", { name: func.name, cycle }
+						);
+					}
+				}
+
+				const report = {
+					dryRun,
+					policy,
+					total: entries.length,
+					created: results.filter(result => result.status === "created").length,
+					overwritten: results.filter(result => result.status === "overwritten").length,
+					renamed: results.filter(result => result.status === "renamed").length,
+					skipped: results.filter(result => result.status === "skipped").length,
+					functions: results
+				};
+
+				if (dryRun) {
+					return report;
+				}
+
+				for (const entry of imported) {
+					await this.importFunction(ctx, entry, existing.has(entry.name));
+				}
+
+				this.logger.info(`Imported ${imported.length} functions (${report.skipped} skipped)`);
+
+				for (const entry of imported) {
+					this.broker.broadcast("coderdb.functionsChanged", { name: entry.name, change: "imported" });
+				}
+
+				return report;
+			}
+		},
+
+		/**
+		 * Obtenir l'état du nœud coderdb
+		 */
+		status: {
+			async handler(ctx) {
+				const { count } = await ctx.call("etcd.keys", { pattern: `${this.settings.keyPrefix}**`, countOnly: true });
+
+				return {
+					nodeId: this.broker.nodeID,
+					isMaster: this.isMaster,
+					masterId: this.masterId,
+					functionsCount: count,
+					publishedActions: Object.keys(this.publishedFunctions).map(name => `${this.settings.actionNamespace}.${name}`),
+					timestamp: Date.now()
+				};
+			}
+		}
+	},
+
+	events: {
+		"$node.connected"() {
+			// Un nouveau nœud coderdb peut avoir une meilleure priorité
+			this.scheduleElection(1000);
+		},
+
+		"$node.disconnected"(payload) {
+			if (payload.node.id === this.masterId) {
+				this.logger.warn("CoderDB master node disconnected, triggering election");
+				this.triggerElection();
+			}
+		},
+
+		"$broker.started"() {
+			// Créer le service dynamique une fois le broker démarré
+			this.refreshFunctionActions();
+		},
+
+		"coderdb.functionsChanged"(payload) {
+			this.logger.debug(`Function '${payload.name}' ${payload.change}, refreshing actions and triggers`);
+			this.refreshFunctionActions();
+		}
+	},
+
+	methods: {
+		/**
+		 * Construire la clé etcd d'une fonction
+		 */
+		functionKey(name) {
+			return `${this.settings.keyPrefix}${name}`;
+		},
+
+		/**
+		 * Charger une fonction depuis etcd
+		 */
+		async loadFunction(ctx, name) {
+			const entry = await ctx.call("etcd.get", { key: this.functionKey(name) });
+			return entry ? entry.value : null;
+		},
+
+		/**
+		 * Charger toutes les fonctions courantes, triées par nom
+		 */
+		async loadAllFunctions(ctx) {
+			const entries = await ctx.call("etcd.getPrefix", { prefix: this.settings.keyPrefix });
+			return entries
+				.map(entry => entry.value)
+				.sort((a, b) => a.name.localeCompare(b.name));
+		},
+
+		/**
+		 * Enregistrer une fonction dans etcd
+		 */
+		async storeFunction(ctx, func) {
+			await ctx.call("etcd.set", { key: this.functionKey(func.name), value: func });
+		},
+
+		/**
+		 * Préfixe etcd des révisions d'une fonction
+		 */
+		revisionPrefix(name) {
+			return `${this.settings.revisionPrefix}${name}/`;
+		},
+
+		/**
+		 * Clé etcd d'une révision (numéro complété pour un tri lexicographique)
+		 */
+		revisionKey(name, revision) {
+			return `${this.revisionPrefix(name)}${String(revision).padStart(8, "0")}`;
+		},
+
+		/**
+		 * Charger une révision, ou lever NOT_FOUND
+		 */
+		async loadRevision(ctx, name, revision) {
+			const entry = await ctx.call("etcd.get", { key: this.revisionKey(name, revision) });
+			if (!entry) {
+				throw new Errors.MoleculerClientError(
+					`Revision ${revision} of function '${name}' not found`, 404, "NOT_FOUND", { name, revision }
+				);
+			}
+			return entry.value;
+		},
+
+		/**
+		 * Enregistrer une nouvelle révision immuable puis la fonction courante
+		 */
+		async saveRevision(ctx, func, extra = {}) {
+			func.revision = (func.revision || 0) + 1;
+
+			const revision = {
+				name: func.name,
+				revision: func.revision,
+				inputParams: func.inputParams,
+				outputParams: func.outputParams,
+				code: func.code,
+				testCode: func.testCode,
+				dependencies: func.dependencies || [],
+				createdAt: func.updatedAt,
+				author: this.getAuthor(ctx),
+				...extra
+			};
+
+			await ctx.call("etcd.set", { key: this.revisionKey(func.name, func.revision), value: revision });
+			await this.storeFunction(ctx, func);
+		},
+
+		/**
+		 * Supprimer l'historique d'une fonction : révisions, promotions, exécutions, état des déclencheurs
+		 */
+		async deleteHistory(ctx, name) {
+			const history = [
+				...await ctx.call("etcd.getPrefix", { prefix: this.revisionPrefix(name) }),
+				...await ctx.call("etcd.getPrefix", { prefix: this.promotionPrefix(name) }),
+				...await ctx.call("etcd.getPrefix", { prefix: this.executionPrefix(name) }),
+				...await ctx.call("etcd.getPrefix", { prefix: `${this.settings.triggerStatePrefix}${name}/` })
+			];
+			for (const entry of history) {
+				await ctx.call("etcd.delete", { key: entry.key });
+			}
+			await ctx.call("etcd.delete", { key: this.promotionCounterKey(name) });
+		},
+
+		/**
+		 * Écrire une fonction importée avec son historique
+		 * Une fonction écrasée perd son historique local au profit de celui du bundle
+		 */
+		async importFunction(ctx, entry, overwrite) {
+			if (overwrite) {
+				await this.deleteHistory(ctx, entry.name);
+			}
+
+			const now = Date.now();
+			const { revisions, promotions, ...func } = entry;
+			func.createdAt = func.createdAt || now;
+			func.updatedAt = func.updatedAt || now;
+
+			if (revisions.length === 0) {
+				await this.saveRevision(ctx, func);
+				return;
+			}
+
+			for (const revision of revisions) {
+				await ctx.call("etcd.set", {
+					key: this.revisionKey(func.name, revision.revision),
+					value: { ...revision, createdAt: revision.createdAt || now }
+				});
+			}
+
+			for (const promotion of promotions) {
+				await ctx.call("etcd.set", { key: this.promotionKey(func.name, promotion.id), value: promotion });
+			}
+
+			await this.storeFunction(ctx, func);
+		},
+
+		/**
+		 * Premier nom libre dérivé d'un nom existant : nom_2, nom_3...
+		 */
+		availableName(name, taken) {
+			let index = 2;
+			while (taken.has(`${name}_${index}`)) {
+				index++;
+			}
+			return `${name}_${index}`;
+		},
+
+		/**
+		 * Préfixe etcd des promotions d'une fonction
+		 */
+		promotionPrefix(name) {
+			return `${this.settings.promotionPrefix}${name}/`;
+		},
+
+		/**
+		 * Clé etcd d'un enregistrement de promotion
+		 */
+		promotionKey(name, id) {
+			return `${this.promotionPrefix(name)}${String(id).padStart(8, "0")}`;
+		},
+
+		/**
+		 * Clé etcd du compteur de promotions d'une fonction
+		 */
+		promotionCounterKey(name) {
+			return `${this.settings.promotionCounterPrefix}${name}`;
+		},
+
+		/**
+		 * Numéro du prochain enregistrement de promotion
+		 * Réservé par compare-and-swap sur le compteur de la fonction : deux promotions concurrentes
+		 * n'obtiennent jamais le même numéro. Un compteur absent (historique importé ou antérieur)
+		 * repart du plus grand numéro enregistré
+		 */
+		async nextPromotionId(ctx, name) {
+			const key = this.promotionCounterKey(name);
+
+			for (let attempt = 1; attempt <= PROMOTION_ID_ATTEMPTS; attempt++) {
+				const counter = await ctx.call("etcd.get", { key });
+				const last = counter
+					? counter.value
+					: (await ctx.call("etcd.getPrefix", { prefix: this.promotionPrefix(name) }))
+						.reduce((max, entry) => Math.max(max, entry.value.id || 0), 0);
+
+				const result = await ctx.call("etcd.compareAndSwap", {
+					key,
+					expectedValue: counter ? last : null,
+					newValue: last + 1
+				});
+				if (result.success) {
+					return last + 1;
+				}
+			}
+
+			throw new Errors.MoleculerRetryableError(
+				`Could not reserve a promotion number for '${name}'`, 409, "CONFLICT", { name }
+			);
+		},
+
+		/**
+		 * Environnement cible par défaut : la prochaine étape du pipeline
+		 */
+		nextEnvironment(func) {
+			const deployments = func.deployments || {};
+
+			if (!deployments.staging || deployments.staging.revision !== func.revision) {
+				return "staging";
+			}
+			return "production";
+		},
+
+		/**
+		 * Obtenir la révision déployée dans un environnement
+		 * dev correspond toujours à la révision courante
+		 */
+		async resolveDeployment(ctx, func, environment) {
+			if (environment === "dev") {
+				return func;
+			}
+
+			const deployment = func.deployments && func.deployments[environment];
+			if (!deployment) {
+				throw new Errors.MoleculerClientError(
+					`Function '${func.name}' has no ${environment} deployment`, 404, "NOT_FOUND", { name: func.name, environment }
+				);
+			}
+
+			return this.loadRevision(ctx, func.name, deployment.revision);
+		},
+
+		/**
+		 * Dépendances d'une fonction dans un environnement :
+		 * celles de la révision courante en dev, celles de la révision déployée sinon
+		 */
+		dependenciesIn(func, environment) {
+			if (environment === "dev") {
+				return func.dependencies || [];
+			}
+
+			const deployment = func.deployments && func.deployments[environment];
+			return deployment ? deployment.dependencies || [] : [];
+		},
+
+		/**
+		 * Vérifier à l'enregistrement que les dépendances existent et ne forment aucun cycle
+		 */
+		async checkDependencies(ctx, func) {
+			const dependencies = func.dependencies || [];
+			if (dependencies.length === 0) {
+				return;
+			}
+
+			const graph = {};
+			for (const other of await this.loadAllFunctions(ctx)) {
+				graph[other.name] = other.dependencies || [];
+			}
+			graph[func.name] = dependencies;
+
+			const missing = dependencies.filter(name => !graph[name]);
+			if (missing.length > 0) {
+				throw new Errors.ValidationError(
+					`Unknown dependencies: ${missing.join(", ")}`, "VALIDATION_ERROR", { name: func.name, missing }
+				);
+			}
+
+			const cycle = this.findCycle(graph, func.name);
+			if (cycle) {
+				throw new Errors.ValidationError(
+					`Circular dependency detected: ${cycle.join(" -> ")}`, "VALIDATION_ERROR", { name: func.name, cycle }
+				);
+			}
+		},
+
+		/**
+		 * Chercher un cycle atteignable depuis une fonction (parcours en profondeur)
+		 * Retourne le chemin du cycle, ou null
+		 */
+		findCycle(graph, start) {
+			const path = [];
+			const visited = new Set();
+
+			const visit = name => {
+				const index = path.indexOf(name);
+				if (index !== -1) {
+					return [...path.slice(index), name];
+				}
+				if (visited.has(name)) {
+					return null;
+				}
+
+				path.push(name);
+				for (const dependency of graph[name] || []) {
+					const cycle = visit(dependency);
+					if (cycle) return cycle;
+				}
+				path.pop();
+				visited.add(name);
+
+				return null;
+			};
+
+			return visit(start);
+		},
+
+		/**
+		 * Résoudre transitivement le code des dépendances dans un environnement
+		 * Retourne { nom: { code, dependencies } } pour le sandbox
+		 */
+		async resolveDependencies(ctx, func, environment) {
+			const functions = {};
+			const graph = { [func.name]: func.dependencies || [] };
+			const pending = [...graph[func.name]];
+
+			while (pending.length > 0) {
+				const name = pending.shift();
+				if (functions[name]) continue;
+
+				const dependency = await this.loadFunction(ctx, name);
+				if (!dependency || (environment !== "dev" && !(dependency.deployments && dependency.deployments[environment]))) {
+					throw new Errors.MoleculerClientError(
+						`Dependency '${name}' of function '${func.name}' is not available in ${environment}`, 409, "CONFLICT",
+						{ name: func.name, dependency: name, environment }
+					);
+				}
+
+				const resolved = await this.resolveDeployment(ctx, dependency, environment);
+				functions[name] = { code: resolved.code, dependencies: resolved.dependencies || [] };
+				graph[name] = functions[name].dependencies;
+				pending.push(...graph[name]);
+			}
+
+			// Des révisions déployées séparément peuvent former un cycle que l'enregistrement n'a pas vu
+			const cycle = this.findCycle(graph, func.name);
+			if (cycle) {
+				throw new Errors.MoleculerClientError(
+					`Circular dependency detected in ${environment}: ${cycle.join(" -> ")}`, 409, "CONFLICT",
+					{ name: func.name, cycle, environment }
+				);
+			}
+
+			return functions;
+		},
+
+		/**
+		 * Extraire l'auteur d'une modification depuis les en-têtes HTTP relayés par l'API
+		 */
+		getAuthor(ctx) {
+			const headers = (ctx.meta && ctx.meta.headers) || {};
+
+			return {
+				name: headers["x-author"] || headers["x-user"] || "anonymous",
+				email: headers["x-author-email"] || null,
+				userAgent: headers["user-agent"] || null,
+				ip: headers["x-forwarded-for"] || headers["x-real-ip"] || null,
+				caller: ctx.caller || null
+			};
+		},
+
+		/**
+		 * Exécuter une validation et convertir ses erreurs en ValidationError
+		 */
+		validateFunction(validate) {
+			try {
+				return validate();
+			} catch (err) {
+				throw new Errors.ValidationError(err.message);
+			}
+		},
+
+		/**
+		 * Resynchroniser les actions publiées et les déclencheurs (les appels concurrents sont sérialisés)
+		 */
+		refreshFunctionActions() {
+			this.actionRefresh = this.actionRefresh
+				.then(() => this.publishFunctionActions())
+				.then(() => this.subscribeTriggers())
+				.catch(err => this.logger.error("Failed to publish function actions and triggers:", err));
+			return this.actionRefresh;
+		},
+
+		/**
+		 * Publier chaque fonction de production comme action du service dynamique
+		 * Le service est recréé quand l'ensemble des révisions publiées change
+		 */
+		async publishFunctionActions() {
+			const entries = await this.broker.call("etcd.getPrefix", { prefix: this.settings.keyPrefix });
+			const deployed = entries
+				.map(entry => entry.value)
+				.filter(func => func.deployments && func.deployments.production);
+
+			const published = {};
+			for (const func of deployed) {
+				const current = this.publishedFunctions[func.name];
+				const revision = func.deployments.production.revision;
+
+				published[func.name] = current && current.revision === revision
+					? current
+					: await this.loadRevision(this.broker, func.name, revision);
+			}
+
+			const signature = names => Object.keys(names).sort().map(name => `${name}@${names[name].revision}`).join(",");
+			if (signature(published) === signature(this.publishedFunctions) && (this.functionService || deployed.length === 0)) {
+				return;
+			}
+
+			if (this.functionService) {
+				await this.broker.destroyService(this.functionService);
+				this.functionService = null;
+			}
+
+			this.publishedFunctions = published;
+
+			if (deployed.length === 0) {
+				this.logger.info("No production function to publish");
+				return;
+			}
+
+			const actions = {};
+			for (const name of Object.keys(published)) {
+				actions[name] = {
+					handler: ctx => this.invokeFunction(ctx, this.publishedFunctions[name], ctx.params, "production")
+				};
+			}
+
+			this.functionService = this.broker.createService({
+				name: this.settings.actionNamespace,
+				actions
+			});
+
+			this.logger.info(`Published production functions as actions: ${Object.keys(actions)
+				.map(name => `${this.settings.actionNamespace}.${name}`).join(", ")}`);
+		},
+
+		/**
+		 * Appeler une fonction stockée en appliquant son contrat d'entrées/sorties
+		 * Les dépendances sont prises dans le même environnement que la fonction
+		 */
+		async invokeFunction(ctx, func, rawInputs, environment) {
+			const inputs = ContractValidator.validateInputs(func.inputParams, rawInputs);
+
+			const execution = await this.sandbox.run({
+				code: func.code,
+				inputs,
+				dependencies: func.dependencies || [],
+				functions: await this.resolveDependencies(ctx, func, environment)
+			});
+			if (!execution.success) {
+				throw new Errors.MoleculerError(
+					`Function '${func.name}' failed: ${execution.error}`, 500, "EXECUTION_ERROR",
+					{ name: func.name, logs: execution.logs }
+				);
+			}
+
+			return ContractValidator.validateOutputs(func.outputParams, execution.result);
+		},
+
+		/**
+		 * Construire une erreur de fonction introuvable
+		 */
+		notFoundError(name) {
+			return new Errors.MoleculerClientError(`Function '${name}' not found`, 404, "NOT_FOUND", { name });
+		},
+
+		/**
+		 * Relayer une écriture vers le master coderdb
+		 */
+		forwardToMaster(ctx) {
+			if (!this.masterId || this.masterId === this.broker.nodeID) {
+				throw new Errors.MoleculerRetryableError("No coderdb master elected", 503, "NO_MASTER");
+			}
+
+			this.logger.debug(`Forwarding '${ctx.action.name}' to master ${this.masterId}`);
+			return ctx.call(ctx.action.name, ctx.params, { nodeID: this.masterId });
+		}
+	},
+
+	created() {
+		this.sandbox = new FunctionSandbox(this.settings.sandbox);
+
+		// Fonctions de production publiées comme actions : nom -> révision
+		this.publishedFunctions = {};
+		this.functionService = null;
+		this.actionRefresh = Promise.resolve();
+	},
+
+	async started() {
+		await this.initializeElection();
+		this.initializeTriggers();
+
+		this.actionRefreshTimer = setInterval(() => {
+			this.refreshFunctionActions();
+		}, this.settings.actionRefreshInterval);
+
+		this.logger.info("CoderDB service started", {
+			nodeId: this.broker.nodeID,
+			keyPrefix: this.settings.keyPrefix
+		});
+	},
+
+	async stopped() {
+		if (this.actionRefreshTimer) {
+			clearInterval(this.actionRefreshTimer);
+		}
+
+		await this.actionRefresh;
+		await this.stopTriggers();
+		if (this.functionService) {
+			await this.broker.destroyService(this.functionService);
+			this.functionService = null;
+		}
+	}
+};
@@ -1,123 +1,339 @@
 // services/election/etcd-election.js
 "use strict";
 
+const fs = require("fs").promises;
+const path = require("path");
+const { Errors } = require("moleculer");
+
+/**
+ * Élection du master etcd inspirée de Raft :
+ * - chaque élection ouvre un nouveau terme (epoch), persisté sur disque avec le vote du terme
+ * - un candidat doit obtenir la majorité de la taille configurée du cluster (clusterSize)
+ * - les délais d'élection sont aléatoires pour éviter les votes partagés
+ * - tout nœud qui observe un terme supérieur redevient follower
+ * - un master qui perd le contact avec la majorité se retire
+ */
 module.exports = {
 	methods: {
 		/**
 		 * Initialiser le système d'élection
 		 */
 		async initializeElection() {
+			const { clusterSize } = this.settings;
+			if (!Number.isInteger(clusterSize) || clusterSize < 1) {
+				throw new Error(`Invalid etcd clusterSize ${clusterSize}: set it to the number of etcd nodes (1 for a single node)`);
+			}
+
 			this.isMaster = false;
 			this.masterId = null;
+			this.role = "follower";
+			this.currentTerm = 0;
+			this.votedFor = null;
+			this.members = new Set();
 			this.electionInProgress = false;
 			this.heartbeatTimer = null;
+			this.heartbeatInFlight = false;
 			this.electionTimer = null;
 			this.lastHeartbeat = null;
-			
-			// Au démarrage, on se considère comme master jusqu'à preuve du contraire
-			// L'élection se déclenchera quand d'autres nœuds etcd se connecteront
-			this.becomeMaster();
+			this.lastQuorumAt = null;
+
+			await this.loadElectionState();
+
+			this.members.add(this.broker.nodeID);
+			for (const node of await this.getEtcdNodes()) {
+				this.members.add(node.id);
+			}
+			await this.saveElectionState();
+
+			// Tout nœud démarre follower ; un nœud qui ne connaît aucun pair
+			// se présente dès la fin du délai de découverte
+			this.resetElectionTimer(this.members.size === 1 ? this.settings.heartbeatInterval : undefined);
+		},
+
+		/**
+		 * Charger le terme, le vote et les membres connus
+		 */
+		async loadElectionState() {
+			try {
+				const content = await fs.readFile(this.electionStateFile(), "utf8");
+				const state = JSON.parse(content);
+
+				this.currentTerm = Number.isInteger(state.term) ? state.term : 0;
+				this.votedFor = state.votedFor || null;
+				this.members = new Set(Array.isArray(state.members) ? state.members : []);
+			} catch (err) {
+				if (err.code !== "ENOENT") {
+					this.logger.warn("Error loading election state:", err.message);
+				}
+			}
+		},
+
+		/**
+		 * Persister le terme et le vote avant d'y répondre (un nœud ne vote qu'une fois par terme)
+		 */
+		async saveElectionState() {
+			await fs.writeFile(this.electionStateFile(), JSON.stringify({
+				term: this.currentTerm,
+				votedFor: this.votedFor,
+				members: Array.from(this.members)
+			}, null, 2));
+		},
+
+		/**
+		 * Fichier d'état de l'élection, à côté des données
+		 */
+		electionStateFile() {
+			return path.join(this.dbPath, "election.json");
+		},
+
+		/**
+		 * Nombre de votants : la taille configurée, ou davantage si plus de membres se sont annoncés
+		 */
+		getVotingSize() {
+			return Math.max(this.settings.clusterSize, this.members.size);
+		},
+
+		/**
+		 * Majorité requise parmi les votants
+		 */
+		getQuorum() {
+			return Math.floor(this.getVotingSize() / 2) + 1;
+		},
+
+		/**
+		 * Enregistrer un membre du cluster
+		 */
+		async addMember(nodeId) {
+			if (!nodeId || this.members.has(nodeId)) return;
+
+			this.members.add(nodeId);
+			this.logger.info(`ETCD member ${nodeId} joined (${this.members.size} members, quorum ${this.getQuorum()})`);
+			if (this.members.size > this.settings.clusterSize) {
+				this.logger.warn(`ETCD cluster has ${this.members.size} members but clusterSize is ${this.settings.clusterSize}: set clusterSize on every node`);
+			}
+			await this.saveElectionState();
+		},
+
+		/**
+		 * Retirer un membre parti proprement ; un départ inattendu (crash, partition)
+		 * le laisse compté dans la majorité
+		 */
+		async removeMember(nodeId) {
+			if (!this.members.delete(nodeId)) return;
+
+			this.logger.info(`ETCD member ${nodeId} left (${this.members.size} members, quorum ${this.getQuorum()})`);
+			await this.saveElectionState();
+		},
+
+		/**
+		 * Délai d'élection aléatoire entre electionTimeout et 2 x electionTimeout
+		 */
+		randomElectionTimeout() {
+			return this.settings.electionTimeout + Math.floor(Math.random() * this.settings.electionTimeout);
+		},
+
+		/**
+		 * Réarmer le délai au bout duquel un follower sans nouvelles du master se présente
+		 */
+		resetElectionTimer(delay) {
+			this.stopMasterMonitoring();
+			if (this.role === "leader") return;
+
+			this.electionTimer = setTimeout(() => {
+				this.electionTimer = null;
+				this.triggerElection();
+			}, delay !== undefined ? delay : this.randomElectionTimeout());
 		},
 
 		/**
-		 * Déclencher une élection
+		 * Se présenter pour un nouveau terme et demander le vote des autres membres
 		 */
 		async triggerElection() {
-			if (this.electionInProgress) {
-				this.logger.debug("Election already in progress, skipping");
+			if (this.electionInProgress || this.role === "leader") {
+				this.logger.debug("Election already in progress or node is master, skipping");
 				return;
 			}
-			
+
 			this.electionInProgress = true;
-			this.logger.info("Starting ETCD master election...");
-			
+
 			try {
-				const etcdNodes = await this.getEtcdNodes();
-				
-				if (etcdNodes.length === 0) {
-					// Aucun autre nœud, on devient master
+				const term = this.currentTerm + 1;
+				this.currentTerm = term;
+				this.role = "candidate";
+				this.votedFor = this.broker.nodeID;
+				this.isMaster = false;
+				this.masterId = null;
+
+				const peers = (await this.getEtcdNodes()).filter(node => node.id !== this.broker.nodeID);
+				for (const peer of peers) {
+					this.members.add(peer.id);
+				}
+				await this.saveElectionState();
+
+				// En cas de vote partagé, une nouvelle élection suivra
+				this.resetElectionTimer();
+
+				const quorum = this.getQuorum();
+				let votes = 1;
+
+				this.logger.info(`Starting ETCD election for term ${term} (quorum ${quorum}/${this.members.size})`);
+
+				if (votes >= quorum) {
 					this.becomeMaster();
 					return;
 				}
 
-				// Trier les nœuds par ID pour avoir un ordre déterministe
-				const candidates = this.sortNodesByPriority(etcdNodes);
-				
-				// Le nœud avec l'ID le plus petit devient master
-				if (candidates.length === 0 || candidates[0].id === this.broker.nodeID) {
-					this.becomeMaster();
-				} else {
-					this.becomeSlave(candidates[0].id);
+				await Promise.all(peers.map(async peer => {
+					try {
+						const response = await this.broker.call("etcd.requestVote", {
+							term,
+							candidateId: this.broker.nodeID,
+							revision: this.storage.revision,
+							revisionTerm: this.storage.revisionTerm
+						}, {
+							nodeID: peer.id,
+							timeout: this.settings.electionTimeout
+						});
+
+						if (response.term > this.currentTerm) {
+							await this.stepDown(response.term);
+							return;
+						}
+
+						if (response.voteGranted && this.role === "candidate" && this.currentTerm === term) {
+							votes++;
+							if (votes >= quorum) {
+								this.becomeMaster();
+							}
+						}
+					} catch (err) {
+						this.logger.debug(`Vote request to ${peer.id} failed:`, err.message);
+					}
+				}));
+
+				if (this.role === "candidate" && this.currentTerm === term) {
+					this.logger.warn(`ETCD election for term ${term} failed (${votes}/${quorum} votes)`);
 				}
-				
 			} catch (err) {
 				this.logger.error("Election error:", err);
-				// En cas d'erreur, on reste dans l'état actuel
 			} finally {
 				this.electionInProgress = false;
 			}
 		},
 
 		/**
-		 * Obtenir les nœuds ETCD disponibles
+		 * Répondre à une demande de vote
 		 */
-		async getEtcdNodes() {
-			const nodes = await this.broker.registry.getNodeList({ onlyAvailable: true });
-			return nodes.filter(node => 
-				node.services && 
-				Array.isArray(node.services) && 
-				node.services.find(s => s && s.name === "etcd")
-			);
+		async handleVoteRequest({ term, candidateId, revision = 0, revisionTerm = 0 }) {
+			await this.addMember(candidateId);
+
+			if (term < this.currentTerm) {
+				return { term: this.currentTerm, voteGranted: false };
+			}
+
+			// Un master actif et joignable n'est pas renversé par un nœud qui revient d'une partition
+			const masterAlive = this.masterId && this.masterId !== candidateId &&
+				this.lastHeartbeat && Date.now() - this.lastHeartbeat < this.settings.electionTimeout;
+			if (masterAlive) {
+				return { term: this.currentTerm, voteGranted: false };
+			}
+
+			if (term > this.currentTerm) {
+				await this.stepDown(term);
+			}
+
+			// Le candidat doit avoir tous les changements du votant (dernier terme, puis dernière révision)
+			const upToDate = revisionTerm > this.storage.revisionTerm ||
+				(revisionTerm === this.storage.revisionTerm && revision >= this.storage.revision);
+
+			const voteGranted = upToDate && (this.votedFor === null || this.votedFor === candidateId);
+			if (voteGranted) {
+				this.votedFor = candidateId;
+				await this.saveElectionState();
+				this.resetElectionTimer();
+			}
+
+			this.logger.debug(`Vote for ${candidateId} in term ${term}: ${voteGranted ? "granted" : "refused"}`);
+
+			return { term: this.currentTerm, voteGranted };
 		},
 
 		/**
-		 * Trier les nœuds par priorité (ID le plus petit gagne)
+		 * Obtenir les nœuds ETCD disponibles
 		 */
-		sortNodesByPriority(nodes) {
-			return nodes.sort((a, b) => a.id.localeCompare(b.id));
+		async getEtcdNodes() {
+			const nodes = await this.broker.registry.getNodeList({ onlyAvailable: true, withServices: true });
+			return nodes.filter(node =>
+				node.services &&
+				Array.isArray(node.services) &&
+				node.services.find(s => s && s.name === "etcd")
+			);
 		},
 
 		/**
-		 * Devenir master
+		 * Devenir master pour le terme courant
 		 */
 		becomeMaster() {
-			const wasSlaveBeforeMaster = !this.isMaster;
-			
+			if (this.role === "leader") return;
+
+			this.role = "leader";
 			this.isMaster = true;
 			this.masterId = this.broker.nodeID;
 			this.lastHeartbeat = Date.now();
-			
-			if (wasSlaveBeforeMaster) {
-				this.logger.info("Became ETCD MASTER node");
-			} else {
-				this.logger.debug("Remaining as ETCD MASTER node");
-			}
-			
-			// Démarrer le heartbeat
+			this.lastQuorumAt = Date.now();
+
+			this.logger.info(`Became ETCD MASTER node for term ${this.currentTerm}`);
+
+			this.stopMasterMonitoring();
 			this.startHeartbeat();
-			
+
 			// Notifier les autres nœuds
 			this.broker.broadcast("etcd.masterElected", {
 				masterId: this.masterId,
+				term: this.currentTerm,
 				timestamp: Date.now()
 			});
 		},
 
 		/**
-		 * Devenir slave
+		 * Devenir slave du master du terme courant
 		 */
 		becomeSlave(masterId) {
+			const changed = this.masterId !== masterId || this.role !== "follower";
+
+			this.role = "follower";
 			this.isMaster = false;
 			this.masterId = masterId;
 			this.lastHeartbeat = Date.now();
-			
-			this.logger.info(`Became ETCD SLAVE node. Master: ${masterId}`);
-			
-			// Arrêter le heartbeat si actif
+
+			if (changed) {
+				this.logger.info(`Became ETCD SLAVE node. Master: ${masterId} (term ${this.currentTerm})`);
+			}
+
 			this.stopHeartbeat();
-			
-			// Démarrer la surveillance du master
-			this.startMasterMonitoring();
+			this.resetElectionTimer();
+		},
+
+		/**
+		 * Redevenir follower, en adoptant un terme supérieur le cas échéant
+		 */
+		async stepDown(term) {
+			if (term > this.currentTerm) {
+				this.currentTerm = term;
+				this.votedFor = null;
+				await this.saveElectionState();
+			}
+
+			if (this.role === "leader") {
+				this.logger.warn(`Stepping down as ETCD master (term ${this.currentTerm})`);
+			}
+
+			this.role = "follower";
+			this.isMaster = false;
+			this.masterId = null;
+
+			this.stopHeartbeat();
+			this.resetElectionTimer();
 		},
 
 		/**
@@ -125,12 +341,10 @@ module.exports = {
 		 */
 		startHeartbeat() {
 			this.stopHeartbeat();
-			
+
+			this.sendHeartbeats();
 			this.heartbeatTimer = setInterval(() => {
-				this.broker.broadcast("etcd.heartbeat", {
-					masterId: this.broker.nodeID,
-					timestamp: Date.now()
-				});
+				this.sendHeartbeats();
 			}, this.settings.heartbeatInterval);
 		},
 
@@ -145,79 +359,138 @@ module.exports = {
 		},
 
 		/**
-		 * Démarrer la surveillance du master (pour les slaves)
+		 * Envoyer un heartbeat à chaque membre et vérifier que la majorité répond
 		 */
-		startMasterMonitoring() {
-			this.stopMasterMonitoring();
-			
-			this.electionTimer = setInterval(() => {
-				this.checkMasterHealth();
-			}, this.settings.heartbeatInterval * 2);
+		async sendHeartbeats() {
+			if (this.role !== "leader" || this.heartbeatInFlight) return;
+
+			this.heartbeatInFlight = true;
+			const term = this.currentTerm;
+
+			try {
+				const peers = (await this.getEtcdNodes()).filter(node => node.id !== this.broker.nodeID);
+				let acks = 1;
+
+				await Promise.all(peers.map(async peer => {
+					try {
+						const response = await this.broker.call("etcd.heartbeat", {
+							term,
+							leaderId: this.broker.nodeID
+						}, {
+							nodeID: peer.id,
+							timeout: this.settings.heartbeatInterval
+						});
+
+						if (response.term > this.currentTerm) {
+							await this.stepDown(response.term);
+						} else if (response.success) {
+							acks++;
+						}
+					} catch (err) {
+						this.logger.debug(`Heartbeat to ${peer.id} failed:`, err.message);
+					}
+				}));
+
+				if (this.role !== "leader" || this.currentTerm !== term) return;
+
+				if (acks >= this.getQuorum()) {
+					this.lastQuorumAt = Date.now();
+				} else if (Date.now() - this.lastQuorumAt > this.settings.electionTimeout) {
+					// Isolé dans une minorité : ne plus accepter d'écritures
+					this.logger.warn(`Lost contact with the ETCD majority (${acks}/${this.getQuorum()}), stepping down`);
+					await this.stepDown(term);
+				}
+			} finally {
+				this.heartbeatInFlight = false;
+			}
 		},
 
 		/**
-		 * Arrêter la surveillance du master
+		 * Recevoir le heartbeat du master
 		 */
-		stopMasterMonitoring() {
-			if (this.electionTimer) {
-				clearInterval(this.electionTimer);
-				this.electionTimer = null;
+		async handleHeartbeat({ term, leaderId }) {
+			await this.addMember(leaderId);
+
+			if (term < this.currentTerm) {
+				return { term: this.currentTerm, success: false };
+			}
+
+			if (term > this.currentTerm) {
+				this.currentTerm = term;
+				this.votedFor = null;
+				await this.saveElectionState();
 			}
+
+			this.becomeSlave(leaderId);
+
+			return { term: this.currentTerm, success: true };
 		},
 
 		/**
-		 * Vérifier la santé du master
+		 * Vérifier le terme d'une écriture répliquée : celles d'un ancien master sont rejetées
 		 */
-		async checkMasterHealth() {
-			if (this.isMaster) return;
-			
-			const now = Date.now();
-			const timeSinceLastHeartbeat = now - this.lastHeartbeat;
-			
-			// Si on n'a pas reçu de heartbeat depuis trop longtemps
-			if (timeSinceLastHeartbeat > this.settings.electionTimeout) {
-				this.logger.warn(`Master heartbeat timeout (${timeSinceLastHeartbeat}ms), triggering election`);
-				this.triggerElection();
-				return;
+		async checkReplicationTerm(meta) {
+			const { term, leaderId } = meta;
+
+			if (!Number.isInteger(term) || term < this.currentTerm) {
+				throw new Errors.MoleculerClientError(
+					`Rejected replicated write from stale term ${term} (current term ${this.currentTerm})`,
+					409, "STALE_TERM", { term: this.currentTerm, masterId: this.masterId }
+				);
 			}
-			
-			// Vérifier si le master est toujours accessible
-			if (this.masterId) {
-				try {
-					await this.broker.call("etcd.health", {}, { 
-						nodeID: this.masterId, 
-						timeout: 2000 
-					});
-				} catch (err) {
-					this.logger.warn(`Master node ${this.masterId} is not responding, triggering election`);
-					this.triggerElection();
+
+			if (term > this.currentTerm || this.masterId !== leaderId || this.isMaster) {
+				if (term > this.currentTerm) {
+					this.currentTerm = term;
+					this.votedFor = null;
+					await this.saveElectionState();
 				}
+				this.becomeSlave(leaderId);
+			} else {
+				this.lastHeartbeat = Date.now();
+			}
+		},
+
+		/**
+		 * Arrêter le délai d'élection
+		 */
+		stopMasterMonitoring() {
+			if (this.electionTimer) {
+				clearTimeout(this.electionTimer);
+				this.electionTimer = null;
 			}
 		},
 
 		/**
 		 * Gérer l'événement de master élu
 		 */
-		handleMasterElected(payload) {
-			if (payload.masterId !== this.broker.nodeID) {
-				this.becomeSlave(payload.masterId);
+		async handleMasterElected(payload) {
+			if (payload.masterId === this.broker.nodeID || !Number.isInteger(payload.term) || payload.term < this.currentTerm) {
+				return;
 			}
+
+			if (payload.term > this.currentTerm) {
+				this.currentTerm = payload.term;
+				this.votedFor = null;
+				await this.saveElectionState();
+			}
+
+			this.becomeSlave(payload.masterId);
 		},
 
 		/**
-		 * Gérer l'événement de heartbeat
+		 * Gérer la déconnexion d'un nœud etcd
 		 */
-		handleHeartbeat(payload) {
-			if (payload.masterId !== this.broker.nodeID) {
-				// Mettre à jour les informations du master
-				this.masterId = payload.masterId;
-				this.lastHeartbeat = payload.timestamp;
-				
-				// Si on n'était pas au courant de ce master, devenir slave
-				if (this.isMaster) {
-					this.logger.info(`Detected active master ${payload.masterId}, becoming slave`);
-					this.becomeSlave(payload.masterId);
-				}
+		async handlePeerDisconnected(payload) {
+			if (!payload.unexpected) {
+				await this.removeMember(payload.node.id);
+			}
+
+			if (payload.node.id === this.masterId && !this.isMaster) {
+				this.logger.warn("Master node disconnected, election will follow");
+				this.masterId = null;
+				this.lastHeartbeat = null;
+				this.resetElectionTimer(Math.floor(Math.random() * this.settings.electionTimeout));
 			}
 		},
 
@@ -226,13 +499,7 @@ module.exports = {
 		 */
 		async forceElection() {
 			this.logger.info("Forcing new election");
-			this.stopHeartbeat();
-			this.stopMasterMonitoring();
-			
-			// Attendre un peu pour que les autres nœuds détectent l'absence
-			setTimeout(() => {
-				this.triggerElection();
-			}, this.settings.heartbeatInterval);
+			await this.stepDown(this.currentTerm);
 		},
 
 		/**
@@ -242,6 +509,11 @@ module.exports = {
 			return {
 				isMaster: this.isMaster,
 				masterId: this.masterId,
+				role: this.role,
+				term: this.currentTerm,
+				votedFor: this.votedFor,
+				members: Array.from(this.members),
+				quorum: this.getQuorum(),
 				electionInProgress: this.electionInProgress,
 				lastHeartbeat: this.lastHeartbeat,
 				nodeId: this.broker.nodeID
@@ -252,10 +524,6 @@ module.exports = {
 	events: {
 		"etcd.masterElected"(payload) {
 			this.handleMasterElected(payload);
-		},
-
-		"etcd.heartbeat"(payload) {
-			this.handleHeartbeat(payload);
 		}
 	},
 
@@ -263,4 +531,4 @@ module.exports = {
 		this.stopHeartbeat();
 		this.stopMasterMonitoring();
 	}
-};
\ No newline at end of file
+};
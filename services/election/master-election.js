@@ -11,9 +11,21 @@ module.exports = {
 			this.masterId = null;
 			this.electionInProgress = false;
 			this.heartbeatTimer = null;
+			this.electionTriggerTimer = null;
 			
 			// Démarrer l'élection initiale
-			setTimeout(() => this.triggerElection(), 1000);
+			this.scheduleElection(1000);
+		},
+
+		/**
+		 * Déclencher une élection après un délai ; une élection déjà prévue est remplacée
+		 */
+		scheduleElection(delay) {
+			clearTimeout(this.electionTriggerTimer);
+			this.electionTriggerTimer = setTimeout(() => {
+				this.electionTriggerTimer = null;
+				this.triggerElection();
+			}, delay);
 		},
 
 		/**
@@ -134,6 +146,8 @@ module.exports = {
 	},
 
 	async stopped() {
+		clearTimeout(this.electionTriggerTimer);
+		this.electionTriggerTimer = null;
 		this.stopHeartbeat();
 	}
 };
\ No newline at end of file
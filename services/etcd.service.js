@@ -1,22 +1,122 @@
 // services/etcd.service.js
 "use strict";
 
-const { Service } = require("moleculer");
+const { Service, Errors } = require("moleculer");
 const BaseService = require("./base.service");
 const EtcdStorage = require("./storage/etcd-storage");
+const EtcdWal = require("./storage/etcd-wal");
+const EtcdLeases = require("./storage/etcd-leases");
+const EtcdNamespaces = require("./storage/etcd-namespaces");
+const EtcdIndexes = require("./storage/etcd-indexes");
+const EtcdSecrets = require("./storage/etcd-secrets");
+const EtcdTransactions = require("./storage/etcd-transactions");
+const EtcdBackups = require("./storage/etcd-backups");
 const EtcdElection = require("./election/etcd-election");
+const EtcdWatch = require("./watch/etcd-watch");
+const EtcdLocks = require("./locks/etcd-locks");
+const { STORAGE_ADAPTERS } = require("./storage/adapters");
+
+// Niveaux d'acquittement d'une écriture : master seul, majorité des membres, tous les membres
+const WRITE_CONCERNS = ["local", "majority", "all"];
+
+// Échecs d'une écriture relayée qui garantissent qu'elle n'a pas été appliquée : réessayer vers le nouveau master
+const FORWARD_RETRY_TYPES = ["NOT_LEADER", "SERVICE_NOT_FOUND", "SERVICE_NOT_AVAILABLE"];
+
+// Conditions d'une transaction : attribut comparé et comparaison
+const TXN_COMPARE = {
+	type: "object",
+	props: {
+		key: "string",
+		target: { type: "enum", values: ["value", "version", "modRevision", "exists"] },
+		result: { type: "enum", values: ["equal", "notEqual", "greater", "less"], optional: true },
+		value: { type: "any", optional: true }
+	}
+};
+
+// Parcours ordonné des clés : bornes [start, end), page de `limit` clés reprise au `cursor` de la précédente
+const RANGE_PARAMS = {
+	start: { type: "string", optional: true },
+	end: { type: "string", optional: true },
+	limit: { type: "number", integer: true, positive: true, max: 10000, optional: true, convert: true },
+	cursor: { type: "string", optional: true },
+	reverse: { type: "boolean", optional: true, convert: true },
+	countOnly: { type: "boolean", optional: true, convert: true }
+};
+
+// Opérations d'une branche de transaction
+const TXN_OPERATION = {
+	type: "object",
+	props: {
+		type: { type: "enum", values: ["set", "delete", "get"] },
+		key: "string",
+		value: { type: "any", optional: true },
+		ttl: { type: "number", optional: true },
+		lease: { type: "number", integer: true, positive: true, optional: true }
+	}
+};
 
 module.exports = {
 	name: "etcd",
 
-	mixins: [BaseService, EtcdStorage, EtcdElection],
+	mixins: [BaseService, EtcdStorage, EtcdWal, EtcdNamespaces, EtcdIndexes, EtcdSecrets, EtcdLeases, EtcdTransactions, EtcdBackups, EtcdElection, EtcdWatch, EtcdLocks],
 
 	settings: {
 		dbPath: "./data/etcd",
+		// Stockage : "json" (data.json réécrit à chaque point de contrôle), "embedded" (etcd.db en ajout
+		// seul : seules les clés modifiées sont écrites), "memory" (tests). Quel que soit l'adaptateur,
+		// toutes les entrées sont chargées en mémoire au démarrage : le jeu de données doit y tenir
+		storageAdapter: "json",
+		storageOptions: {},
+		// Namespaces (préfixe `<nom>/`) et leurs quotas ; un namespace peut en contenir d'autres
+		// ex: { coderdb: { maxKeys: 100000, maxBytes: 256 * 1024 * 1024 }, "coderdb/executions": { maxKeys: 50000 } }
+		namespaces: {
+			coderdb: {},
+			trading: {},
+			discovery: {},
+			secrets: {}
+		},
+		// Secrets : namespace chiffré (etcd.setSecret / etcd.getSecret) et fichier de la clé maître
+		// (au moins 32 octets, en hexadécimal ou brut, ex: `openssl rand -hex 32`), le même sur tous
+		// les nœuds etcd ; il n'est jamais généré : sans lui, le service démarre mais refuse les secrets
+		secretNamespace: "secrets",
+		secretKeyFile: process.env.ETCD_SECRET_KEY_FILE || "./data/etcd-secret.key",
+		// Index secondaires : chemins JSON des valeurs indexés pour les clés d'un préfixe (requêtes etcd.query)
+		// ex: { "coderdb/executions/": ["status", "startedAt"], "trading/orders/": ["symbol", "price"] }
+		indexes: {},
+		// Délai minimum sans heartbeat avant une élection (tiré au hasard entre 1x et 2x)
 		electionTimeout: 3000,
 		heartbeatInterval: 1500,
+		// Nombre de nœuds etcd du cluster (1 : nœud unique) ; la majorité est calculée sur cette taille,
+		// jamais sur les seuls membres découverts : deux nœuds démarrés ensemble sans se voir ne
+		// peuvent pas s'élire chacun de leur côté. À régler sur chaque nœud d'un cluster
+		clusterSize: Number(process.env.ETCD_CLUSTER_SIZE) || 1,
 		syncInterval: 5000,
-		maxRetries: 3
+		// Changements conservés pour la réplication incrémentale ; au-delà, rattrapage par snapshot
+		changelogSize: 1000,
+		// Journal : fsync de chaque écriture, compaction en snapshot au-delà d'un nombre d'enregistrements
+		walFsync: true,
+		walCompactInterval: 30000,
+		walCompactThreshold: 1000,
+		// Sauvegardes du master : répertoire, nombre d'archives conservées (0 : toutes), planning cron (ex: "@hourly")
+		backupPath: "./data/etcd-backups",
+		backupRetention: 24,
+		backupSchedule: null,
+		maxRetries: 3,
+		// Acquittement par défaut des écritures, et surcharges par préfixe de clé (le plus long gagne)
+		// ex: { "coderdb/executions/": "local", "config/": "all" }
+		writeConcern: "majority",
+		writeConcerns: {},
+		// Délai de réponse d'un slave à une écriture répliquée
+		replicationTimeout: 5000,
+		// Durée maximale pendant laquelle un slave relaie une écriture (attente d'un master compris)
+		forwardTimeout: 10000,
+		// Intervalle de suppression des clés et baux expirés par le master
+		expireInterval: 1000,
+		// Verrous et sémaphores : préfixes des détenteurs, durée de leur bail (s), attente par défaut (ms)
+		lockPrefix: "locks/",
+		semaphorePrefix: "semaphores/",
+		lockTtl: 30,
+		lockWaitTimeout: 5000
 	},
 
 	dependencies: [],
@@ -29,25 +129,68 @@ module.exports = {
 			params: {
 				key: "string",
 				value: "any",
-				ttl: { type: "number", optional: true }
+				ttl: { type: "number", optional: true },
+				// Bail auquel rattacher la clé (supprimée avec lui)
+				lease: { type: "number", integer: true, positive: true, optional: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
 			},
 			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
 				await this.ensureMaster();
 				
-				const { key, value, ttl } = ctx.params;
-				const result = await this.setValue(key, value, ttl);
+				const { key, value, ttl, lease } = ctx.params;
+				const result = await this.setValue(key, value, ttl, lease);
 				
 				// Répliquer aux slaves
-				if (!ctx.meta.isReplication) {
-					await this.replicateToSlaves("set", { 
-						key, 
-						value, 
-						ttl,
-						isReplication: true 
-					});
+				const replication = await this.replicateToSlaves(result.revision, this.resolveWriteConcern(key, ctx.params.writeConcern));
+				this.publishChange("set", key, value, result.version);
+				this.ensureWriteConcern(key, replication);
+
+				return { ...result, replication };
+			}
+		},
+
+		/**
+		 * Définir un secret : la valeur est chiffrée sur le master avant d'être écrite
+		 */
+		setSecret: {
+			params: {
+				key: "string",
+				value: "any",
+				ttl: { type: "number", optional: true },
+				lease: { type: "number", integer: true, positive: true, optional: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
 				}
-				
-				return result;
+				await this.ensureMaster();
+
+				const { key, value, ttl, lease } = ctx.params;
+				const envelope = this.encryptSecret(key, value);
+				const { value: stored, ...result } = await this.setValue(key, envelope, ttl, lease);
+
+				const replication = await this.replicateToSlaves(result.revision, this.resolveWriteConcern(key, ctx.params.writeConcern));
+				this.publishChange("set", key, stored, result.version);
+				this.ensureWriteConcern(key, replication);
+
+				return { ...result, replication };
+			}
+		},
+
+		/**
+		 * Lire un secret en clair (seul chemin de déchiffrement ; non exposé par la passerelle HTTP)
+		 */
+		getSecret: {
+			visibility: "public",
+			params: {
+				key: "string"
+			},
+			async handler(ctx) {
+				return this.readSecret(ctx.params.key);
 			}
 		},
 
@@ -64,14 +207,19 @@ module.exports = {
 		},
 
 		/**
-		 * Obtenir plusieurs valeurs avec un préfixe
+		 * Obtenir plusieurs valeurs avec un préfixe, dans l'ordre des clés
+		 * Paginé avec `limit` / `cursor` : { items, more, cursor } ; sinon un tableau
 		 */
 		getPrefix: {
 			params: {
-				prefix: "string"
+				prefix: "string",
+				namespace: { type: "string", optional: true },
+				...RANGE_PARAMS,
+				keysOnly: { type: "boolean", optional: true, convert: true }
 			},
 			async handler(ctx) {
-				return await this.getByPrefix(ctx.params.prefix);
+				const { prefix, namespace, ...options } = ctx.params;
+				return await this.getByPrefix(prefix, namespace, options);
 			}
 		},
 
@@ -80,22 +228,29 @@ module.exports = {
 		 */
 		delete: {
 			params: {
-				key: "string"
+				key: "string",
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
 			},
 			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
 				await this.ensureMaster();
 				
-				const result = await this.deleteKey(ctx.params.key);
+				const { key } = ctx.params;
+				const result = await this.deleteKey(key);
 				
-				// Répliquer aux slaves
-				if (!ctx.meta.isReplication) {
-					await this.replicateToSlaves("delete", { 
-						key: ctx.params.key,
-						isReplication: true 
-					});
+				// Une clé absente ne produit aucun changement à répliquer
+				if (!result.deleted) {
+					return result;
 				}
-				
-				return result;
+
+				// Répliquer aux slaves
+				const replication = await this.replicateToSlaves(result.revision, this.resolveWriteConcern(key, ctx.params.writeConcern));
+				this.publishChange("delete", key);
+				this.ensureWriteConcern(key, replication);
+
+				return { ...result, replication };
 			}
 		},
 
@@ -105,24 +260,24 @@ module.exports = {
 		increment: {
 			params: {
 				key: "string",
-				delta: { type: "number", default: 1 }
+				delta: { type: "number", default: 1 },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
 			},
 			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
 				await this.ensureMaster();
 				
 				const { key, delta } = ctx.params;
 				const result = await this.incrementValue(key, delta);
 				
-				// Répliquer aux slaves
-				if (!ctx.meta.isReplication) {
-					await this.replicateToSlaves("increment", { 
-						key, 
-						delta,
-						isReplication: true 
-					});
-				}
-				
-				return result;
+				// Répliquer aux slaves (la valeur obtenue, pas l'incrément)
+				const replication = await this.replicateToSlaves(result.revision, this.resolveWriteConcern(key, ctx.params.writeConcern));
+				this.publishChange("set", key, result.value, result.version);
+				this.ensureWriteConcern(key, replication);
+
+				return { ...result, replication };
 			}
 		},
 
@@ -132,37 +287,327 @@ module.exports = {
 		compareAndSwap: {
 			params: {
 				key: "string",
-				expectedValue: "any",
-				newValue: "any"
+				// null ou absent : la clé ne doit pas exister
+				expectedValue: { type: "any", optional: true },
+				newValue: "any",
+				lease: { type: "number", integer: true, positive: true, optional: true },
+				// Comparer les objets et tableaux par contenu plutôt que par référence
+				deep: { type: "boolean", default: false },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
 			},
 			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
 				await this.ensureMaster();
 				
-				const { key, expectedValue, newValue } = ctx.params;
-				const result = await this.compareAndSwapValue(key, expectedValue, newValue);
+				const { key, expectedValue, newValue, lease, deep } = ctx.params;
+				const result = await this.compareAndSwapValue(key, expectedValue, newValue, lease, deep);
 				
 				// Répliquer uniquement si l'opération a réussi
-				if (result.success && !ctx.meta.isReplication) {
-					await this.replicateToSlaves("set", { 
-						key, 
-						value: newValue,
-						isReplication: true 
-					});
+				if (!result.success) {
+					return result;
 				}
-				
-				return result;
+
+				const replication = await this.replicateToSlaves(result.revision, this.resolveWriteConcern(key, ctx.params.writeConcern));
+				this.publishChange("set", key, newValue, result.version);
+				this.ensureWriteConcern(key, replication);
+
+				return { ...result, replication };
+			}
+		},
+
+		/**
+		 * Transaction multi-clés : si toutes les conditions `compare` sont vraies, appliquer `success`,
+		 * sinon `failure` ; les écritures sont atomiques et répliquées sous une seule révision
+		 * Les valeurs sont comparées en profondeur (objets et tableaux par contenu)
+		 */
+		txn: {
+			params: {
+				compare: { type: "array", items: TXN_COMPARE, default: [] },
+				success: { type: "array", items: TXN_OPERATION, default: [] },
+				failure: { type: "array", items: TXN_OPERATION, default: [] },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				const { writes, ...result } = await this.executeTransaction(ctx.params);
+
+				// Une branche sans écriture effective ne produit aucun changement à répliquer
+				if (writes.length === 0) {
+					return result;
+				}
+
+				const keys = writes.map(write => write.key);
+				const writeConcern = this.resolveTransactionWriteConcern(keys, ctx.params.writeConcern);
+				const replication = await this.replicateToSlaves(result.revision, writeConcern);
+				for (const write of writes) {
+					this.publishChange(write.action, write.key, write.value, write.version);
+				}
+				this.ensureWriteConcern(keys.join(", "), replication);
+
+				return { ...result, replication };
+			}
+		},
+
+		/**
+		 * Octroyer un bail ; il est révoqué à échéance ou quand son nœud propriétaire se déconnecte
+		 */
+		grantLease: {
+			params: {
+				ttl: { type: "number", positive: true },
+				// Nœud dont la déconnexion révoque le bail (par défaut, l'appelant)
+				ownerNode: { type: "string", optional: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				const ownerNode = ctx.params.ownerNode || ctx.meta.callerNodeID || ctx.nodeID;
+				const result = await this.grantLease(ctx.params.ttl, ownerNode);
+
+				const replication = await this.replicateToSlaves(result.revision, ctx.params.writeConcern);
+				this.ensureWriteConcern(`lease ${result.leaseId}`, replication);
+
+				return { ...result, replication };
+			}
+		},
+
+		/**
+		 * Rafraîchir un bail pour une nouvelle durée ttl
+		 */
+		keepAlive: {
+			params: {
+				leaseId: { type: "number", integer: true, positive: true, convert: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.keepAliveLease(ctx.params.leaseId);
+			}
+		},
+
+		/**
+		 * Révoquer un bail et supprimer les clés qui y sont rattachées
+		 */
+		revokeLease: {
+			params: {
+				leaseId: { type: "number", integer: true, positive: true, convert: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				const { leaseId } = ctx.params;
+				const result = await this.revokeLease(leaseId, "delete");
+
+				const replication = await this.replicateToSlaves(result.revision, ctx.params.writeConcern);
+				for (const key of result.keys) {
+					this.publishChange("delete", key);
+				}
+				this.ensureWriteConcern(`lease ${leaseId}`, replication);
+
+				return { leaseId, revoked: true, keys: result.keys, revision: result.revision, replication };
+			}
+		},
+
+		/**
+		 * Lister les baux (échéances exactes sur le master uniquement)
+		 */
+		leases: {
+			async handler(ctx) {
+				return Array.from(this.storage.leases.values()).map(lease => this.describeLease(lease));
+			}
+		},
+
+		/**
+		 * Acquérir un verrou exclusif ; retourne le bail à rafraîchir (keepAlive) et le jeton de fencing
+		 */
+		lock: {
+			params: {
+				name: { type: "string", min: 1 },
+				ttl: { type: "number", positive: true, optional: true },
+				// Attente maximale en ms (0 : échouer immédiatement si le verrou est pris)
+				timeout: { type: "number", integer: true, min: 0, optional: true },
+				ownerNode: { type: "string", optional: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.acquireSlot(this.createSlotRequest(ctx, "lock", 1));
+			}
+		},
+
+		/**
+		 * Libérer un verrou détenu par un bail
+		 */
+		unlock: {
+			params: {
+				name: { type: "string", min: 1 },
+				leaseId: { type: "number", integer: true, positive: true, convert: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.releaseSlot(ctx, "lock");
+			}
+		},
+
+		/**
+		 * Acquérir une place d'un sémaphore à `limit` places
+		 */
+		acquireSemaphore: {
+			params: {
+				name: { type: "string", min: 1 },
+				limit: { type: "number", integer: true, positive: true },
+				ttl: { type: "number", positive: true, optional: true },
+				timeout: { type: "number", integer: true, min: 0, optional: true },
+				ownerNode: { type: "string", optional: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.acquireSlot(this.createSlotRequest(ctx, "semaphore", ctx.params.limit));
+			}
+		},
+
+		/**
+		 * Libérer une place de sémaphore
+		 */
+		releaseSemaphore: {
+			params: {
+				name: { type: "string", min: 1 },
+				leaseId: { type: "number", integer: true, positive: true, convert: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.releaseSlot(ctx, "semaphore");
+			}
+		},
+
+		/**
+		 * Détenteurs et files d'attente des verrous et sémaphores
+		 */
+		locks: {
+			async handler(ctx) {
+				return {
+					locks: this.describeSlots("lock"),
+					semaphores: this.describeSlots("semaphore")
+				};
+			}
+		},
+
+		/**
+		 * Observer une clé ou un préfixe : chaque changement (set, delete, expire) est diffusé
+		 * sur l'événement `event` avec son watchId et sa révision
+		 */
+		watch: {
+			params: {
+				key: { type: "string", optional: true },
+				prefix: { type: "string", optional: true },
+				// Première révision à recevoir (reprise après une reconnexion)
+				fromRevision: { type: "number", integer: true, min: 1, optional: true, convert: true },
+				event: { type: "string", optional: true },
+				watchId: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				return this.createWatcher(ctx.params, ctx.nodeID);
 			}
 		},
 
 		/**
-		 * Lister toutes les clés
+		 * Arrêter d'observer
+		 */
+		unwatch: {
+			params: {
+				watchId: "string"
+			},
+			async handler(ctx) {
+				return { watchId: ctx.params.watchId, canceled: this.cancelWatcher(ctx.params.watchId) };
+			}
+		},
+
+		/**
+		 * Lister les observateurs de ce nœud
+		 */
+		watchers: {
+			async handler(ctx) {
+				return this.listWatchers();
+			}
+		},
+
+		/**
+		 * Lister les clés : motif glob sur la clé entière ("coderdb/functions/*", "trading/**")
+		 * et/ou namespace ; paginé avec `limit` / `cursor` : { keys, more, cursor }
 		 */
 		keys: {
 			params: {
-				pattern: { type: "string", optional: true }
+				pattern: { type: "string", optional: true },
+				namespace: { type: "string", optional: true },
+				...RANGE_PARAMS
+			},
+			async handler(ctx) {
+				const { pattern, namespace, ...options } = ctx.params;
+				return await this.getAllKeys(pattern, namespace, options);
+			}
+		},
+
+		/**
+		 * Interroger les clés d'un préfixe par champs indexés
+		 * ex: { prefix: "trading/orders/", where: { symbol: "BTCUSDT", price: { gte: 100, lt: 200 } }, sort: "price", order: "desc" }
+		 */
+		query: {
+			params: {
+				prefix: "string",
+				// Chemin indexé -> valeur, ou opérateurs { eq, in, gt, gte, lt, lte }
+				where: { type: "object", optional: true },
+				// "key" ou chemin JSON
+				sort: { type: "string", min: 1, optional: true },
+				order: { type: "enum", values: ["asc", "desc"], optional: true },
+				limit: { type: "number", integer: true, positive: true, max: 1000, default: 100, convert: true },
+				offset: { type: "number", integer: true, min: 0, optional: true, convert: true }
 			},
 			async handler(ctx) {
-				return await this.getAllKeys(ctx.params.pattern);
+				return this.queryEntries(ctx.params);
+			}
+		},
+
+		/**
+		 * Usage et quotas des namespaces de ce nœud
+		 */
+		namespaces: {
+			async handler(ctx) {
+				return this.describeNamespaces();
 			}
 		},
 
@@ -177,6 +622,7 @@ module.exports = {
 					nodeId: this.broker.nodeID,
 					isMaster: this.isMaster,
 					masterId: this.masterId,
+					term: this.currentTerm,
 					clusterSize: await this.getClusterSize(),
 					...localStats
 				};
@@ -196,6 +642,9 @@ module.exports = {
 					nodeId: this.broker.nodeID,
 					role: this.isMaster ? "master" : "slave",
 					masterId: this.masterId,
+					term: this.currentTerm,
+					revision: stats.revision,
+					election: this.getElectionState(),
 					lastSync: this.lastSyncTime,
 					uptime: process.uptime(),
 					keyCount: stats.keyCount,
@@ -205,51 +654,221 @@ module.exports = {
 			}
 		},
 
+		/**
+		 * Demande de vote d'un candidat à l'élection
+		 */
+		requestVote: {
+			visibility: "public",
+			params: {
+				term: { type: "number", integer: true },
+				candidateId: "string",
+				// Dernier changement du candidat : il doit être au moins aussi à jour que le votant
+				revision: { type: "number", integer: true, default: 0 },
+				revisionTerm: { type: "number", integer: true, default: 0 }
+			},
+			async handler(ctx) {
+				return this.handleVoteRequest(ctx.params);
+			}
+		},
+
+		/**
+		 * Heartbeat du master, qui confirme son terme
+		 */
+		heartbeat: {
+			visibility: "public",
+			params: {
+				term: { type: "number", integer: true },
+				leaderId: "string"
+			},
+			async handler(ctx) {
+				return this.handleHeartbeat(ctx.params);
+			}
+		},
+
+		/**
+		 * Recevoir des changements répliqués par le master (pour les slaves)
+		 */
+		append: {
+			visibility: "public",
+			params: {
+				changes: { type: "array", items: "object" }
+			},
+			async handler(ctx) {
+				await this.checkReplicationTerm(ctx.meta);
+
+				try {
+					return await this.applyChanges(ctx.params.changes);
+				} catch (err) {
+					// Historique divergent (ancien master) : seul un snapshot peut le corriger
+					if (err.type === "REVISION_CONFLICT") {
+						setImmediate(() => this.periodicSync());
+					}
+					throw err;
+				}
+			}
+		},
+
 		/**
 		 * Synchroniser avec le master (pour les slaves)
 		 */
 		sync: {
 			params: {
-				lastSyncTime: { type: "number", optional: true }
+				revision: { type: "number", integer: true, min: 0, optional: true },
+				revisionTerm: { type: "number", integer: true, min: 0, optional: true }
 			},
 			async handler(ctx) {
 				if (this.isMaster) {
-					// Le master retourne les changements depuis lastSyncTime
-					return await this.getChangesSince(ctx.params.lastSyncTime);
+					// Le master retourne les changements depuis la révision du slave, ou un snapshot
+					return this.getSyncPayload(ctx.params.revision, ctx.params.revisionTerm);
 				} else {
 					// Les slaves ne peuvent pas fournir de sync
 					throw new Error("Only master can provide sync data");
 				}
 			}
-		}
-	},
+		},
 
-	events: {
-		"$node.connected"(payload) {
-			//this.logger.info(`Node connected: ${payload.node.id}`);
-			// Démarrer l'élection si on détecte un autre service etcd
-			setTimeout(() => this.checkForEtcdPeers(), 1000);
+		/**
+		 * Copier les données de ce nœud vers un autre adaptateur de stockage
+		 * (source par défaut : l'adaptateur actif ; cible par défaut : le même répertoire)
+		 * Écrit dans un répertoire arbitraire du nœud : non exposé par la passerelle HTTP
+		 */
+		migrateStorage: {
+			visibility: "public",
+			params: {
+				to: { type: "enum", values: STORAGE_ADAPTERS },
+				from: { type: "enum", values: STORAGE_ADAPTERS, optional: true },
+				dbPath: { type: "string", optional: true }
+			},
+			async handler(ctx) {
+				return this.migrateStorage(ctx.params);
+			}
 		},
 
-		"$node.disconnected"(payload) {
-			//this.logger.info(`Node disconnected: ${payload.node.id}`);
-			if (payload.node.id === this.masterId) {
-				this.logger.warn("Master node disconnected, triggering election");
-				this.triggerElection();
+		/**
+		 * Écrire une sauvegarde de l'état du master (non exposé par la passerelle HTTP)
+		 */
+		backup: {
+			visibility: "public",
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.createBackup();
 			}
 		},
 
-		"etcd.masterElected"(payload) {
-			if (payload.masterId !== this.broker.nodeID) {
-				this.becomeSlave(payload.masterId);
+		/**
+		 * Lister les sauvegardes du master (non exposé par la passerelle HTTP)
+		 */
+		backups: {
+			visibility: "public",
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				return this.listBackups();
+			}
+		},
+
+		/**
+		 * Restaurer une sauvegarde du master (la plus récente par défaut) et la pousser aux slaves
+		 * Remplace tout l'état du cluster : non exposé par la passerelle HTTP
+		 */
+		restore: {
+			visibility: "public",
+			params: {
+				name: { type: "string", optional: true },
+				writeConcern: { type: "enum", values: WRITE_CONCERNS, optional: true }
+			},
+			async handler(ctx) {
+				if (!this.isMaster && !ctx.meta.forwardedBy) {
+					return this.forwardToMaster(ctx);
+				}
+				await this.ensureMaster();
+
+				const { changes, ...result } = await this.restoreBackup(ctx.params.name, ctx.params.writeConcern);
+				for (const change of changes) {
+					this.publishChange(change.action, change.key, change.value, change.version);
+				}
+				this.ensureWriteConcern(`backup ${result.name}`, result.replication);
+
+				return { ...result, changed: changes.length };
+			}
+		},
+
+		/**
+		 * Remplacer l'état local par un snapshot poussé par le master (pour les slaves)
+		 */
+		installSnapshot: {
+			visibility: "public",
+			params: {
+				snapshot: "object"
+			},
+			async handler(ctx) {
+				await this.checkReplicationTerm(ctx.meta);
+
+				const { snapshot } = ctx.params;
+				await this.restoreSnapshot(snapshot);
+				this.logger.info(`Installed snapshot pushed by master at revision ${snapshot.revision}`);
+
+				return { revision: this.storage.revision };
+			}
+		},
+
+		/**
+		 * Empreinte des données locales
+		 */
+		checksum: {
+			async handler(ctx) {
+				return {
+					nodeId: this.broker.nodeID,
+					...this.computeChecksum()
+				};
 			}
 		},
 
-		"etcd.heartbeat"(payload) {
-			if (payload.masterId !== this.broker.nodeID) {
-				this.masterId = payload.masterId;
-				this.lastHeartbeat = payload.timestamp;
+		/**
+		 * Comparer les empreintes de tous les nœuds etcd pour vérifier que les réplicas ont convergé
+		 */
+		compareChecksums: {
+			async handler(ctx) {
+				const etcdNodes = await this.getEtcdNodes();
+
+				const nodes = await Promise.all(etcdNodes.map(node =>
+					ctx.call("etcd.checksum", {}, { nodeID: node.id, timeout: 5000 })
+						.catch(err => ({ nodeId: node.id, error: err.message }))
+				));
+
+				const checksums = new Set(nodes.map(node => node.checksum));
+				const revisions = new Set(nodes.map(node => node.revision));
+
+				return {
+					converged: nodes.every(node => !node.error) && checksums.size === 1 && revisions.size === 1,
+					masterId: this.masterId,
+					nodes,
+					timestamp: Date.now()
+				};
 			}
+		}
+	},
+
+	events: {
+		"$node.connected"(payload) {
+			//this.logger.info(`Node connected: ${payload.node.id}`);
+			// Enregistrer les nouveaux membres etcd (le master en place garde son terme)
+			this.schedulePeerCheck(1000);
+		},
+
+		"$node.disconnected"(payload) {
+			//this.logger.info(`Node disconnected: ${payload.node.id}`);
+			this.handlePeerDisconnected(payload);
+			this.cancelNodeWatchers(payload.node.id);
+			this.cancelNodeWaiters(payload.node.id);
+			this.revokeNodeLeases(payload.node.id);
 		},
 
 		"etcd.syncRequest"(payload) {
@@ -262,43 +881,382 @@ module.exports = {
 
 	methods: {
 		/**
-		 * S'assurer que ce nœud est le master
+		 * S'assurer que ce nœud est le master et qu'il accepte les écritures
+		 * Pendant une restauration, l'état est remplacé puis poussé aux slaves : une écriture
+		 * intercalée serait perdue ou divergerait, elle est refusée jusqu'à la fin
 		 */
 		async ensureMaster() {
 			if (!this.isMaster) {
-				throw new Error("Only master node can perform write operations");
+				throw new Errors.MoleculerRetryableError(
+					"Only master node can perform write operations",
+					503,
+					"NOT_LEADER",
+					{ nodeId: this.broker.nodeID, masterId: this.masterId }
+				);
+			}
+			if (this.restoreInProgress) {
+				throw new Errors.MoleculerRetryableError(
+					"A backup is being restored, writes are suspended",
+					503,
+					"RESTORE_IN_PROGRESS",
+					{ nodeId: this.broker.nodeID }
+				);
 			}
 		},
 
 		/**
-		 * Répliquer vers les slaves
+		 * Relayer une écriture reçue par un slave vers le master courant et retourner son résultat
+		 * Si le master change en cours de route, l'écriture est renvoyée au nouveau master
 		 */
-		async replicateToSlaves(action, data) {
+		async forwardToMaster(ctx) {
+			const deadline = Date.now() + this.settings.forwardTimeout;
+			let lastError = null;
+
+			while (Date.now() < deadline) {
+				const masterId = this.masterId;
+
+				if (!masterId) {
+					await this.waitForMasterChange(null, deadline);
+					continue;
+				}
+
+				try {
+					return await ctx.call(ctx.action.name, ctx.params, {
+						nodeID: masterId,
+						retries: 0,
+						meta: {
+							forwardedBy: this.broker.nodeID,
+							callerNodeID: ctx.meta.callerNodeID || ctx.nodeID
+						}
+					});
+				} catch (err) {
+					if (!FORWARD_RETRY_TYPES.includes(err.type)) {
+						throw err;
+					}
+
+					lastError = err;
+					this.logger.debug(`Forwarding '${ctx.action.name}' to ${masterId} failed (${err.type}), waiting for a new master`);
+					await this.waitForMasterChange(masterId, deadline);
+				}
+			}
+
+			if (this.masterId && lastError) {
+				throw lastError;
+			}
+
+			throw new Errors.MoleculerRetryableError(
+				"No etcd leader elected, write cannot be forwarded",
+				503,
+				"NO_LEADER",
+				{ nodeId: this.broker.nodeID, term: this.currentTerm }
+			);
+		},
+
+		/**
+		 * Attendre qu'un master autre que `previous` soit connu, au plus tard jusqu'à `deadline`
+		 */
+		async waitForMasterChange(previous, deadline) {
+			while (Date.now() < deadline && (!this.masterId || this.masterId === previous)) {
+				await new Promise(resolve => setTimeout(resolve, 50));
+			}
+		},
+
+		/**
+		 * Répliquer une révision vers les slaves et attendre les acquittements exigés par le write concern
+		 * Les slaves restants continuent de recevoir l'écriture en arrière-plan
+		 */
+		async replicateToSlaves(revision, writeConcern = this.settings.writeConcern) {
 			const slaves = await this.getEtcdSlaves();
+			const report = {
+				writeConcern,
+				required: this.requiredAcknowledgements(writeConcern),
+				acknowledged: [this.broker.nodeID],
+				failed: []
+			};
 			
 			if (slaves.length === 0) {
 				this.logger.debug("No slave nodes available for replication");
-				return;
+				return report;
+			}
+
+			// Le terme accompagne chaque écriture : un slave rejette celles d'un ancien master
+			const term = this.currentTerm;
+
+			return new Promise(resolve => {
+				let pending = slaves.length;
+				const settle = () => {
+					pending--;
+					if (pending === 0 || report.acknowledged.length >= report.required) {
+						resolve({ ...report, acknowledged: [...report.acknowledged], failed: [...report.failed] });
+					}
+					if (pending === 0) {
+						this.logger.debug(`Replicated revision ${revision} to ${report.acknowledged.length - 1}/${slaves.length} slaves`);
+					}
+				};
+
+				// Le master suffit (local) : ne pas attendre les slaves
+				if (report.acknowledged.length >= report.required) {
+					resolve({ ...report, acknowledged: [...report.acknowledged], failed: [] });
+				}
+
+				for (const slave of slaves) {
+					this.appendToReplica(slave.id, revision, term).then(() => {
+						report.acknowledged.push(slave.id);
+					}).catch(err => {
+						report.failed.push({ nodeId: slave.id, error: err.message });
+						if (err.type === "STALE_TERM" && err.data && err.data.term > this.currentTerm) {
+							this.logger.warn(`Slave ${slave.id} is at term ${err.data.term}, stepping down`);
+							return this.stepDown(err.data.term);
+						}
+						this.logger.error(`Replication failed to ${slave.id}:`, err.message);
+					}).then(settle);
+				}
+			});
+		},
+
+		/**
+		 * Envoyer à un slave les changements qui lui manquent jusqu'à une révision
+		 * Sa dernière révision connue est suivie par terme ; un slave qui signale un trou
+		 * reçoit une seconde fois les changements manquants s'ils sont encore dans le changelog
+		 */
+		async appendToReplica(nodeId, revision, term, retried = false) {
+			if (this.replicaTerm !== term) {
+				this.replicaRevisions = new Map();
+				this.replicaTerm = term;
 			}
 
-			const promises = slaves.map(slave => 
-				this.broker.call(`etcd.${action}`, data, { 
-					nodeID: slave.id,
-					meta: { isReplication: true }
-				}).catch(err => {
-					this.logger.error(`Replication failed to ${slave.id}:`, err);
-				})
+			const compacted = this.getCompactedRevision();
+			const known = this.replicaRevisions.has(nodeId) ? this.replicaRevisions.get(nodeId) : revision - 1;
+			// Un slave sorti du changelog sera rattrapé par snapshot lors de sa synchronisation
+			const from = known >= compacted ? Math.min(known, revision - 1) : revision - 1;
+
+			try {
+				const response = await this.broker.call("etcd.append", {
+					changes: this.getChangesSince(from, revision)
+				}, {
+					nodeID: nodeId,
+					timeout: this.settings.replicationTimeout,
+					retries: 0,
+					meta: { term, leaderId: this.broker.nodeID }
+				});
+
+				this.replicaRevisions.set(nodeId, response.revision);
+			} catch (err) {
+				const slaveRevision = err.data && err.data.revision;
+				if (err.type === "REVISION_GAP" && !retried && slaveRevision >= compacted && slaveRevision < revision) {
+					this.replicaRevisions.set(nodeId, slaveRevision);
+					return this.appendToReplica(nodeId, revision, term, true);
+				}
+
+				this.replicaRevisions.delete(nodeId);
+				throw err;
+			}
+		},
+
+		/**
+		 * Réponse de synchronisation pour un slave : les changements qui lui manquent,
+		 * ou un snapshot complet s'il est sorti du changelog ou si son historique diverge
+		 */
+		getSyncPayload(revision, revisionTerm) {
+			const current = this.storage.revision;
+			const term = revision !== undefined ? this.getRevisionTerm(revision) : null;
+
+			const needsSnapshot = revision === undefined ||
+				revision > current ||
+				revision < this.getCompactedRevision() ||
+				(revisionTerm !== undefined && term !== null && term !== revisionTerm);
+
+			if (needsSnapshot) {
+				return { revision: current, snapshot: this.createSnapshot() };
+			}
+
+			return { revision: current, changes: this.getChangesSince(revision) };
+		},
+
+		/**
+		 * Write concern d'une écriture : celui de l'appel, sinon celui du plus long préfixe configuré
+		 */
+		resolveWriteConcern(key, requested) {
+			if (requested) return requested;
+
+			const prefix = Object.keys(this.settings.writeConcerns || {})
+				.filter(candidate => key.startsWith(candidate))
+				.sort((a, b) => b.length - a.length)[0];
+
+			return prefix !== undefined ? this.settings.writeConcerns[prefix] : this.settings.writeConcern;
+		},
+
+		/**
+		 * Write concern d'une transaction : le plus exigeant parmi ceux des clés écrites
+		 */
+		resolveTransactionWriteConcern(keys, requested) {
+			if (requested) return requested;
+
+			return keys
+				.map(key => this.resolveWriteConcern(key))
+				.reduce((strongest, candidate) => WRITE_CONCERNS.indexOf(candidate) > WRITE_CONCERNS.indexOf(strongest) ? candidate : strongest);
+		},
+
+		/**
+		 * Nombre d'acquittements requis, master compris
+		 */
+		requiredAcknowledgements(writeConcern) {
+			switch (writeConcern) {
+				case "local":
+					return 1;
+				case "all":
+					return this.getVotingSize();
+				default:
+					return this.getQuorum();
+			}
+		},
+
+		/**
+		 * Échouer si l'écriture n'a pas été acquittée par assez de nœuds
+		 * L'écriture reste appliquée sur le master et les slaves qui l'ont confirmée
+		 */
+		ensureWriteConcern(key, replication) {
+			if (replication.acknowledged.length >= replication.required) return;
+
+			throw new Errors.MoleculerServerError(
+				`Write concern '${replication.writeConcern}' not satisfied for '${key}' (${replication.acknowledged.length}/${replication.required} acknowledgements)`,
+				503,
+				"WRITE_CONCERN_FAILED",
+				{ key, ...replication }
 			);
+		},
+
+		/**
+		 * Préparer une demande de verrou ou de sémaphore à partir des paramètres de l'action
+		 */
+		createSlotRequest(ctx, kind, limit) {
+			const { name, ttl, timeout, ownerNode, writeConcern } = ctx.params;
+
+			return {
+				kind,
+				name,
+				limit,
+				ttl: ttl || this.settings.lockTtl,
+				timeout: timeout !== undefined ? timeout : this.settings.lockWaitTimeout,
+				ownerNode: ownerNode || ctx.meta.callerNodeID || ctx.nodeID,
+				writeConcern
+			};
+		},
+
+		/**
+		 * Libérer la place d'un verrou ou d'un sémaphore en révoquant son bail
+		 */
+		async releaseSlot(ctx, kind) {
+			const { name, leaseId, writeConcern } = ctx.params;
+			const key = this.ensureSlotHolder(kind, name, leaseId);
+
+			const result = await this.revokeLease(leaseId, "delete");
+			const replication = await this.replicateToSlaves(result.revision, writeConcern);
+			for (const deleted of result.keys) {
+				this.publishChange("delete", deleted);
+			}
+			this.ensureWriteConcern(key, replication);
+
+			return { kind, name, leaseId, released: true, revision: result.revision, replication };
+		},
+
+		/**
+		 * Diffuser une écriture appliquée par le master (déclencheurs coderdb, observateurs)
+		 */
+		publishChange(action, key, value, version) {
+			// Une suppression peut libérer une place de verrou ou de sémaphore
+			if (action !== "set") {
+				this.handleSlotRelease(key);
+			}
 
-			await Promise.allSettled(promises);
-			this.logger.debug(`Replicated action '${action}' to ${slaves.length} slaves`);
+			this.broker.broadcast("etcd.changed", {
+				action,
+				key,
+				value,
+				version,
+				nodeId: this.broker.nodeID,
+				timestamp: Date.now()
+			});
+		},
+
+		/**
+		 * Supprimer les clés et baux expirés et répliquer leur expiration (master uniquement)
+		 */
+		async sweepExpiredKeys() {
+			if (!this.isMaster) {
+				this.rejectAllWaiters();
+				return;
+			}
+			// Les échéances reprennent après la restauration, sur l'état restauré
+			if (this.expiring || this.restoreInProgress) return;
+
+			this.expiring = true;
+			try {
+				// Un nouveau master ne connaît pas les échéances de l'ancien : chaque bail repart pour un ttl
+				if (this.leaseTerm !== this.currentTerm) {
+					this.renewAllLeases();
+					this.leaseTerm = this.currentTerm;
+				}
+
+				const changes = await this.expireKeys();
+				for (const leaseId of this.getExpiredLeases()) {
+					if (!this.storage.leases.has(leaseId)) continue;
+
+					const result = await this.revokeLease(leaseId, "expire");
+					changes.push(...result.changes);
+					this.logger.info(`Lease ${leaseId} expired (${result.keys.length} keys removed)`);
+				}
+
+				await this.publishExpiredChanges(changes);
+			} catch (err) {
+				this.logger.error("Error expiring keys:", err);
+			} finally {
+				this.expiring = false;
+			}
+		},
+
+		/**
+		 * Révoquer les baux d'un nœud déconnecté (master uniquement)
+		 */
+		async revokeNodeLeases(nodeId) {
+			// Pendant une restauration, les baux du nœud parti expireront à leur échéance
+			if (!this.isMaster || this.restoreInProgress) return;
+
+			try {
+				const changes = [];
+				for (const leaseId of this.getNodeLeases(nodeId)) {
+					if (!this.storage.leases.has(leaseId)) continue;
+
+					const result = await this.revokeLease(leaseId, "expire");
+					changes.push(...result.changes);
+					this.logger.info(`Lease ${leaseId} revoked after ${nodeId} disconnected (${result.keys.length} keys removed)`);
+				}
+
+				await this.publishExpiredChanges(changes);
+			} catch (err) {
+				this.logger.error(`Error revoking leases of ${nodeId}:`, err);
+			}
+		},
+
+		/**
+		 * Répliquer et diffuser des expirations (clés à échéance, baux révoqués)
+		 */
+		async publishExpiredChanges(changes) {
+			if (changes.length === 0) return;
+
+			await this.replicateToSlaves(changes[changes.length - 1].revision);
+			for (const change of changes) {
+				if (change.key !== undefined) {
+					this.publishChange(change.action, change.key);
+				}
+			}
 		},
 
 		/**
 		 * Obtenir les slaves etcd
 		 */
 		async getEtcdSlaves() {
-			const nodes = await this.broker.registry.getNodeList({ onlyAvailable: true });
+			const nodes = await this.broker.registry.getNodeList({ onlyAvailable: true, withServices: true });
 			return nodes.filter(node => 
 				node.id !== this.broker.nodeID && 
 				node.services && 
@@ -308,14 +1266,25 @@ module.exports = {
 		},
 
 		/**
-		 * Vérifier s'il y a d'autres services etcd
+		 * Vérifier les membres etcd après un délai ; une vérification déjà prévue est remplacée
+		 * (annulée à l'arrêt du service)
+		 */
+		schedulePeerCheck(delay) {
+			clearTimeout(this.peerCheckTimer);
+			this.peerCheckTimer = setTimeout(() => {
+				this.peerCheckTimer = null;
+				this.checkForEtcdPeers();
+			}, delay);
+		},
+
+		/**
+		 * Enregistrer les autres services etcd comme membres du cluster
 		 */
 		async checkForEtcdPeers() {
 			const etcdNodes = await this.getEtcdNodes();
 			
-			if (etcdNodes.length > 1 && !this.electionInProgress) {
-				this.logger.info(`Detected ${etcdNodes.length} etcd nodes, triggering election`);
-				this.triggerElection();
+			for (const node of etcdNodes) {
+				await this.addMember(node.id);
 			}
 		},
 
@@ -323,7 +1292,7 @@ module.exports = {
 		 * Obtenir tous les nœuds etcd
 		 */
 		async getEtcdNodes() {
-			const nodes = await this.broker.registry.getNodeList({ onlyAvailable: true });
+			const nodes = await this.broker.registry.getNodeList({ onlyAvailable: true, withServices: true });
 			return nodes.filter(node => 
 				node.services && 
 				Array.isArray(node.services) &&
@@ -376,12 +1345,10 @@ module.exports = {
 		 */
 		async handleSyncRequest(payload) {
 			try {
-				const changes = await this.getChangesSince(payload.lastSyncTime);
-				
 				this.broker.emit("etcd.syncResponse", {
 					nodeId: this.broker.nodeID,
 					targetNodeId: payload.nodeId,
-					changes
+					...this.getSyncPayload(payload.revision, payload.revisionTerm)
 				});
 			} catch (err) {
 				this.logger.error("Error handling sync request:", err);
@@ -392,35 +1359,61 @@ module.exports = {
 		 * Synchroniser périodiquement avec le master (pour les slaves)
 		 */
 		async periodicSync() {
-			if (!this.isMaster && this.masterId) {
+			if (!this.isMaster && this.masterId && !this.syncInProgress) {
+				this.syncInProgress = true;
 				try {
 					const response = await this.broker.call("etcd.sync", {
-						lastSyncTime: this.lastSyncTime
+						revision: this.storage.revision,
+						revisionTerm: this.storage.revisionTerm
 					}, { 
 						nodeID: this.masterId,
 						timeout: 5000 
 					});
 					
-					if (response.changes && response.changes.length > 0) {
-						await this.applyChanges(response.changes);
-						this.lastSyncTime = Date.now();
-						this.logger.debug(`Applied ${response.changes.length} changes from master`);
+					if (response.snapshot) {
+						await this.restoreSnapshot(response.snapshot);
+						this.logger.info(`Restored snapshot from master at revision ${response.snapshot.revision}`);
+					} else if (response.changes.length > 0) {
+						const { applied } = await this.applyChanges(response.changes);
+						this.logger.debug(`Applied ${applied} changes from master (revision ${this.storage.revision})`);
 					}
+					this.lastSyncTime = Date.now();
 				} catch (err) {
 					this.logger.error("Sync with master failed:", err);
+				} finally {
+					this.syncInProgress = false;
 				}
 			}
 		}
 	},
 
 	async started() {
+		for (const level of [this.settings.writeConcern, ...Object.values(this.settings.writeConcerns || {})]) {
+			if (!WRITE_CONCERNS.includes(level)) {
+				throw new Error(`Invalid write concern '${level}' (expected ${WRITE_CONCERNS.join(", ")})`);
+			}
+		}
+
+		this.initializeWatchers();
+		this.initializeLocks();
+		await this.initializeSecrets();
 		await this.initializeStorage();
+		await this.initializeBackups();
 		await this.initializeElection();
+
+		// Dernière révision acquittée par chaque slave, pour le terme en cours
+		this.replicaRevisions = new Map();
+		this.replicaTerm = null;
+		this.syncInProgress = false;
 		
 		// Démarrer la synchronisation périodique pour les slaves
 		this.syncTimer = setInterval(() => {
 			this.periodicSync();
 		}, this.settings.syncInterval);
+
+		this.expireTimer = setInterval(() => {
+			this.sweepExpiredKeys();
+		}, this.settings.expireInterval);
 		
 		this.logger.info("ETCD service started successfully", {
 			nodeId: this.broker.nodeID,
@@ -429,13 +1422,25 @@ module.exports = {
 		});
 
 		// Vérifier s'il y a d'autres nœuds etcd après le démarrage
-		setTimeout(() => this.checkForEtcdPeers(), 2000);
+		this.schedulePeerCheck(2000);
 	},
 
 	async stopped() {
+		if (this.peerCheckTimer) {
+			clearTimeout(this.peerCheckTimer);
+			this.peerCheckTimer = null;
+		}
+
 		if (this.syncTimer) {
 			clearInterval(this.syncTimer);
 		}
+
+		if (this.expireTimer) {
+			clearInterval(this.expireTimer);
+		}
+
+		this.rejectAllWaiters();
+		this.stopBackups();
 		
 		await this.closeStorage();
 		this.logger.info("ETCD service stopped");
@@ -0,0 +1,331 @@
+// services/locks/etcd-locks.js
+"use strict";
+
+const { Errors } = require("moleculer");
+
+/**
+ * Verrous et sémaphores etcd (master uniquement)
+ * Chaque détenteur est une clé `<préfixe><nom>/<leaseId>` rattachée à son propre bail :
+ * libérer revient à révoquer le bail, et la déconnexion du nœud détenteur ou l'échéance
+ * du bail libère la place automatiquement. Un verrou est un sémaphore de limite 1.
+ * Le jeton de fencing est la révision de la clé du détenteur : il croît à chaque acquisition,
+ * y compris après suppression de la clé (sa version, elle, repartirait de 1)
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Initialiser les files d'attente
+		 */
+		initializeLocks() {
+			// préfixe -> { waiters: [], processing }
+			this.slotQueues = new Map();
+		},
+
+		/**
+		 * Préfixe des détenteurs d'un verrou ou d'un sémaphore
+		 */
+		slotPrefix(kind, name) {
+			const root = kind === "lock" ? this.settings.lockPrefix : this.settings.semaphorePrefix;
+			return `${root}${name}/`;
+		},
+
+		/**
+		 * Clés des détenteurs actuels (le suffixe est l'identifiant du bail)
+		 */
+		getSlotHolders(prefix) {
+			const now = Date.now();
+			const holders = [];
+
+			for (const [key, metadata] of this.storage.metadata) {
+				if (!key.startsWith(prefix) || !/^\d+$/.test(key.substring(prefix.length))) continue;
+				if (metadata.expiresAt && metadata.expiresAt < now) continue;
+
+				holders.push({
+					key,
+					leaseId: metadata.lease,
+					token: metadata.modRevision,
+					...this.storage.data.get(key)
+				});
+			}
+
+			return holders.sort((a, b) => a.token - b.token);
+		},
+
+		/**
+		 * Demander une place ; la promesse est résolue à l'obtention, dans l'ordre d'arrivée
+		 * @param {Object} request - { kind, name, limit, ttl, timeout, ownerNode, writeConcern }
+		 */
+		acquireSlot(request) {
+			const prefix = this.slotPrefix(request.kind, request.name);
+
+			// La limite est fixée par la première acquisition et vaut tant que le sémaphore est utilisé
+			const limit = this.getSlotLimit(prefix);
+			if (limit !== undefined && limit !== request.limit) {
+				return Promise.reject(new Errors.MoleculerClientError(
+					`Semaphore '${request.name}' is in use with limit ${limit}, not ${request.limit}`,
+					409,
+					"LIMIT_MISMATCH",
+					{ kind: request.kind, name: request.name, limit, requested: request.limit }
+				));
+			}
+
+			if (!this.slotQueues.has(prefix)) {
+				this.slotQueues.set(prefix, { waiters: [], processing: false });
+			}
+			const queue = this.slotQueues.get(prefix);
+
+			return new Promise((resolve, reject) => {
+				const waiter = { ...request, prefix, resolve, reject, timer: null };
+
+				if (request.timeout > 0) {
+					waiter.timer = setTimeout(() => {
+						this.removeWaiter(queue, waiter);
+						reject(new Errors.MoleculerClientError(
+							`Timed out after ${request.timeout}ms waiting for ${request.kind} '${request.name}'`,
+							408,
+							"LOCK_TIMEOUT",
+							{ kind: request.kind, name: request.name, timeout: request.timeout }
+						));
+						this.processSlotQueue(prefix);
+					}, request.timeout);
+				}
+
+				queue.waiters.push(waiter);
+				this.processSlotQueue(prefix);
+			});
+		},
+
+		/**
+		 * Attribuer les places libres aux premiers de la file, une acquisition à la fois
+		 */
+		async processSlotQueue(prefix) {
+			const queue = this.slotQueues.get(prefix);
+			if (!queue || queue.processing) return;
+
+			queue.processing = true;
+			try {
+				while (queue.waiters.length > 0) {
+					const waiter = queue.waiters[0];
+					const holders = this.getSlotHolders(prefix);
+
+					if (holders.length >= waiter.limit) {
+						// Les demandes sans attente échouent tout de suite si elles ne passent pas
+						for (const pending of queue.waiters.filter(candidate => candidate.timeout === 0)) {
+							this.removeWaiter(queue, pending);
+							pending.reject(this.createBusyError(pending, holders));
+						}
+						break;
+					}
+
+					this.removeWaiter(queue, waiter);
+					try {
+						waiter.resolve(await this.grantSlot(waiter));
+					} catch (err) {
+						waiter.reject(err);
+					}
+				}
+			} finally {
+				queue.processing = false;
+				if (queue.waiters.length === 0 && this.slotQueues.get(prefix) === queue) {
+					this.slotQueues.delete(prefix);
+				}
+			}
+		},
+
+		/**
+		 * Inscrire un détenteur : un bail dédié, puis sa clé rattachée au bail
+		 */
+		async grantSlot(waiter) {
+			await this.ensureMaster();
+
+			const lease = await this.grantLease(waiter.ttl, waiter.ownerNode);
+			const key = `${waiter.prefix}${lease.leaseId}`;
+			const value = {
+				holder: waiter.ownerNode,
+				acquiredAt: Date.now(),
+				limit: waiter.limit
+			};
+
+			let result;
+			let replication;
+			try {
+				result = await this.setValue(key, value, undefined, lease.leaseId);
+
+				replication = await this.replicateToSlaves(result.revision, waiter.writeConcern);
+				this.publishChange("set", key, value, result.version);
+				this.ensureWriteConcern(key, replication);
+			} catch (err) {
+				// Le demandeur ne recevra pas le bail : la place ne doit pas rester prise jusqu'à son échéance
+				await this.abandonSlotLease(lease.leaseId);
+				throw err;
+			}
+
+			return {
+				kind: waiter.kind,
+				name: waiter.name,
+				key,
+				holder: waiter.ownerNode,
+				leaseId: lease.leaseId,
+				ttl: waiter.ttl,
+				limit: waiter.limit,
+				token: result.revision,
+				replication
+			};
+		},
+
+		/**
+		 * Révoquer le bail d'une acquisition qui a échoué, sans masquer l'erreur d'origine
+		 * Un nœud qui n'est plus master laisse l'échéance du bail libérer la place
+		 */
+		async abandonSlotLease(leaseId) {
+			if (!this.isMaster || !this.storage.leases.has(leaseId)) return;
+
+			try {
+				const result = await this.revokeLease(leaseId, "delete");
+				for (const deleted of result.keys) {
+					this.publishChange("delete", deleted);
+				}
+				await this.replicateToSlaves(result.revision);
+			} catch (err) {
+				this.logger.warn(`Failed to revoke lease ${leaseId} of a failed acquisition:`, err.message);
+			}
+		},
+
+		/**
+		 * Limite d'un sémaphore : celle de ses détenteurs, ou à défaut des demandes en attente
+		 * (undefined si le sémaphore est libre)
+		 */
+		getSlotLimit(prefix) {
+			const holder = this.getSlotHolders(prefix).find(candidate => candidate.limit !== undefined);
+			if (holder) {
+				return holder.limit;
+			}
+
+			const queue = this.slotQueues.get(prefix);
+			return queue && queue.waiters.length > 0 ? queue.waiters[0].limit : undefined;
+		},
+
+		/**
+		 * Vérifier qu'un bail détient bien une place, avant de la libérer
+		 */
+		ensureSlotHolder(kind, name, leaseId) {
+			const key = `${this.slotPrefix(kind, name)}${leaseId}`;
+			const metadata = this.storage.metadata.get(key);
+
+			if (!metadata || metadata.lease !== leaseId) {
+				throw new Errors.MoleculerClientError(
+					`Lease ${leaseId} does not hold ${kind} '${name}'`,
+					409,
+					"CONFLICT",
+					{ kind, name, leaseId }
+				);
+			}
+
+			return key;
+		},
+
+		/**
+		 * Une place a pu se libérer : relancer la file concernée
+		 */
+		handleSlotRelease(key) {
+			for (const prefix of this.slotQueues.keys()) {
+				if (key.startsWith(prefix)) {
+					this.processSlotQueue(prefix);
+				}
+			}
+		},
+
+		/**
+		 * Abandonner les demandes en attente d'un nœud déconnecté
+		 */
+		cancelNodeWaiters(nodeId) {
+			this.rejectWaiters(waiter => waiter.ownerNode === nodeId, waiter => new Errors.MoleculerClientError(
+				`Node ${nodeId} disconnected while waiting for ${waiter.kind} '${waiter.name}'`,
+				410,
+				"NODE_DISCONNECTED",
+				{ kind: waiter.kind, name: waiter.name, nodeId }
+			));
+		},
+
+		/**
+		 * Rejeter toutes les demandes en attente quand ce nœud n'est plus master
+		 * Le slave qui a relayé la demande la renvoie au nouveau master
+		 */
+		rejectAllWaiters() {
+			this.rejectWaiters(() => true, () => new Errors.MoleculerRetryableError(
+				"Lost etcd leadership while waiting",
+				503,
+				"NOT_LEADER",
+				{ nodeId: this.broker.nodeID, masterId: this.masterId }
+			));
+		},
+
+		/**
+		 * Rejeter les demandes en attente qui satisfont un critère
+		 */
+		rejectWaiters(predicate, createError) {
+			for (const queue of this.slotQueues.values()) {
+				for (const waiter of queue.waiters.filter(predicate)) {
+					this.removeWaiter(queue, waiter);
+					waiter.reject(createError(waiter));
+				}
+			}
+		},
+
+		/**
+		 * Retirer une demande de sa file
+		 */
+		removeWaiter(queue, waiter) {
+			const index = queue.waiters.indexOf(waiter);
+			if (index !== -1) {
+				queue.waiters.splice(index, 1);
+			}
+			if (waiter.timer) {
+				clearTimeout(waiter.timer);
+				waiter.timer = null;
+			}
+		},
+
+		/**
+		 * Erreur d'une demande sans attente alors que toutes les places sont prises
+		 */
+		createBusyError(waiter, holders) {
+			return new Errors.MoleculerClientError(
+				`${waiter.kind === "lock" ? "Lock" : "Semaphore"} '${waiter.name}' is not available`,
+				409,
+				"CONFLICT",
+				{ kind: waiter.kind, name: waiter.name, limit: waiter.limit, holders: holders.map(holder => holder.holder) }
+			);
+		},
+
+		/**
+		 * État des verrous et sémaphores : détenteurs et nombre de demandes en attente
+		 */
+		describeSlots(kind) {
+			const root = kind === "lock" ? this.settings.lockPrefix : this.settings.semaphorePrefix;
+			const names = new Set();
+
+			for (const key of this.storage.data.keys()) {
+				const match = key.startsWith(root) && /^(.+)\/\d+$/.exec(key.substring(root.length));
+				if (match) {
+					names.add(match[1]);
+				}
+			}
+			for (const prefix of this.slotQueues.keys()) {
+				if (prefix.startsWith(root)) {
+					names.add(prefix.substring(root.length, prefix.length - 1));
+				}
+			}
+
+			return Array.from(names).sort().map(name => {
+				const prefix = this.slotPrefix(kind, name);
+				const queue = this.slotQueues.get(prefix);
+				return {
+					name,
+					holders: this.getSlotHolders(prefix),
+					waiting: queue ? queue.waiters.length : 0
+				};
+			});
+		}
+	}
+};
@@ -120,6 +120,18 @@ module.exports = {
 			}
 		},
 
+		/**
+		 * Obtenir le graphe de dépendances entre fonctions stockées dans coderdb
+		 */
+		getFunctionDependencies: {
+			params: {
+				environment: { type: "enum", values: ["dev", "staging", "production"], optional: true, default: "dev" }
+			},
+			async handler(ctx) {
+				return await this.callWithMetrics("coderdb.graph", { environment: ctx.params.environment });
+			}
+		},
+
 		/**
 		 * Obtenir les métriques de communication entre services via metrics-aggregator
 		 */
@@ -405,7 +417,8 @@ module.exports = {
 				serviceDependencies: [],
 				nodeDependencies: [],
 				crossNodeServices: [],
-				dependencyGraph: {}
+				dependencyGraph: {},
+				functionDependencies: null
 			};
 
 			// Construire le graphe de dépendances
@@ -441,6 +454,15 @@ module.exports = {
 			// Analyser les dépendances entre nœuds
 			dependencies.nodeDependencies = this.analyzeNodeDependencies(services, dependencies.serviceDependencies);
 
+			// Dépendances entre fonctions stockées, rendues à côté de celles des services
+			if (services.some(service => service.name === 'coderdb')) {
+				try {
+					dependencies.functionDependencies = await this.callWithMetrics("coderdb.graph");
+				} catch (err) {
+					this.logger.debug("CoderDB function graph not available:", err.message);
+				}
+			}
+
 			return dependencies;
 		},
 
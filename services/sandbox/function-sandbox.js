@@ -0,0 +1,112 @@
+// services/sandbox/function-sandbox.js
+"use strict";
+
+const path = require("path");
+const { Worker } = require("worker_threads");
+
+const WORKER_PATH = path.join(__dirname, "sandbox-worker.js");
+
+class FunctionSandbox {
+	/**
+	 * @param {Object} options
+	 * @param {number} options.timeout - Temps d'exécution maximum (ms)
+	 * @param {number} options.maxHeapMb - Taille maximum du tas du worker (Mo)
+	 */
+	constructor(options = {}) {
+		this.timeout = options.timeout || 5000;
+		this.maxHeapMb = options.maxHeapMb || 64;
+	}
+
+	/**
+	 * Exécuter une fonction stockée, et optionnellement son code de test
+	 * `dependencies` liste les fonctions injectées dans le code, `functions`
+	 * fournit le code de chacune ({ name: { code, dependencies } }), transitivement
+	 */
+	async run({ code, testCode, inputs, runTests = false, dependencies = [], functions = {} }) {
+		const startTime = Date.now();
+		let report;
+
+		try {
+			report = await this.runInWorker({ code, testCode, inputs, runTests, dependencies, functions });
+		} catch (err) {
+			report = {
+				success: false,
+				result: null,
+				testResults: null,
+				error: err.message,
+				logs: []
+			};
+		}
+
+		return {
+			success: report.success,
+			result: report.result,
+			testResults: report.testResults,
+			error: report.error,
+			logs: report.logs || [],
+			duration: Date.now() - startTime,
+			executedAt: new Date().toISOString()
+		};
+	}
+
+	/**
+	 * Lancer un worker isolé avec limites de temps et de mémoire
+	 */
+	runInWorker(workerData) {
+		return new Promise((resolve, reject) => {
+			let settled = false;
+
+			const worker = new Worker(WORKER_PATH, {
+				workerData: { ...workerData, timeout: this.timeout },
+				env: {},
+				// Requis pour que le worker refuse import() par son propre rappel, sans erreur de l'hôte
+				execArgv: ["--experimental-vm-modules", "--no-warnings"],
+				stdout: true,
+				stderr: true,
+				resourceLimits: {
+					maxOldGenerationSizeMb: this.maxHeapMb,
+					maxYoungGenerationSizeMb: Math.max(4, Math.floor(this.maxHeapMb / 4))
+				}
+			});
+
+			const finish = (err, report) => {
+				if (settled) return;
+				settled = true;
+				clearTimeout(timer);
+				worker.terminate();
+				err ? reject(err) : resolve(report);
+			};
+
+			// Couvre aussi le code asynchrone, que le timeout de vm ne limite pas ;
+			// reste armé jusqu'au résultat, même si le worker s'arrête sans en produire
+			const timer = setTimeout(() => {
+				finish(new Error(`Execution timed out after ${this.timeout}ms`));
+			}, this.timeout + 100);
+
+			worker.on("message", message => {
+				if (message.error) {
+					finish(new Error(message.error));
+				} else {
+					finish(null, message.report);
+				}
+			});
+
+			worker.on("error", err => {
+				if (err.code === "ERR_WORKER_OUT_OF_MEMORY") {
+					finish(new Error(`Memory limit exceeded (${this.maxHeapMb} MB)`));
+				} else {
+					finish(err);
+				}
+			});
+
+			// Un arrêt normal sans résultat (rien ne reste à exécuter) est laissé au délai
+			worker.on("exit", code => {
+				if (code !== 0) {
+					finish(new Error(`Sandbox worker exited unexpectedly (code ${code})`));
+				}
+			});
+		});
+	}
+}
+
+module.exports = FunctionSandbox;
@@ -0,0 +1,256 @@
+// services/sandbox/sandbox-worker.js
+"use strict";
+
+const { parentPort, workerData } = require("worker_threads");
+const vm = require("vm");
+
+// Intervalle de lecture du résultat d'une exécution asynchrone (ms)
+const POLL_INTERVAL = 5;
+
+/**
+ * Harnais exécuté dans le contexte isolé, avant tout code utilisateur : verrouillage des
+ * constructeurs de fonctions, console capturée et orchestration de l'appel.
+ * Tout est défini dans le contexte pour qu'aucun objet de l'hôte (et donc aucun accès
+ * à require/process) ne soit atteignable par le code. L'hôte ne reçoit que des chaînes :
+ * il n'attend jamais une promesse du contexte, dont le `then` pourrait être remplacé.
+ */
+const HARNESS = `
+(function (global) {
+	"use strict";
+
+	// Sans constructeur, aucune chaîne \`x.constructor.constructor\` ne mène à un évaluateur
+	const lock = prototype => Object.defineProperty(prototype, "constructor", {
+		value: undefined,
+		writable: false,
+		configurable: false
+	});
+	lock(Function.prototype);
+	lock(Object.getPrototypeOf(async function () {}));
+	lock(Object.getPrototypeOf(function* () {}));
+	lock(Object.getPrototypeOf(async function* () {}));
+
+	const logs = [];
+
+	const format = value => {
+		if (typeof value === "string") return value;
+		try {
+			return JSON.stringify(value);
+		} catch (err) {
+			return String(value);
+		}
+	};
+
+	const write = level => (...args) => {
+		logs.push({ level, message: args.map(format).join(" "), timestamp: Date.now() });
+	};
+
+	const describe = err => (err && err.message) ? err.message : String(err);
+
+	global.console = Object.freeze({
+		log: write("log"),
+		info: write("info"),
+		warn: write("warn"),
+		error: write("error"),
+		debug: write("debug"),
+		assert(condition, ...args) {
+			if (!condition) {
+				const message = args.length > 0 ? args.map(format).join(" ") : "Assertion failed";
+				write("assert")(message);
+				throw new Error("Assertion failed: " + message);
+			}
+		}
+	});
+
+	// Fonctions dont dépend le code, compilées dans le même contexte
+	global.__functions = {};
+
+	// Chaque dépendance est injectée sous forme d'appelable recevant à son tour ses propres dépendances
+	const bindDependencies = (names, graph, bound = {}) => {
+		const callables = {};
+		for (const name of names) {
+			if (!bound[name]) {
+				const fn = global.__functions[name];
+				const dependencies = bindDependencies(graph[name] || [], graph, bound);
+				bound[name] = inputs => fn(inputs === undefined ? {} : inputs, dependencies);
+			}
+			callables[name] = bound[name];
+		}
+		return Object.freeze(callables);
+	};
+
+	let output;
+
+	const execute = async function (inputsJson, runTests, graphJson) {
+		const report = { success: false, result: null, testResults: null };
+		const graph = JSON.parse(graphJson);
+		const dependencies = bindDependencies(graph.dependencies, graph.functions);
+		const main = inputs => global.__main(inputs, dependencies);
+
+		try {
+			const result = await main(JSON.parse(inputsJson));
+			report.result = result === undefined ? null : result;
+			report.success = true;
+		} catch (err) {
+			report.error = describe(err);
+		}
+
+		if (runTests) {
+			if (typeof global.__test !== "function") {
+				report.testResults = { success: false, error: "Test code must declare a function named 'test'" };
+			} else {
+				try {
+					const message = await global.__test(main, JSON.parse(inputsJson), global.console);
+					report.testResults = {
+						success: true,
+						message: message === undefined ? "Tests passed" : format(message)
+					};
+				} catch (err) {
+					report.testResults = { success: false, error: describe(err) };
+				}
+			}
+		}
+
+		report.logs = logs;
+
+		try {
+			return JSON.stringify(report);
+		} catch (err) {
+			return JSON.stringify({
+				success: false,
+				result: null,
+				testResults: report.testResults,
+				error: "Result is not serializable: " + describe(err),
+				logs
+			});
+		}
+	};
+
+	// Points d'entrée de l'hôte, figés avant l'exécution du code utilisateur
+	return Object.freeze({
+		execute(inputsJson, runTests, graphJson) {
+			execute(inputsJson, runTests, graphJson).then(
+				json => { output = typeof json === "string" ? json : undefined; },
+				err => { output = JSON.stringify({ success: false, result: null, testResults: null, error: describe(err), logs }); }
+			);
+		},
+		result() {
+			return output;
+		}
+	});
+})(this);
+`;
+
+/**
+ * Message d'une erreur levée par le contexte, lu sans y exécuter de code (getter, toString)
+ */
+function describeError(err) {
+	if (typeof err === "string") return err;
+
+	const descriptor = err !== null && typeof err === "object"
+		? Object.getOwnPropertyDescriptor(err, "message")
+		: undefined;
+	return descriptor && typeof descriptor.value === "string" ? descriptor.value : "Unknown error";
+}
+
+/**
+ * Compiler un script du contexte ; `import()` y est refusé
+ * (le rappel exige --experimental-vm-modules, passé au worker par FunctionSandbox)
+ */
+function compileScript(context, source, filename) {
+	return new vm.Script(source, {
+		filename,
+		importModuleDynamically() {
+			throw vm.runInContext("new Error(\"import() is not allowed in the sandbox\")", context);
+		}
+	});
+}
+
+/**
+ * Compiler le code d'une fonction et l'affecter à `target` dans le contexte
+ * Accepte une expression de fonction ou, à défaut, un corps de fonction
+ */
+function compileFunction(context, target, code, filename, timeout) {
+	let script;
+	try {
+		script = compileScript(context, `${target} = (${code}\n);`, filename);
+	} catch (err) {
+		script = compileScript(context, `${target} = function (inputParams, dependencies) {\n${code}\n};`, filename);
+	}
+
+	script.runInContext(context, { timeout });
+
+	if (vm.runInContext(`typeof ${target}`, context) !== "function") {
+		throw new Error(`Function code must evaluate to a function (${filename})`);
+	}
+}
+
+/**
+ * Compiler le code de test, qui doit déclarer une fonction `test`
+ */
+function compileTest(context, testCode, timeout) {
+	compileScript(context, `${testCode}\n;globalThis.__test = typeof test === "function" ? test : undefined;`, "test.js")
+		.runInContext(context, { timeout });
+}
+
+/**
+ * Attendre la fin de l'exécution en relevant le résultat (une chaîne JSON) ;
+ * une promesse qui ne se résout jamais est interrompue par le délai de FunctionSandbox
+ */
+function waitForOutput(harness) {
+	return new Promise(resolve => {
+		const poll = () => {
+			const output = harness.result();
+			if (typeof output === "string") {
+				resolve(output);
+			} else {
+				setTimeout(poll, POLL_INTERVAL);
+			}
+		};
+		setImmediate(poll);
+	});
+}
+
+async function run() {
+	const { code, testCode, inputs, runTests, timeout, dependencies = [], functions = {} } = workerData;
+
+	// Objet global sans prototype de l'hôte : `this.constructor` ne remonte pas au Function de l'hôte
+	const context = vm.createContext(Object.create(null), {
+		name: "coderdb-sandbox",
+		codeGeneration: { strings: false, wasm: false }
+	});
+
+	const harness = vm.runInContext(HARNESS, context);
+	compileFunction(context, "globalThis.__main", code, "function.js", timeout);
+
+	// Seuls les noms des dépendances traversent la frontière, jamais d'objet de l'hôte
+	const graph = { dependencies, functions: {} };
+	for (const [name, dependency] of Object.entries(functions)) {
+		compileFunction(context, `__functions[${JSON.stringify(name)}]`, dependency.code, `${name}.js`, timeout);
+		graph.functions[name] = dependency.dependencies || [];
+	}
+
+	// Une erreur dans le code de test n'empêche pas d'exécuter la fonction
+	let testError = null;
+	if (runTests) {
+		try {
+			compileTest(context, testCode || "", timeout);
+		} catch (err) {
+			testError = describeError(err);
+		}
+	}
+
+	// Seules des chaînes traversent la frontière : le rapport est relu en JSON puis cloné vers le parent
+	harness.execute(JSON.stringify(inputs || {}), Boolean(runTests && !testError), JSON.stringify(graph));
+	const output = await waitForOutput(harness);
+
+	const report = JSON.parse(output);
+	if (testError) {
+		report.testResults = { success: false, error: `Test code error: ${testError}` };
+	}
+
+	return report;
+}
+
+run()
+	.then(report => parentPort.postMessage({ report }))
+	.catch(err => parentPort.postMessage({ error: describeError(err) }));
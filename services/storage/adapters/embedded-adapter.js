@@ -0,0 +1,246 @@
+// services/storage/adapters/embedded-adapter.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const StorageAdapter = require("./storage-adapter");
+
+// Lecture du fichier par blocs à l'ouverture
+const READ_CHUNK_SIZE = 1024 * 1024;
+// Réécriture du fichier quand plus de la moitié est obsolète, au-delà de cette taille
+const COMPACT_MIN_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Stockage embarqué dans un fichier unique (etcd.db), sans serveur externe
+ * Fichier en ajout seul : chaque écriture est une ligne `<empreinte> <json>` ; l'adaptateur ne
+ * garde qu'un index clé -> position et relit les entrées à la demande, mais le service etcd les
+ * charge toutes en mémoire au démarrage (scan). L'intérêt est le coût d'écriture : un point de
+ * contrôle n'ajoute que les clés modifiées, et le fichier est réécrit quand il devient
+ * majoritairement obsolète. Une fin de fichier incomplète est tronquée à l'ouverture
+ */
+class EmbeddedAdapter extends StorageAdapter {
+	constructor(options = {}) {
+		super(options);
+		this.file = path.join(this.dbPath, "etcd.db");
+		this.compactMinSize = options.compactMinSize || COMPACT_MIN_SIZE;
+		this.handle = null;
+		this.index = new Map();
+		this.meta = null;
+		this.metaLength = 0;
+		this.size = 0;
+		this.liveBytes = 0;
+	}
+
+	async open() {
+		this.handle = await fs.open(this.file, "a+");
+		await this.load();
+	}
+
+	/**
+	 * Indexer les enregistrements du fichier, jusqu'au premier incomplet ou corrompu
+	 */
+	async load() {
+		const { size } = await this.handle.stat();
+		let position = 0;
+		let valid = 0;
+		let carry = Buffer.alloc(0);
+		let corrupt = false;
+
+		this.index.clear();
+		this.meta = null;
+		this.metaLength = 0;
+		this.liveBytes = 0;
+
+		while (position < size && !corrupt) {
+			const chunk = Buffer.alloc(Math.min(READ_CHUNK_SIZE, size - position));
+			const { bytesRead } = await this.handle.read(chunk, 0, chunk.length, position);
+			position += bytesRead;
+
+			const data = Buffer.concat([carry, chunk.subarray(0, bytesRead)]);
+			let start = 0;
+			let end;
+
+			while ((end = data.indexOf(0x0a, start)) !== -1) {
+				const record = EmbeddedAdapter.decode(data.toString("utf8", start, end));
+				if (!record) {
+					corrupt = true;
+					break;
+				}
+
+				this.indexRecord(record, valid, end - start + 1);
+				valid += end - start + 1;
+				start = end + 1;
+			}
+			carry = data.subarray(start);
+		}
+
+		if (valid < size) {
+			await this.handle.truncate(valid);
+			this.logger.warn(`Truncated ${this.file} to ${valid} bytes (${size - valid} bytes of incomplete or corrupt records)`);
+		}
+		this.size = valid;
+	}
+
+	/**
+	 * Mettre à jour l'index et le volume utile après un enregistrement
+	 */
+	indexRecord(record, offset, length) {
+		if (record.op === "meta") {
+			this.meta = record.meta;
+			this.liveBytes += length - this.metaLength;
+			this.metaLength = length;
+			return;
+		}
+
+		const previous = this.index.get(record.key);
+		if (previous) {
+			this.liveBytes -= previous.length;
+			this.index.delete(record.key);
+		}
+		if (record.op === "set") {
+			this.index.set(record.key, { offset, length });
+			this.liveBytes += length;
+		}
+	}
+
+	/**
+	 * Ajouter un enregistrement en fin de fichier
+	 */
+	async append(record) {
+		const buffer = Buffer.from(EmbeddedAdapter.encode(record));
+		await this.handle.write(buffer, 0, buffer.length, this.size);
+
+		this.indexRecord(record, this.size, buffer.length);
+		this.size += buffer.length;
+	}
+
+	async get(key) {
+		const location = this.index.get(key);
+		if (!location) return null;
+
+		const buffer = Buffer.alloc(location.length - 1);
+		await this.handle.read(buffer, 0, buffer.length, location.offset);
+		const record = EmbeddedAdapter.decode(buffer.toString("utf8"));
+		if (!record) {
+			throw new Error(`Corrupt record for '${key}' in ${this.file} at offset ${location.offset}`);
+		}
+
+		return record.entry;
+	}
+
+	async set(key, entry) {
+		await this.append({ op: "set", key, entry });
+	}
+
+	async delete(key) {
+		if (this.index.has(key)) {
+			await this.append({ op: "delete", key });
+		}
+	}
+
+	async scan(prefix = "") {
+		const keys = Array.from(this.index.keys()).filter(key => key.startsWith(prefix)).sort();
+		const results = [];
+
+		for (const key of keys) {
+			results.push([key, await this.get(key)]);
+		}
+
+		return results;
+	}
+
+	async readMeta() {
+		return this.meta;
+	}
+
+	async writeMeta(meta) {
+		await this.append({ op: "meta", meta });
+	}
+
+	async restore({ entries, meta }) {
+		await this.rewrite(Object.entries(entries || {}), meta || null);
+	}
+
+	async flush() {
+		await this.handle.sync();
+
+		if (this.size > this.compactMinSize && this.liveBytes < this.size / 2) {
+			await this.rewrite(await this.scan(), this.meta);
+		}
+	}
+
+	/**
+	 * Réécrire le fichier avec les seules entrées données (fichier temporaire synchronisé, puis renommage)
+	 */
+	async rewrite(entries, meta) {
+		const temporaryFile = `${this.file}.tmp`;
+		const output = await fs.open(temporaryFile, "w");
+
+		try {
+			let batch = "";
+			for (const [key, entry] of entries) {
+				batch += EmbeddedAdapter.encode({ op: "set", key, entry });
+				if (batch.length >= READ_CHUNK_SIZE) {
+					await output.appendFile(batch);
+					batch = "";
+				}
+			}
+			if (meta) {
+				batch += EmbeddedAdapter.encode({ op: "meta", meta });
+			}
+			await output.appendFile(batch);
+			await output.sync();
+		} finally {
+			await output.close();
+		}
+
+		await this.handle.close();
+		await fs.rename(temporaryFile, this.file);
+		await this.syncDirectory();
+
+		this.handle = await fs.open(this.file, "a+");
+		await this.load();
+	}
+
+	async close() {
+		if (this.handle) {
+			await this.handle.close();
+			this.handle = null;
+		}
+	}
+
+	/**
+	 * Sérialiser un enregistrement (une ligne avec son empreinte)
+	 */
+	static encode(record) {
+		const json = JSON.stringify(record);
+		return `${EmbeddedAdapter.checksum(json)} ${json}\n`;
+	}
+
+	/**
+	 * Relire un enregistrement (null s'il est incomplet ou corrompu)
+	 */
+	static decode(line) {
+		const separator = line.indexOf(" ");
+		const json = line.substring(separator + 1);
+
+		if (separator <= 0 || line.substring(0, separator) !== EmbeddedAdapter.checksum(json)) {
+			return null;
+		}
+		try {
+			return JSON.parse(json);
+		} catch {
+			return null;
+		}
+	}
+
+	/**
+	 * Empreinte d'un enregistrement
+	 */
+	static checksum(json) {
+		return crypto.createHash("sha256").update(json).digest("hex").substring(0, 16);
+	}
+}
+
+module.exports = EmbeddedAdapter;
@@ -0,0 +1,28 @@
+// services/storage/adapters/index.js
+"use strict";
+
+const MemoryAdapter = require("./memory-adapter");
+const JsonAdapter = require("./json-adapter");
+const EmbeddedAdapter = require("./embedded-adapter");
+
+// Adaptateurs disponibles, par nom de réglage (settings.storageAdapter)
+const ADAPTERS = {
+	memory: MemoryAdapter,
+	json: JsonAdapter,
+	embedded: EmbeddedAdapter
+};
+
+const STORAGE_ADAPTERS = Object.keys(ADAPTERS);
+
+/**
+ * Instancier un adaptateur de stockage par son nom
+ */
+function createStorageAdapter(name, options) {
+	const Adapter = ADAPTERS[name];
+	if (!Adapter) {
+		throw new Error(`Unknown etcd storage adapter '${name}' (available: ${STORAGE_ADAPTERS.join(", ")})`);
+	}
+	return new Adapter(options);
+}
+
+module.exports = { STORAGE_ADAPTERS, createStorageAdapter };
@@ -0,0 +1,90 @@
+// services/storage/adapters/json-adapter.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const MemoryAdapter = require("./memory-adapter");
+
+/**
+ * Stockage dans un fichier JSON unique (data.json) : entrées et métadonnées
+ * Le fichier est réécrit en entier à chaque flush, par renommage d'un fichier temporaire ;
+ * adapté aux petits volumes, c'est le format historique du service
+ */
+class JsonAdapter extends MemoryAdapter {
+	constructor(options = {}) {
+		super(options);
+		this.file = path.join(this.dbPath, "data.json");
+		this.dirty = false;
+	}
+
+	get durable() {
+		return true;
+	}
+
+	async open() {
+		let content;
+		try {
+			content = await fs.readFile(this.file, "utf8");
+		} catch (err) {
+			if (err.code === "ENOENT") return;
+			throw err;
+		}
+		if (!content.trim()) return;
+
+		// Le fichier n'est remplacé que par renommage : illisible, il n'est pas écrasé pour autant
+		let data;
+		try {
+			data = JSON.parse(content);
+		} catch (err) {
+			throw new Error(`Unreadable etcd snapshot ${this.file}: ${err.message}`);
+		}
+
+		const { entries, ...meta } = data;
+		this.entries = new Map(Object.entries(entries || {}));
+		this.meta = meta;
+	}
+
+	async set(key, entry) {
+		await super.set(key, entry);
+		this.dirty = true;
+	}
+
+	async delete(key) {
+		await super.delete(key);
+		this.dirty = true;
+	}
+
+	async writeMeta(meta) {
+		await super.writeMeta(meta);
+		this.dirty = true;
+	}
+
+	async restore(snapshot) {
+		await super.restore(snapshot);
+		this.dirty = true;
+	}
+
+	async flush() {
+		if (!this.dirty) return;
+
+		const entries = {};
+		for (const [key, entry] of this.entries) {
+			entries[key] = entry;
+		}
+
+		const temporaryFile = `${this.file}.tmp`;
+		const handle = await fs.open(temporaryFile, "w");
+		try {
+			await handle.writeFile(JSON.stringify({ entries, ...this.meta }));
+			await handle.sync();
+		} finally {
+			await handle.close();
+		}
+		await fs.rename(temporaryFile, this.file);
+		await this.syncDirectory();
+
+		this.dirty = false;
+	}
+}
+
+module.exports = JsonAdapter;
@@ -0,0 +1,52 @@
+// services/storage/adapters/memory-adapter.js
+"use strict";
+
+const StorageAdapter = require("./storage-adapter");
+
+/**
+ * Stockage en mémoire, perdu à l'arrêt (tests, nœuds éphémères)
+ */
+class MemoryAdapter extends StorageAdapter {
+	constructor(options = {}) {
+		super(options);
+		this.entries = new Map();
+		this.meta = null;
+	}
+
+	get durable() {
+		return false;
+	}
+
+	async get(key) {
+		return this.entries.get(key) || null;
+	}
+
+	async set(key, entry) {
+		this.entries.set(key, entry);
+	}
+
+	async delete(key) {
+		this.entries.delete(key);
+	}
+
+	async scan(prefix = "") {
+		return Array.from(this.entries)
+			.filter(([key]) => key.startsWith(prefix))
+			.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+	}
+
+	async readMeta() {
+		return this.meta;
+	}
+
+	async writeMeta(meta) {
+		this.meta = meta;
+	}
+
+	async restore({ entries, meta }) {
+		this.entries = new Map(Object.entries(entries || {}));
+		this.meta = meta || null;
+	}
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,121 @@
+// services/storage/adapters/storage-adapter.js
+"use strict";
+
+const fs = require("fs").promises;
+
+/**
+ * Interface des adaptateurs de stockage etcd
+ * Un adaptateur conserve les entrées sérialisées ({ value, version, modRevision, ... })
+ * et les métadonnées du stockage ({ revision, revisionTerm, leases, changelog }).
+ * Le service garde l'état en mémoire ; l'adaptateur reçoit les clés modifiées à chaque
+ * point de contrôle (compaction du journal) et n'est relu qu'au démarrage
+ */
+class StorageAdapter {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.dbPath - Répertoire des données
+	 * @param {Object} options.logger - Logger du service
+	 */
+	constructor(options = {}) {
+		this.dbPath = options.dbPath;
+		this.logger = options.logger;
+	}
+
+	/**
+	 * Les données survivent-elles à un redémarrage ? (sinon, le journal est inutile)
+	 */
+	get durable() {
+		return true;
+	}
+
+	/**
+	 * Ouvrir le stockage
+	 */
+	async open() {}
+
+	/**
+	 * Obtenir une entrée (null si absente)
+	 */
+	async get(key) {
+		throw new Error(`${this.constructor.name} does not implement get()`);
+	}
+
+	/**
+	 * Écrire une entrée
+	 */
+	async set(key, entry) {
+		throw new Error(`${this.constructor.name} does not implement set()`);
+	}
+
+	/**
+	 * Supprimer une entrée
+	 */
+	async delete(key) {
+		throw new Error(`${this.constructor.name} does not implement delete()`);
+	}
+
+	/**
+	 * Parcourir les entrées d'un préfixe, dans l'ordre des clés
+	 * @returns {Array} [[key, entry], ...]
+	 */
+	async scan(prefix = "") {
+		throw new Error(`${this.constructor.name} does not implement scan()`);
+	}
+
+	/**
+	 * Lire les métadonnées du stockage (null si vide)
+	 */
+	async readMeta() {
+		throw new Error(`${this.constructor.name} does not implement readMeta()`);
+	}
+
+	/**
+	 * Écrire les métadonnées du stockage
+	 */
+	async writeMeta(meta) {
+		throw new Error(`${this.constructor.name} does not implement writeMeta()`);
+	}
+
+	/**
+	 * Capturer tout le contenu : { entries: { key: entry }, meta }
+	 */
+	async snapshot() {
+		const entries = {};
+		for (const [key, entry] of await this.scan()) {
+			entries[key] = entry;
+		}
+		return { entries, meta: await this.readMeta() };
+	}
+
+	/**
+	 * Remplacer tout le contenu par un snapshot
+	 */
+	async restore(snapshot) {
+		throw new Error(`${this.constructor.name} does not implement restore()`);
+	}
+
+	/**
+	 * Rendre durables les écritures précédentes
+	 */
+	async flush() {}
+
+	/**
+	 * Fermer le stockage
+	 */
+	async close() {}
+
+	/**
+	 * Rendre durable un renommage dans le répertoire (sans effet sur les systèmes qui ne le permettent pas)
+	 */
+	async syncDirectory() {
+		try {
+			const directory = await fs.open(this.dbPath, "r");
+			await directory.sync();
+			await directory.close();
+		} catch (err) {
+			this.logger.debug("Directory sync not supported:", err.message);
+		}
+	}
+}
+
+module.exports = StorageAdapter;
@@ -0,0 +1,284 @@
+// services/storage/etcd-backups.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const { Errors } = require("moleculer");
+const CronSchedule = require("../triggers/cron-schedule");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+// Archives nommées par date de création puis révision (tri lexical = tri chronologique)
+const BACKUP_PATTERN = /^etcd-backup-(\d{13})-(\d+)\.json\.gz$/;
+const BACKUP_FORMAT = 1;
+
+/**
+ * Sauvegardes etcd : archives gzip d'un snapshot complet (entrées, métadonnées, baux, révision),
+ * avec une empreinte vérifiée à la restauration. Prises et restaurées sur le master, dans un
+ * répertoire local, avec une rétention en nombre d'archives et une planification cron optionnelle.
+ * Restaurer recharge l'archive sur le master à une nouvelle révision puis pousse le snapshot aux slaves
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Préparer le répertoire des sauvegardes et la planification
+		 */
+		async initializeBackups() {
+			this.backupPath = path.resolve(this.settings.backupPath);
+			this.backupSchedule = this.settings.backupSchedule ? new CronSchedule(this.settings.backupSchedule) : null;
+			this.restoreInProgress = false;
+			this.backupTimer = null;
+
+			await this.ensureDirectory(this.backupPath);
+
+			if (this.backupSchedule) {
+				this.scheduleBackupTick();
+			}
+		},
+
+		/**
+		 * Programmer le prochain tick de sauvegarde, au début de la minute suivante
+		 */
+		scheduleBackupTick() {
+			const delay = 60000 - (Date.now() % 60000);
+
+			this.backupTimer = setTimeout(() => {
+				const slot = Math.floor(Date.now() / 60000) * 60000;
+				this.scheduleBackupTick();
+				this.runScheduledBackup(slot);
+			}, delay + 10);
+		},
+
+		/**
+		 * Sauvegarder si la minute écoulée correspond au planning (master uniquement)
+		 */
+		async runScheduledBackup(slot) {
+			if (!this.isMaster || !this.backupSchedule.matches(new Date(slot))) return;
+
+			try {
+				const backup = await this.createBackup();
+				this.logger.info(`Scheduled backup ${backup.name} written at revision ${backup.revision}`);
+			} catch (err) {
+				this.logger.error("Scheduled backup failed:", err);
+			}
+		},
+
+		/**
+		 * Arrêter la planification
+		 */
+		stopBackups() {
+			if (this.backupTimer) {
+				clearTimeout(this.backupTimer);
+				this.backupTimer = null;
+			}
+		},
+
+		/**
+		 * Empreinte du contenu d'un snapshot
+		 */
+		backupChecksum(snapshot) {
+			return crypto.createHash("sha256").update(JSON.stringify(snapshot)).digest("hex");
+		},
+
+		/**
+		 * Écrire une archive de l'état courant, puis appliquer la rétention
+		 * Le snapshot est capturé d'un bloc : il correspond exactement à sa révision
+		 */
+		async createBackup() {
+			const snapshot = this.createSnapshot();
+			const name = `etcd-backup-${snapshot.createdAt}-${snapshot.revision}.json.gz`;
+			const archive = {
+				format: BACKUP_FORMAT,
+				nodeId: this.broker.nodeID,
+				revision: snapshot.revision,
+				keyCount: Object.keys(snapshot.entries).length,
+				checksum: this.backupChecksum(snapshot),
+				snapshot
+			};
+			const content = await gzip(JSON.stringify(archive));
+
+			// Fichier temporaire synchronisé puis renommé : une archive visible est toujours complète
+			const file = path.join(this.backupPath, name);
+			const handle = await fs.open(`${file}.tmp`, "w");
+			try {
+				await handle.writeFile(content);
+				await handle.sync();
+			} finally {
+				await handle.close();
+			}
+			await fs.rename(`${file}.tmp`, file);
+			await this.syncBackupDirectory();
+
+			const pruned = await this.pruneBackups();
+
+			return {
+				name,
+				revision: archive.revision,
+				keyCount: archive.keyCount,
+				checksum: archive.checksum,
+				size: content.length,
+				createdAt: snapshot.createdAt,
+				pruned
+			};
+		},
+
+		/**
+		 * Rendre durable la création ou la suppression d'archives
+		 */
+		async syncBackupDirectory() {
+			try {
+				const directory = await fs.open(this.backupPath, "r");
+				await directory.sync();
+				await directory.close();
+			} catch (err) {
+				this.logger.debug("Directory sync not supported:", err.message);
+			}
+		},
+
+		/**
+		 * Supprimer les archives au-delà de la rétention (les plus anciennes d'abord)
+		 */
+		async pruneBackups() {
+			const retention = this.settings.backupRetention;
+			if (!retention) return [];
+
+			const names = (await this.listBackups()).map(backup => backup.name);
+			const pruned = names.slice(0, Math.max(0, names.length - retention));
+
+			for (const name of pruned) {
+				await fs.unlink(path.join(this.backupPath, name));
+			}
+			if (pruned.length > 0) {
+				await this.syncBackupDirectory();
+			}
+
+			return pruned;
+		},
+
+		/**
+		 * Archives présentes, de la plus ancienne à la plus récente
+		 */
+		async listBackups() {
+			const files = (await fs.readdir(this.backupPath)).filter(file => BACKUP_PATTERN.test(file)).sort();
+			const backups = [];
+
+			for (const name of files) {
+				const [, createdAt, revision] = name.match(BACKUP_PATTERN);
+				const { size } = await fs.stat(path.join(this.backupPath, name));
+				backups.push({ name, revision: Number(revision), createdAt: Number(createdAt), size });
+			}
+
+			return backups;
+		},
+
+		/**
+		 * Lire une archive et vérifier son empreinte (la plus récente si aucun nom)
+		 */
+		async readBackup(name) {
+			if (name === undefined) {
+				const backups = await this.listBackups();
+				if (backups.length === 0) {
+					throw new Errors.MoleculerClientError("No backup available", 404, "NOT_FOUND", { backupPath: this.backupPath });
+				}
+				name = backups[backups.length - 1].name;
+			}
+
+			if (!BACKUP_PATTERN.test(name)) {
+				throw new Errors.ValidationError(`Invalid backup name '${name}'`, "VALIDATION_ERROR", { name });
+			}
+
+			let content;
+			try {
+				content = await fs.readFile(path.join(this.backupPath, name));
+			} catch (err) {
+				if (err.code === "ENOENT") {
+					throw new Errors.MoleculerClientError(`Backup '${name}' not found`, 404, "NOT_FOUND", { name });
+				}
+				throw err;
+			}
+
+			let archive;
+			try {
+				archive = JSON.parse((await gunzip(content)).toString("utf8"));
+			} catch (err) {
+				throw new Errors.MoleculerClientError(`Backup '${name}' is unreadable: ${err.message}`, 422, "BACKUP_CORRUPT", { name });
+			}
+
+			if (archive.format !== BACKUP_FORMAT || !archive.snapshot || archive.checksum !== this.backupChecksum(archive.snapshot)) {
+				throw new Errors.MoleculerClientError(`Backup '${name}' failed checksum verification`, 422, "BACKUP_CORRUPT", { name });
+			}
+
+			return { name, ...archive };
+		},
+
+		/**
+		 * Restaurer une archive sur le master et la pousser aux slaves
+		 * L'état restauré prend une révision supérieure à toutes celles déjà attribuées : les slaves
+		 * le reçoivent comme un snapshot, et les observateurs comme des changements à cette révision
+		 */
+		async restoreBackup(name, writeConcern) {
+			if (this.restoreInProgress) {
+				throw new Errors.MoleculerClientError("A restore is already in progress", 409, "CONFLICT", { name });
+			}
+
+			this.restoreInProgress = true;
+			try {
+				const backup = await this.readBackup(name);
+				const revision = Math.max(this.storage.revision, backup.revision) + 1;
+
+				const changes = await this.restoreSnapshot({
+					...backup.snapshot,
+					revision,
+					revisionTerm: this.currentTerm,
+					createdAt: Date.now()
+				});
+
+				this.logger.warn(`Restored backup ${backup.name} (revision ${backup.revision}) as revision ${revision}`);
+
+				const replication = await this.pushSnapshotToSlaves(this.createSnapshot(), writeConcern);
+
+				return { name: backup.name, backupRevision: backup.revision, revision, keyCount: this.storage.data.size, changes, replication };
+			} finally {
+				this.restoreInProgress = false;
+			}
+		},
+
+		/**
+		 * Installer un snapshot sur chaque slave et attendre les acquittements exigés
+		 * Contrairement à une écriture, le rapport attend tous les slaves
+		 */
+		async pushSnapshotToSlaves(snapshot, writeConcern = this.settings.writeConcern) {
+			const slaves = await this.getEtcdSlaves();
+			const term = this.currentTerm;
+			const report = {
+				writeConcern,
+				required: this.requiredAcknowledgements(writeConcern),
+				acknowledged: [this.broker.nodeID],
+				failed: []
+			};
+
+			await Promise.all(slaves.map(slave =>
+				this.broker.call("etcd.installSnapshot", { snapshot }, {
+					nodeID: slave.id,
+					timeout: this.settings.replicationTimeout,
+					retries: 0,
+					meta: { term, leaderId: this.broker.nodeID }
+				}).then(response => {
+					report.acknowledged.push(slave.id);
+					if (this.replicaTerm === term) {
+						this.replicaRevisions.set(slave.id, response.revision);
+					}
+				}).catch(err => {
+					report.failed.push({ nodeId: slave.id, error: err.message });
+					this.logger.error(`Snapshot push failed to ${slave.id}:`, err.message);
+				})
+			));
+
+			return report;
+		}
+	}
+};
@@ -0,0 +1,168 @@
+// services/storage/etcd-indexes.js
+"use strict";
+
+const { Errors } = require("moleculer");
+const SecondaryIndex = require("./secondary-index");
+
+// Opérateurs d'une condition de requête
+const CONDITION_OPERATORS = ["eq", "in", "gt", "gte", "lt", "lte"];
+
+/**
+ * Index secondaires etcd : champs des valeurs JSON indexés pour les clés d'un préfixe
+ * Tenus à jour à chaque ajout, modification ou suppression de clé, sur le master comme sur
+ * les slaves (écritures locales, répliquées, snapshots) : une requête se lit sur n'importe quel nœud
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Lire la déclaration des index : { "<préfixe>": ["chemin", ...] }
+		 */
+		initializeIndexes() {
+			this.indexes = [];
+
+			for (const [prefix, paths] of Object.entries(this.settings.indexes || {})) {
+				if (!Array.isArray(paths)) {
+					throw new Error(`Indexes of prefix '${prefix}' must be an array of JSON paths`);
+				}
+				for (const path of new Set(paths)) {
+					this.indexes.push(new SecondaryIndex(prefix, path));
+				}
+			}
+		},
+
+		/**
+		 * Vider les index (stockage vidé avant rechargement)
+		 */
+		resetIndexes() {
+			this.indexes.forEach(index => index.clear());
+		},
+
+		/**
+		 * Reporter le remplacement de la valeur d'une clé sur les index (undefined : clé absente)
+		 */
+		updateIndexes(key, before, after) {
+			for (const index of this.indexes) {
+				if (key.startsWith(index.prefix)) {
+					index.update(key, before, after);
+				}
+			}
+		},
+
+		/**
+		 * Index d'un champ couvrant toutes les clés d'un préfixe (le préfixe déclaré le plus long)
+		 */
+		findIndex(prefix, path) {
+			const index = this.indexes
+				.filter(candidate => candidate.path === path && prefix.startsWith(candidate.prefix))
+				.sort((a, b) => b.prefix.length - a.prefix.length)[0];
+
+			if (!index) {
+				throw new Errors.ValidationError(`No index on '${path}' covers prefix '${prefix}'`, "VALIDATION_ERROR", {
+					path,
+					prefix,
+					indexes: this.describeIndexes().map(({ prefix, path }) => ({ prefix, path }))
+				});
+			}
+			return index;
+		},
+
+		/**
+		 * Normaliser une condition : une valeur seule vaut { eq: valeur }
+		 */
+		normalizeCondition(path, condition) {
+			const invalid = reason => new Errors.ValidationError(`Invalid condition on '${path}': ${reason}`, "VALIDATION_ERROR", { path, condition });
+			const scalar = value => SecondaryIndex.rank(value) !== undefined;
+
+			if (condition === null || typeof condition !== "object") {
+				if (!scalar(condition)) throw invalid("expected a string, number, boolean or null");
+				return { eq: condition };
+			}
+
+			const operators = Object.keys(condition);
+			if (operators.length === 0) throw invalid("no operator");
+
+			for (const operator of operators) {
+				if (!CONDITION_OPERATORS.includes(operator)) {
+					throw invalid(`unknown operator '${operator}' (expected ${CONDITION_OPERATORS.join(", ")})`);
+				}
+				const operand = condition[operator];
+				if (operator === "in" ? !(Array.isArray(operand) && operand.every(scalar)) : !scalar(operand)) {
+					throw invalid(`bad operand for '${operator}'`);
+				}
+			}
+			return condition;
+		},
+
+		/**
+		 * Interroger les clés d'un préfixe par champs indexés
+		 * Toutes les conditions doivent être vraies ; tri par clé ou par champ (valeurs sans ce champ en dernier)
+		 * @param {Object} query - { prefix, where, sort, order, limit, offset }
+		 */
+		queryEntries({ prefix, where = {}, sort = "key", order = "asc", limit, offset = 0 }) {
+			const conditions = Object.entries(where).map(([path, condition]) => ({
+				index: this.findIndex(prefix, path),
+				condition: this.normalizeCondition(path, condition)
+			}));
+
+			let keys;
+			if (conditions.length === 0) {
+				keys = Array.from(this.storage.data.keys()).filter(key => key.startsWith(prefix));
+			} else {
+				// Partir de la condition la plus sélective, vérifier les autres sur les valeurs
+				const [first, ...others] = conditions
+					.map(({ index, condition }) => ({ index, condition, keys: index.find(condition) }))
+					.sort((a, b) => a.keys.length - b.keys.length);
+
+				keys = first.keys.filter(key => key.startsWith(prefix) && others.every(({ index, condition }) => {
+					const field = index.extract(this.storage.data.get(key));
+					return field !== undefined && SecondaryIndex.matches(field, condition);
+				}));
+			}
+
+			const now = Date.now();
+			keys = keys.filter(key => {
+				const metadata = this.storage.metadata.get(key);
+				return !(metadata && metadata.expiresAt && metadata.expiresAt < now);
+			});
+
+			const direction = order === "desc" ? -1 : 1;
+			if (sort === "key") {
+				keys.sort((a, b) => direction * (a < b ? -1 : a > b ? 1 : 0));
+			} else {
+				const segments = sort.split(".");
+				const fields = new Map(keys.map(key => [key, SecondaryIndex.resolve(this.storage.data.get(key), segments)]));
+				const sortable = field => SecondaryIndex.rank(field) !== undefined;
+
+				keys.sort((a, b) => {
+					const fieldA = fields.get(a);
+					const fieldB = fields.get(b);
+					if (!sortable(fieldA) || !sortable(fieldB)) {
+						return sortable(fieldA) ? -1 : sortable(fieldB) ? 1 : (a < b ? -1 : 1);
+					}
+					return direction * SecondaryIndex.compare(fieldA, fieldB) || (a < b ? -1 : 1);
+				});
+			}
+
+			const page = limit === undefined ? keys.slice(offset) : keys.slice(offset, offset + limit);
+
+			return {
+				revision: this.storage.revision,
+				total: keys.length,
+				offset,
+				items: page.map(key => this.readEntry(key))
+			};
+		},
+
+		/**
+		 * Index déclarés et leur taille
+		 */
+		describeIndexes() {
+			return this.indexes.map(index => ({
+				prefix: index.prefix,
+				path: index.path,
+				keys: index.size,
+				values: index.buckets.size
+			}));
+		}
+	}
+};
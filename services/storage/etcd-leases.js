@@ -0,0 +1,186 @@
+// services/storage/etcd-leases.js
+"use strict";
+
+const { Errors } = require("moleculer");
+
+/**
+ * Baux (leases) etcd : une durée de vie rafraîchie par keepAlive, à laquelle des clés sont rattachées
+ * L'octroi et la révocation passent par le changelog (répliqués) ; l'échéance n'est suivie
+ * que par le master et repart de zéro à chaque changement de master
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Construire un bail à partir de son changement d'octroi
+		 */
+		createLease(change) {
+			return {
+				id: change.lease,
+				ttl: change.ttl,
+				ownerNode: change.ownerNode || null,
+				grantedAt: change.timestamp,
+				expiresAt: Date.now() + change.ttl * 1000,
+				keys: new Set()
+			};
+		},
+
+		/**
+		 * Charger les baux sérialisés (fichier ou snapshot)
+		 */
+		loadLeases(leases) {
+			for (const [id, lease] of Object.entries(leases)) {
+				this.storage.leases.set(Number(id), this.createLease({
+					lease: Number(id),
+					ttl: lease.ttl,
+					ownerNode: lease.ownerNode,
+					timestamp: lease.grantedAt
+				}));
+			}
+		},
+
+		/**
+		 * Sérialiser les baux (les clés se retrouvent par leurs métadonnées)
+		 */
+		serializeLeases() {
+			const leases = {};
+
+			for (const lease of this.storage.leases.values()) {
+				leases[lease.id] = {
+					ttl: lease.ttl,
+					ownerNode: lease.ownerNode,
+					grantedAt: lease.grantedAt
+				};
+			}
+
+			return leases;
+		},
+
+		/**
+		 * Obtenir un bail ou échouer
+		 */
+		getLease(leaseId) {
+			const lease = this.storage.leases.get(leaseId);
+			if (!lease) {
+				throw new Errors.MoleculerClientError(`Lease ${leaseId} not found`, 404, "NOT_FOUND", { leaseId });
+			}
+			return lease;
+		},
+
+		/**
+		 * Rattacher une clé à un bail
+		 */
+		attachLease(key, leaseId) {
+			const lease = leaseId !== null && this.storage.leases.get(leaseId);
+			if (lease) {
+				lease.keys.add(key);
+			}
+		},
+
+		/**
+		 * Détacher une clé de son bail actuel (avant réécriture ou suppression)
+		 */
+		detachLease(key) {
+			const metadata = this.storage.metadata.get(key);
+			const lease = metadata && metadata.lease && this.storage.leases.get(metadata.lease);
+			if (lease) {
+				lease.keys.delete(key);
+			}
+		},
+
+		/**
+		 * Octroyer un bail ; son identifiant est la révision de l'octroi
+		 */
+		async grantLease(ttl, ownerNode) {
+			const change = this.addToChangelog({
+				action: "lease.grant",
+				ttl,
+				ownerNode,
+				timestamp: Date.now()
+			});
+			change.lease = change.revision;
+
+			const lease = this.createLease(change);
+			this.storage.leases.set(lease.id, lease);
+
+			await this.saveToDisk();
+
+			return { ...this.describeLease(lease), revision: change.revision };
+		},
+
+		/**
+		 * Repousser l'échéance d'un bail d'une durée ttl
+		 */
+		keepAliveLease(leaseId) {
+			const lease = this.getLease(leaseId);
+			lease.expiresAt = Date.now() + lease.ttl * 1000;
+			return this.describeLease(lease);
+		},
+
+		/**
+		 * Révoquer un bail et supprimer ses clés
+		 * `action` vaut "delete" pour une révocation demandée, "expire" pour une échéance ou la perte du nœud
+		 */
+		async revokeLease(leaseId, action = "delete") {
+			const lease = this.getLease(leaseId);
+			const now = Date.now();
+			const keys = Array.from(lease.keys);
+			const changes = [];
+
+			for (const key of keys) {
+				this.removeEntry(key);
+				changes.push(this.addToChangelog({ action, key, timestamp: now }));
+			}
+
+			changes.push(this.addToChangelog({ action: "lease.revoke", lease: leaseId, timestamp: now }));
+			this.storage.leases.delete(leaseId);
+
+			await this.saveToDisk();
+
+			return { leaseId, keys, changes, revision: this.storage.revision };
+		},
+
+		/**
+		 * Identifiants des baux arrivés à échéance
+		 */
+		getExpiredLeases() {
+			const now = Date.now();
+			return Array.from(this.storage.leases.values())
+				.filter(lease => lease.expiresAt < now)
+				.map(lease => lease.id);
+		},
+
+		/**
+		 * Identifiants des baux appartenant à un nœud
+		 */
+		getNodeLeases(nodeId) {
+			return Array.from(this.storage.leases.values())
+				.filter(lease => lease.ownerNode === nodeId)
+				.map(lease => lease.id);
+		},
+
+		/**
+		 * Redonner à chaque bail une durée complète (nouveau master : les échéances précédentes sont inconnues)
+		 */
+		renewAllLeases() {
+			const now = Date.now();
+			for (const lease of this.storage.leases.values()) {
+				lease.expiresAt = now + lease.ttl * 1000;
+			}
+		},
+
+		/**
+		 * Représentation publique d'un bail
+		 */
+		describeLease(lease) {
+			return {
+				leaseId: lease.id,
+				ttl: lease.ttl,
+				ownerNode: lease.ownerNode,
+				grantedAt: lease.grantedAt,
+				expiresAt: lease.expiresAt,
+				remaining: Math.max(0, Math.ceil((lease.expiresAt - Date.now()) / 1000)),
+				keys: Array.from(lease.keys)
+			};
+		}
+	}
+};
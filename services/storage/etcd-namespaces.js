@@ -0,0 +1,157 @@
+// services/storage/etcd-namespaces.js
+"use strict";
+
+const { Errors } = require("moleculer");
+
+/**
+ * Namespaces etcd : préfixes nommés (`coderdb` -> `coderdb/`) avec quotas de clés et d'octets
+ * Un namespace peut en contenir d'autres (`coderdb/executions`) : une clé compte dans chacun
+ * de ses ancêtres, et une écriture doit respecter tous leurs quotas. L'usage est tenu à jour
+ * à chaque ajout ou suppression de clé ; seules les écritures du master sont refusées,
+ * jamais les changements répliqués
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Lire et vérifier la configuration des namespaces
+		 */
+		initializeNamespaces() {
+			this.namespaces = new Map();
+
+			for (const [name, quota] of Object.entries(this.settings.namespaces || {})) {
+				if (!name || name.startsWith("/") || name.endsWith("/")) {
+					throw new Error(`Invalid etcd namespace '${name}' (expected a name like 'coderdb' or 'coderdb/executions')`);
+				}
+
+				const { maxKeys = null, maxBytes = null } = quota || {};
+				for (const [field, limit] of [["maxKeys", maxKeys], ["maxBytes", maxBytes]]) {
+					if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+						throw new Error(`Invalid ${field} for etcd namespace '${name}': ${limit}`);
+					}
+				}
+
+				this.namespaces.set(name, { name, prefix: `${name}/`, maxKeys, maxBytes, keys: 0, bytes: 0 });
+			}
+
+			// Clés hors de tout namespace déclaré
+			this.unscopedUsage = { keys: 0, bytes: 0 };
+		},
+
+		/**
+		 * Remettre l'usage à zéro (stockage vidé avant rechargement)
+		 */
+		resetNamespaceUsage() {
+			for (const namespace of this.namespaces.values()) {
+				namespace.keys = 0;
+				namespace.bytes = 0;
+			}
+			this.unscopedUsage = { keys: 0, bytes: 0 };
+		},
+
+		/**
+		 * Obtenir un namespace déclaré ou échouer
+		 */
+		getNamespace(name) {
+			const namespace = this.namespaces.get(name);
+			if (!namespace) {
+				throw new Errors.MoleculerClientError(`Namespace '${name}' not found`, 404, "NOT_FOUND", { namespace: name });
+			}
+			return namespace;
+		},
+
+		/**
+		 * Namespaces qui contiennent une clé (elle compte dans chacun)
+		 */
+		keyNamespaces(key) {
+			const namespaces = [];
+			for (const namespace of this.namespaces.values()) {
+				if (key.startsWith(namespace.prefix)) {
+					namespaces.push(namespace);
+				}
+			}
+			return namespaces;
+		},
+
+		/**
+		 * Taille d'une clé et de sa valeur sérialisée, en octets
+		 */
+		entrySize(key, value) {
+			return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(value === undefined ? null : value));
+		},
+
+		/**
+		 * Reporter l'ajout, la modification ou la suppression d'une clé sur l'usage
+		 */
+		updateNamespaceUsage(key, keys, bytes) {
+			const namespaces = this.keyNamespaces(key);
+			const targets = namespaces.length > 0 ? namespaces : [this.unscopedUsage];
+
+			for (const usage of targets) {
+				usage.keys += keys;
+				usage.bytes += bytes;
+			}
+		},
+
+		/**
+		 * Refuser des écritures qui feraient dépasser un quota
+		 * Une écriture qui réduit l'usage reste permise, même au-delà du quota
+		 * @param {Array} writes - [{ key, value, deleted }]
+		 */
+		ensureQuota(writes) {
+			const deltas = new Map();
+
+			for (const { key, value, deleted } of writes) {
+				const previous = this.storage.metadata.get(key);
+				const keys = deleted ? (previous ? -1 : 0) : (previous ? 0 : 1);
+				const bytes = (deleted ? 0 : this.entrySize(key, value)) - (previous ? previous.size : 0);
+
+				for (const namespace of this.keyNamespaces(key)) {
+					const delta = deltas.get(namespace) || { keys: 0, bytes: 0, key };
+					delta.keys += keys;
+					delta.bytes += bytes;
+					deltas.set(namespace, delta);
+				}
+			}
+
+			for (const [namespace, delta] of deltas) {
+				const exceeded =
+					(namespace.maxKeys !== null && delta.keys > 0 && namespace.keys + delta.keys > namespace.maxKeys) ? "maxKeys" :
+					(namespace.maxBytes !== null && delta.bytes > 0 && namespace.bytes + delta.bytes > namespace.maxBytes) ? "maxBytes" :
+					null;
+
+				if (exceeded) {
+					throw new Errors.MoleculerClientError(
+						`Quota ${exceeded} of namespace '${namespace.name}' exceeded by '${delta.key}'`,
+						413,
+						"QUOTA_EXCEEDED",
+						{ key: delta.key, ...this.describeNamespace(namespace) }
+					);
+				}
+			}
+		},
+
+		/**
+		 * Usage et quotas d'un namespace
+		 */
+		describeNamespace(namespace) {
+			return {
+				namespace: namespace.name,
+				prefix: namespace.prefix,
+				keys: namespace.keys,
+				bytes: namespace.bytes,
+				maxKeys: namespace.maxKeys,
+				maxBytes: namespace.maxBytes
+			};
+		},
+
+		/**
+		 * Usage de tous les namespaces, et des clés hors namespace
+		 */
+		describeNamespaces() {
+			return {
+				namespaces: Array.from(this.namespaces.values()).map(namespace => this.describeNamespace(namespace)),
+				unscoped: { ...this.unscopedUsage }
+			};
+		}
+	}
+};
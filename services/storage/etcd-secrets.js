@@ -0,0 +1,134 @@
+// services/storage/etcd-secrets.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const { Errors } = require("moleculer");
+const SecretCipher = require("./secret-cipher");
+
+/**
+ * Secrets etcd : les valeurs du namespace des secrets (`secrets/`) sont chiffrées avant d'atteindre
+ * le changelog, le journal et l'adaptateur de stockage ; seule l'enveloppe chiffrée est répliquée,
+ * sauvegardée et retournée par get, keys ou getPrefix. Le clair ne sort que par getSecret.
+ * Tous les nœuds etcd doivent partager le même fichier de clé maître (réglage secretKeyFile) :
+ * il est fourni par l'exploitant. Un nœud sans ce fichier démarre, mais refuse setSecret et getSecret
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Charger la clé maître partagée par le cluster
+		 * Elle n'est jamais générée ici : une clé propre à ce nœud lui rendrait illisibles les secrets
+		 * chiffrés par les autres. Sans fichier, le nœud démarre sans secrets (voir requireSecretCipher) ;
+		 * un fichier présent mais invalide reste une erreur de démarrage
+		 */
+		async initializeSecrets() {
+			this.secretPrefix = `${this.settings.secretNamespace}/`;
+			this.secretCipher = null;
+
+			if (!this.settings.secretKeyFile) {
+				this.logger.warn("No secret key file configured: etcd.setSecret and etcd.getSecret are disabled on this node");
+				return;
+			}
+
+			const file = path.resolve(this.settings.secretKeyFile);
+			let content;
+			try {
+				content = await fs.readFile(file, "utf8");
+			} catch (err) {
+				if (err.code !== "ENOENT") throw err;
+				this.logger.warn(`Secret key file ${file} not found: etcd.setSecret and etcd.getSecret are disabled on this node`);
+				return;
+			}
+
+			const text = content.trim();
+			const masterKey = /^([0-9a-f]{2})+$/i.test(text) ? Buffer.from(text, "hex") : Buffer.from(text);
+			try {
+				this.secretCipher = new SecretCipher(masterKey);
+			} catch (err) {
+				throw new Error(`Invalid secret key file ${file}: ${err.message}`);
+			}
+		},
+
+		/**
+		 * Chiffreur des secrets ; erreur explicite tant que la clé maître n'est pas installée
+		 */
+		requireSecretCipher() {
+			if (!this.secretCipher) {
+				throw new Errors.MoleculerServerError(
+					"Secrets are disabled on this node: install the master key shared by every etcd node " +
+					"(e.g. `openssl rand -hex 32`) at secretKeyFile or ETCD_SECRET_KEY_FILE, then restart it",
+					503,
+					"SECRET_KEY_MISSING",
+					{ nodeId: this.broker.nodeID, secretKeyFile: this.settings.secretKeyFile || null }
+				);
+			}
+			return this.secretCipher;
+		},
+
+		/**
+		 * La clé appartient-elle au namespace des secrets ?
+		 */
+		isSecretKey(key) {
+			return key.startsWith(this.secretPrefix);
+		},
+
+		/**
+		 * Refuser une valeur en clair dans le namespace des secrets (elle passe par setSecret)
+		 */
+		ensureSecretWrite(key, value) {
+			if (this.isSecretKey(key) && !SecretCipher.isEnvelope(value)) {
+				throw new Errors.ValidationError(`Key '${key}' is a secret: write it with etcd.setSecret`, "VALIDATION_ERROR", { key });
+			}
+		},
+
+		/**
+		 * Chiffrer la valeur d'un secret
+		 */
+		encryptSecret(key, value) {
+			if (!this.isSecretKey(key)) {
+				throw new Errors.ValidationError(`Secret keys must start with '${this.secretPrefix}'`, "VALIDATION_ERROR", { key });
+			}
+			return this.requireSecretCipher().encrypt(key, value);
+		},
+
+		/**
+		 * Lire et déchiffrer un secret
+		 */
+		readSecret(key) {
+			const cipher = this.requireSecretCipher();
+			const entry = this.isSecretKey(key) ? this.readEntry(key) : null;
+			if (!entry) {
+				throw new Errors.MoleculerClientError(`Secret '${key}' not found`, 404, "NOT_FOUND", { key });
+			}
+
+			const envelope = entry.value;
+			if (!SecretCipher.isEnvelope(envelope)) {
+				throw new Errors.MoleculerServerError(`Key '${key}' does not hold an encrypted secret`, 500, "SECRET_DECRYPTION_FAILED", { key });
+			}
+			if (envelope.kid !== cipher.kid) {
+				throw new Errors.MoleculerServerError(
+					`Secret '${key}' was encrypted with key ${envelope.kid}, this node has key ${cipher.kid}`,
+					500,
+					"SECRET_KEY_MISMATCH",
+					{ key, kid: envelope.kid, nodeKid: cipher.kid }
+				);
+			}
+
+			let value;
+			try {
+				value = cipher.decrypt(key, envelope);
+			} catch {
+				throw new Errors.MoleculerServerError(`Secret '${key}' failed authentication`, 500, "SECRET_DECRYPTION_FAILED", { key });
+			}
+
+			return {
+				key,
+				value,
+				version: entry.version,
+				modRevision: entry.modRevision,
+				updatedAt: entry.updatedAt,
+				expiresAt: entry.expiresAt
+			};
+		}
+	}
+};
@@ -3,6 +3,14 @@
 
 const fs = require("fs").promises;
 const path = require("path");
+const crypto = require("crypto");
+const { Errors } = require("moleculer");
+const { createStorageAdapter } = require("./adapters");
+const KeyGlob = require("./key-glob");
+const SortedKeys = require("./sorted-keys");
+
+// Nombre de changements conservés par défaut pour la réplication incrémentale
+const DEFAULT_CHANGELOG_SIZE = 1000;
 
 module.exports = {
 	methods: {
@@ -13,14 +21,26 @@ module.exports = {
 			this.dbPath = path.resolve(this.settings.dbPath);
 			await this.ensureDirectory(this.dbPath);
 			
+			// revision : numéro croissant du dernier changement appliqué, revisionTerm : son terme d'élection
 			this.storage = {
 				data: new Map(),
 				metadata: new Map(),
-				changelog: []
+				// Clés triées, pour les parcours ordonnés et paginés
+				keyIndex: new SortedKeys(),
+				changelog: [],
+				leases: new Map(),
+				revision: 0,
+				revisionTerm: 0
 			};
 			
 			this.lastSyncTime = Date.now();
+			this.initializeNamespaces();
+			this.initializeIndexes();
+			this.storageAdapter = this.createAdapter(this.settings.storageAdapter, this.dbPath);
+			await this.storageAdapter.open();
+			this.initializeWal();
 			await this.loadFromDisk();
+			this.startWalCompaction();
 		},
 
 		/**
@@ -35,73 +55,184 @@ module.exports = {
 		},
 
 		/**
-		 * Charger les données depuis le disque
+		 * Charger les données depuis le disque : snapshot, puis rejeu du journal
 		 */
 		async loadFromDisk() {
-			try {
-				await this.loadDataFile();
-				await this.loadChangelogFile();
-				
-				this.logger.info(`Loaded ${this.storage.data.size} keys from disk`);
-			} catch (err) {
-				this.logger.error("Error loading from disk:", err);
-				// En cas d'erreur, réinitialiser le stockage
-				this.storage.data.clear();
-				this.storage.metadata.clear();
-				this.storage.changelog = [];
-				await this.saveToDisk();
+			const legacy = await this.loadFromAdapter();
+			const replayed = await this.openWal();
+
+			// Ancien format (data.json et changelog.json réécrits à chaque écriture) : passer au snapshot
+			if (legacy) {
+				await this.compactWal();
+				await fs.unlink(path.join(this.dbPath, "changelog.json")).catch(() => {});
 			}
+
+			this.logger.info(`Loaded ${this.storage.data.size} keys from disk (revision ${this.storage.revision}, ${replayed} WAL records replayed)`);
 		},
 
 		/**
-		 * Charger le fichier de données
+		 * Charger l'état enregistré par l'adaptateur
+		 * Retourne true s'il est à l'ancien format, sans changelog intégré
 		 */
-		async loadDataFile() {
-			const dataFile = path.join(this.dbPath, "data.json");
-			
-			try {
-				const stats = await fs.stat(dataFile);
-				if (stats.size === 0) {
-					await this.saveDataFile();
-					return;
-				}
+		async loadFromAdapter() {
+			const meta = await this.storageAdapter.readMeta();
+			const entries = await this.storageAdapter.scan();
+			if (!meta && entries.length === 0) {
+				return false;
+			}
 
-				const content = await fs.readFile(dataFile, "utf8");
-				if (!content.trim()) {
-					await this.saveDataFile();
-					return;
-				}
+			// Charger les baux puis les données et métadonnées qui s'y rattachent
+			const { leases, revision, revisionTerm, changelog } = meta || {};
+			this.loadLeases(leases || {});
+			this.loadEntries(Object.fromEntries(entries));
+			this.storage.revision = Number.isInteger(revision) ? revision : 0;
+			this.storage.revisionTerm = Number.isInteger(revisionTerm) ? revisionTerm : 0;
+			this.wal.snapshotRevision = this.storage.revision;
 
-				const data = JSON.parse(content);
-				
-				// Charger les données et métadonnées
-				if (data.entries) {
-					for (const [key, entry] of Object.entries(data.entries)) {
-						// Vérifier l'expiration
-						if (entry.expiresAt && entry.expiresAt < Date.now()) {
-							continue; // Ignorer les entrées expirées
-						}
-						
-						this.storage.data.set(key, entry.value);
-						this.storage.metadata.set(key, {
-							createdAt: entry.createdAt,
-							updatedAt: entry.updatedAt,
-							version: entry.version || 1,
-							expiresAt: entry.expiresAt
-						});
-					}
+			if (Array.isArray(changelog)) {
+				this.storage.changelog = changelog;
+				this.trimChangelog();
+				return false;
+			}
+
+			await this.loadChangelogFile();
+			return true;
+		},
+
+		/**
+		 * Instancier un adaptateur de stockage sur un répertoire
+		 */
+		createAdapter(name, dbPath) {
+			return createStorageAdapter(name, {
+				...this.settings.storageOptions,
+				dbPath,
+				logger: this.logger
+			});
+		},
+
+		/**
+		 * Copier les données d'un adaptateur vers un autre (local à ce nœud)
+		 * La source par défaut est l'état courant ; la cible est prise en compte au prochain
+		 * démarrage avec `storageAdapter` modifié (les écritures postérieures seront rattrapées
+		 * par réplication depuis le master)
+		 */
+		async migrateStorage({ from, to, dbPath }) {
+			const active = this.settings.storageAdapter;
+			const source = from || active;
+			const targetPath = path.resolve(dbPath || this.dbPath);
+
+			if (to === "memory") {
+				throw new Errors.ValidationError("Cannot migrate to the memory storage adapter: it does not persist", "VALIDATION_ERROR", { to });
+			}
+			if (to === active && targetPath === this.dbPath) {
+				throw new Errors.ValidationError(`Cannot migrate onto the active '${active}' storage`, "VALIDATION_ERROR", { to, dbPath: targetPath });
+			}
+
+			let snapshot;
+			if (source === active) {
+				snapshot = { entries: this.serializeEntries(), meta: this.serializeStorageMeta() };
+			} else {
+				if (source === "memory") {
+					throw new Errors.ValidationError("The memory storage adapter is only readable while active", "VALIDATION_ERROR", { from: source });
 				}
-			} catch (err) {
-				if (err.code !== "ENOENT") {
-					throw err;
+				const adapter = this.createAdapter(source, this.dbPath);
+				await adapter.open();
+				try {
+					snapshot = await adapter.snapshot();
+				} finally {
+					await adapter.close();
 				}
-				// Fichier n'existe pas, le créer
-				await this.saveDataFile();
 			}
+
+			await this.ensureDirectory(targetPath);
+			const target = this.createAdapter(to, targetPath);
+			await target.open();
+			try {
+				await target.restore(snapshot);
+				await target.flush();
+			} finally {
+				await target.close();
+			}
+
+			const result = {
+				from: source,
+				to,
+				dbPath: targetPath,
+				keys: Object.keys(snapshot.entries).length,
+				revision: snapshot.meta ? snapshot.meta.revision : 0
+			};
+			this.logger.info(`Migrated ${result.keys} keys at revision ${result.revision} from '${source}' to '${to}' (${targetPath})`);
+
+			return result;
+		},
+
+		/**
+		 * Remplir les Maps à partir des entrées sérialisées (fichier ou snapshot)
+		 */
+		loadEntries(entries) {
+			for (const [key, entry] of Object.entries(entries)) {
+				// Vérifier l'expiration
+				if (entry.expiresAt && entry.expiresAt < Date.now()) {
+					continue; // Ignorer les entrées expirées
+				}
+				
+				this.putEntry(key, entry.value, {
+					createdAt: entry.createdAt,
+					updatedAt: entry.updatedAt,
+					version: entry.version || 1,
+					modRevision: entry.modRevision || 0,
+					expiresAt: entry.expiresAt,
+					lease: entry.lease || null
+				});
+			}
+		},
+
+		/**
+		 * Écrire une clé et ses métadonnées en mémoire (bail et usage des namespaces suivis)
+		 */
+		putEntry(key, value, metadata) {
+			const previous = this.storage.metadata.get(key);
+			const size = this.entrySize(key, value);
+
+			this.detachLease(key);
+			this.updateIndexes(key, this.storage.data.get(key), value);
+			if (!previous) {
+				this.storage.keyIndex.add(key);
+			}
+			this.storage.data.set(key, value);
+			this.storage.metadata.set(key, { ...metadata, size });
+			this.attachLease(key, metadata.lease);
+			this.updateNamespaceUsage(key, previous ? 0 : 1, size - (previous ? previous.size : 0));
+		},
+
+		/**
+		 * Retirer une clé de la mémoire
+		 */
+		removeEntry(key) {
+			const previous = this.storage.metadata.get(key);
+			if (!previous) return;
+
+			this.detachLease(key);
+			this.updateIndexes(key, this.storage.data.get(key), undefined);
+			this.storage.keyIndex.delete(key);
+			this.storage.data.delete(key);
+			this.storage.metadata.delete(key);
+			this.updateNamespaceUsage(key, -1, -previous.size);
+		},
+
+		/**
+		 * Vider la mémoire (avant le chargement d'un snapshot)
+		 */
+		clearEntries() {
+			this.storage.data.clear();
+			this.storage.metadata.clear();
+			this.storage.keyIndex.clear();
+			this.resetNamespaceUsage();
+			this.resetIndexes();
 		},
 
 		/**
-		 * Charger le fichier de changelog
+		 * Charger le changelog de l'ancien format
 		 */
 		async loadChangelogFile() {
 			const changelogFile = path.join(this.dbPath, "changelog.json");
@@ -109,11 +240,10 @@ module.exports = {
 			try {
 				const content = await fs.readFile(changelogFile, "utf8");
 				if (content.trim()) {
-					this.storage.changelog = JSON.parse(content);
-					// Garder seulement les 1000 dernières entrées
-					if (this.storage.changelog.length > 1000) {
-						this.storage.changelog = this.storage.changelog.slice(-1000);
-					}
+					// Les entrées sans révision (ancien format par horodatage) ne sont plus rejouables
+					this.storage.changelog = JSON.parse(content)
+						.filter(change => Number.isInteger(change.revision) && change.revision <= this.storage.revision);
+					this.trimChangelog();
 				}
 			} catch (err) {
 				if (err.code !== "ENOENT") {
@@ -124,75 +254,89 @@ module.exports = {
 		},
 
 		/**
-		 * Sauvegarder sur disque
+		 * Rendre durables les changements appliqués (journal synchronisé)
 		 */
 		async saveToDisk() {
-			await Promise.all([
-				this.saveDataFile(),
-				this.saveChangelogFile()
-			]);
+			await this.flushWal();
 		},
 
 		/**
-		 * Sauvegarder le fichier de données
+		 * Sérialiser les clés avec leurs métadonnées
 		 */
-		async saveDataFile() {
-			const dataFile = path.join(this.dbPath, "data.json");
+		serializeEntries() {
 			const entries = {};
 			
-			for (const [key, value] of this.storage.data) {
-				const metadata = this.storage.metadata.get(key) || {};
-				entries[key] = {
-					value,
-					createdAt: metadata.createdAt,
-					updatedAt: metadata.updatedAt,
-					version: metadata.version || 1,
-					expiresAt: metadata.expiresAt
-				};
+			for (const key of this.storage.data.keys()) {
+				entries[key] = this.serializeEntry(key);
 			}
 			
-			const data = {
-				entries,
-				lastSaved: Date.now()
+			return entries;
+		},
+
+		/**
+		 * Sérialiser une clé avec ses métadonnées
+		 */
+		serializeEntry(key) {
+			const metadata = this.storage.metadata.get(key) || {};
+			return {
+				value: this.storage.data.get(key),
+				createdAt: metadata.createdAt,
+				updatedAt: metadata.updatedAt,
+				version: metadata.version || 1,
+				modRevision: metadata.modRevision || 0,
+				expiresAt: metadata.expiresAt,
+				lease: metadata.lease || null
 			};
-			
-			await fs.writeFile(dataFile, JSON.stringify(data, null, 2));
 		},
 
 		/**
-		 * Sauvegarder le fichier de changelog
+		 * Métadonnées du stockage : révision, baux et changelog conservé
 		 */
-		async saveChangelogFile() {
-			const changelogFile = path.join(this.dbPath, "changelog.json");
-			await fs.writeFile(changelogFile, JSON.stringify(this.storage.changelog, null, 2));
+		serializeStorageMeta() {
+			return {
+				revision: this.storage.revision,
+				revisionTerm: this.storage.revisionTerm,
+				leases: this.serializeLeases(),
+				changelog: [...this.storage.changelog],
+				createdAt: Date.now()
+			};
 		},
 
 		/**
 		 * Définir une valeur
 		 */
-		async setValue(key, value, ttl) {
+		async setValue(key, value, ttl, lease = null) {
 			const now = Date.now();
 			const existing = this.storage.metadata.get(key);
 			const version = existing ? existing.version + 1 : 1;
 			
 			const expiresAt = ttl ? now + (ttl * 1000) : null;
-			
-			this.storage.data.set(key, value);
-			this.storage.metadata.set(key, {
-				createdAt: existing ? existing.createdAt : now,
-				updatedAt: now,
-				version,
-				expiresAt
-			});
+
+			if (lease !== null) {
+				this.getLease(lease);
+			}
+			this.ensureSecretWrite(key, value);
+			this.ensureQuota([{ key, value }]);
 			
 			// Ajouter au changelog
-			this.addToChangelog({
+			const change = this.addToChangelog({
 				action: "set",
 				key,
 				value,
 				timestamp: now,
 				version,
-				ttl
+				ttl,
+				expiresAt,
+				lease
+			});
+			
+			this.putEntry(key, value, {
+				createdAt: existing ? existing.createdAt : now,
+				updatedAt: now,
+				version,
+				modRevision: change.revision,
+				expiresAt,
+				lease
 			});
 			
 			await this.saveToDisk();
@@ -201,6 +345,7 @@ module.exports = {
 				key,
 				value,
 				version,
+				revision: change.revision,
 				success: true
 			};
 		},
@@ -209,6 +354,13 @@ module.exports = {
 		 * Obtenir une valeur
 		 */
 		async getValue(key) {
+			return this.readEntry(key);
+		},
+
+		/**
+		 * Lire une clé et ses métadonnées (null si absente ou expirée)
+		 */
+		readEntry(key) {
 			const value = this.storage.data.get(key);
 			const metadata = this.storage.metadata.get(key);
 			
@@ -216,9 +368,8 @@ module.exports = {
 				return null;
 			}
 			
-			// Vérifier l'expiration
+			// Une clé expirée est masquée ; sa suppression passe par le changelog du master (expireKeys)
 			if (metadata && metadata.expiresAt && metadata.expiresAt < Date.now()) {
-				await this.deleteKey(key);
 				return null;
 			}
 			
@@ -226,6 +377,8 @@ module.exports = {
 				key,
 				value,
 				version: metadata ? metadata.version : 1,
+				modRevision: metadata ? metadata.modRevision : 0,
+				lease: metadata ? metadata.lease || null : null,
 				createdAt: metadata ? metadata.createdAt : null,
 				updatedAt: metadata ? metadata.updatedAt : null,
 				expiresAt: metadata ? metadata.expiresAt : null
@@ -233,21 +386,135 @@ module.exports = {
 		},
 
 		/**
-		 * Obtenir les valeurs par préfixe
+		 * Obtenir les valeurs par préfixe, éventuellement limitées à un namespace, dans l'ordre des clés
+		 * Avec `limit` ou `cursor`, une page { items, more, cursor } ; avec `countOnly`, le seul nombre
+		 * @param {Object} options - bornes et pagination (voir scanKeys), keysOnly, countOnly
 		 */
-		async getByPrefix(prefix) {
-			const results = [];
-			
-			for (const [key, value] of this.storage.data) {
-				if (key.startsWith(prefix)) {
-					const result = await this.getValue(key);
-					if (result) {
-						results.push(result);
-					}
+		async getByPrefix(prefix, namespace, options = {}) {
+			const { keysOnly = false, ...range } = options;
+			const scan = this.scanKeys({ ...range, prefix, namespace });
+
+			if (range.countOnly) {
+				return { revision: this.storage.revision, count: scan.count };
+			}
+
+			const items = keysOnly ? scan.keys : scan.keys.map(key => this.readEntry(key)).filter(Boolean);
+
+			// Sans pagination, un tableau comme auparavant
+			if (range.limit === undefined && range.cursor === undefined) {
+				return items;
+			}
+			return { revision: this.storage.revision, items, more: scan.more, cursor: scan.cursor };
+		},
+
+		/**
+		 * Parcourir les clés dans l'ordre entre `start` (inclus) et `end` (exclu), restreintes à un
+		 * préfixe, un namespace et/ou un motif glob ; les clés expirées sont ignorées
+		 * Le curseur désigne la dernière clé retournée : la page suivante reprend juste après elle,
+		 * même si des clés ont été ajoutées ou supprimées entre-temps
+		 * @param {Object} options - { prefix, namespace, pattern, start, end, reverse, cursor, limit, countOnly }
+		 * @returns {Object} { keys, more, cursor }, ou { count } avec countOnly
+		 */
+		scanKeys({ prefix = "", namespace, pattern, start, end, reverse = false, cursor, limit, countOnly = false }) {
+			const glob = pattern ? this.compileKeyGlob(pattern) : null;
+			const scope = this.mergeScanPrefixes([
+				prefix,
+				namespace ? this.getNamespace(namespace).prefix : "",
+				glob ? glob.prefix : ""
+			]);
+			const after = cursor !== undefined ? this.decodeCursor(cursor, reverse) : undefined;
+
+			if (scope === null) {
+				return countOnly ? { count: 0 } : { keys: [], more: false, cursor: null };
+			}
+
+			// Bornes du parcours : [from, to)
+			const latest = (...bounds) => bounds.filter(bound => bound !== undefined).sort().pop();
+			const earliest = (...bounds) => bounds.filter(bound => bound !== undefined).sort().shift();
+			const from = latest(start, scope || undefined, after !== undefined && !reverse ? `${after}\u0000` : undefined);
+			const to = earliest(end, this.prefixEnd(scope), reverse ? after : undefined);
+
+			const now = Date.now();
+			const keys = [];
+			let count = 0;
+			let more = false;
+
+			for (const key of this.storage.keyIndex.range(from, to, reverse)) {
+				if (glob && !glob.matches(key)) continue;
+
+				const metadata = this.storage.metadata.get(key);
+				if (metadata && metadata.expiresAt && metadata.expiresAt < now) continue;
+
+				if (countOnly) {
+					count++;
+				} else if (limit !== undefined && keys.length === limit) {
+					more = true;
+					break;
+				} else {
+					keys.push(key);
 				}
 			}
-			
-			return results;
+
+			if (countOnly) {
+				return { count };
+			}
+			return { keys, more, cursor: more ? this.encodeCursor(keys[keys.length - 1], reverse) : null };
+		},
+
+		/**
+		 * Préfixe commun à plusieurs restrictions (le plus long), null si elles s'excluent
+		 */
+		mergeScanPrefixes(prefixes) {
+			const longest = prefixes.reduce((a, b) => b.length > a.length ? b : a, "");
+			return prefixes.every(prefix => longest.startsWith(prefix)) ? longest : null;
+		},
+
+		/**
+		 * Première chaîne supérieure à toutes celles qui commencent par `prefix` (undefined : aucune)
+		 */
+		prefixEnd(prefix) {
+			let end = prefix;
+			while (end.length > 0 && end.charCodeAt(end.length - 1) === 0xffff) {
+				end = end.substring(0, end.length - 1);
+			}
+			if (end.length === 0) return undefined;
+
+			return end.substring(0, end.length - 1) + String.fromCharCode(end.charCodeAt(end.length - 1) + 1);
+		},
+
+		/**
+		 * Curseur opaque : la dernière clé lue et le sens du parcours
+		 */
+		encodeCursor(key, reverse) {
+			return Buffer.from(JSON.stringify([key, reverse ? 1 : 0])).toString("base64url");
+		},
+
+		/**
+		 * Relire un curseur ; il doit être utilisé dans le sens où il a été émis
+		 */
+		decodeCursor(cursor, reverse) {
+			let decoded;
+			try {
+				decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+			} catch {
+				decoded = null;
+			}
+
+			if (!Array.isArray(decoded) || typeof decoded[0] !== "string" || decoded[1] !== (reverse ? 1 : 0)) {
+				throw new Errors.ValidationError("Invalid cursor (it must come from a previous page in the same direction)", "VALIDATION_ERROR", { cursor });
+			}
+			return decoded[0];
+		},
+
+		/**
+		 * Compiler un motif glob de clés
+		 */
+		compileKeyGlob(pattern) {
+			try {
+				return new KeyGlob(pattern);
+			} catch (err) {
+				throw new Errors.ValidationError(err.message, "VALIDATION_ERROR", { pattern });
+			}
 		},
 
 		/**
@@ -260,11 +527,10 @@ module.exports = {
 				return { key, deleted: false, reason: "Key not found" };
 			}
 			
-			this.storage.data.delete(key);
-			this.storage.metadata.delete(key);
+			this.removeEntry(key);
 			
 			// Ajouter au changelog
-			this.addToChangelog({
+			const change = this.addToChangelog({
 				action: "delete",
 				key,
 				timestamp: Date.now()
@@ -272,14 +538,15 @@ module.exports = {
 			
 			await this.saveToDisk();
 			
-			return { key, deleted: true };
+			return { key, deleted: true, revision: change.revision };
 		},
 
 		/**
 		 * Incrémenter une valeur
 		 */
 		async incrementValue(key, delta = 1) {
-			const current = await this.getValue(key);
+			// Lecture synchrone suivie de l'écriture : aucun incrément concurrent ne peut s'intercaler
+			const current = this.readEntry(key);
 			let newValue = delta;
 			
 			if (current && current.value !== null) {
@@ -289,24 +556,27 @@ module.exports = {
 				newValue = current.value + delta;
 			}
 			
-			return await this.setValue(key, newValue);
+			// Une clé sous bail le reste
+			return await this.setValue(key, newValue, undefined, current ? current.lease : null);
 		},
 
 		/**
 		 * Comparer et échanger
+		 * La comparaison et l'écriture se font dans le même tour : un seul de plusieurs échanges
+		 * concurrents sur la même valeur attendue peut réussir
 		 */
-		async compareAndSwapValue(key, expectedValue, newValue) {
-			const current = await this.getValue(key);
+		async compareAndSwapValue(key, expectedValue, newValue, lease = null, deep = false) {
+			const current = this.readEntry(key);
 			
 			// Si la clé n'existe pas et on s'attend à null/undefined
 			if (!current && (expectedValue === null || expectedValue === undefined)) {
-				const result = await this.setValue(key, newValue);
+				const result = await this.setValue(key, newValue, undefined, lease);
 				return { ...result, success: true, swapped: true };
 			}
 			
 			// Si la clé existe et la valeur correspond
-			if (current && current.value === expectedValue) {
-				const result = await this.setValue(key, newValue);
+			if (current && (deep ? this.deepEqual(current.value, expectedValue) : current.value === expectedValue)) {
+				const result = await this.setValue(key, newValue, undefined, lease);
 				return { ...result, success: true, swapped: true };
 			}
 			
@@ -322,30 +592,39 @@ module.exports = {
 		},
 
 		/**
-		 * Obtenir toutes les clés
+		 * Obtenir les clés dans l'ordre, filtrées par un motif glob (voir KeyGlob) et/ou un namespace
+		 * Avec `limit` ou `cursor`, une page { keys, more, cursor } ; avec `countOnly`, le seul nombre
+		 * @param {Object} options - bornes et pagination (voir scanKeys), countOnly
 		 */
-		async getAllKeys(pattern) {
-			const keys = Array.from(this.storage.data.keys());
-			
-			if (!pattern) {
-				return keys;
+		async getAllKeys(pattern, namespace, options = {}) {
+			const scan = this.scanKeys({ ...options, pattern, namespace });
+
+			if (options.countOnly) {
+				return { revision: this.storage.revision, count: scan.count };
 			}
-			
-			// Simple pattern matching avec wildcards
-			const regex = new RegExp(pattern.replace(/\*/g, ".*"));
-			return keys.filter(key => regex.test(key));
+			if (options.limit === undefined && options.cursor === undefined) {
+				return scan.keys;
+			}
+			return { revision: this.storage.revision, keys: scan.keys, more: scan.more, cursor: scan.cursor };
 		},
 
 		/**
 		 * Obtenir les statistiques locales
 		 */
 		async getLocalStats() {
-			// Nettoyer les clés expirées
-			await this.cleanupExpiredKeys();
-			
 			return {
 				keyCount: this.storage.data.size,
+				revision: this.storage.revision,
+				compactedRevision: this.getCompactedRevision(),
 				changelogSize: this.storage.changelog.length,
+				adapter: this.settings.storageAdapter,
+				...this.describeNamespaces(),
+				indexes: this.describeIndexes(),
+				wal: {
+					segment: this.wal.segment ? this.wal.segment.name : null,
+					records: this.wal.records,
+					snapshotRevision: this.wal.snapshotRevision
+				},
 				lastSyncTime: this.lastSyncTime,
 				memoryUsage: {
 					dataSize: this.calculateMapSize(this.storage.data),
@@ -366,75 +645,258 @@ module.exports = {
 		},
 
 		/**
-		 * Nettoyer les clés expirées
+		 * Supprimer les clés expirées en les inscrivant au changelog (master uniquement)
+		 * Retourne les changements "expire" à répliquer
 		 */
-		async cleanupExpiredKeys() {
+		async expireKeys() {
 			const now = Date.now();
-			const expiredKeys = [];
+			const changes = [];
 			
 			for (const [key, metadata] of this.storage.metadata) {
 				if (metadata.expiresAt && metadata.expiresAt < now) {
-					expiredKeys.push(key);
+					this.removeEntry(key);
+					changes.push(this.addToChangelog({
+						action: "expire",
+						key,
+						timestamp: now
+					}));
 				}
 			}
 			
-			if (expiredKeys.length > 0) {
-				for (const key of expiredKeys) {
-					this.storage.data.delete(key);
-					this.storage.metadata.delete(key);
-				}
-				
-				this.logger.debug(`Cleaned up ${expiredKeys.length} expired keys`);
+			if (changes.length > 0) {
+				this.logger.debug(`Expired ${changes.length} keys`);
 				await this.saveToDisk();
 			}
+
+			return changes;
 		},
 
 		/**
 		 * Ajouter une entrée au changelog
+		 * Une écriture locale reçoit la révision suivante et le terme courant ;
+		 * un changement répliqué conserve ceux attribués par le master
 		 */
 		addToChangelog(entry) {
+			if (!Number.isInteger(entry.revision)) {
+				entry.revision = this.storage.revision + 1;
+				entry.term = this.currentTerm || 0;
+			}
+
+			this.storage.revision = entry.revision;
+			this.storage.revisionTerm = entry.term;
 			this.storage.changelog.push(entry);
-			
-			// Garder seulement les 1000 dernières entrées
-			if (this.storage.changelog.length > 1000) {
-				this.storage.changelog = this.storage.changelog.slice(-1000);
+			this.recordToWal(entry);
+			this.trimChangelog();
+			this.notifyWatchers(entry);
+
+			return entry;
+		},
+
+		/**
+		 * Ne garder que les derniers changements
+		 */
+		trimChangelog() {
+			const size = this.settings.changelogSize || DEFAULT_CHANGELOG_SIZE;
+			if (this.storage.changelog.length > size) {
+				this.storage.changelog = this.storage.changelog.slice(-size);
 			}
 		},
 
 		/**
-		 * Obtenir les changements depuis un timestamp
+		 * Dernière révision sortie du changelog : en deçà, seul un snapshot permet de rattraper
+		 */
+		getCompactedRevision() {
+			const [oldest] = this.storage.changelog;
+			return oldest ? oldest.revision - 1 : this.storage.revision;
+		},
+
+		/**
+		 * Obtenir les changements postérieurs à une révision, jusqu'à une révision optionnelle
 		 */
-		async getChangesSince(timestamp) {
-			if (!timestamp) {
-				// Retourner tous les changements récents
-				return this.storage.changelog.slice(-100);
+		getChangesSince(revision, until = this.storage.revision) {
+			return this.storage.changelog.filter(change => change.revision > revision && change.revision <= until);
+		},
+
+		/**
+		 * Terme d'une révision encore présente dans le changelog (null si inconnue)
+		 */
+		getRevisionTerm(revision) {
+			if (revision === this.storage.revision) {
+				return this.storage.revisionTerm;
 			}
-			
-			return this.storage.changelog.filter(change => change.timestamp > timestamp);
+			const change = this.storage.changelog.find(candidate => candidate.revision === revision);
+			return change ? change.term : null;
 		},
 
 		/**
-		 * Appliquer des changements (pour la synchronisation)
+		 * Appliquer des changements répliqués, dans l'ordre des révisions
+		 * Les révisions déjà appliquées sont ignorées si elles viennent du même terme ;
+		 * un trou ou un historique divergent est signalé pour déclencher un rattrapage
 		 */
 		async applyChanges(changes) {
-			for (const change of changes) {
-				try {
-					if (change.action === "set") {
-						await this.setValue(change.key, change.value, change.ttl);
-					} else if (change.action === "delete") {
-						await this.deleteKey(change.key);
+			let applied = 0;
+
+			try {
+				for (const change of [...changes].sort((a, b) => a.revision - b.revision)) {
+					if (change.revision <= this.storage.revision) {
+						const term = this.getRevisionTerm(change.revision);
+						if (term !== null && term !== change.term) {
+							throw this.createRevisionError("REVISION_CONFLICT", `Revision ${change.revision} diverges from term ${change.term}`);
+						}
+						continue;
 					}
-				} catch (err) {
-					this.logger.error(`Error applying change for key ${change.key}:`, err);
+
+					if (change.revision !== this.storage.revision + 1) {
+						throw this.createRevisionError("REVISION_GAP", `Missing revisions ${this.storage.revision + 1} to ${change.revision - 1}`);
+					}
+
+					this.applyChange(change);
+					applied++;
+				}
+			} finally {
+				if (applied > 0) {
+					await this.saveToDisk();
 				}
 			}
+
+			return { revision: this.storage.revision, applied };
+		},
+
+		/**
+		 * Appliquer un changement tel qu'écrit par le master (version, dates, expiration)
+		 */
+		applyChange(change) {
+			if (change.action === "txn") {
+				for (const op of change.ops) {
+					this.applyKeyChange({ ...op, revision: change.revision, timestamp: change.timestamp });
+				}
+			} else if (change.action === "lease.grant") {
+				this.storage.leases.set(change.lease, this.createLease(change));
+			} else if (change.action === "lease.revoke") {
+				this.storage.leases.delete(change.lease);
+			} else {
+				this.applyKeyChange(change);
+			}
+
+			this.addToChangelog(change);
+		},
+
+		/**
+		 * Appliquer l'écriture ou la suppression d'une clé, à la révision du changement
+		 */
+		applyKeyChange(change) {
+			if (change.action === "set") {
+				const existing = this.storage.metadata.get(change.key);
+				this.putEntry(change.key, change.value, {
+					createdAt: existing ? existing.createdAt : change.timestamp,
+					updatedAt: change.timestamp,
+					version: change.version,
+					modRevision: change.revision,
+					expiresAt: change.expiresAt || null,
+					lease: change.lease || null
+				});
+			} else if (change.action === "delete" || change.action === "expire") {
+				this.removeEntry(change.key);
+			}
+		},
+
+		/**
+		 * Erreur de réplication portant la révision locale, pour que le master ou le slave rattrape
+		 */
+		createRevisionError(type, message) {
+			return new Errors.MoleculerClientError(message, 409, type, {
+				revision: this.storage.revision,
+				revisionTerm: this.storage.revisionTerm
+			});
+		},
+
+		/**
+		 * Capturer l'état complet (transfert vers un slave trop en retard)
+		 */
+		createSnapshot() {
+			return {
+				revision: this.storage.revision,
+				revisionTerm: this.storage.revisionTerm,
+				entries: this.serializeEntries(),
+				leases: this.serializeLeases(),
+				createdAt: Date.now()
+			};
+		},
+
+		/**
+		 * Remplacer l'état local par un snapshot du master
+		 * Retourne les changements qui mènent de l'ancien état au nouveau
+		 */
+		async restoreSnapshot(snapshot) {
+			const previous = this.serializeEntries();
+
+			this.clearEntries();
+			this.storage.leases.clear();
+			this.loadLeases(snapshot.leases || {});
+			this.loadEntries(snapshot.entries);
+
+			this.storage.changelog = [];
+			this.storage.revision = snapshot.revision;
+			this.storage.revisionTerm = snapshot.revisionTerm;
+
+			// L'historique local est remplacé : nouveau snapshot et journal vierge
+			await this.compactWal(true);
+
+			// Les changements sautés sont résumés pour les observateurs, à la révision du snapshot
+			const current = this.serializeEntries();
+			const changes = [];
+			for (const key of new Set([...Object.keys(previous), ...Object.keys(current)])) {
+				const before = previous[key];
+				const after = current[key];
+
+				if (!after) {
+					changes.push({ action: "delete", key, revision: snapshot.revision, timestamp: snapshot.createdAt });
+				} else if (!before || before.modRevision !== after.modRevision) {
+					changes.push({
+						action: "set",
+						key,
+						value: after.value,
+						version: after.version,
+						revision: snapshot.revision,
+						timestamp: after.updatedAt
+					});
+				}
+			}
+			this.notifyWatchEvents(snapshot.revision, changes);
+
+			return changes;
+		},
+
+		/**
+		 * Empreinte des clés non expirées (clé, valeur, version), indépendante de l'ordre d'insertion
+		 */
+		computeChecksum() {
+			const now = Date.now();
+			const hash = crypto.createHash("sha256");
+			let keyCount = 0;
+
+			for (const key of Array.from(this.storage.data.keys()).sort()) {
+				const metadata = this.storage.metadata.get(key) || {};
+				if (metadata.expiresAt && metadata.expiresAt < now) continue;
+
+				hash.update(JSON.stringify([key, this.storage.data.get(key), metadata.version || 1]));
+				hash.update("\n");
+				keyCount++;
+			}
+
+			return {
+				revision: this.storage.revision,
+				keyCount,
+				checksum: hash.digest("hex")
+			};
 		},
 
 		/**
 		 * Fermer le stockage
 		 */
 		async closeStorage() {
-			await this.saveToDisk();
+			await this.closeWal();
+			await this.storageAdapter.close();
 		}
 	}
 };
\ No newline at end of file
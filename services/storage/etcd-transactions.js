@@ -0,0 +1,171 @@
+// services/storage/etcd-transactions.js
+"use strict";
+
+const { Errors } = require("moleculer");
+
+/**
+ * Transactions etcd : conditions sur plusieurs clés, puis opérations de succès ou d'échec
+ * Évaluées et appliquées d'un bloc sur le master ; toutes les écritures partagent une seule
+ * entrée "txn" du changelog, donc une seule révision, répliquée comme les autres
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Égalité profonde de deux valeurs JSON (l'ordre des propriétés est indifférent)
+		 */
+		deepEqual(a, b) {
+			if (a === b) return true;
+			if (a === null || b === null || typeof a !== "object" || typeof b !== "object") return false;
+			if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+			if (Array.isArray(a)) {
+				return a.length === b.length && a.every((item, index) => this.deepEqual(item, b[index]));
+			}
+
+			const keys = Object.keys(a);
+			return keys.length === Object.keys(b).length &&
+				keys.every(key => Object.prototype.hasOwnProperty.call(b, key) && this.deepEqual(a[key], b[key]));
+		},
+
+		/**
+		 * Évaluer une condition sur l'état courant d'une clé (synchrone : voir executeTransaction)
+		 * @param {Object} compare - { key, target, result, value }
+		 */
+		evaluateCompare({ key, target, result = "equal", value }) {
+			const current = this.readEntry(key);
+			let actual;
+
+			switch (target) {
+				case "exists":
+					actual = current !== null;
+					// Sans valeur, la condition "exists" vérifie que la clé existe
+					value = value === undefined ? true : value;
+					break;
+				case "version":
+					actual = current ? current.version : 0;
+					break;
+				case "modRevision":
+					actual = current ? current.modRevision : 0;
+					break;
+				default:
+					actual = current ? current.value : null;
+			}
+
+			switch (result) {
+				case "notEqual":
+					return !this.deepEqual(actual, value);
+				case "greater":
+					return actual !== null && actual > value;
+				case "less":
+					return actual !== null && actual < value;
+				default:
+					return this.deepEqual(actual, value);
+			}
+		},
+
+		/**
+		 * Vérifier les opérations d'une branche avant toute écriture
+		 */
+		validateTransactionOps(ops) {
+			const written = new Set();
+
+			for (const op of ops) {
+				if (op.type === "get") continue;
+
+				if (written.has(op.key)) {
+					throw new Errors.ValidationError(`Key '${op.key}' is written more than once in the transaction`, "VALIDATION_ERROR", { key: op.key });
+				}
+				written.add(op.key);
+
+				if (op.type === "set") {
+					this.ensureSecretWrite(op.key, op.value);
+				}
+				if (op.type === "set" && op.lease !== undefined && op.lease !== null) {
+					this.getLease(op.lease);
+				}
+			}
+		},
+
+		/**
+		 * Exécuter une transaction : toutes les conditions vraies -> `success`, sinon `failure`
+		 * Retourne la branche prise, la réponse de chaque opération et les écritures à diffuser
+		 * Des conditions à l'ajout au changelog, rien n'est attendu : aucune autre écriture ne peut
+		 * s'intercaler entre l'évaluation et l'application
+		 */
+		async executeTransaction({ compare = [], success = [], failure = [] }) {
+			const succeeded = compare.every(condition => this.evaluateCompare(condition));
+			const ops = succeeded ? success : failure;
+
+			this.validateTransactionOps(ops);
+
+			const now = Date.now();
+			const writes = [];
+			const responses = [];
+
+			// Les lectures voient les écritures qui les précèdent dans la branche
+			const pending = new Map();
+			for (const op of ops) {
+				if (op.type === "get") {
+					responses.push({ type: "get", key: op.key, ...this.readTransactionKey(op.key, pending) });
+					continue;
+				}
+
+				const { exists } = this.readTransactionKey(op.key, pending);
+
+				if (op.type === "delete") {
+					if (exists) {
+						writes.push({ action: "delete", key: op.key });
+						pending.set(op.key, null);
+					}
+					responses.push({ type: "delete", key: op.key, deleted: exists });
+					continue;
+				}
+
+				const existing = this.storage.metadata.get(op.key);
+				const write = {
+					action: "set",
+					key: op.key,
+					value: op.value,
+					version: existing ? existing.version + 1 : 1,
+					ttl: op.ttl,
+					expiresAt: op.ttl ? now + op.ttl * 1000 : null,
+					lease: op.lease || null
+				};
+				writes.push(write);
+				pending.set(op.key, write);
+				responses.push({ type: "set", key: op.key, version: write.version });
+			}
+
+			if (writes.length === 0) {
+				return { succeeded, revision: this.storage.revision, responses, writes };
+			}
+			this.ensureQuota(writes.map(write => ({ key: write.key, value: write.value, deleted: write.action === "delete" })));
+
+			const change = this.addToChangelog({ action: "txn", ops: writes, timestamp: now });
+			for (const write of writes) {
+				this.applyKeyChange({ ...write, revision: change.revision, timestamp: now });
+			}
+
+			await this.saveToDisk();
+
+			return { succeeded, revision: change.revision, responses, writes };
+		},
+
+		/**
+		 * Lire une clé dans une transaction en cours (écritures de la branche comprises)
+		 */
+		readTransactionKey(key, pending) {
+			if (!pending.has(key)) {
+				const metadata = this.storage.metadata.get(key);
+				const expired = metadata && metadata.expiresAt && metadata.expiresAt < Date.now();
+				if (!this.storage.data.has(key) || expired) {
+					return { exists: false, value: null };
+				}
+				return { exists: true, value: this.storage.data.get(key), version: metadata ? metadata.version : 1 };
+			}
+
+			const write = pending.get(key);
+			return write ? { exists: true, value: write.value, version: write.version } : { exists: false, value: null };
+		}
+	}
+};
@@ -0,0 +1,370 @@
+// services/storage/etcd-wal.js
+"use strict";
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+
+// Les segments du journal portent la révision de leur premier enregistrement
+const SEGMENT_PATTERN = /^wal-\d+\.log$/;
+
+/**
+ * Journal d'écriture anticipée (WAL) du stockage etcd
+ * Chaque entrée du changelog est ajoutée en fin de segment, une ligne `<empreinte> <json>`,
+ * puis synchronisée (fsync) avant de répondre. Au démarrage, l'adaptateur de stockage est lu
+ * puis les segments rejoués ; un enregistrement incomplet ou corrompu tronque le journal à ce point.
+ * La compaction (point de contrôle) écrit dans l'adaptateur les clés modifiées depuis la précédente
+ * et supprime les segments couverts, sans bloquer les écritures plus longtemps qu'une rotation.
+ * Avec un adaptateur non durable (mémoire), aucun segment n'est écrit
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Initialiser l'état du journal
+		 */
+		initializeWal() {
+			this.wal = {
+				enabled: this.storageAdapter.durable,
+				segment: null,
+				// Entrées du changelog en attente d'écriture
+				pending: [],
+				// Opérations sur les segments, exécutées une à une
+				queue: Promise.resolve(),
+				// Enregistrements écrits depuis le dernier snapshot
+				records: 0,
+				snapshotRevision: 0,
+				// Clés modifiées depuis le dernier point de contrôle ; `full` : tout réécrire
+				dirty: new Set(),
+				full: false,
+				replaying: false,
+				compacting: null,
+				timer: null
+			};
+		},
+
+		/**
+		 * Nom du segment dont le premier enregistrement porte cette révision (tri lexical = tri par révision)
+		 */
+		walSegmentName(firstRevision) {
+			return `wal-${String(firstRevision).padStart(12, "0")}.log`;
+		},
+
+		/**
+		 * Segments présents sur disque, dans l'ordre des révisions
+		 */
+		async listWalSegments() {
+			const files = await fs.readdir(this.dbPath);
+			return files.filter(file => SEGMENT_PATTERN.test(file)).sort();
+		},
+
+		/**
+		 * Empreinte d'un enregistrement
+		 */
+		walChecksum(json) {
+			return crypto.createHash("sha256").update(json).digest("hex").substring(0, 16);
+		},
+
+		/**
+		 * Inscrire une entrée du changelog au journal (écrite au prochain saveToDisk)
+		 */
+		recordToWal(entry) {
+			if (!this.wal) return;
+
+			for (const change of this.expandChange(entry)) {
+				if (change.key !== undefined) {
+					this.wal.dirty.add(change.key);
+				}
+			}
+			if (this.wal.enabled && !this.wal.replaying) {
+				this.wal.pending.push(entry);
+			}
+		},
+
+		/**
+		 * Exécuter une opération sur les segments après les précédentes
+		 */
+		enqueueWal(task) {
+			const run = this.wal.queue.then(task);
+			this.wal.queue = run.catch(() => {});
+			return run;
+		},
+
+		/**
+		 * Écrire et synchroniser les entrées en attente
+		 */
+		flushWal() {
+			// Sans journal, l'adaptateur reçoit directement les changements
+			if (!this.wal.enabled) {
+				return this.compactWal();
+			}
+			return this.enqueueWal(() => this.writePendingRecords());
+		},
+
+		/**
+		 * Ajouter les entrées en attente au segment courant, en une seule écriture
+		 * Sérialisées ici et non à l'inscription : l'entrée peut être complétée entre-temps (bail octroyé)
+		 */
+		async writePendingRecords() {
+			if (this.wal.pending.length === 0) return;
+
+			const entries = this.wal.pending.splice(0);
+			const content = entries.map(entry => {
+				const json = JSON.stringify(entry);
+				return `${this.walChecksum(json)} ${json}\n`;
+			}).join("");
+
+			await this.wal.segment.handle.appendFile(content);
+			if (this.settings.walFsync !== false) {
+				await this.wal.segment.handle.sync();
+			}
+			this.wal.records += entries.length;
+		},
+
+		/**
+		 * Ouvrir le segment qui reçoit les enregistrements à partir d'une révision
+		 * Un segment existant du même nom ne contient que des révisions inconnues de l'état courant : il est vidé
+		 */
+		async openWalSegment(firstRevision) {
+			const name = this.walSegmentName(firstRevision);
+			const handle = await fs.open(path.join(this.dbPath, name), "w");
+			return { name, firstRevision, handle };
+		},
+
+		/**
+		 * Lire les enregistrements valides d'un segment, jusqu'au premier incomplet ou corrompu
+		 * @returns {Object} { records: [{ entry, offset }], validLength, corrupt }
+		 */
+		async readWalSegment(name) {
+			const content = await fs.readFile(path.join(this.dbPath, name));
+			const records = [];
+			let offset = 0;
+
+			while (offset < content.length) {
+				const end = content.indexOf(0x0a, offset);
+				if (end === -1) {
+					return { records, validLength: offset, corrupt: true };
+				}
+
+				const line = content.toString("utf8", offset, end);
+				const separator = line.indexOf(" ");
+				const json = line.substring(separator + 1);
+
+				let entry = null;
+				if (separator > 0 && line.substring(0, separator) === this.walChecksum(json)) {
+					try {
+						entry = JSON.parse(json);
+					} catch {
+						entry = null;
+					}
+				}
+				if (!entry || !Number.isInteger(entry.revision)) {
+					return { records, validLength: offset, corrupt: true };
+				}
+
+				records.push({ entry, offset });
+				offset = end + 1;
+			}
+
+			return { records, validLength: offset, corrupt: false };
+		},
+
+		/**
+		 * Rejouer le journal puis ouvrir le segment des prochaines écritures
+		 * Retourne le nombre d'enregistrements rejoués
+		 */
+		async openWal() {
+			if (!this.wal.enabled) return 0;
+
+			const replayed = await this.replayWal();
+			this.wal.segment = await this.openWalSegment(this.storage.revision + 1);
+
+			return replayed;
+		},
+
+		/**
+		 * Rejouer les segments postérieurs à l'état chargé
+		 * À la première anomalie (enregistrement corrompu ou révision manquante), le journal est
+		 * tronqué au dernier enregistrement valide et les segments suivants sont supprimés
+		 */
+		async replayWal() {
+			const segments = await this.listWalSegments();
+			let replayed = 0;
+
+			this.wal.replaying = true;
+			try {
+				for (let index = 0; index < segments.length; index++) {
+					const { records, validLength, corrupt } = await this.readWalSegment(segments[index]);
+					let truncateAt = corrupt ? validLength : null;
+
+					for (const { entry, offset } of records) {
+						if (entry.revision <= this.storage.revision) continue;
+
+						if (entry.revision !== this.storage.revision + 1) {
+							this.logger.warn(`WAL segment ${segments[index]} skips from revision ${this.storage.revision} to ${entry.revision}`);
+							truncateAt = offset;
+							break;
+						}
+
+						this.applyChange(entry);
+						replayed++;
+					}
+
+					if (truncateAt !== null) {
+						await this.truncateWal(segments, index, truncateAt);
+						break;
+					}
+				}
+			} finally {
+				this.wal.replaying = false;
+			}
+
+			this.wal.records = replayed;
+			return replayed;
+		},
+
+		/**
+		 * Couper le journal après le dernier enregistrement valide
+		 */
+		async truncateWal(segments, index, length) {
+			const dropped = segments.slice(index + 1);
+
+			await fs.truncate(path.join(this.dbPath, segments[index]), length);
+			for (const name of dropped) {
+				await fs.unlink(path.join(this.dbPath, name));
+			}
+
+			this.logger.warn(
+				`Truncated WAL segment ${segments[index]} to ${length} bytes at revision ${this.storage.revision}` +
+				(dropped.length > 0 ? `, dropped ${dropped.join(", ")}` : "")
+			);
+		},
+
+		/**
+		 * Démarrer la compaction périodique
+		 */
+		startWalCompaction() {
+			const interval = this.settings.walCompactInterval;
+			if (!interval) return;
+
+			this.wal.timer = setInterval(() => {
+				if (this.wal.records < this.settings.walCompactThreshold) return;
+
+				this.compactWal().catch(err => {
+					this.logger.error("WAL compaction failed:", err);
+				});
+			}, interval);
+		},
+
+		/**
+		 * Point de contrôle : écrire l'état courant dans l'adaptateur et supprimer les segments couverts
+		 * La rotation vers un nouveau segment se fait dans la file ; l'écriture dans l'adaptateur, après
+		 * `reset` : l'état a été remplacé (snapshot du master), le journal existant ne vaut plus rien
+		 */
+		async compactWal(reset = false) {
+			while (this.wal.compacting) {
+				if (!reset) return this.wal.compacting;
+				await this.wal.compacting.catch(() => {});
+			}
+
+			this.wal.compacting = this.runWalCompaction(reset).finally(() => {
+				this.wal.compacting = null;
+			});
+			return this.wal.compacting;
+		},
+
+		/**
+		 * Déroulement d'une compaction
+		 */
+		async runWalCompaction(reset) {
+			const captured = await this.enqueueWal(async () => {
+				if (reset) {
+					// Entrées d'un historique remplacé, ou déjà contenues dans l'état capturé
+					this.wal.pending = [];
+				} else if (this.wal.enabled) {
+					await this.writePendingRecords();
+				}
+
+				// État figé au moment de la rotation : les écritures suivantes vont au nouveau segment
+				const full = reset || this.wal.full;
+				const captured = {
+					revision: this.storage.revision,
+					meta: this.serializeStorageMeta(),
+					entries: full ? this.serializeEntries() : null,
+					changes: full ? null : Array.from(this.wal.dirty, key => [key, this.storage.data.has(key) ? this.serializeEntry(key) : null])
+				};
+				this.wal.dirty = new Set();
+				this.wal.full = false;
+
+				if (this.wal.enabled && (reset || this.walSegmentName(captured.revision + 1) !== this.wal.segment.name)) {
+					// Fermé d'abord : le nouveau segment peut porter le même nom
+					await this.wal.segment.handle.close();
+					this.wal.segment = await this.openWalSegment(captured.revision + 1);
+				}
+				this.wal.records = 0;
+
+				return { ...captured, segment: this.wal.segment ? this.wal.segment.name : null };
+			});
+
+			try {
+				await this.writeCheckpoint(captured);
+			} catch (err) {
+				// Les clés capturées restent à écrire au prochain point de contrôle
+				if (captured.entries) {
+					this.wal.full = true;
+				} else {
+					captured.changes.forEach(([key]) => this.wal.dirty.add(key));
+				}
+				throw err;
+			}
+			this.wal.snapshotRevision = captured.revision;
+
+			// Tout ce qui précède le segment courant est couvert par le point de contrôle
+			if (this.wal.enabled) {
+				for (const name of await this.listWalSegments()) {
+					if (name !== captured.segment) {
+						await fs.unlink(path.join(this.dbPath, name));
+					}
+				}
+			}
+
+			this.logger.debug(`Checkpointed storage at revision ${captured.revision}`);
+		},
+
+		/**
+		 * Écrire un état capturé dans l'adaptateur : tout l'état, ou les seules clés modifiées
+		 */
+		async writeCheckpoint({ meta, entries, changes }) {
+			const adapter = this.storageAdapter;
+
+			if (entries) {
+				await adapter.restore({ entries, meta });
+			} else {
+				for (const [key, entry] of changes) {
+					if (entry) {
+						await adapter.set(key, entry);
+					} else {
+						await adapter.delete(key);
+					}
+				}
+				await adapter.writeMeta(meta);
+			}
+
+			await adapter.flush();
+		},
+
+		/**
+		 * Fermer le journal après un dernier snapshot (redémarrage sans rejeu)
+		 */
+		async closeWal() {
+			if (this.wal.timer) {
+				clearInterval(this.wal.timer);
+				this.wal.timer = null;
+			}
+			await this.compactWal();
+			if (!this.wal.segment) return;
+
+			await this.enqueueWal(() => this.wal.segment.handle.close());
+			this.wal.segment = null;
+		}
+	}
+};
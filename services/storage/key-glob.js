@@ -0,0 +1,90 @@
+// services/storage/key-glob.js
+"use strict";
+
+// Caractères à échapper pour qu'ils soient pris littéralement dans l'expression compilée
+const REGEX_SPECIALS = /[.+^${}()|\\/]/;
+
+class KeyGlob {
+	/**
+	 * Motif de clés etcd, les segments étant séparés par "/"
+	 *   *      n'importe quelle suite de caractères sans "/"
+	 *   **     n'importe quelle suite de caractères, "/" compris
+	 *   ?      un caractère autre que "/"
+	 *   [abc]  un caractère de l'ensemble ([a-z] intervalle, [!abc] complément)
+	 *   \x     le caractère x littéralement
+	 * Le motif porte sur la clé entière
+	 * @param {string} pattern
+	 */
+	constructor(pattern) {
+		if (typeof pattern !== "string" || pattern.length === 0) {
+			throw new Error("Key pattern must be a non-empty string");
+		}
+
+		this.pattern = pattern;
+		this.regex = new RegExp(`^${KeyGlob.translate(pattern)}$`);
+
+		// Partie fixe du début : seules les clés de ce préfixe peuvent correspondre
+		const wildcard = pattern.search(/[*?[\\]/);
+		this.prefix = wildcard === -1 ? pattern : pattern.substring(0, wildcard);
+	}
+
+	/**
+	 * La clé correspond-elle au motif ?
+	 */
+	matches(key) {
+		return key.startsWith(this.prefix) && this.regex.test(key);
+	}
+
+	/**
+	 * Traduire un motif en source d'expression régulière
+	 */
+	static translate(pattern) {
+		let source = "";
+
+		for (let i = 0; i < pattern.length; i++) {
+			const char = pattern[i];
+
+			if (char === "*") {
+				if (pattern[i + 1] === "*") {
+					source += ".*";
+					i++;
+				} else {
+					source += "[^/]*";
+				}
+			} else if (char === "?") {
+				source += "[^/]";
+			} else if (char === "[") {
+				const end = pattern.indexOf("]", i + 2);
+				if (end === -1) {
+					throw new Error(`Unterminated character class in key pattern '${pattern}'`);
+				}
+
+				let set = pattern.substring(i + 1, end);
+				const negated = set[0] === "!";
+				if (negated) {
+					set = set.substring(1);
+				}
+				source += `[${negated ? "^" : ""}${set.replace(/[\\\]^]/g, "\\$&")}]`;
+				i = end;
+			} else if (char === "\\") {
+				if (i + 1 >= pattern.length) {
+					throw new Error(`Trailing escape in key pattern '${pattern}'`);
+				}
+				source += KeyGlob.escape(pattern[++i]);
+			} else {
+				source += KeyGlob.escape(char);
+			}
+		}
+
+		return source;
+	}
+
+	/**
+	 * Échapper un caractère littéral
+	 */
+	static escape(char) {
+		return REGEX_SPECIALS.test(char) || "*?[]".includes(char) ? `\\${char}` : char;
+	}
+}
+
+module.exports = KeyGlob;
@@ -0,0 +1,212 @@
+// services/storage/secondary-index.js
+"use strict";
+
+// Ordre entre types de valeurs indexées : null < booléens < nombres < chaînes
+const TYPE_RANKS = { null: 0, boolean: 1, number: 2, string: 3 };
+
+class SecondaryIndex {
+	/**
+	 * Index d'un champ des valeurs JSON dont la clé commence par `prefix`
+	 * Seules les valeurs scalaires (chaîne, nombre fini, booléen, null) sont indexées ;
+	 * une valeur sans ce champ, ou dont le champ est un objet ou un tableau, n'apparaît pas
+	 * @param {string} prefix - préfixe des clés indexées
+	 * @param {string} path - chemin du champ, segments séparés par "." ("order.symbol", "legs.0.price")
+	 */
+	constructor(prefix, path) {
+		if (typeof prefix !== "string") {
+			throw new Error("Index prefix must be a string");
+		}
+		if (typeof path !== "string" || path.split(".").some(segment => segment.length === 0)) {
+			throw new Error(`Invalid index path '${path}' for prefix '${prefix}' (expected a path like 'status' or 'order.symbol')`);
+		}
+
+		this.prefix = prefix;
+		this.path = path;
+		this.segments = path.split(".");
+		// Valeur indexée -> clés ; valeurs distinctes triées pour les intervalles
+		this.buckets = new Map();
+		this.values = [];
+		this.size = 0;
+	}
+
+	/**
+	 * Valeur du champ indexé dans une valeur etcd (undefined si non indexable)
+	 */
+	extract(value) {
+		const field = SecondaryIndex.resolve(value, this.segments);
+		return SecondaryIndex.rank(field) === undefined ? undefined : field;
+	}
+
+	/**
+	 * Reporter le remplacement de la valeur d'une clé (undefined : clé absente)
+	 */
+	update(key, before, after) {
+		const previous = before === undefined ? undefined : this.extract(before);
+		const next = after === undefined ? undefined : this.extract(after);
+
+		if (previous === next) return;
+		if (previous !== undefined) {
+			this.remove(key, previous);
+		}
+		if (next !== undefined) {
+			this.add(key, next);
+		}
+	}
+
+	/**
+	 * Ajouter une clé pour une valeur de champ
+	 */
+	add(key, field) {
+		let bucket = this.buckets.get(field);
+		if (!bucket) {
+			bucket = new Set();
+			this.buckets.set(field, bucket);
+			this.values.splice(this.lowerBound(field), 0, field);
+		}
+		if (!bucket.has(key)) {
+			bucket.add(key);
+			this.size++;
+		}
+	}
+
+	/**
+	 * Retirer une clé d'une valeur de champ
+	 */
+	remove(key, field) {
+		const bucket = this.buckets.get(field);
+		if (!bucket || !bucket.delete(key)) return;
+
+		this.size--;
+		if (bucket.size === 0) {
+			this.buckets.delete(field);
+			this.values.splice(this.lowerBound(field), 1);
+		}
+	}
+
+	/**
+	 * Vider l'index
+	 */
+	clear() {
+		this.buckets.clear();
+		this.values = [];
+		this.size = 0;
+	}
+
+	/**
+	 * Clés dont le champ satisfait une condition { eq, in, gt, gte, lt, lte }
+	 * Une borne d'intervalle ne retient que les valeurs de son type
+	 */
+	find(condition) {
+		let candidates;
+		if (condition.eq !== undefined) {
+			candidates = [condition.eq];
+		} else if (condition.in !== undefined) {
+			candidates = condition.in;
+		} else {
+			candidates = this.rangeValues(condition);
+		}
+
+		const keys = [];
+		for (const field of candidates) {
+			const bucket = this.buckets.get(field);
+			if (bucket && SecondaryIndex.matches(field, condition)) {
+				keys.push(...bucket);
+			}
+		}
+		return keys;
+	}
+
+	/**
+	 * Valeurs distinctes comprises dans les bornes d'une condition, dans l'ordre
+	 */
+	rangeValues({ gt, gte, lt, lte }) {
+		const lower = gt !== undefined ? gt : gte;
+		const upper = lt !== undefined ? lt : lte;
+		const bound = lower !== undefined ? lower : upper;
+		if (bound === undefined) {
+			return this.values;
+		}
+
+		const rank = SecondaryIndex.rank(bound);
+		let index = lower !== undefined
+			? this.lowerBound(lower)
+			: this.values.findIndex(field => SecondaryIndex.rank(field) >= rank);
+		if (index === -1) return [];
+
+		const values = [];
+		for (; index < this.values.length; index++) {
+			const field = this.values[index];
+			if (SecondaryIndex.rank(field) !== rank || (upper !== undefined && SecondaryIndex.compare(field, upper) > 0)) break;
+			values.push(field);
+		}
+		return values;
+	}
+
+	/**
+	 * Position de la première valeur distincte supérieure ou égale à `field`
+	 */
+	lowerBound(field) {
+		let low = 0;
+		let high = this.values.length;
+
+		while (low < high) {
+			const middle = (low + high) >>> 1;
+			if (SecondaryIndex.compare(this.values[middle], field) < 0) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+		return low;
+	}
+
+	/**
+	 * Suivre un chemin dans une valeur JSON
+	 */
+	static resolve(value, segments) {
+		let current = value;
+		for (const segment of segments) {
+			if (current === null || typeof current !== "object" || !Object.prototype.hasOwnProperty.call(current, segment)) {
+				return undefined;
+			}
+			current = current[segment];
+		}
+		return current;
+	}
+
+	/**
+	 * Rang du type d'une valeur, undefined si elle n'est pas indexable
+	 */
+	static rank(field) {
+		if (field === null) return TYPE_RANKS.null;
+		if (typeof field === "number" && !Number.isFinite(field)) return undefined;
+		return TYPE_RANKS[typeof field];
+	}
+
+	/**
+	 * Comparer deux valeurs indexables (type, puis valeur)
+	 */
+	static compare(a, b) {
+		const rank = SecondaryIndex.rank(a) - SecondaryIndex.rank(b);
+		if (rank !== 0) return rank;
+		return a < b ? -1 : a > b ? 1 : 0;
+	}
+
+	/**
+	 * Une valeur de champ satisfait-elle une condition ?
+	 */
+	static matches(field, { eq, in: values, gt, gte, lt, lte }) {
+		const rank = SecondaryIndex.rank(field);
+		const within = (bound, accept) => bound === undefined ||
+			(SecondaryIndex.rank(bound) === rank && accept(SecondaryIndex.compare(field, bound)));
+
+		return (eq === undefined || field === eq) &&
+			(values === undefined || values.includes(field)) &&
+			within(gt, order => order > 0) &&
+			within(gte, order => order >= 0) &&
+			within(lt, order => order < 0) &&
+			within(lte, order => order <= 0);
+	}
+}
+
+module.exports = SecondaryIndex;
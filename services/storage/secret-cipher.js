@@ -0,0 +1,77 @@
+// services/storage/secret-cipher.js
+"use strict";
+
+const crypto = require("crypto");
+
+const ALGORITHM = "aes-256-gcm";
+const IV_LENGTH = 12;
+// Taille minimale de la clé maître, en octets
+const MIN_MASTER_KEY_LENGTH = 32;
+// Paramètres de dérivation : changer `info` rend illisibles les secrets existants
+const KDF_SALT = "etcd-secrets";
+const KDF_INFO = "aes-256-gcm v1";
+
+class SecretCipher {
+	/**
+	 * Chiffrement des secrets etcd : AES-256-GCM avec une clé dérivée (HKDF-SHA256) de la clé maître
+	 * La clé etcd est authentifiée avec le chiffré : une enveloppe recopiée sous une autre clé
+	 * ne se déchiffre pas. L'enveloppe porte l'empreinte de la clé dérivée (kid)
+	 * @param {Buffer} masterKey
+	 */
+	constructor(masterKey) {
+		if (!Buffer.isBuffer(masterKey) || masterKey.length < MIN_MASTER_KEY_LENGTH) {
+			throw new Error(`Secret master key must be at least ${MIN_MASTER_KEY_LENGTH} bytes`);
+		}
+
+		this.key = Buffer.from(crypto.hkdfSync("sha256", masterKey, KDF_SALT, KDF_INFO, 32));
+		this.kid = crypto.createHash("sha256").update(this.key).digest("hex").substring(0, 16);
+	}
+
+	/**
+	 * Chiffrer une valeur JSON pour une clé etcd
+	 */
+	encrypt(key, value) {
+		const iv = crypto.randomBytes(IV_LENGTH);
+		const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+		cipher.setAAD(Buffer.from(key));
+
+		const data = Buffer.concat([cipher.update(JSON.stringify(value === undefined ? null : value)), cipher.final()]);
+
+		return {
+			$secret: 1,
+			kid: this.kid,
+			iv: iv.toString("base64"),
+			tag: cipher.getAuthTag().toString("base64"),
+			data: data.toString("base64")
+		};
+	}
+
+	/**
+	 * Déchiffrer l'enveloppe d'une clé etcd (lève une erreur si elle a été altérée ou déplacée)
+	 */
+	decrypt(key, envelope) {
+		const decipher = crypto.createDecipheriv(ALGORITHM, this.key, Buffer.from(envelope.iv, "base64"));
+		decipher.setAAD(Buffer.from(key));
+		decipher.setAuthTag(Buffer.from(envelope.tag, "base64"));
+
+		const plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, "base64")), decipher.final()]);
+		return JSON.parse(plaintext.toString("utf8"));
+	}
+
+	/**
+	 * La valeur est-elle une enveloppe chiffrée ?
+	 */
+	static isEnvelope(value) {
+		return value !== null && typeof value === "object" && value.$secret === 1 &&
+			["kid", "iv", "tag", "data"].every(field => typeof value[field] === "string");
+	}
+
+	/**
+	 * Nouvelle clé maître aléatoire, en hexadécimal
+	 */
+	static generateMasterKey() {
+		return crypto.randomBytes(MIN_MASTER_KEY_LENGTH).toString("hex");
+	}
+}
+
+module.exports = SecretCipher;
@@ -0,0 +1,96 @@
+// services/storage/sorted-keys.js
+"use strict";
+
+class SortedKeys {
+	/**
+	 * Ensemble de clés trié (ordre des unités UTF-16, celui de `<` sur les chaînes)
+	 * Les ajouts hors ordre sont regroupés : le tableau est retrié avant la lecture suivante,
+	 * ce qui garde le chargement initial en O(n log n) et un ajout isolé en O(n)
+	 */
+	constructor() {
+		this.keys = [];
+		this.sorted = true;
+	}
+
+	get size() {
+		return this.keys.length;
+	}
+
+	/**
+	 * Ajouter une clé absente de l'ensemble
+	 */
+	add(key) {
+		const last = this.keys[this.keys.length - 1];
+		if (last !== undefined && key < last) {
+			this.sorted = false;
+		}
+		this.keys.push(key);
+	}
+
+	/**
+	 * Retirer une clé
+	 */
+	delete(key) {
+		this.ensureSorted();
+
+		const index = this.lowerBound(key);
+		if (this.keys[index] === key) {
+			this.keys.splice(index, 1);
+		}
+	}
+
+	clear() {
+		this.keys = [];
+		this.sorted = true;
+	}
+
+	/**
+	 * Retrier après des ajouts hors ordre
+	 */
+	ensureSorted() {
+		if (!this.sorted) {
+			this.keys.sort();
+			this.sorted = true;
+		}
+	}
+
+	/**
+	 * Position de la première clé supérieure ou égale à `key`
+	 */
+	lowerBound(key) {
+		let low = 0;
+		let high = this.keys.length;
+
+		while (low < high) {
+			const middle = (low + high) >>> 1;
+			if (this.keys[middle] < key) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
+		}
+		return low;
+	}
+
+	/**
+	 * Parcourir les clés de [from, to) dans l'ordre ou à rebours (bornes omises : sans limite)
+	 */
+	*range(from, to, reverse = false) {
+		this.ensureSorted();
+
+		const first = from === undefined ? 0 : this.lowerBound(from);
+		const last = to === undefined ? this.keys.length : this.lowerBound(to);
+
+		if (reverse) {
+			for (let index = last - 1; index >= first; index--) {
+				yield this.keys[index];
+			}
+		} else {
+			for (let index = first; index < last; index++) {
+				yield this.keys[index];
+			}
+		}
+	}
+}
+
+module.exports = SortedKeys;
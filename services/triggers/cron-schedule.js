@@ -0,0 +1,149 @@
+// services/triggers/cron-schedule.js
+"use strict";
+
+// Champs d'une expression cron standard, dans l'ordre
+const FIELDS = [
+	{ name: "minute", min: 0, max: 59 },
+	{ name: "hour", min: 0, max: 23 },
+	{ name: "day of month", min: 1, max: 31 },
+	{ name: "month", min: 1, max: 12 },
+	{ name: "day of week", min: 0, max: 7 }
+];
+
+// Raccourcis usuels
+const MACROS = {
+	"@yearly": "0 0 1 1 *",
+	"@annually": "0 0 1 1 *",
+	"@monthly": "0 0 1 * *",
+	"@weekly": "0 0 * * 0",
+	"@daily": "0 0 * * *",
+	"@midnight": "0 0 * * *",
+	"@hourly": "0 * * * *"
+};
+
+// Borne de recherche de la prochaine occurrence (couvre les 29 février)
+const MAX_LOOKAHEAD_YEARS = 5;
+
+class CronSchedule {
+	/**
+	 * @param {string} expression - "minute heure jour-du-mois mois jour-de-semaine" ou macro (@hourly...)
+	 */
+	constructor(expression) {
+		if (!expression || typeof expression !== "string") {
+			throw new Error("Cron schedule must be a non-empty string");
+		}
+
+		this.expression = expression.trim();
+		const parts = (MACROS[this.expression] || this.expression).split(/\s+/);
+
+		if (parts.length !== FIELDS.length) {
+			throw new Error(`Cron schedule '${this.expression}' must have ${FIELDS.length} fields`);
+		}
+
+		[this.minutes, this.hours, this.days, this.months, this.weekdays] =
+			parts.map((part, i) => CronSchedule.parseField(part, FIELDS[i]));
+
+		// Dimanche s'écrit 0 ou 7
+		if (this.weekdays.has(7)) {
+			this.weekdays.add(0);
+		}
+
+		// Un champ restreint est un champ qui n'est pas "*"
+		this.restrictedDays = parts[2] !== "*";
+		this.restrictedWeekdays = parts[4] !== "*";
+	}
+
+	/**
+	 * Convertir un champ (listes, intervalles, pas) en ensemble de valeurs
+	 */
+	static parseField(part, field) {
+		const values = new Set();
+
+		for (const item of part.split(",")) {
+			const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(item);
+			if (!match) {
+				throw new Error(`Invalid ${field.name} field: '${part}'`);
+			}
+
+			let [start, end] = match[1] === "*"
+				? [field.min, field.max]
+				: match[1].split("-").map(Number);
+			if (end === undefined) {
+				end = match[2] ? field.max : start;
+			}
+			const step = match[2] ? Number(match[2]) : 1;
+
+			if (start < field.min || end > field.max || start > end || step < 1) {
+				throw new Error(`Invalid ${field.name} field: '${part}' (allowed ${field.min}-${field.max})`);
+			}
+
+			for (let value = start; value <= end; value += step) {
+				values.add(value);
+			}
+		}
+
+		return values;
+	}
+
+	/**
+	 * Valider une expression sans conserver l'instance
+	 */
+	static validate(expression) {
+		new CronSchedule(expression);
+	}
+
+	/**
+	 * La minute contenant `date` correspond-elle au planning ? (heure locale)
+	 */
+	matches(date) {
+		return this.minutes.has(date.getMinutes()) &&
+			this.hours.has(date.getHours()) &&
+			this.months.has(date.getMonth() + 1) &&
+			this.matchesDay(date);
+	}
+
+	/**
+	 * Jour du mois et jour de semaine : si les deux sont restreints, l'un ou l'autre suffit
+	 */
+	matchesDay(date) {
+		const day = this.days.has(date.getDate());
+		const weekday = this.weekdays.has(date.getDay());
+
+		if (this.restrictedDays && this.restrictedWeekdays) {
+			return day || weekday;
+		}
+		return day && weekday;
+	}
+
+	/**
+	 * Prochaine occurrence strictement après `from`, ou null
+	 */
+	next(from = new Date()) {
+		const date = new Date(from.getTime());
+		date.setSeconds(0, 0);
+		date.setMinutes(date.getMinutes() + 1);
+
+		const limit = new Date(date.getTime());
+		limit.setFullYear(limit.getFullYear() + MAX_LOOKAHEAD_YEARS);
+
+		while (date < limit) {
+			if (!this.months.has(date.getMonth() + 1)) {
+				date.setMonth(date.getMonth() + 1, 1);
+				date.setHours(0, 0, 0, 0);
+			} else if (!this.matchesDay(date)) {
+				date.setDate(date.getDate() + 1);
+				date.setHours(0, 0, 0, 0);
+			} else if (!this.hours.has(date.getHours())) {
+				date.setHours(date.getHours() + 1, 0, 0, 0);
+			} else if (!this.minutes.has(date.getMinutes())) {
+				date.setMinutes(date.getMinutes() + 1, 0, 0);
+			} else {
+				return date;
+			}
+		}
+
+		return null;
+	}
+}
+
+module.exports = CronSchedule;
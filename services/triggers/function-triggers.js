@@ -0,0 +1,276 @@
+// services/triggers/function-triggers.js
+"use strict";
+
+const CronSchedule = require("./cron-schedule");
+
+module.exports = {
+	events: {
+		"etcd.changed"(payload) {
+			if (!this.isMaster || !this.triggerIndex) return;
+
+			// Les écritures de coderdb lui-même (journal, état des déclencheurs) ne déclenchent rien
+			if (payload.key.startsWith(this.settings.executionPrefix) || payload.key.startsWith(this.settings.triggerStatePrefix)) {
+				return;
+			}
+
+			for (const { name, trigger } of this.triggerIndex) {
+				if (trigger.type === "etcd" && payload.key.startsWith(trigger.prefix) && trigger.actions.includes(payload.action)) {
+					this.fireTrigger(name, trigger, {
+						change: {
+							action: payload.action,
+							key: payload.key,
+							value: payload.value,
+							version: payload.version,
+							timestamp: payload.timestamp
+						}
+					});
+				}
+			}
+		}
+	},
+
+	methods: {
+		/**
+		 * Initialiser les déclencheurs et l'horloge cron
+		 * Tous les nœuds suivent les déclencheurs, seul le master les exécute
+		 */
+		initializeTriggers() {
+			this.triggerIndex = [];
+			this.triggerService = null;
+			this.executionSequence = 0;
+
+			this.scheduleCronTick();
+		},
+
+		/**
+		 * Arrêter l'horloge cron et le service d'abonnement aux événements
+		 */
+		async stopTriggers() {
+			if (this.cronTimer) {
+				clearTimeout(this.cronTimer);
+				this.cronTimer = null;
+			}
+
+			if (this.triggerService) {
+				await this.broker.destroyService(this.triggerService);
+				this.triggerService = null;
+			}
+		},
+
+		/**
+		 * Recharger les déclencheurs actifs et s'abonner à leurs événements
+		 * Un déclencheur n'est actif que si la fonction est déployée dans son environnement
+		 */
+		async subscribeTriggers() {
+			const functions = await this.loadAllFunctions(this.broker);
+			const index = [];
+
+			for (const func of functions) {
+				for (const trigger of func.triggers || []) {
+					const deployed = trigger.environment === "dev" || (func.deployments && func.deployments[trigger.environment]);
+					if (!trigger.enabled || !deployed) continue;
+
+					index.push({
+						name: func.name,
+						trigger,
+						schedule: trigger.type === "cron" ? new CronSchedule(trigger.schedule) : null
+					});
+				}
+			}
+
+			this.triggerIndex = index;
+
+			const eventNames = [...new Set(index.filter(entry => entry.trigger.type === "event").map(entry => entry.trigger.event))].sort();
+			const current = this.triggerService ? Object.keys(this.triggerService.schema.events).sort() : [];
+			if (eventNames.join(",") === current.join(",")) {
+				return;
+			}
+
+			if (this.triggerService) {
+				await this.broker.destroyService(this.triggerService);
+				this.triggerService = null;
+			}
+
+			if (eventNames.length === 0) {
+				return;
+			}
+
+			const events = {};
+			for (const eventName of eventNames) {
+				events[eventName] = {
+					context: true,
+					handler: ctx => this.handleTriggerEvent(ctx)
+				};
+			}
+
+			this.triggerService = this.broker.createService({
+				name: this.settings.triggerService,
+				events
+			});
+
+			this.logger.info(`Subscribed function triggers to events: ${eventNames.join(", ")}`);
+		},
+
+		/**
+		 * Recevoir un événement déclencheur
+		 * Un événement émis (emit) n'arrive qu'à une instance : le relayer au master
+		 * Un événement diffusé (broadcast) arrive partout : seul le master le traite
+		 */
+		handleTriggerEvent(ctx) {
+			if (this.isMaster) {
+				return this.dispatchTriggerEvent(ctx.eventName, ctx.params, ctx.nodeID);
+			}
+
+			if (ctx.eventType === "emit" && this.masterId) {
+				return this.broker.call("coderdb.dispatchEvent", {
+					event: ctx.eventName,
+					payload: ctx.params,
+					sender: ctx.nodeID
+				}, { nodeID: this.masterId }).catch(err => {
+					this.logger.warn(`Failed to forward event '${ctx.eventName}' to master:`, err.message);
+				});
+			}
+		},
+
+		/**
+		 * Exécuter les déclencheurs abonnés à un événement (master uniquement)
+		 */
+		dispatchTriggerEvent(eventName, payload, sender) {
+			for (const { name, trigger } of this.triggerIndex) {
+				if (trigger.type !== "event" || trigger.event !== eventName) continue;
+
+				// Filtre optionnel sur le service émetteur (ex: memory.updated de "binance")
+				if (trigger.service && (!payload || payload.service !== trigger.service)) continue;
+
+				this.fireTrigger(name, trigger, {
+					event: { name: eventName, payload, sender }
+				});
+			}
+		},
+
+		/**
+		 * Programmer le prochain tick cron, au début de la minute suivante
+		 */
+		scheduleCronTick() {
+			const delay = 60000 - (Date.now() % 60000);
+
+			this.cronTimer = setTimeout(() => {
+				const slot = Math.floor(Date.now() / 60000) * 60000;
+				this.scheduleCronTick();
+				this.runCronTriggers(slot);
+			}, delay + 10);
+		},
+
+		/**
+		 * Exécuter les déclencheurs cron de la minute écoulée (master uniquement)
+		 */
+		async runCronTriggers(slot) {
+			if (!this.isMaster) return;
+
+			const date = new Date(slot);
+			for (const { name, trigger, schedule } of this.triggerIndex) {
+				if (trigger.type !== "cron" || !schedule.matches(date)) continue;
+
+				try {
+					if (await this.claimCronSlot(name, trigger, slot)) {
+						this.fireTrigger(name, trigger, { scheduledAt: new Date(slot).toISOString() });
+					}
+				} catch (err) {
+					this.logger.error(`Failed to schedule trigger '${trigger.id}' of '${name}':`, err.message);
+				}
+			}
+		},
+
+		/**
+		 * Réserver une minute d'exécution dans etcd (compare-and-swap)
+		 * Garantit une seule exécution même si deux masters coexistent brièvement
+		 */
+		async claimCronSlot(name, trigger, slot) {
+			const key = this.triggerStateKey(name, trigger.id);
+			const current = await this.broker.call("etcd.get", { key });
+			const lastSlot = current ? current.value : null;
+
+			if (lastSlot !== null && lastSlot >= slot) {
+				return false;
+			}
+
+			const result = await this.broker.call("etcd.compareAndSwap", {
+				key,
+				expectedValue: lastSlot,
+				newValue: slot
+			});
+			return result.success;
+		},
+
+		/**
+		 * Exécuter une fonction pour un déclencheur et journaliser le résultat
+		 */
+		async fireTrigger(name, trigger, context) {
+			const startedAt = Date.now();
+			const execution = {
+				id: `${startedAt}-${String(++this.executionSequence).padStart(6, "0")}`,
+				name,
+				trigger: { id: trigger.id, type: trigger.type },
+				environment: trigger.environment,
+				revision: null,
+				inputs: { ...trigger.inputs, ...context },
+				output: null,
+				success: false,
+				startedAt
+			};
+
+			try {
+				const func = await this.loadFunction(this.broker, name);
+				if (!func) {
+					throw this.notFoundError(name);
+				}
+
+				const deployed = await this.resolveDeployment(this.broker, func, trigger.environment);
+				execution.revision = deployed.revision;
+				execution.output = await this.invokeFunction(this.broker, deployed, execution.inputs, trigger.environment);
+				execution.success = true;
+			} catch (err) {
+				execution.error = err.message;
+				this.logger.warn(`Trigger '${trigger.id}' of '${name}' failed: ${err.message}`);
+			}
+
+			execution.duration = Date.now() - startedAt;
+
+			try {
+				await this.recordExecution(execution);
+			} catch (err) {
+				this.logger.error(`Failed to record execution of '${name}':`, err.message);
+			}
+
+			return execution;
+		},
+
+		/**
+		 * Enregistrer une exécution et ne garder que les plus récentes
+		 */
+		async recordExecution(execution) {
+			const prefix = this.executionPrefix(execution.name);
+			await this.broker.call("etcd.set", { key: `${prefix}${execution.id}`, value: execution });
+
+			const keys = await this.broker.call("etcd.keys", { pattern: `${prefix}**` });
+
+			for (const key of keys.slice(0, Math.max(0, keys.length - this.settings.executionLogSize))) {
+				await this.broker.call("etcd.delete", { key });
+			}
+		},
+
+		/**
+		 * Préfixe etcd du journal d'exécution d'une fonction
+		 */
+		executionPrefix(name) {
+			return `${this.settings.executionPrefix}${name}/`;
+		},
+
+		/**
+		 * Clé etcd de la dernière minute exécutée par un déclencheur cron
+		 */
+		triggerStateKey(name, triggerId) {
+			return `${this.settings.triggerStatePrefix}${name}/${triggerId}`;
+		}
+	}
+};
@@ -0,0 +1,305 @@
+// services/validators/contract-validator.js
+"use strict";
+
+const { Errors } = require("moleculer");
+
+class ContractValidator {
+	/**
+	 * Valider et convertir les entrées d'un appel selon les inputParams
+	 * Applique les valeurs par défaut et rejette les paramètres requis manquants
+	 */
+	static validateInputs(inputParams, inputs = {}) {
+		const errors = [];
+		const validated = { ...inputs };
+
+		for (const param of inputParams || []) {
+			let value = inputs[param.name];
+
+			if (value === undefined || value === null) {
+				if (value === null && this.acceptsNull(param)) {
+					validated[param.name] = null;
+				} else if (param.default !== undefined) {
+					validated[param.name] = param.default;
+				} else if (param.required && !this.acceptsEmpty(param)) {
+					errors.push({
+						type: "required",
+						field: param.name,
+						message: `The '${param.name}' input parameter is required`
+					});
+				}
+				continue;
+			}
+
+			value = this.coerce(param, value);
+
+			const paramErrors = [];
+			this.checkValue(param, value, param.name, paramErrors);
+
+			if (paramErrors.length > 0) {
+				errors.push(...paramErrors);
+			} else {
+				validated[param.name] = value;
+			}
+		}
+
+		if (errors.length > 0) {
+			throw new Errors.ValidationError(
+				`Invalid input parameters: ${errors.map(e => e.message).join(", ")}`,
+				"VALIDATION_ERROR",
+				errors
+			);
+		}
+
+		return validated;
+	}
+
+	/**
+	 * Vérifier le résultat d'une fonction selon les outputParams
+	 * Aucune conversion : une sortie non conforme est une erreur du code déployé
+	 */
+	static validateOutputs(outputParams, result) {
+		if (!outputParams || outputParams.length === 0) {
+			return result;
+		}
+
+		const errors = [];
+
+		if (!result || typeof result !== "object" || Array.isArray(result)) {
+			errors.push({
+				type: "object",
+				field: "result",
+				message: "The function result must be an object"
+			});
+		} else {
+			this.checkProperties(outputParams, result, "", errors);
+		}
+
+		if (errors.length > 0) {
+			throw new Errors.MoleculerServerError(
+				`Function output violates its contract: ${errors.map(e => e.message).join(", ")}`,
+				500,
+				"OUTPUT_CONTRACT_VIOLATION",
+				errors
+			);
+		}
+
+		return result;
+	}
+
+	/**
+	 * Vérifier une valeur selon un schéma (type, nullable, enum, min/max, pattern,
+	 * properties, items) et accumuler les erreurs trouvées
+	 */
+	static checkValue(schema, value, field, errors) {
+		if (value === null && this.acceptsNull(schema)) {
+			return;
+		}
+
+		const types = this.typesOf(schema);
+		const matchedType = types.find(type => this.matchesType(type, value));
+
+		if (!matchedType) {
+			errors.push({
+				type: types.join("|"),
+				field,
+				actual: this.typeName(value),
+				message: `The '${field}' field must be of type ${types.join(" | ")}`
+			});
+			return;
+		}
+
+		if (schema.enum && !schema.enum.includes(value)) {
+			errors.push({
+				type: "enum",
+				field,
+				expected: schema.enum,
+				actual: value,
+				message: `The '${field}' field must be one of: ${schema.enum.join(", ")}`
+			});
+		}
+
+		this.checkBounds(schema, value, field, errors);
+
+		if (schema.pattern !== undefined && typeof value === "string" && !new RegExp(schema.pattern).test(value)) {
+			errors.push({
+				type: "pattern",
+				field,
+				expected: schema.pattern,
+				message: `The '${field}' field must match the pattern ${schema.pattern}`
+			});
+		}
+
+		if (schema.properties && this.typeName(value) === "object") {
+			this.checkProperties(schema.properties, value, field, errors);
+		}
+
+		if (schema.items && Array.isArray(value)) {
+			value.forEach((item, index) => this.checkValue(schema.items, item, `${field}[${index}]`, errors));
+		}
+	}
+
+	/**
+	 * Vérifier les propriétés nommées d'un objet
+	 */
+	static checkProperties(properties, object, parentField, errors) {
+		for (const property of properties) {
+			const field = parentField ? `${parentField}.${property.name}` : property.name;
+			const value = object[property.name];
+
+			if (value === undefined || (value === null && !this.acceptsNull(property))) {
+				if (property.required !== false && property.default === undefined && !this.acceptsEmpty(property)) {
+					errors.push({
+						type: "required",
+						field,
+						message: `The '${field}' field is required`
+					});
+				}
+				continue;
+			}
+
+			this.checkValue(property, value, field, errors);
+		}
+	}
+
+	/**
+	 * Vérifier les bornes min/max (valeur, longueur de chaîne ou de tableau)
+	 */
+	static checkBounds(schema, value, field, errors) {
+		let measured;
+		let unit;
+
+		if (typeof value === "number") {
+			measured = value;
+			unit = "";
+		} else if (typeof value === "string" || Array.isArray(value)) {
+			measured = value.length;
+			unit = typeof value === "string" ? " characters" : " items";
+		} else {
+			return;
+		}
+
+		if (schema.min !== undefined && measured < schema.min) {
+			errors.push({
+				type: "min",
+				field,
+				expected: schema.min,
+				actual: measured,
+				message: `The '${field}' field must be at least ${schema.min}${unit}`
+			});
+		}
+
+		if (schema.max !== undefined && measured > schema.max) {
+			errors.push({
+				type: "max",
+				field,
+				expected: schema.max,
+				actual: measured,
+				message: `The '${field}' field must be at most ${schema.max}${unit}`
+			});
+		}
+	}
+
+	/**
+	 * Liste des types acceptés par un schéma (union éventuelle)
+	 */
+	static typesOf(schema) {
+		return Array.isArray(schema.type) ? schema.type : [schema.type];
+	}
+
+	/**
+	 * Le schéma accepte-t-il null ?
+	 */
+	static acceptsNull(schema) {
+		return schema.nullable === true || this.typesOf(schema).some(type => type === "null" || type === "any");
+	}
+
+	/**
+	 * Types pour lesquels une valeur absente est valide
+	 */
+	static acceptsEmpty(schema) {
+		return this.typesOf(schema).some(type => type === "any" || type === "null" || type === "undefined");
+	}
+
+	/**
+	 * Convertir une valeur reçue (souvent une chaîne HTTP) vers l'un des types attendus
+	 */
+	static coerce(schema, value) {
+		for (const type of this.typesOf(schema)) {
+			const coerced = this.coerceTo(type, value);
+			if (this.matchesType(type, coerced)) {
+				return coerced;
+			}
+		}
+		return value;
+	}
+
+	/**
+	 * Convertir une valeur vers un type donné, si possible
+	 */
+	static coerceTo(type, value) {
+		if (typeof value !== "string") {
+			if (type === "string" && (typeof value === "number" || typeof value === "boolean")) {
+				return String(value);
+			}
+			return value;
+		}
+
+		switch (type) {
+			case "number": {
+				const trimmed = value.trim();
+				const number = Number(trimmed);
+				return trimmed !== "" && !Number.isNaN(number) ? number : value;
+			}
+			case "boolean":
+				if (value === "true") return true;
+				if (value === "false") return false;
+				return value;
+			case "object":
+			case "array":
+				try {
+					return JSON.parse(value);
+				} catch (err) {
+					return value;
+				}
+			default:
+				return value;
+		}
+	}
+
+	/**
+	 * Vérifier qu'une valeur correspond à un type de base
+	 */
+	static matchesType(type, value) {
+		switch (type) {
+			case "string":
+				return typeof value === "string";
+			case "number":
+				return typeof value === "number" && Number.isFinite(value);
+			case "boolean":
+				return typeof value === "boolean";
+			case "object":
+				return this.typeName(value) === "object";
+			case "array":
+				return Array.isArray(value);
+			case "function":
+				return typeof value === "function";
+			case "null":
+				return value === null;
+			case "undefined":
+				return value === undefined;
+			default:
+				return true;
+		}
+	}
+
+	/**
+	 * Nom du type d'une valeur, en distinguant null et les tableaux
+	 */
+	static typeName(value) {
+		if (value === null) return "null";
+		if (Array.isArray(value)) return "array";
+		return typeof value;
+	}
+}
+
+module.exports = ContractValidator;
@@ -1,15 +1,40 @@
 // services/validators/function-validator.js
 "use strict";
 
+const ContractValidator = require("./contract-validator");
+const CronSchedule = require("../triggers/cron-schedule");
+
+const VALID_TYPES = [
+	"string", "number", "boolean", "object", "array", 
+	"function", "any", "null", "undefined"
+];
+
+// Profondeur maximum des schémas imbriqués (properties / items)
+const MAX_SCHEMA_DEPTH = 10;
+
+// Déclencheurs automatiques et environnements où ils peuvent s'exécuter
+const TRIGGER_TYPES = ["cron", "event", "etcd"];
+const TRIGGER_ENVIRONMENTS = ["dev", "staging", "production"];
+
 class FunctionValidator {
 	/**
 	 * Valider une fonction complète
 	 */
 	static validate(functionData) {
-		const { name, inputParams, outputParams, code, testCode } = functionData;
+		const { name, inputParams, outputParams, code, testCode, dependencies, triggers } = functionData;
 
 		// Validation du nom
 		this.validateName(name);
+
+		// Validation des dépendances déclarées
+		if (dependencies !== undefined) {
+			this.validateDependencies(dependencies, name.trim());
+		}
+
+		// Validation des déclencheurs
+		if (triggers !== undefined) {
+			this.validateTriggers(triggers);
+		}
 		
 		// Validation des paramètres d'entrée
 		this.validateParams(inputParams, "input");
@@ -28,7 +53,9 @@ class FunctionValidator {
 			inputParams: this.normalizeParams(inputParams),
 			outputParams: this.normalizeParams(outputParams),
 			code: code.trim(),
-			testCode: testCode.trim()
+			testCode: testCode.trim(),
+			dependencies: this.normalizeDependencies(dependencies || []),
+			triggers: this.normalizeTriggers(triggers || [])
 		};
 	}
 
@@ -36,9 +63,19 @@ class FunctionValidator {
 	 * Valider une mise à jour partielle
 	 */
 	static validateUpdate(updateData) {
-		const { name, inputParams, outputParams, code, testCode } = updateData;
+		const { name, inputParams, outputParams, code, testCode, dependencies, triggers } = updateData;
 		const validated = {};
 
+		if (dependencies !== undefined) {
+			this.validateDependencies(dependencies, typeof name === "string" ? name.trim() : null);
+			validated.dependencies = this.normalizeDependencies(dependencies);
+		}
+
+		if (triggers !== undefined) {
+			this.validateTriggers(triggers);
+			validated.triggers = this.normalizeTriggers(triggers);
+		}
+
 		if (inputParams !== undefined) {
 			this.validateParams(inputParams, "input");
 			validated.inputParams = this.normalizeParams(inputParams);
@@ -79,6 +116,106 @@ class FunctionValidator {
 		}
 	}
 
+	/**
+	 * Valider la liste des fonctions dont dépend le code
+	 */
+	static validateDependencies(dependencies, name) {
+		if (!Array.isArray(dependencies)) {
+			throw new Error("dependencies must be an array of function names");
+		}
+
+		const names = new Set();
+
+		for (let i = 0; i < dependencies.length; i++) {
+			const dependency = dependencies[i];
+
+			if (typeof dependency !== "string" || !/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(dependency.trim())) {
+				throw new Error(`dependency ${i} must be a valid function name`);
+			}
+
+			if (dependency.trim() === name) {
+				throw new Error(`Function '${name}' cannot depend on itself`);
+			}
+
+			if (names.has(dependency.trim())) {
+				throw new Error(`dependency '${dependency.trim()}' is duplicated`);
+			}
+			names.add(dependency.trim());
+		}
+	}
+
+	/**
+	 * Valider les déclencheurs automatiques (cron, événement Moleculer, préfixe etcd)
+	 */
+	static validateTriggers(triggers) {
+		if (!Array.isArray(triggers)) {
+			throw new Error("triggers must be an array");
+		}
+
+		const ids = new Set();
+
+		triggers.forEach((trigger, i) => {
+			const label = `trigger ${i}`;
+
+			if (!trigger || typeof trigger !== "object" || Array.isArray(trigger)) {
+				throw new Error(`${label} must be an object`);
+			}
+
+			if (!TRIGGER_TYPES.includes(trigger.type)) {
+				throw new Error(`${label} type must be one of: ${TRIGGER_TYPES.join(", ")}`);
+			}
+
+			if (trigger.id !== undefined && (typeof trigger.id !== "string" || !/^[a-zA-Z0-9_-]+$/.test(trigger.id))) {
+				throw new Error(`${label} id must contain only letters, digits, '-' or '_'`);
+			}
+
+			const id = trigger.id || `${trigger.type}-${i + 1}`;
+			if (ids.has(id)) {
+				throw new Error(`${label} id '${id}' is duplicated`);
+			}
+			ids.add(id);
+
+			switch (trigger.type) {
+				case "cron":
+					try {
+						CronSchedule.validate(trigger.schedule);
+					} catch (err) {
+						throw new Error(`${label} ${err.message}`);
+					}
+					break;
+				case "event":
+					if (!trigger.event || typeof trigger.event !== "string" || trigger.event.startsWith("$")) {
+						throw new Error(`${label} event must be a Moleculer event name (internal '$' events are not allowed)`);
+					}
+					if (trigger.service !== undefined && typeof trigger.service !== "string") {
+						throw new Error(`${label} service filter must be a string`);
+					}
+					break;
+				case "etcd":
+					if (!trigger.prefix || typeof trigger.prefix !== "string") {
+						throw new Error(`${label} prefix must be a non-empty string`);
+					}
+					if (trigger.actions !== undefined &&
+						(!Array.isArray(trigger.actions) || trigger.actions.some(action => !["set", "delete", "expire"].includes(action)))) {
+						throw new Error(`${label} actions must be an array of 'set', 'delete' and/or 'expire'`);
+					}
+					break;
+			}
+
+			if (trigger.inputs !== undefined && (!trigger.inputs || typeof trigger.inputs !== "object" || Array.isArray(trigger.inputs))) {
+				throw new Error(`${label} inputs must be an object`);
+			}
+
+			if (trigger.environment !== undefined && !TRIGGER_ENVIRONMENTS.includes(trigger.environment)) {
+				throw new Error(`${label} environment must be one of: ${TRIGGER_ENVIRONMENTS.join(", ")}`);
+			}
+
+			if (trigger.enabled !== undefined && typeof trigger.enabled !== "boolean") {
+				throw new Error(`${label} enabled must be a boolean`);
+			}
+		});
+	}
+
 	/**
 	 * Valider les paramètres
 	 */
@@ -87,33 +224,130 @@ class FunctionValidator {
 			throw new Error(`${type} parameters must be an array`);
 		}
 
-		for (let i = 0; i < params.length; i++) {
-			const param = params[i];
+		this.validateNamedSchemas(params, `${type} parameter`, 0);
+	}
+
+	/**
+	 * Valider une liste de schémas nommés (paramètres ou propriétés d'un objet)
+	 */
+	static validateNamedSchemas(schemas, label, depth) {
+		const names = new Set();
+
+		for (let i = 0; i < schemas.length; i++) {
+			const schema = schemas[i];
 			
-			if (!param || typeof param !== "object") {
-				throw new Error(`${type} parameter ${i} must be an object`);
+			if (!schema || typeof schema !== "object") {
+				throw new Error(`${label} ${i} must be an object`);
 			}
 
-			if (!param.name || typeof param.name !== "string") {
-				throw new Error(`${type} parameter ${i} must have a valid name`);
+			if (!schema.name || typeof schema.name !== "string") {
+				throw new Error(`${label} ${i} must have a valid name`);
 			}
 
-			if (!param.type || typeof param.type !== "string") {
-				throw new Error(`${type} parameter ${i} must have a valid type`);
+			if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(schema.name)) {
+				throw new Error(`${label} ${i} name must be a valid identifier`);
 			}
 
-			if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(param.name)) {
-				throw new Error(`${type} parameter ${i} name must be a valid identifier`);
+			if (names.has(schema.name)) {
+				throw new Error(`${label} ${i} name '${schema.name}' is duplicated`);
 			}
+			names.add(schema.name);
 
-			// Vérifier les types valides
-			const validTypes = [
-				"string", "number", "boolean", "object", "array", 
-				"function", "any", "null", "undefined"
-			];
-			
-			if (!validTypes.includes(param.type)) {
-				throw new Error(`${type} parameter ${i} has invalid type: ${param.type}`);
+			this.validateSchema(schema, `${label} ${i} (${schema.name})`, depth);
+		}
+	}
+
+	/**
+	 * Valider la définition de type d'un paramètre, récursivement
+	 */
+	static validateSchema(schema, label, depth) {
+		if (depth > MAX_SCHEMA_DEPTH) {
+			throw new Error(`${label} exceeds the maximum nesting depth of ${MAX_SCHEMA_DEPTH}`);
+		}
+
+		if (!schema || typeof schema !== "object" || Array.isArray(schema)) {
+			throw new Error(`${label} must be an object`);
+		}
+
+		// Un type est un nom de type ou une union de noms de types
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+		if (types.length === 0 || types.some(t => !t || typeof t !== "string")) {
+			throw new Error(`${label} must have a valid type`);
+		}
+
+		for (const t of types) {
+			if (!VALID_TYPES.includes(t.trim())) {
+				throw new Error(`${label} has invalid type: ${t}`);
+			}
+		}
+
+		const allows = t => types.some(candidate => candidate.trim() === t || candidate.trim() === "any");
+
+		if (schema.nullable !== undefined && typeof schema.nullable !== "boolean") {
+			throw new Error(`${label} nullable must be a boolean`);
+		}
+
+		if (schema.enum !== undefined) {
+			if (!Array.isArray(schema.enum) || schema.enum.length === 0) {
+				throw new Error(`${label} enum must be a non-empty array`);
+			}
+
+			if (schema.enum.some(v => v !== null && typeof v === "object")) {
+				throw new Error(`${label} enum values must be primitives`);
+			}
+		}
+
+		for (const bound of ["min", "max"]) {
+			if (schema[bound] === undefined) continue;
+
+			if (typeof schema[bound] !== "number" || !Number.isFinite(schema[bound])) {
+				throw new Error(`${label} ${bound} must be a finite number`);
+			}
+
+			if (!allows("number") && !allows("string") && !allows("array")) {
+				throw new Error(`${label} ${bound} only applies to number, string or array types`);
+			}
+		}
+
+		if (schema.min !== undefined && schema.max !== undefined && schema.min > schema.max) {
+			throw new Error(`${label} min cannot be greater than max`);
+		}
+
+		if (schema.pattern !== undefined) {
+			if (typeof schema.pattern !== "string" || !allows("string")) {
+				throw new Error(`${label} pattern must be a string and only applies to string types`);
+			}
+
+			try {
+				new RegExp(schema.pattern);
+			} catch (err) {
+				throw new Error(`${label} pattern is not a valid regular expression: ${err.message}`);
+			}
+		}
+
+		if (schema.properties !== undefined) {
+			if (!Array.isArray(schema.properties) || !allows("object")) {
+				throw new Error(`${label} properties must be an array and only applies to object types`);
+			}
+
+			this.validateNamedSchemas(schema.properties, `${label} property`, depth + 1);
+		}
+
+		if (schema.items !== undefined) {
+			if (!allows("array")) {
+				throw new Error(`${label} items only applies to array types`);
+			}
+
+			this.validateSchema(schema.items, `${label} items`, depth + 1);
+		}
+
+		// La valeur par défaut doit respecter sa propre définition
+		if (schema.default !== undefined && schema.default !== null) {
+			const errors = [];
+			ContractValidator.checkValue(this.normalizeSchema(schema), schema.default, "default", errors);
+			if (errors.length > 0) {
+				throw new Error(`${label} default value is invalid: ${errors[0].message}`);
 			}
 		}
 	}
@@ -135,7 +369,12 @@ class FunctionValidator {
 			// Vérifier que c'est du JavaScript valide
 			new Function(code);
 		} catch (err) {
-			throw new Error(`${type} code has syntax error: ${err.message}`);
+			// Accepter aussi une expression de fonction anonyme, ex: "function(inputParams) { ... }"
+			try {
+				new Function(`return (${code}\n);`);
+			} catch {
+				throw new Error(`${type} code has syntax error: ${err.message}`);
+			}
 		}
 	}
 
@@ -145,12 +384,61 @@ class FunctionValidator {
 	static normalizeParams(params) {
 		return params.map(param => ({
 			name: param.name.trim(),
-			type: param.type.trim(),
+			...this.normalizeSchema(param),
 			description: param.description ? param.description.trim() : "",
 			required: param.required !== false, // Par défaut true
 			default: param.default
 		}));
 	}
+
+	/**
+	 * Normaliser les dépendances
+	 */
+	static normalizeDependencies(dependencies) {
+		return dependencies.map(dependency => dependency.trim());
+	}
+
+	/**
+	 * Normaliser les déclencheurs : identifiant stable, production et activés par défaut
+	 */
+	static normalizeTriggers(triggers) {
+		return triggers.map((trigger, i) => {
+			const normalized = {
+				id: trigger.id || `${trigger.type}-${i + 1}`,
+				type: trigger.type,
+				environment: trigger.environment || "production",
+				enabled: trigger.enabled !== false,
+				inputs: trigger.inputs || {}
+			};
+
+			if (trigger.type === "cron") normalized.schedule = trigger.schedule.trim();
+			if (trigger.type === "event") normalized.event = trigger.event.trim();
+			if (trigger.type === "event" && trigger.service) normalized.service = trigger.service.trim();
+			if (trigger.type === "etcd") normalized.prefix = trigger.prefix;
+			if (trigger.type === "etcd") normalized.actions = trigger.actions || ["set", "delete"];
+
+			return normalized;
+		});
+	}
+
+	/**
+	 * Normaliser une définition de type (sans les attributs propres aux paramètres)
+	 */
+	static normalizeSchema(schema) {
+		const normalized = {
+			type: Array.isArray(schema.type) ? schema.type.map(t => t.trim()) : schema.type.trim()
+		};
+
+		if (schema.nullable) normalized.nullable = true;
+		if (schema.enum !== undefined) normalized.enum = [...schema.enum];
+		if (schema.min !== undefined) normalized.min = schema.min;
+		if (schema.max !== undefined) normalized.max = schema.max;
+		if (schema.pattern !== undefined) normalized.pattern = schema.pattern;
+		if (schema.properties !== undefined) normalized.properties = this.normalizeParams(schema.properties);
+		if (schema.items !== undefined) normalized.items = this.normalizeSchema(schema.items);
+
+		return normalized;
+	}
 }
 
 module.exports = FunctionValidator;
\ No newline at end of file
@@ -0,0 +1,88 @@
+// services/versioning/revision-diff.js
+"use strict";
+
+// Champs d'une révision comparés ligne par ligne
+const DIFF_FIELDS = ["code", "testCode", "inputParams", "outputParams", "dependencies"];
+
+class RevisionDiff {
+	/**
+	 * Comparer deux révisions d'une fonction champ par champ
+	 */
+	static diffRevisions(from, to) {
+		const changes = {};
+		const stats = { added: 0, removed: 0 };
+
+		for (const field of DIFF_FIELDS) {
+			const lines = this.diffLines(this.toText(from[field]), this.toText(to[field]));
+
+			if (lines.some(line => line.type !== "equal")) {
+				changes[field] = lines;
+				stats.added += lines.filter(line => line.type === "added").length;
+				stats.removed += lines.filter(line => line.type === "removed").length;
+			}
+		}
+
+		return {
+			name: to.name,
+			from: from.revision,
+			to: to.revision,
+			identical: Object.keys(changes).length === 0,
+			stats,
+			changes
+		};
+	}
+
+	/**
+	 * Diff ligne par ligne basé sur la plus longue sous-séquence commune
+	 */
+	static diffLines(before, after) {
+		const a = before.split("\n");
+		const b = after.split("\n");
+
+		// lcs[i][j] = longueur de la LCS entre a[i..] et b[j..]
+		const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+		for (let i = a.length - 1; i >= 0; i--) {
+			for (let j = b.length - 1; j >= 0; j--) {
+				lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+			}
+		}
+
+		const result = [];
+		let i = 0;
+		let j = 0;
+
+		while (i < a.length && j < b.length) {
+			if (a[i] === b[j]) {
+				result.push({ type: "equal", line: a[i], oldLine: i + 1, newLine: j + 1 });
+				i++;
+				j++;
+			} else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+				result.push({ type: "removed", line: a[i], oldLine: i + 1 });
+				i++;
+			} else {
+				result.push({ type: "added", line: b[j], newLine: j + 1 });
+				j++;
+			}
+		}
+
+		for (; i < a.length; i++) {
+			result.push({ type: "removed", line: a[i], oldLine: i + 1 });
+		}
+
+		for (; j < b.length; j++) {
+			result.push({ type: "added", line: b[j], newLine: j + 1 });
+		}
+
+		return result;
+	}
+
+	/**
+	 * Représentation textuelle d'un champ pour le diff
+	 */
+	static toText(value) {
+		if (value === undefined || value === null) return "";
+		return typeof value === "string" ? value : JSON.stringify(value, null, 2);
+	}
+}
+
+module.exports = RevisionDiff;
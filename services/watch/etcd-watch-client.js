@@ -0,0 +1,150 @@
+// services/watch/etcd-watch-client.js
+"use strict";
+
+// Tentatives de reprise d'un watch lorsque le nœud etcd qui le portait disparaît
+const RESUME_ATTEMPTS = 5;
+const RESUME_DELAY = 1000;
+
+/**
+ * Abonnement aux watches etcd par callback, pour les services qui incluent ce mixin
+ * Les notifications arrivent sur l'événement "etcd.watch" et sont routées par watchId ;
+ * si le nœud etcd qui porte le watch se déconnecte, le watch est recréé sur un autre
+ * nœud à partir de la dernière révision reçue, sans perte d'événement
+ */
+module.exports = {
+	events: {
+		"etcd.watch"(payload) {
+			const subscription = this.etcdWatches.get(payload.watchId);
+			if (subscription) {
+				this.handleEtcdWatchEvent(subscription, payload);
+			}
+		},
+
+		"$node.disconnected"(payload) {
+			for (const subscription of this.etcdWatches.values()) {
+				if (subscription.nodeId === payload.node.id) {
+					this.resumeEtcdWatch(subscription);
+				}
+			}
+		}
+	},
+
+	methods: {
+		/**
+		 * Observer une clé ou un préfixe etcd
+		 * @param {Object} options - { key } ou { prefix }, et fromRevision optionnelle
+		 * @param {Function} onChange - appelée avec chaque événement { type, key, value, version, revision }
+		 * @param {Function} onError - appelée si le watch ne peut pas être repris
+		 * @returns {Object} abonnement { id, revision, stop() }
+		 */
+		async watchEtcd({ key, prefix, fromRevision }, onChange, onError = () => {}) {
+			const subscription = {
+				id: `${this.broker.nodeID}-${this.name}-${Date.now()}-${++this.etcdWatchSequence}`,
+				key,
+				prefix,
+				nodeId: null,
+				lastRevision: fromRevision !== undefined ? fromRevision - 1 : null,
+				onChange,
+				onError,
+				stop: () => this.unwatchEtcd(subscription)
+			};
+
+			// Enregistré avant l'appel : le rejeu peut arriver avant la réponse
+			this.etcdWatches.set(subscription.id, subscription);
+
+			try {
+				const result = await this.subscribeEtcdWatch(subscription, fromRevision);
+				subscription.revision = result.revision;
+			} catch (err) {
+				this.etcdWatches.delete(subscription.id);
+				throw err;
+			}
+
+			return subscription;
+		},
+
+		/**
+		 * Créer le watch sur un nœud etcd
+		 */
+		async subscribeEtcdWatch(subscription, fromRevision) {
+			const result = await this.broker.call("etcd.watch", {
+				watchId: subscription.id,
+				key: subscription.key,
+				prefix: subscription.prefix,
+				fromRevision
+			});
+
+			subscription.nodeId = result.nodeId;
+			if (subscription.lastRevision === null) {
+				subscription.lastRevision = result.revision;
+			}
+
+			return result;
+		},
+
+		/**
+		 * Transmettre un événement au callback, dans l'ordre des révisions
+		 */
+		handleEtcdWatchEvent(subscription, event) {
+			if (subscription.lastRevision !== null && event.revision < subscription.lastRevision) {
+				return;
+			}
+
+			subscription.lastRevision = event.revision;
+
+			try {
+				subscription.onChange(event);
+			} catch (err) {
+				this.logger.error(`Watch callback '${subscription.id}' failed:`, err);
+			}
+		},
+
+		/**
+		 * Recréer un watch après la perte de son nœud etcd, à partir de la révision suivante
+		 */
+		async resumeEtcdWatch(subscription) {
+			subscription.nodeId = null;
+
+			for (let attempt = 1; attempt <= RESUME_ATTEMPTS; attempt++) {
+				if (!this.etcdWatches.has(subscription.id)) return;
+
+				try {
+					await this.subscribeEtcdWatch(subscription, subscription.lastRevision + 1);
+					this.logger.info(`Watch '${subscription.id}' resumed on ${subscription.nodeId} from revision ${subscription.lastRevision + 1}`);
+					return;
+				} catch (err) {
+					// Les révisions manquantes ont été compactées : la reprise est impossible
+					if (err.type === "REVISION_COMPACTED" || attempt === RESUME_ATTEMPTS) {
+						this.etcdWatches.delete(subscription.id);
+						this.logger.warn(`Watch '${subscription.id}' could not be resumed:`, err.message);
+						subscription.onError(err);
+						return;
+					}
+					await new Promise(resolve => setTimeout(resolve, RESUME_DELAY));
+				}
+			}
+		},
+
+		/**
+		 * Arrêter un watch
+		 */
+		async unwatchEtcd(subscription) {
+			if (!this.etcdWatches.delete(subscription.id) || !subscription.nodeId) return;
+
+			try {
+				await this.broker.call("etcd.unwatch", { watchId: subscription.id }, { nodeID: subscription.nodeId });
+			} catch (err) {
+				this.logger.debug(`Failed to cancel watch '${subscription.id}':`, err.message);
+			}
+		}
+	},
+
+	created() {
+		this.etcdWatches = new Map();
+		this.etcdWatchSequence = 0;
+	},
+
+	async stopped() {
+		await Promise.all(Array.from(this.etcdWatches.values()).map(subscription => this.unwatchEtcd(subscription)));
+	}
+};
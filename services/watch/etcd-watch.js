@@ -0,0 +1,185 @@
+// services/watch/etcd-watch.js
+"use strict";
+
+const { Errors } = require("moleculer");
+
+// Événement Moleculer par défaut des notifications de watch
+const DEFAULT_WATCH_EVENT = "etcd.watch";
+
+/**
+ * Observateurs de clés etcd
+ * Chaque nœud notifie les observateurs enregistrés chez lui, au fil des changements
+ * qu'il applique (écritures locales, réplication, snapshot) : la révision d'un même
+ * changement est identique sur tous les nœuds, ce qui permet de reprendre ailleurs
+ */
+module.exports = {
+	methods: {
+		/**
+		 * Initialiser le registre des observateurs
+		 */
+		initializeWatchers() {
+			this.watchers = new Map();
+			this.watchSequence = 0;
+		},
+
+		/**
+		 * Enregistrer un observateur sur une clé ou un préfixe
+		 * Les changements conservés depuis `fromRevision` (inclus) sont rejoués avant les suivants
+		 */
+		createWatcher({ watchId, key, prefix, fromRevision, event }, ownerNode) {
+			if ((key === undefined) === (prefix === undefined)) {
+				throw new Errors.ValidationError("Watch requires either a key or a prefix", "VALIDATION_ERROR", { key, prefix });
+			}
+
+			const compactedRevision = this.getCompactedRevision();
+			if (fromRevision !== undefined && fromRevision <= compactedRevision) {
+				throw new Errors.MoleculerClientError(
+					`Revision ${fromRevision} has been compacted (oldest available: ${compactedRevision + 1})`,
+					410,
+					"REVISION_COMPACTED",
+					{ fromRevision, compactedRevision, revision: this.storage.revision }
+				);
+			}
+
+			const id = watchId || `${this.broker.nodeID}-${Date.now()}-${++this.watchSequence}`;
+			if (this.watchers.has(id)) {
+				throw new Errors.MoleculerClientError(`Watch '${id}' already exists`, 409, "CONFLICT", { watchId: id });
+			}
+
+			const watcher = {
+				id,
+				key,
+				prefix,
+				event: event || DEFAULT_WATCH_EVENT,
+				ownerNode,
+				createdAt: Date.now(),
+				lastRevision: fromRevision !== undefined ? fromRevision - 1 : this.storage.revision
+			};
+			this.watchers.set(id, watcher);
+
+			// Rejeu et enregistrement dans le même tour : aucun changement ne peut s'intercaler
+			let replayed = 0;
+			if (fromRevision !== undefined) {
+				for (const change of this.getChangesSince(fromRevision - 1)) {
+					for (const event of this.expandChange(change)) {
+						if (this.watchMatches(watcher, event.key)) {
+							this.deliverWatchEvent(watcher, event);
+							replayed++;
+						}
+					}
+				}
+			}
+
+			this.logger.debug(`Watch '${id}' created on ${key !== undefined ? `key '${key}'` : `prefix '${prefix}'`} for ${ownerNode}`);
+
+			return {
+				watchId: id,
+				nodeId: this.broker.nodeID,
+				event: watcher.event,
+				revision: this.storage.revision,
+				compactedRevision,
+				replayed
+			};
+		},
+
+		/**
+		 * Supprimer un observateur
+		 */
+		cancelWatcher(watchId) {
+			return this.watchers.delete(watchId);
+		},
+
+		/**
+		 * Supprimer les observateurs d'un nœud déconnecté
+		 */
+		cancelNodeWatchers(nodeId) {
+			for (const [id, watcher] of this.watchers) {
+				if (watcher.ownerNode === nodeId) {
+					this.watchers.delete(id);
+				}
+			}
+		},
+
+		/**
+		 * Un observateur suit-il cette clé ?
+		 */
+		watchMatches(watcher, key) {
+			// Les changements de baux ne portent pas de clé
+			if (key === undefined) return false;
+
+			return watcher.key !== undefined ? key === watcher.key : key.startsWith(watcher.prefix);
+		},
+
+		/**
+		 * Notifier les observateurs concernés par un changement appliqué
+		 */
+		notifyWatchers(change) {
+			this.notifyWatchEvents(change.revision, this.expandChange(change));
+		},
+
+		/**
+		 * Notifier en un seul lot des changements de clés portant tous la même révision
+		 * (transaction, snapshot) : la révision n'est comparée qu'une fois par observateur,
+		 * avant que la livraison du premier événement ne l'avance
+		 */
+		notifyWatchEvents(revision, events) {
+			if (!this.watchers || this.watchers.size === 0) return;
+
+			for (const watcher of this.watchers.values()) {
+				if (revision <= watcher.lastRevision) continue;
+
+				for (const event of events) {
+					if (this.watchMatches(watcher, event.key)) {
+						this.deliverWatchEvent(watcher, event);
+					}
+				}
+			}
+		},
+
+		/**
+		 * Changements par clé d'une entrée du changelog : une transaction en porte plusieurs,
+		 * tous à la révision de la transaction
+		 */
+		expandChange(change) {
+			if (change.action !== "txn") {
+				return [change];
+			}
+			return change.ops.map(op => ({ ...op, revision: change.revision, timestamp: change.timestamp }));
+		},
+
+		/**
+		 * Diffuser un événement de watch (le destinataire filtre sur watchId)
+		 */
+		deliverWatchEvent(watcher, change) {
+			watcher.lastRevision = change.revision;
+
+			this.broker.broadcast(watcher.event, {
+				watchId: watcher.id,
+				type: change.action,
+				key: change.key,
+				value: change.action === "set" ? change.value : undefined,
+				version: change.version,
+				revision: change.revision,
+				timestamp: change.timestamp,
+				nodeId: this.broker.nodeID
+			}).catch(err => {
+				this.logger.warn(`Failed to deliver watch event '${watcher.id}':`, err.message);
+			});
+		},
+
+		/**
+		 * Lister les observateurs de ce nœud
+		 */
+		listWatchers() {
+			return Array.from(this.watchers.values()).map(({ id, key, prefix, event, ownerNode, createdAt, lastRevision }) => ({
+				watchId: id,
+				key,
+				prefix,
+				event,
+				ownerNode,
+				createdAt,
+				lastRevision
+			}));
+		}
+	}
+};
@@ -142,7 +142,7 @@ class CoderDBInterface {
                 <div class="function-meta">
                     <div>
                         <span class="status-indicator status-${func.environment === 'production' ? 'prod' : 'dev'}"></span>
-                        ${func.environment === 'production' ? 'Production' : 'Développement'}
+                        ${this.environmentLabel(func.environment)} — révision #${func.revision || 1}
                     </div>
                     <div>Créé: ${new Date(func.createdAt).toLocaleDateString()}</div>
                     <div>Modifié: ${new Date(func.updatedAt).toLocaleDateString()}</div>
@@ -150,13 +150,14 @@ class CoderDBInterface {
                 <div class="function-params">
                     <strong>Entrées:</strong> ${func.inputParams?.length || 0} paramètres<br>
                     <strong>Sorties:</strong> ${func.outputParams?.length || 0} paramètres
+                    ${func.dependencies?.length ? `<br><strong>Dépendances:</strong> ${func.dependencies.join(', ')}` : ''}
                 </div>
                 <div class="function-actions">
                     <button onclick="app.editFunction('${func.name}')" class="btn btn-primary">✏️ Éditer</button>
                     <button onclick="app.selectFunctionForTesting('${func.name}')" class="btn btn-secondary">🧪 Tester</button>
                     <button onclick="app.cloneFunction('${func.name}')" class="btn">📋 Cloner</button>
-                    ${func.environment !== 'production' ? 
-                        `<button onclick="app.promoteToProduction('${func.name}')" class="btn" style="background: #28a745; color: white;">🚀 Production</button>` : 
+                    ${this.nextEnvironment(func) ? 
+                        `<button onclick="app.promoteFunction('${func.name}', '${this.nextEnvironment(func)}')" class="btn" style="background: #28a745; color: white;">🚀 ${this.environmentLabel(this.nextEnvironment(func))}</button>` : 
                         ''
                     }
                     <button onclick="app.deleteFunction('${func.name}')" class="btn btn-danger">🗑️ Supprimer</button>
@@ -192,32 +193,96 @@ class CoderDBInterface {
             this.currentFunction = func;
             
             document.getElementById('function-name').value = func.name;
+            document.getElementById('function-dependencies').value = (func.dependencies || []).join(', ');
             this.editors.functionCode.setValue(func.code);
             this.editors.testCode.setValue(func.testCode);
             
             this.loadParams('input-params', func.inputParams || []);
             this.loadParams('output-params', func.outputParams || []);
+
+            await this.loadRevisionHistory(func.name);
         } catch (error) {
             console.error('Erreur chargement fonction:', error);
         }
     }
 
+    // Historique des révisions
+    async loadRevisionHistory(name) {
+        const container = document.getElementById('revision-history');
+        document.getElementById('revision-diff').innerHTML = '';
+
+        try {
+            const revisions = await this.apiCall(`/functions/${encodeURIComponent(name)}/revisions`);
+            const current = this.currentFunction ? this.currentFunction.revision : null;
+
+            container.innerHTML = revisions.map(rev => `
+                <div class="revision-item">
+                    <div>
+                        <strong>#${rev.revision}</strong>
+                        ${rev.revision === current ? '<span class="revision-current">actuelle</span>' : ''}
+                        <small>${new Date(rev.createdAt).toLocaleString()} — ${rev.author?.name || 'anonymous'}</small>
+                        ${rev.rolledBackFrom ? `<small>(restaurée depuis #${rev.rolledBackFrom})</small>` : ''}
+                    </div>
+                    ${rev.revision !== current ? `
+                        <div>
+                            <button onclick="app.showRevisionDiff(${rev.revision})" class="btn btn-sm">🔍 Diff</button>
+                            <button onclick="app.rollbackToRevision(${rev.revision})" class="btn btn-sm">⏪ Restaurer</button>
+                        </div>
+                    ` : ''}
+                </div>
+            `).join('');
+        } catch (error) {
+            container.innerHTML = '<p class="no-results">Aucune révision</p>';
+        }
+    }
+
+    async showRevisionDiff(revision) {
+        if (!this.currentFunction) return;
+
+        const name = encodeURIComponent(this.currentFunction.name);
+        const diff = await this.apiCall(`/functions/${name}/diff?from=${revision}`);
+        const container = document.getElementById('revision-diff');
+        const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        const prefixes = { added: '+ ', removed: '- ', equal: '  ' };
+
+        if (diff.identical) {
+            container.innerHTML = `<p class="no-results">Révisions #${diff.from} et #${diff.to} identiques</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <h4>Révision #${diff.from} → #${diff.to} (+${diff.stats.added} / -${diff.stats.removed})</h4>
+            ${Object.entries(diff.changes).map(([field, lines]) => `
+                <h5>${field}</h5>
+                <div class="test-output">${lines.map(l =>
+                    `<span class="diff-${l.type}">${prefixes[l.type]}${escape(l.line)}</span>`
+                ).join('\n')}</div>
+            `).join('')}
+        `;
+    }
+
+    async rollbackToRevision(revision) {
+        if (!this.currentFunction) return;
+
+        const name = this.currentFunction.name;
+        if (!confirm(`Restaurer "${name}" à la révision #${revision} ?`)) {
+            return;
+        }
+
+        try {
+            await this.apiCall(`/functions/${encodeURIComponent(name)}/rollback`, 'POST', { revision });
+            this.showSuccess(`Révision #${revision} restaurée`);
+            await this.loadFunctionInEditor(name);
+            await this.loadFunctions();
+        } catch (error) {
+            console.error('Erreur restauration:', error);
+        }
+    }
+
     loadParams(containerId, params) {
         const container = document.getElementById(containerId);
         container.innerHTML = params.map(param => `
-            <div class="param-item">
-                <input type="text" placeholder="Nom" class="param-name" value="${param.name || ''}">
-                <select class="param-type">
-                    <option value="string" ${param.type === 'string' ? 'selected' : ''}>string</option>
-                    <option value="number" ${param.type === 'number' ? 'selected' : ''}>number</option>
-                    <option value="boolean" ${param.type === 'boolean' ? 'selected' : ''}>boolean</option>
-                    <option value="object" ${param.type === 'object' ? 'selected' : ''}>object</option>
-                    <option value="array" ${param.type === 'array' ? 'selected' : ''}>array</option>
-                    <option value="any" ${param.type === 'any' ? 'selected' : ''}>any</option>
-                </select>
-                <input type="text" placeholder="Description" class="param-desc" value="${param.description || ''}">
-                <button onclick="app.removeParam(this)" class="btn-remove">✕</button>
-            </div>
+            <div class="param-item">${this.renderParamFields(param)}</div>
         `).join('');
 
         if (params.length === 0) {
@@ -225,14 +290,53 @@ class CoderDBInterface {
         }
     }
 
+    renderParamFields(param = {}) {
+        const types = ['string', 'number', 'boolean', 'object', 'array', 'any'];
+        const type = Array.isArray(param.type) ? param.type.join('|') : (param.type || 'string');
+        const options = types.includes(type) ? types : [...types, type];
+        const escape = value => String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;');
+        const valueOf = value => value === undefined || value === null ? '' : escape(value);
+
+        // Schéma imbriqué : propriétés d'un objet ou type des éléments d'un tableau
+        const schema = param.properties ? { properties: param.properties } : (param.items ? { items: param.items } : null);
+
+        return `
+            <input type="text" placeholder="Nom" class="param-name" value="${valueOf(param.name)}">
+            <select class="param-type" onchange="app.toggleParamSchema(this)">
+                ${options.map(t => `<option value="${t}" ${t === type ? 'selected' : ''}>${t}</option>`).join('')}
+            </select>
+            <input type="text" placeholder="Description" class="param-desc" value="${valueOf(param.description)}">
+            <button onclick="app.removeParam(this)" class="btn-remove">✕</button>
+            <div class="param-options">
+                <label><input type="checkbox" class="param-required" ${param.required !== false ? 'checked' : ''}> requis</label>
+                <label><input type="checkbox" class="param-nullable" ${param.nullable ? 'checked' : ''}> nullable</label>
+                <input type="text" placeholder="Défaut (JSON)" class="param-default" value="${param.default !== undefined ? escape(JSON.stringify(param.default)) : ''}">
+                <input type="text" placeholder="Enum (a, b, c)" class="param-enum" value="${param.enum ? escape(param.enum.join(', ')) : ''}">
+                <input type="number" placeholder="Min" class="param-min" value="${valueOf(param.min)}">
+                <input type="number" placeholder="Max" class="param-max" value="${valueOf(param.max)}">
+                <input type="text" placeholder="Pattern (regex)" class="param-pattern" value="${valueOf(param.pattern)}">
+                <textarea class="param-schema" rows="3" placeholder='{"properties": [{"name": "open", "type": "number"}]} ou {"items": {"type": "number"}}'
+                    style="display: ${type === 'object' || type === 'array' ? 'block' : 'none'};">${schema ? escape(JSON.stringify(schema, null, 2)) : ''}</textarea>
+            </div>
+        `;
+    }
+
+    toggleParamSchema(select) {
+        const schema = select.parentElement.querySelector('.param-schema');
+        schema.style.display = select.value === 'object' || select.value === 'array' ? 'block' : 'none';
+    }
+
     clearEditor() {
         this.currentFunction = null;
         document.getElementById('function-name').value = '';
+        document.getElementById('function-dependencies').value = '';
         this.editors.functionCode.setValue('function(inputParams) {\n    // Votre code ici\n    return inputParams;\n}');
         this.editors.testCode.setValue('// Tests pour votre fonction\nfunction test(functionName, testInputs, console) {\n    const result = functionName(testInputs);\n    console.assert(result !== undefined, "Function should return a result");\n    return "Tests passed!";\n}');
         
         document.getElementById('input-params').innerHTML = '';
         document.getElementById('output-params').innerHTML = '';
+        document.getElementById('revision-history').innerHTML = '<p class="no-results">Aucune révision</p>';
+        document.getElementById('revision-diff').innerHTML = '';
         
         this.addInputParam();
         this.addOutputParam();
@@ -250,19 +354,7 @@ class CoderDBInterface {
         const container = document.getElementById(containerId);
         const paramDiv = document.createElement('div');
         paramDiv.className = 'param-item';
-        paramDiv.innerHTML = `
-            <input type="text" placeholder="Nom" class="param-name">
-            <select class="param-type">
-                <option value="string">string</option>
-                <option value="number">number</option>
-                <option value="boolean">boolean</option>
-                <option value="object">object</option>
-                <option value="array">array</option>
-                <option value="any">any</option>
-            </select>
-            <input type="text" placeholder="Description" class="param-desc">
-            <button onclick="app.removeParam(this)" class="btn-remove">✕</button>
-        `;
+        paramDiv.innerHTML = this.renderParamFields();
         container.appendChild(paramDiv);
     }
 
@@ -276,43 +368,108 @@ class CoderDBInterface {
         
         return Array.from(paramItems).map(item => {
             const name = item.querySelector('.param-name').value.trim();
-            const type = item.querySelector('.param-type').value;
-            const description = item.querySelector('.param-desc').value.trim();
-            
-            return name ? { name, type, description } : null;
+            if (!name) return null;
+
+            const typeValue = item.querySelector('.param-type').value;
+            const param = {
+                name,
+                type: typeValue.includes('|') ? typeValue.split('|') : typeValue,
+                description: item.querySelector('.param-desc').value.trim(),
+                required: item.querySelector('.param-required').checked
+            };
+
+            if (item.querySelector('.param-nullable').checked) {
+                param.nullable = true;
+            }
+
+            const defaultValue = item.querySelector('.param-default').value.trim();
+            if (defaultValue) {
+                param.default = this.parseParamJson(defaultValue, `${name}: défaut`);
+            }
+
+            const enumValue = item.querySelector('.param-enum').value.trim();
+            if (enumValue) {
+                param.enum = enumValue.split(',')
+                    .map(v => v.trim())
+                    .filter(v => v.length > 0)
+                    .map(v => typeValue === 'number' ? parseFloat(v) : v);
+            }
+
+            const min = item.querySelector('.param-min').value;
+            const max = item.querySelector('.param-max').value;
+            if (min !== '') param.min = parseFloat(min);
+            if (max !== '') param.max = parseFloat(max);
+
+            const pattern = item.querySelector('.param-pattern').value.trim();
+            if (pattern) {
+                param.pattern = pattern;
+            }
+
+            const schemaValue = item.querySelector('.param-schema').value.trim();
+            if (schemaValue && (typeValue === 'object' || typeValue === 'array')) {
+                const schema = this.parseParamJson(schemaValue, `${name}: schéma`);
+                if (typeValue === 'object' && schema.properties) param.properties = schema.properties;
+                if (typeValue === 'array' && schema.items) param.items = schema.items;
+            }
+
+            return param;
         }).filter(param => param !== null);
     }
 
+    parseParamJson(value, label) {
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            // Une valeur par défaut peut être une simple chaîne
+            if (label.endsWith('défaut')) return value;
+            throw new Error(`JSON invalide (${label}): ${error.message}`);
+        }
+    }
+
     async saveFunction() {
         try {
             const name = document.getElementById('function-name').value.trim();
             const code = this.editors.functionCode.getValue().trim();
             const testCode = this.editors.testCode.getValue().trim();
+            const dependencies = document.getElementById('function-dependencies').value
+                .split(',')
+                .map(dependency => dependency.trim())
+                .filter(dependency => dependency);
             
             if (!name || !code || !testCode) {
                 this.showError('Tous les champs sont requis');
                 return;
             }
 
-            const inputParams = this.getParamsFromContainer('input-params');
-            const outputParams = this.getParamsFromContainer('output-params');
+            let inputParams;
+            let outputParams;
+            try {
+                inputParams = this.getParamsFromContainer('input-params');
+                outputParams = this.getParamsFromContainer('output-params');
+            } catch (error) {
+                this.showError(error.message);
+                return;
+            }
 
             const functionData = {
                 name,
                 inputParams,
                 outputParams,
                 code,
-                testCode
+                testCode,
+                dependencies
             };
 
             if (this.currentFunction) {
-                await this.apiCall(`/functions/${encodeURIComponent(this.currentFunction.name)}`, 'PUT', functionData);
-                this.showSuccess('Fonction mise à jour avec succès');
+                this.currentFunction = await this.apiCall(`/functions/${encodeURIComponent(this.currentFunction.name)}`, 'PUT', functionData);
+                this.showSuccess(`Fonction mise à jour (révision #${this.currentFunction.revision})`);
             } else {
-                await this.apiCall('/functions', 'POST', functionData);
+                this.currentFunction = await this.apiCall('/functions', 'POST', functionData);
                 this.showSuccess('Fonction créée avec succès');
             }
 
+            await this.loadRevisionHistory(this.currentFunction.name);
+
             await this.loadFunctions();
             this.loadProductionView();
         } catch (error) {
@@ -394,7 +551,16 @@ class CoderDBInterface {
     }
 
     generateInputField(param, inputId) {
-        switch (param.type) {
+        if (param.enum) {
+            return `
+                <select id="${inputId}" data-type="${param.type === 'number' ? 'number' : 'string'}">
+                    ${param.required === false ? '<option value=""></option>' : ''}
+                    ${param.enum.map(v => `<option value="${v}">${v}</option>`).join('')}
+                </select>
+            `;
+        }
+
+        switch (Array.isArray(param.type) ? 'object' : param.type) {
             case 'boolean':
                 return `
                     <select id="${inputId}" data-type="boolean">
@@ -403,7 +569,8 @@ class CoderDBInterface {
                     </select>
                 `;
             case 'number':
-                return `<input type="number" id="${inputId}" data-type="number" placeholder="Entrez un nombre">`;
+                return `<input type="number" id="${inputId}" data-type="number" placeholder="Entrez un nombre"
+                    ${param.min !== undefined ? `min="${param.min}"` : ''} ${param.max !== undefined ? `max="${param.max}"` : ''}>`;
             case 'object':
             case 'array':
                 return `<textarea id="${inputId}" data-type="${param.type}" placeholder="Entrez du JSON valide" rows="3"></textarea>`;
@@ -484,6 +651,7 @@ class CoderDBInterface {
                         <div class="test-output">${result.testResults.success ? '✅ ' + result.testResults.message : '❌ ' + result.testResults.error}</div>
                     </div>
                 ` : ''}
+                ${this.renderTestLogs(result.logs)}
                 <small style="color: #666; margin-top: 10px; display: block;">Exécuté le ${new Date(result.executedAt).toLocaleString()}</small>
             `;
         } else {
@@ -491,11 +659,23 @@ class CoderDBInterface {
             container.innerHTML = `
                 <h4 style="color: #dc3545; margin-bottom: 10px;">❌ Test échoué</h4>
                 <div class="test-output">Erreur: ${result.error}</div>
+                ${this.renderTestLogs(result.logs)}
                 <small style="color: #666; margin-top: 10px; display: block;">Exécuté le ${new Date(result.executedAt).toLocaleString()}</small>
             `;
         }
     }
 
+    renderTestLogs(logs) {
+        if (!logs || logs.length === 0) return '';
+
+        return `
+            <div style="margin-top: 15px;">
+                <h5>Console:</h5>
+                <div class="test-output">${logs.map(log => `[${log.level}] ${log.message}`).join('\n')}</div>
+            </div>
+        `;
+    }
+
     clearTestInterface() {
         document.getElementById('test-inputs').innerHTML = '<p style="color: #666; font-style: italic;">Sélectionnez une fonction pour commencer les tests.</p>';
         this.clearTestResults();
@@ -528,6 +708,7 @@ class CoderDBInterface {
             
             delete clonedFunction.createdAt;
             delete clonedFunction.updatedAt;
+            delete clonedFunction.revision;
             
             await this.apiCall('/functions', 'POST', clonedFunction);
             this.showSuccess('Fonction clonée avec succès');
@@ -552,14 +733,80 @@ class CoderDBInterface {
         }
     }
 
-    async promoteToProduction(name) {
-        if (!confirm(`Promouvoir "${name}" en production ?`)) {
+    // Export / import du registre
+    async exportBundle() {
+        try {
+            const bundle = await this.apiCall('/export');
+            const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = `coderdb-bundle-${new Date().toISOString().slice(0, 10)}.json`;
+            link.click();
+            URL.revokeObjectURL(link.href);
+            this.showSuccess(`${bundle.functions.length} fonctions exportées`);
+        } catch (error) {
+            console.error('Erreur export:', error);
+        }
+    }
+
+    async importBundle(input) {
+        const file = input.files[0];
+        input.value = '';
+        if (!file) return;
+
+        let bundle;
+        try {
+            bundle = JSON.parse(await file.text());
+        } catch (error) {
+            this.showError('Fichier de bundle invalide (JSON attendu)');
             return;
         }
 
+        const policy = prompt('Politique en cas de conflit (skip, overwrite, rename) :', 'skip');
+        if (!policy) return;
+
         try {
-            await this.apiCall(`/functions/${encodeURIComponent(name)}/promote`, 'POST');
-            this.showSuccess('Fonction promue en production');
+            // Simulation d'abord, puis confirmation
+            const preview = await this.apiCall('/import', 'POST', { bundle, policy, dryRun: true });
+            const summary = `${preview.created} créées, ${preview.overwritten} écrasées, ${preview.renamed} renommées, ${preview.skipped} ignorées`;
+            if (!confirm(`Importer ${preview.total} fonctions ?\n${summary}`)) {
+                return;
+            }
+
+            await this.apiCall('/import', 'POST', { bundle, policy });
+            this.showSuccess(`Import terminé : ${summary}`);
+            await this.loadFunctions();
+            this.loadProductionView();
+        } catch (error) {
+            console.error('Erreur import:', error);
+        }
+    }
+
+    environmentLabel(environment) {
+        const labels = { dev: 'Développement', staging: 'Staging', production: 'Production' };
+        return labels[environment] || labels.dev;
+    }
+
+    // Prochaine étape du pipeline pour la révision courante, ou null si tout est déployé
+    nextEnvironment(func) {
+        const deployments = func.deployments || {};
+        if (!deployments.staging || deployments.staging.revision !== func.revision) {
+            return 'staging';
+        }
+        if (!deployments.production || deployments.production.revision !== deployments.staging.revision) {
+            return 'production';
+        }
+        return null;
+    }
+
+    async promoteFunction(name, target) {
+        if (!confirm(`Promouvoir "${name}" en ${this.environmentLabel(target).toLowerCase()} ? Les tests seront exécutés.`)) {
+            return;
+        }
+
+        try {
+            const result = await this.apiCall(`/functions/${encodeURIComponent(name)}/promote`, 'POST', { target });
+            this.showSuccess(`Révision #${result.promotion.revision} promue en ${this.environmentLabel(target).toLowerCase()}`);
             await this.loadFunctions();
             this.loadProductionView();
         } catch (error) {
@@ -569,10 +816,16 @@ class CoderDBInterface {
 
     // Vue production
     loadProductionView() {
-        const devFunctions = this.functions.filter(f => f.environment !== 'production');
-        const prodFunctions = this.functions.filter(f => f.environment === 'production');
+        const deployed = (func, env) => func.deployments && func.deployments[env];
+
+        // Une fonction apparaît à chaque étape où une révision attend ou est déployée
+        const devFunctions = this.functions.filter(f => this.nextEnvironment(f) === 'staging');
+        const stagingFunctions = this.functions.filter(f => deployed(f, 'staging') &&
+            (!deployed(f, 'production') || f.deployments.production.revision !== f.deployments.staging.revision));
+        const prodFunctions = this.functions.filter(f => deployed(f, 'production'));
 
         this.renderProductionFunctions('dev-functions', devFunctions, 'dev');
+        this.renderProductionFunctions('staging-functions', stagingFunctions, 'staging');
         this.renderProductionFunctions('prod-functions', prodFunctions, 'prod');
     }
 
@@ -580,29 +833,39 @@ class CoderDBInterface {
         const container = document.getElementById(containerId);
         if (!container) return;
 
+        const environment = { dev: 'dev', staging: 'staging', prod: 'production' }[type];
+
         if (functions.length === 0) {
             container.innerHTML = `
                 <div style="text-align: center; padding: 20px; color: #666;">
-                    <p>Aucune fonction en ${type === 'dev' ? 'développement' : 'production'}</p>
+                    <p>Aucune fonction en ${this.environmentLabel(environment).toLowerCase()}</p>
                 </div>
             `;
             return;
         }
 
-        container.innerHTML = functions.map(func => `
-            <div class="function-card-small ${type}">
-                <div>
-                    <strong>${func.name}</strong><br>
-                    <small>Modifié: ${new Date(func.updatedAt).toLocaleDateString()}</small>
-                </div>
-                <div>
-                    ${type === 'dev' ? 
-                        `<button onclick="app.promoteToProduction('${func.name}')" class="btn btn-sm" style="background: #28a745; color: white;">🚀 Promouvoir</button>` :
-                        `<span style="color: #28a745;">✅ En production</span>`
-                    }
+        container.innerHTML = functions.map(func => {
+            const deployment = func.deployments && func.deployments[environment];
+            const revision = deployment ? deployment.revision : func.revision;
+            const date = deployment ? deployment.promotedAt : func.updatedAt;
+
+            return `
+                <div class="function-card-small ${type}">
+                    <div>
+                        <strong>${func.name}</strong> <small>#${revision}</small><br>
+                        <small>${deployment ? 'Promu' : 'Modifié'}: ${new Date(date).toLocaleDateString()}</small>
+                    </div>
+                    <div>
+                        ${type === 'dev' ? 
+                            `<button onclick="app.promoteFunction('${func.name}', 'staging')" class="btn btn-sm" style="background: #17a2b8; color: white;">🧪 Staging</button>` :
+                            type === 'staging' ?
+                            `<button onclick="app.promoteFunction('${func.name}', 'production')" class="btn btn-sm" style="background: #28a745; color: white;">🚀 Production</button>` :
+                            `<span style="color: #28a745;">✅ En production</span>`
+                        }
+                    </div>
                 </div>
-            </div>
-        `).join('');
+            `;
+        }).join('');
     }
 
     // Status
@@ -708,6 +971,14 @@ function loadFunctions() {
     app.loadFunctions();
 }
 
+function exportBundle() {
+    app.exportBundle();
+}
+
+function importBundle(input) {
+    app.importBundle(input);
+}
+
 function filterFunctions() {
     app.filterFunctions();
 }
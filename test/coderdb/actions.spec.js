@@ -0,0 +1,53 @@
+"use strict";
+
+const { TestCluster, waitFor, storedFunction } = require("../helpers/cluster");
+
+describe("coderdb functions published as actions", () => {
+	let cluster;
+	let broker;
+
+	const published = () => {
+		const service = broker.getLocalService("fn");
+		return service ? Object.keys(service.schema.actions) : [];
+	};
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+
+		await broker.call("coderdb.create", storedFunction("double", "return { value: inputParams.value * 2 };", {
+			inputParams: [{ name: "value", type: "number" }],
+			outputParams: [{ name: "value", type: "number" }]
+		}));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("publishes a function once it reaches production", async () => {
+		await broker.call("coderdb.promote", { name: "double", testInputs: { value: 1 } });
+		expect(published()).toEqual([]);
+
+		await broker.call("coderdb.promote", { name: "double", testInputs: { value: 1 } });
+		await waitFor(() => published().includes("double"));
+
+		expect(await broker.call("fn.double", { value: "21" })).toEqual({ value: 42 });
+		expect((await broker.call("coderdb.status")).publishedActions).toEqual(["fn.double"]);
+	});
+
+	it("enforces the contract on published actions", async () => {
+		await expect(broker.call("fn.double", {})).rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("keeps serving the production revision while dev moves on", async () => {
+		await broker.call("coderdb.update", { name: "double", code: "function(inputParams) {\n\treturn { value: 0 };\n}" });
+
+		expect(await broker.call("fn.double", { value: 2 })).toEqual({ value: 4 });
+	});
+
+	it("unpublishes a deleted function", async () => {
+		await broker.call("coderdb.delete", { name: "double" });
+		await waitFor(() => !broker.getLocalService("fn"));
+
+		await expect(broker.call("fn.double", { value: 1 })).rejects.toMatchObject({ code: 404 });
+	});
+});
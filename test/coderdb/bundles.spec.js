@@ -0,0 +1,86 @@
+"use strict";
+
+const { TestCluster, storedFunction } = require("../helpers/cluster");
+
+describe("coderdb bundle export/import", () => {
+	let cluster;
+	let source;
+	let target;
+	let bundle;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		source = await cluster.master("source", { coderdb: true });
+
+		await source.call("coderdb.create", storedFunction("base", "return 1;"));
+		await source.call("coderdb.update", { name: "base", code: "function() {\n\treturn 2;\n}" });
+		await source.call("coderdb.promote", { name: "base" });
+		await source.call("coderdb.create", storedFunction("plusOne", "return dependencies.base() + 1;", { dependencies: ["base"] }));
+
+		bundle = await source.call("coderdb.export");
+		await cluster.stopNode(source);
+
+		target = await cluster.master("target", { coderdb: true });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("exports functions with their history and promotions", () => {
+		expect(bundle.format).toBeDefined();
+		expect(bundle.functions.map(func => func.name)).toEqual(["base", "plusOne"]);
+
+		const base = bundle.functions[0];
+		expect(base.revisions.map(revision => revision.revision)).toEqual([1, 2]);
+		expect(base.promotions).toHaveLength(1);
+	});
+
+	it("exports only deployed and current revisions without history, and refuses missing dependencies", async () => {
+		const other = new TestCluster();
+		try {
+			const broker = await other.master("export", { coderdb: true });
+
+			// Une fonction importée sans ses dépendances est refusée
+			await expect(broker.call("coderdb.import", { bundle: { ...bundle, functions: [bundle.functions[1]] } }))
+				.rejects.toMatchObject({ name: "ValidationError", data: { missing: ["base"] } });
+			await broker.call("coderdb.import", { bundle });
+
+			const light = await broker.call("coderdb.export", { names: "base", includeHistory: false });
+			expect(light.functions).toHaveLength(1);
+			expect(light.functions[0].revisions.map(revision => revision.revision)).toEqual([2]);
+			expect(light.functions[0].promotions).toEqual([]);
+		} finally {
+			await other.stop();
+		}
+	});
+
+	it("reports a dry run without writing", async () => {
+		const report = await target.call("coderdb.import", { bundle, dryRun: true });
+
+		expect(report).toMatchObject({ dryRun: true, total: 2, created: 2 });
+		expect(await target.call("coderdb.list")).toEqual([]);
+	});
+
+	it("imports functions into an empty registry", async () => {
+		expect(await target.call("coderdb.import", { bundle })).toMatchObject({ created: 2, skipped: 0 });
+
+		expect(await target.call("coderdb.execute", { name: "plusOne" })).toBe(3);
+		expect((await target.call("coderdb.revisions", { name: "base" })).map(revision => revision.revision)).toEqual([2, 1]);
+		expect((await target.call("coderdb.get", { name: "base" })).deployments.staging.revision).toBe(2);
+	});
+
+	it("applies the conflict policy", async () => {
+		expect(await target.call("coderdb.import", { bundle })).toMatchObject({ skipped: 2 });
+		expect(await target.call("coderdb.import", { bundle, policy: "overwrite" })).toMatchObject({ overwritten: 2 });
+
+		const renamed = await target.call("coderdb.import", { bundle, policy: "rename" });
+		expect(renamed.functions.map(func => func.importedAs)).toEqual(["base_2", "plusOne_2"]);
+		expect((await target.call("coderdb.get", { name: "plusOne_2" })).dependencies).toEqual(["base_2"]);
+	});
+
+	it("rejects malformed bundles", async () => {
+		await expect(target.call("coderdb.import", { bundle: { ...bundle, format: "other" } }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+		await expect(target.call("coderdb.import", { bundle: { ...bundle, version: 99 } }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+});
@@ -0,0 +1,55 @@
+"use strict";
+
+const { TestCluster, storedFunction } = require("../helpers/cluster");
+
+describe("coderdb input/output contracts", () => {
+	let cluster;
+	let broker;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+
+		await broker.call("coderdb.create", storedFunction("scale", "return { value: inputParams.value * inputParams.factor };", {
+			inputParams: [
+				{ name: "value", type: "number" },
+				{ name: "factor", type: "number", required: false, default: 2 }
+			],
+			outputParams: [{ name: "value", type: "number" }]
+		}));
+		await broker.call("coderdb.create", storedFunction("liar", "return { value: 'not a number' };", {
+			outputParams: [{ name: "value", type: "number" }]
+		}));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("applies defaults and converts inputs before the call", async () => {
+		expect(await broker.call("coderdb.execute", { name: "scale", inputs: { value: "21" } })).toEqual({ value: 42 });
+	});
+
+	it("rejects missing or mistyped inputs without running the function", async () => {
+		await expect(broker.call("coderdb.execute", { name: "scale", inputs: {} })).rejects.toMatchObject({
+			name: "ValidationError",
+			data: [expect.objectContaining({ type: "required", field: "value" })]
+		});
+		await expect(broker.call("coderdb.execute", { name: "scale", inputs: { value: "abc" } })).rejects.toMatchObject({
+			name: "ValidationError",
+			data: [expect.objectContaining({ field: "value", actual: "string" })]
+		});
+	});
+
+	it("reports an output that violates the contract", async () => {
+		await expect(broker.call("coderdb.execute", { name: "liar" })).rejects.toMatchObject({
+			code: 500,
+			type: "OUTPUT_CONTRACT_VIOLATION"
+		});
+	});
+
+	it("fails the test run of a function with a non-conforming output", async () => {
+		const execution = await broker.call("coderdb.test", { name: "liar" });
+
+		expect(execution.success).toBe(false);
+		expect(execution.error).toMatch(/violates its contract/);
+	});
+});
@@ -0,0 +1,58 @@
+"use strict";
+
+const { TestCluster, storedFunction } = require("../helpers/cluster");
+
+describe("coderdb function dependencies", () => {
+	let cluster;
+	let broker;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+
+		await broker.call("coderdb.create", storedFunction("square", "return inputParams.x * inputParams.x;"));
+		await broker.call("coderdb.create", storedFunction("sumOfSquares", "return dependencies.square({ x: inputParams.a }) + dependencies.square({ x: inputParams.b });", {
+			dependencies: ["square"]
+		}));
+		await broker.call("coderdb.create", storedFunction("norm", "return Math.sqrt(dependencies.sumOfSquares(inputParams));", {
+			dependencies: ["sumOfSquares"]
+		}));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("composes functions through their declared dependencies", async () => {
+		expect(await broker.call("coderdb.execute", { name: "norm", inputs: { a: 3, b: 4 } })).toBe(5);
+	});
+
+	it("refuses unknown dependencies", async () => {
+		await expect(broker.call("coderdb.create", storedFunction("orphan", "return 1;", { dependencies: ["missing"] })))
+			.rejects.toMatchObject({ name: "ValidationError", data: { missing: ["missing"] } });
+	});
+
+	it("refuses a dependency on itself", async () => {
+		await expect(broker.call("coderdb.update", { name: "square", dependencies: ["square"] }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("refuses an update that closes a cycle", async () => {
+		await expect(broker.call("coderdb.update", { name: "square", dependencies: ["norm"] })).rejects.toMatchObject({
+			name: "ValidationError",
+			data: { cycle: ["square", "norm", "sumOfSquares", "square"] }
+		});
+		expect((await broker.call("coderdb.get", { name: "square" })).dependencies).toEqual([]);
+	});
+
+	it("refuses to delete a function other functions depend on", async () => {
+		await expect(broker.call("coderdb.delete", { name: "square" }))
+			.rejects.toMatchObject({ code: 409, data: { dependents: ["sumOfSquares"] } });
+	});
+
+	it("describes the dependency graph", async () => {
+		const graph = await broker.call("coderdb.graph");
+
+		expect(graph.dependencyGraph).toEqual({ norm: ["sumOfSquares"], square: [], sumOfSquares: ["square"] });
+		expect(graph.nodes.find(node => node.name === "square").dependents).toEqual(["sumOfSquares"]);
+		expect(graph.edges).toContainEqual({ from: "norm", to: "sumOfSquares" });
+	});
+});
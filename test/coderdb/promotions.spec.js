@@ -0,0 +1,76 @@
+"use strict";
+
+const { TestCluster, storedFunction } = require("../helpers/cluster");
+
+const PASSING_TEST = "function test(fn) {\n\tif (fn({}) !== 1) throw new Error('expected 1');\n}";
+
+describe("coderdb promotion pipeline", () => {
+	let cluster;
+	let broker;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+
+		await broker.call("coderdb.create", storedFunction("one", "return 1;", { testCode: PASSING_TEST }));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("refuses production before staging", async () => {
+		await expect(broker.call("coderdb.promote", { name: "one", target: "production" }))
+			.rejects.toMatchObject({ code: 409, type: "CONFLICT" });
+	});
+
+	it("promotes dev to staging then staging to production when tests pass", async () => {
+		const staging = await broker.call("coderdb.promote", { name: "one" });
+		expect(staging).toMatchObject({ environment: "staging", deployments: { staging: { revision: 1 } } });
+		expect(staging.promotion).toMatchObject({ id: 1, from: "dev", to: "staging", testRun: { success: true } });
+
+		const production = await broker.call("coderdb.promote", { name: "one" });
+		expect(production).toMatchObject({ environment: "production", deployments: { production: { revision: 1 } } });
+	});
+
+	it("refuses to promote a revision already deployed", async () => {
+		await expect(broker.call("coderdb.promote", { name: "one", target: "staging" }))
+			.rejects.toMatchObject({ code: 409, data: { revision: 1, target: "staging" } });
+	});
+
+	it("rejects a revision whose tests fail and records the attempt", async () => {
+		await broker.call("coderdb.update", { name: "one", code: "function() {\n\treturn 2;\n}" });
+
+		await expect(broker.call("coderdb.promote", { name: "one", target: "staging" }))
+			.rejects.toMatchObject({ code: 412, type: "PROMOTION_REJECTED" });
+
+		const [latest] = await broker.call("coderdb.promotions", { name: "one" });
+		expect(latest).toMatchObject({ revision: 2, to: "staging", rejected: true, testRun: { success: false } });
+
+		const func = await broker.call("coderdb.get", { name: "one" });
+		expect(func.deployments.staging.revision).toBe(1);
+	});
+
+	it("executes the revision deployed in each environment", async () => {
+		expect(await broker.call("coderdb.execute", { name: "one" })).toBe(2);
+		expect(await broker.call("coderdb.execute", { name: "one", environment: "staging" })).toBe(1);
+		expect(await broker.call("coderdb.execute", { name: "one", environment: "production" })).toBe(1);
+	});
+
+	it("never reuses a promotion number, even after a record is removed", async () => {
+		await broker.call("coderdb.create", storedFunction("failing", "return 2;", { testCode: PASSING_TEST }));
+
+		for (const id of [1, 2]) {
+			await expect(broker.call("coderdb.promote", { name: "failing" })).rejects.toMatchObject({ type: "PROMOTION_REJECTED", data: { id } });
+		}
+		await broker.call("etcd.delete", { key: "coderdb/promotions/failing/00000001" });
+
+		await expect(broker.call("coderdb.promote", { name: "failing" })).rejects.toMatchObject({ data: { id: 3 } });
+		expect((await broker.call("coderdb.promotions", { name: "failing" })).map(promotion => promotion.id)).toEqual([3, 2]);
+	});
+
+	it("continues the numbering of an existing history", async () => {
+		await broker.call("etcd.delete", { key: "coderdb/counters/promotions/failing" });
+
+		await expect(broker.call("coderdb.promote", { name: "failing" })).rejects.toMatchObject({ data: { id: 4 } });
+		expect((await broker.call("etcd.get", { key: "coderdb/counters/promotions/failing" })).value).toBe(4);
+	});
+});
@@ -0,0 +1,66 @@
+"use strict";
+
+const { TestCluster, storedFunction } = require("../helpers/cluster");
+
+describe("coderdb function registry", () => {
+	let cluster;
+	let broker;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("creates a function in dev at revision 1", async () => {
+		const func = await broker.call("coderdb.create", storedFunction("add", "return inputParams.a + inputParams.b;"));
+
+		expect(func).toMatchObject({ name: "add", environment: "dev", revision: 1, dependencies: [], triggers: [] });
+		expect((await broker.call("etcd.get", { key: "coderdb/functions/add" })).value).toMatchObject({ name: "add", revision: 1 });
+	});
+
+	it("lists and gets functions", async () => {
+		const list = await broker.call("coderdb.list");
+		expect(list.map(func => func.name)).toEqual(["add"]);
+
+		const func = await broker.call("coderdb.get", { name: "add" });
+		expect(func.code).toContain("inputParams.a + inputParams.b");
+	});
+
+	it("refuses a duplicate name", async () => {
+		await expect(broker.call("coderdb.create", storedFunction("add", "return 1;")))
+			.rejects.toMatchObject({ code: 409, type: "CONFLICT" });
+	});
+
+	it("rejects invalid definitions", async () => {
+		await expect(broker.call("coderdb.create", storedFunction("bad name", "return 1;")))
+			.rejects.toMatchObject({ name: "ValidationError" });
+		await expect(broker.call("coderdb.create", storedFunction("broken", "return (;")))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("updates a function to a new revision", async () => {
+		const func = await broker.call("coderdb.update", { name: "add", code: "function(inputParams) {\n\treturn 0;\n}" });
+
+		expect(func.revision).toBe(2);
+		expect(func.code).toContain("return 0");
+	});
+
+	it("deletes a function and its history", async () => {
+		expect(await broker.call("coderdb.delete", { name: "add" })).toEqual({ name: "add", deleted: true });
+
+		await expect(broker.call("coderdb.get", { name: "add" })).rejects.toMatchObject({ code: 404, type: "NOT_FOUND" });
+		expect(await broker.call("etcd.keys", { pattern: "coderdb/revisions/add/*" })).toEqual([]);
+	});
+
+	it("reports 404 for unknown functions", async () => {
+		await expect(broker.call("coderdb.update", { name: "missing", code: "return 1;" })).rejects.toMatchObject({ code: 404 });
+		await expect(broker.call("coderdb.delete", { name: "missing" })).rejects.toMatchObject({ code: 404 });
+	});
+
+	it("reports its node status", async () => {
+		const status = await broker.call("coderdb.status");
+		expect(status).toMatchObject({ nodeId: "node-1", isMaster: true, masterId: "node-1", functionsCount: 0 });
+	});
+});
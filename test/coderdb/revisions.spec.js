@@ -0,0 +1,65 @@
+"use strict";
+
+const { TestCluster, storedFunction } = require("../helpers/cluster");
+const RevisionDiff = require("../../services/versioning/revision-diff");
+
+describe("coderdb revisions", () => {
+	let cluster;
+	let broker;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+
+		await broker.call("coderdb.create", storedFunction("answer", "return 41;"));
+		await broker.call("coderdb.update", { name: "answer", code: "function(inputParams, dependencies) {\nconst base = 40;\nreturn base + 2;\n}" }, {
+			meta: { headers: { "x-author": "alice" } }
+		});
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("keeps every revision, most recent first, with its author", async () => {
+		const revisions = await broker.call("coderdb.revisions", { name: "answer" });
+
+		expect(revisions.map(revision => revision.revision)).toEqual([2, 1]);
+		expect(revisions[0].author).toMatchObject({ name: "alice" });
+		expect(revisions[1].author).toMatchObject({ name: "anonymous" });
+	});
+
+	it("reads a revision as it was saved", async () => {
+		const first = await broker.call("coderdb.getRevision", { name: "answer", revision: 1 });
+
+		expect(first.code).toContain("return 41;");
+		await expect(broker.call("coderdb.getRevision", { name: "answer", revision: 9 })).rejects.toMatchObject({ code: 404 });
+	});
+
+	it("diffs a revision against the current one", async () => {
+		const diff = await broker.call("coderdb.diff", { name: "answer", from: 1 });
+
+		expect(diff).toMatchObject({ name: "answer", from: 1, to: 2, identical: false, stats: { added: 2, removed: 1 } });
+		expect(Object.keys(diff.changes)).toEqual(["code"]);
+	});
+
+	it("rolls back by creating a new revision with the old content", async () => {
+		const func = await broker.call("coderdb.rollback", { name: "answer", revision: 1 });
+
+		expect(func.revision).toBe(3);
+		expect(await broker.call("coderdb.execute", { name: "answer" })).toBe(41);
+
+		const revisions = await broker.call("coderdb.revisions", { name: "answer" });
+		expect(revisions[0]).toMatchObject({ revision: 3, rolledBackFrom: 1 });
+		expect((await broker.call("coderdb.diff", { name: "answer", from: 1, to: 3 })).identical).toBe(true);
+	});
+});
+
+describe("RevisionDiff", () => {
+	it("produces a line diff based on the longest common subsequence", () => {
+		expect(RevisionDiff.diffLines("a\nb\nc", "a\nc\nd")).toEqual([
+			{ type: "equal", line: "a", oldLine: 1, newLine: 1 },
+			{ type: "removed", line: "b", oldLine: 2 },
+			{ type: "equal", line: "c", oldLine: 3, newLine: 2 },
+			{ type: "added", line: "d", newLine: 3 }
+		]);
+	});
+});
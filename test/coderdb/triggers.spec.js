@@ -0,0 +1,99 @@
+"use strict";
+
+const { TestCluster, waitFor, storedFunction } = require("../helpers/cluster");
+const CronSchedule = require("../../services/triggers/cron-schedule");
+
+describe("coderdb triggers", () => {
+	let cluster;
+	let broker;
+	let coderdb;
+
+	const executions = name => broker.call("coderdb.executions", { name });
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { coderdb: true });
+		coderdb = broker.getLocalService("coderdb");
+
+		await broker.call("coderdb.create", storedFunction("echo", "return { event: inputParams.event, change: inputParams.change, tag: inputParams.tag };", {
+			triggers: [
+				{ id: "on-order", type: "event", event: "orders.created", environment: "dev", inputs: { tag: "event" } },
+				{ id: "on-key", type: "etcd", prefix: "trading/orders/", environment: "dev", actions: ["set"] },
+				{ id: "leap-day", type: "cron", schedule: "0 0 29 2 *", environment: "dev" },
+				{ id: "in-production", type: "event", event: "orders.created" }
+			]
+		}));
+		await waitFor(() => coderdb.triggerIndex.length === 3);
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("only activates triggers deployed in their environment", async () => {
+		const triggers = await broker.call("coderdb.triggers");
+
+		expect(triggers.map(({ id, active }) => `${id}:${active}`)).toEqual([
+			"on-order:true",
+			"on-key:true",
+			"leap-day:true",
+			"in-production:false"
+		]);
+		expect(triggers[2].nextRun).not.toBeNull();
+	});
+
+	it("runs a function on a broadcast event", async () => {
+		broker.broadcast("orders.created", { id: 7 });
+		await waitFor(async () => (await executions("echo")).length === 1);
+
+		const [execution] = await executions("echo");
+		expect(execution).toMatchObject({
+			trigger: { id: "on-order", type: "event" },
+			success: true,
+			revision: 1,
+			output: { event: { name: "orders.created", payload: { id: 7 } }, tag: "event" }
+		});
+	});
+
+	it("runs a function on an etcd change under its prefix", async () => {
+		await broker.call("etcd.set", { key: "trading/orders/1", value: { qty: 2 } });
+		await waitFor(async () => (await executions("echo")).length === 2);
+
+		const [latest] = await executions("echo");
+		expect(latest).toMatchObject({
+			trigger: { id: "on-key", type: "etcd" },
+			output: { change: { action: "set", key: "trading/orders/1", value: { qty: 2 } } }
+		});
+	});
+
+	it("runs a cron trigger once per minute slot", async () => {
+		const slot = new Date(2028, 1, 29, 0, 0).getTime();
+
+		await coderdb.runCronTriggers(slot - 60000);
+		await coderdb.runCronTriggers(slot);
+		await coderdb.runCronTriggers(slot);
+		await waitFor(async () => (await executions("echo")).length === 3);
+
+		const cron = (await executions("echo")).filter(execution => execution.trigger.type === "cron");
+		expect(cron).toHaveLength(1);
+		expect(cron[0].inputs.scheduledAt).toBe(new Date(slot).toISOString());
+	});
+});
+
+describe("CronSchedule", () => {
+	it("matches lists, ranges and steps", () => {
+		const schedule = new CronSchedule("*/15 9-17 * * 1-5");
+
+		expect(schedule.matches(new Date(2026, 0, 5, 9, 30))).toBe(true);
+		expect(schedule.matches(new Date(2026, 0, 5, 9, 31))).toBe(false);
+		expect(schedule.matches(new Date(2026, 0, 4, 9, 30))).toBe(false);
+	});
+
+	it("finds the next occurrence", () => {
+		expect(new CronSchedule("@daily").next(new Date(2026, 0, 5, 9, 30))).toEqual(new Date(2026, 0, 6, 0, 0));
+		expect(new CronSchedule("0 0 29 2 *").next(new Date(2026, 0, 1))).toEqual(new Date(2028, 1, 29, 0, 0));
+	});
+
+	it("rejects malformed expressions", () => {
+		expect(() => new CronSchedule("* * *")).toThrow(/must have 5 fields/);
+		expect(() => new CronSchedule("61 * * * *")).toThrow();
+	});
+});
@@ -0,0 +1,121 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const { TestCluster, waitForLeader, gatewayUrl } = require("../helpers/cluster");
+
+describe("etcd backups", () => {
+	let cluster;
+	let master;
+	let slave;
+	let gateway;
+	let first;
+
+	const settings = { backupRetention: 3 };
+	const etcd = broker => broker.getLocalService("etcd");
+	const backupFile = name => path.join(etcd(master).backupPath, name);
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		const nodes = [
+			await cluster.master("node-1", { etcd: settings, gateway: true }),
+			await cluster.node("node-2", { etcd: settings })
+		];
+
+		gateway = nodes[0];
+		({ master, slaves: [slave] } = await waitForLeader(nodes));
+
+		await master.call("etcd.set", { key: "config/a", value: 1 });
+		await master.call("etcd.set", { key: "config/b", value: { nested: true } });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("writes a checksummed archive of the master state", async () => {
+		first = await slave.call("etcd.backup", {}, { nodeID: slave.nodeID });
+
+		expect(first).toMatchObject({ revision: etcd(master).storage.revision, keyCount: 2, pruned: [] });
+		expect(first.checksum).toMatch(/^[0-9a-f]{64}$/);
+		expect(fs.existsSync(backupFile(first.name))).toBe(true);
+
+		expect(await master.call("etcd.backups")).toEqual([expect.objectContaining({ name: first.name, revision: first.revision })]);
+	});
+
+	it("restores the latest archive on the master and its slaves at a new revision", async () => {
+		await master.call("etcd.set", { key: "config/a", value: 100 });
+		await master.call("etcd.delete", { key: "config/b" });
+		await master.call("etcd.set", { key: "config/c", value: 3 });
+		const before = etcd(master).storage.revision;
+
+		const result = await master.call("etcd.restore", { writeConcern: "all" });
+
+		expect(result).toMatchObject({ name: first.name, backupRevision: first.revision, revision: before + 1, keyCount: 2, changed: 3 });
+		expect(result.replication.acknowledged).toEqual([master.nodeID, slave.nodeID]);
+
+		for (const broker of [master, slave]) {
+			expect(etcd(broker).storage.revision).toBe(before + 1);
+			expect(etcd(broker).readEntry("config/a").value).toBe(1);
+			expect(etcd(broker).readEntry("config/b").value).toEqual({ nested: true });
+			expect(etcd(broker).readEntry("config/c")).toBeNull();
+		}
+	});
+
+	it("suspends writes while a restore is running", async () => {
+		const restoring = master.call("etcd.restore", { name: first.name });
+		while (!etcd(master).restoreInProgress) {
+			await new Promise(resolve => setImmediate(resolve));
+		}
+
+		await expect(master.call("etcd.set", { key: "config/during", value: 1 }))
+			.rejects.toMatchObject({ code: 503, type: "RESTORE_IN_PROGRESS" });
+		await expect(slave.call("etcd.delete", { key: "config/a" }, { nodeID: slave.nodeID }))
+			.rejects.toMatchObject({ code: 503, type: "RESTORE_IN_PROGRESS" });
+
+		const { revision } = await restoring;
+		expect(etcd(slave).storage.revision).toBe(revision);
+		expect(etcd(slave).readEntry("config/a").value).toBe(1);
+
+		await expect(master.call("etcd.set", { key: "config/during", value: 1 })).resolves.toMatchObject({ revision: revision + 1 });
+		await master.call("etcd.delete", { key: "config/during" });
+	});
+
+	it("keeps only the configured number of archives", async () => {
+		const names = [first.name];
+		for (let i = 0; i < 3; i++) {
+			await master.call("etcd.set", { key: "config/counter", value: i });
+			names.push((await master.call("etcd.backup")).name);
+		}
+
+		expect((await master.call("etcd.backups")).map(backup => backup.name)).toEqual(names.slice(1));
+		expect(fs.existsSync(backupFile(first.name))).toBe(false);
+	});
+
+	it("refuses unknown, invalid and corrupted archives", async () => {
+		await expect(master.call("etcd.restore", { name: "../etcd-secret.key" })).rejects.toMatchObject({ name: "ValidationError" });
+		await expect(master.call("etcd.restore", { name: "etcd-backup-0000000000000-1.json.gz" })).rejects.toMatchObject({ code: 404 });
+
+		// Contenu modifié sans recalculer l'empreinte
+		const [latest] = (await master.call("etcd.backups")).slice(-1);
+		const archive = JSON.parse(zlib.gunzipSync(fs.readFileSync(backupFile(latest.name))).toString("utf8"));
+		archive.snapshot.entries["config/a"].value = 666;
+		fs.writeFileSync(backupFile(latest.name), zlib.gzipSync(JSON.stringify(archive)));
+
+		await expect(master.call("etcd.restore", { name: latest.name }))
+			.rejects.toMatchObject({ code: 422, type: "BACKUP_CORRUPT", message: expect.stringContaining("checksum") });
+
+		fs.writeFileSync(backupFile(latest.name), "not gzip");
+		await expect(master.call("etcd.restore")).rejects.toMatchObject({ code: 422, type: "BACKUP_CORRUPT" });
+
+		expect(etcd(master).readEntry("config/a").value).toBe(1);
+	});
+
+	it("does not expose backups through the HTTP gateway", async () => {
+		const base = `${await gatewayUrl(gateway)}/etcd`;
+
+		for (const action of ["backup", "backups", "restore"]) {
+			const response = await fetch(`${base}/${action}`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{}" });
+			expect(response.status).toBe(404);
+		}
+	});
+});
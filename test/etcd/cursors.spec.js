@@ -0,0 +1,86 @@
+"use strict";
+
+const KeyGlob = require("../../services/storage/key-glob");
+const { TestCluster } = require("../helpers/cluster");
+
+describe("etcd cursors and range scans", () => {
+	let cluster;
+	let broker;
+
+	// Toutes les pages d'un parcours, en suivant les curseurs
+	const scanAll = async (action, params) => {
+		const pages = [];
+		let cursor;
+		do {
+			const page = await broker.call(action, { ...params, cursor });
+			pages.push(page.keys || page.items.map(item => item.key));
+			cursor = page.cursor;
+			expect(page.more).toBe(cursor !== null);
+		} while (cursor);
+		return pages;
+	};
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1");
+
+		for (const key of ["range/c", "range/a", "range/e", "range/b", "range/d", "range/sub/x", "rangeX/1"]) {
+			await broker.call("etcd.set", { key, value: key.toUpperCase() });
+		}
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("lists keys in order within a prefix and bounds", async () => {
+		expect(await broker.call("etcd.keys", { pattern: "range/**" }))
+			.toEqual(["range/a", "range/b", "range/c", "range/d", "range/e", "range/sub/x"]);
+		expect(await broker.call("etcd.keys", { pattern: "range/*", start: "range/b", end: "range/e" }))
+			.toEqual(["range/b", "range/c", "range/d"]);
+		expect(await broker.call("etcd.keys", { pattern: "range/?", reverse: true, countOnly: true }))
+			.toEqual({ revision: expect.any(Number), count: 5 });
+	});
+
+	it("pages forward and backward with opaque cursors", async () => {
+		expect(await scanAll("etcd.keys", { pattern: "range/*", limit: 2 }))
+			.toEqual([["range/a", "range/b"], ["range/c", "range/d"], ["range/e"]]);
+		expect(await scanAll("etcd.getPrefix", { prefix: "range/", limit: 4, reverse: true }))
+			.toEqual([["range/sub/x", "range/e", "range/d", "range/c"], ["range/b", "range/a"]]);
+	});
+
+	it("resumes after the last key read, whatever changed in between", async () => {
+		const first = await broker.call("etcd.getPrefix", { prefix: "range/", limit: 2 });
+		expect(first.items.map(item => item.value)).toEqual(["RANGE/A", "RANGE/B"]);
+
+		// La dernière clé lue disparaît, une clé apparaît avant le curseur, une autre après
+		await broker.call("etcd.delete", { key: "range/b" });
+		await broker.call("etcd.set", { key: "range/aa", value: "late" });
+		await broker.call("etcd.set", { key: "range/bb", value: "new" });
+
+		const next = await broker.call("etcd.getPrefix", { prefix: "range/", limit: 2, cursor: first.cursor, keysOnly: true });
+		expect(next.items).toEqual(["range/bb", "range/c"]);
+	});
+
+	it("skips expired keys", async () => {
+		await broker.call("etcd.set", { key: "range/ca", value: 1, ttl: 0.05 });
+		await new Promise(resolve => setTimeout(resolve, 80));
+
+		expect((await broker.call("etcd.keys", { pattern: "range/c*" }))).toEqual(["range/c"]);
+	});
+
+	it("rejects cursors that are forged or used in the other direction", async () => {
+		const { cursor } = await broker.call("etcd.keys", { pattern: "range/*", limit: 1 });
+
+		await expect(broker.call("etcd.keys", { pattern: "range/*", limit: 1, cursor, reverse: true }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+		await expect(broker.call("etcd.keys", { limit: 1, cursor: "not-a-cursor" }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("matches glob patterns on whole keys", () => {
+		const glob = new KeyGlob("range/[a-c]?");
+
+		expect(glob.prefix).toBe("range/");
+		expect(["range/aa", "range/bb", "range/d1", "range/a", "range/a/b"].filter(key => glob.matches(key))).toEqual(["range/aa", "range/bb"]);
+		expect(new KeyGlob("a\\*b").matches("a*b")).toBe(true);
+	});
+});
@@ -0,0 +1,117 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { TestCluster, waitFor } = require("../helpers/cluster");
+
+describe("etcd term-based election", () => {
+	let cluster;
+	let nodes;
+
+	const settings = { clusterSize: 3 };
+	const etcd = broker => broker.getLocalService("etcd");
+	const leaders = () => nodes.filter(broker => etcd(broker).isMaster);
+	const followers = () => nodes.filter(broker => !etcd(broker).isMaster);
+
+	// Un seul master, reconnu par tous les membres, pour le même terme
+	const converged = size => {
+		const current = leaders();
+		return current.length === 1 && nodes.every(broker =>
+			etcd(broker).members.size === size &&
+			etcd(broker).masterId === current[0].nodeID &&
+			etcd(broker).currentTerm === etcd(current[0]).currentTerm
+		);
+	};
+
+	// Demande de vote envoyée par un nœud du cluster à un autre, par l'action etcd.requestVote
+	const requestVote = (from, to, params) => from.call("etcd.requestVote", params, { nodeID: to.nodeID });
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		nodes = [];
+		for (const nodeID of ["node-1", "node-2", "node-3"]) {
+			nodes.push(await cluster.node(nodeID, { etcd: settings }));
+		}
+
+		await waitFor(() => converged(3));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("keeps a single leader that the followers recognise", () => {
+		expect(leaders()).toHaveLength(1);
+		expect(followers().map(broker => etcd(broker).role)).toEqual(["follower", "follower"]);
+		expect(etcd(nodes[0]).getQuorum()).toBe(2);
+	});
+
+	it("persists the term and vote of each node", () => {
+		const [leader] = leaders();
+		const state = JSON.parse(fs.readFileSync(path.join(cluster.dir, leader.nodeID, "election.json"), "utf8"));
+
+		expect(state).toMatchObject({ term: etcd(leader).currentTerm, votedFor: leader.nodeID });
+		expect(state.members.sort()).toEqual(["node-1", "node-2", "node-3"]);
+	});
+
+	it("refuses votes for a stale term, or against a live leader", async () => {
+		const [follower, other] = followers();
+		const term = etcd(follower).currentTerm;
+
+		expect(await requestVote(other, follower, { term: term - 1, candidateId: other.nodeID }))
+			.toEqual({ term, voteGranted: false });
+
+		// Le master est vivant : un candidat qui revient d'une partition n'est pas élu
+		expect((await requestVote(other, follower, { term: term + 5, candidateId: other.nodeID })).voteGranted).toBe(false);
+		expect(etcd(follower).currentTerm).toBe(term);
+	});
+
+	it("grants a single vote per term", async () => {
+		const [leader] = leaders();
+		const [follower, other] = followers();
+		const term = etcd(follower).currentTerm + 10;
+		const { revision, revisionTerm } = etcd(leader).storage;
+
+		// Le master en place se représente pour un terme plus élevé : le follower vote pour lui,
+		// puis refuse tout autre candidat du même terme
+		expect(await requestVote(leader, follower, { term, candidateId: leader.nodeID, revision, revisionTerm }))
+			.toEqual({ term, voteGranted: true });
+		expect((await requestVote(other, follower, { term, candidateId: other.nodeID, revision, revisionTerm })).voteGranted)
+			.toBe(false);
+
+		const state = JSON.parse(fs.readFileSync(path.join(cluster.dir, follower.nodeID, "election.json"), "utf8"));
+		expect(state).toMatchObject({ term, votedFor: leader.nodeID });
+
+		// Le terme supérieur se propage : une nouvelle élection réunit le cluster au-delà de ce terme
+		await waitFor(() => converged(3) && etcd(leaders()[0]).currentTerm > term, 10000);
+	});
+
+	it("elects a new leader with a higher term when the leader leaves", async () => {
+		const [leader] = leaders();
+		const previousTerm = etcd(leader).currentTerm;
+
+		await cluster.stopNode(leader);
+		nodes = nodes.filter(broker => broker !== leader);
+
+		await waitFor(() => converged(2));
+
+		const [next] = leaders();
+		expect(etcd(next).currentTerm).toBeGreaterThan(previousTerm);
+
+		// Les écritures restent possibles avec la majorité restante
+		await expect(next.call("etcd.set", { key: "config/after-failover", value: 1 })).resolves.toBeDefined();
+	});
+
+	it("never elects two leaders when nodes start without seeing each other", async () => {
+		// Deux nœuds d'un cluster de deux, sans transport commun : aucun n'a la majorité
+		const isolated = [new TestCluster(), new TestCluster()];
+		try {
+			const alone = await Promise.all(isolated.map((other, i) => other.node(`isolated-${i}`, { etcd: { clusterSize: 2 } })));
+
+			await waitFor(() => alone.every(broker => etcd(broker).currentTerm > 0));
+			await new Promise(resolve => setTimeout(resolve, 500));
+
+			expect(alone.map(broker => etcd(broker).isMaster)).toEqual([false, false]);
+		} finally {
+			await Promise.all(isolated.map(other => other.stop()));
+		}
+	});
+});
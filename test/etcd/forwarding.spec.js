@@ -0,0 +1,57 @@
+"use strict";
+
+const { TestCluster, waitForLeader } = require("../helpers/cluster");
+
+describe("etcd write forwarding", () => {
+	let cluster;
+	let master;
+	let slave;
+
+	const etcd = broker => broker.getLocalService("etcd");
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		const nodes = [await cluster.master("node-1"), await cluster.node("node-2")];
+
+		({ master, slaves: [slave] } = await waitForLeader(nodes));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("forwards a write received by a slave to the master", async () => {
+		const result = await slave.call("etcd.set", { key: "config/forwarded", value: "yes" }, { nodeID: slave.nodeID });
+
+		expect(result.replication.acknowledged).toEqual([master.nodeID, slave.nodeID]);
+		expect(etcd(master).readEntry("config/forwarded").value).toBe("yes");
+		expect(etcd(slave).readEntry("config/forwarded").value).toBe("yes");
+	});
+
+	it("forwards transactions and returns the master's errors unchanged", async () => {
+		await expect(slave.call("etcd.compareAndSwap", {
+			key: "config/forwarded",
+			expectedValue: "yes",
+			newValue: "swapped"
+		}, { nodeID: slave.nodeID })).resolves.toMatchObject({ success: true });
+
+		await expect(slave.call("etcd.set", { key: "config/x", value: 1, writeConcern: "bogus" }, { nodeID: slave.nodeID }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("refuses a write forwarded to a node that is not the master", async () => {
+		await expect(slave.call("etcd.set", { key: "config/direct", value: 1 }, { nodeID: slave.nodeID, meta: { forwardedBy: "node-3" } }))
+			.rejects.toMatchObject({ code: 503, type: "NOT_LEADER", data: { masterId: master.nodeID } });
+	});
+
+	it("fails with NO_LEADER when no master is elected in time", async () => {
+		const other = new TestCluster();
+		try {
+			// Trois membres attendus, un seul démarré : aucune majorité, aucun master
+			const lonely = await other.node("node-x", { etcd: { clusterSize: 3, forwardTimeout: 300 } });
+
+			await expect(lonely.call("etcd.set", { key: "config/y", value: 1 }))
+				.rejects.toMatchObject({ code: 503, type: "NO_LEADER" });
+		} finally {
+			await other.stop();
+		}
+	});
+});
@@ -0,0 +1,90 @@
+"use strict";
+
+const SecondaryIndex = require("../../services/storage/secondary-index");
+const { TestCluster, waitForLeader } = require("../helpers/cluster");
+
+describe("etcd secondary indexes", () => {
+	let cluster;
+	let master;
+	let slave;
+
+	const settings = { indexes: { "orders/": ["symbol", "price", "meta.side"] } };
+	const keysOf = result => result.items.map(item => item.key);
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		const nodes = [await cluster.master("node-1", { etcd: settings }), await cluster.node("node-2", { etcd: settings })];
+
+		({ master, slaves: [slave] } = await waitForLeader(nodes));
+
+		const orders = [
+			["orders/1", { symbol: "BTC", price: 100, meta: { side: "buy" } }],
+			["orders/2", { symbol: "ETH", price: 20, meta: { side: "sell" } }],
+			["orders/3", { symbol: "BTC", price: 150, meta: { side: "sell" } }],
+			["orders/4", { symbol: "BTC", price: "n/a" }],
+			["other/1", { symbol: "BTC", price: 1 }]
+		];
+		for (const [key, value] of orders) {
+			await master.call("etcd.set", { key, value });
+		}
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("finds keys by equality, set membership and range", async () => {
+		expect(keysOf(await master.call("etcd.query", { prefix: "orders/", where: { symbol: "BTC" } })))
+			.toEqual(["orders/1", "orders/3", "orders/4"]);
+		expect(keysOf(await master.call("etcd.query", { prefix: "orders/", where: { symbol: { in: ["ETH", "SOL"] } } })))
+			.toEqual(["orders/2"]);
+
+		// Un intervalle numérique ne retient que les champs numériques
+		expect(keysOf(await master.call("etcd.query", { prefix: "orders/", where: { price: { gte: 20, lt: 150 } } })))
+			.toEqual(["orders/1", "orders/2"]);
+	});
+
+	it("combines conditions on several indexed fields, nested paths included", async () => {
+		const result = await master.call("etcd.query", { prefix: "orders/", where: { symbol: "BTC", "meta.side": "sell" } });
+
+		expect(result).toMatchObject({ total: 1, offset: 0, items: [{ key: "orders/3", value: { price: 150 } }] });
+	});
+
+	it("sorts by a field, values without it last, and pages the results", async () => {
+		const sorted = await master.call("etcd.query", { prefix: "orders/", sort: "price", order: "desc" });
+		expect(keysOf(sorted)).toEqual(["orders/4", "orders/3", "orders/1", "orders/2"]);
+
+		const page = await master.call("etcd.query", { prefix: "orders/", sort: "meta.side", limit: 2, offset: 1 });
+		expect(page.total).toBe(4);
+		expect(keysOf(page)).toEqual(["orders/2", "orders/3"]);
+	});
+
+	it("follows updates and deletions, on the slaves too", async () => {
+		await master.call("etcd.set", { key: "orders/2", value: { symbol: "BTC", price: 21 } });
+		await master.call("etcd.delete", { key: "orders/1" });
+
+		for (const broker of [master, slave]) {
+			expect(keysOf(await broker.call("etcd.query", { prefix: "orders/", where: { symbol: "BTC" } }, { nodeID: broker.nodeID })))
+				.toEqual(["orders/2", "orders/3", "orders/4"]);
+			expect(keysOf(await broker.call("etcd.query", { prefix: "orders/", where: { symbol: "ETH" } }, { nodeID: broker.nodeID })))
+				.toEqual([]);
+		}
+	});
+
+	it("rejects fields without an index and malformed conditions", async () => {
+		await expect(master.call("etcd.query", { prefix: "orders/", where: { status: "open" } }))
+			.rejects.toMatchObject({ name: "ValidationError", data: { path: "status", prefix: "orders/" } });
+		await expect(master.call("etcd.query", { prefix: "other/", where: { symbol: "BTC" } }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+
+		await expect(master.call("etcd.query", { prefix: "orders/", where: { price: { between: [1, 2] } } }))
+			.rejects.toMatchObject({ name: "ValidationError", message: expect.stringContaining("unknown operator 'between'") });
+		await expect(master.call("etcd.query", { prefix: "orders/", where: { price: { in: [{}] } } }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("orders indexed values by type, then value", () => {
+		const values = ["b", 2, null, true, "a", -1, false];
+		expect(values.sort(SecondaryIndex.compare)).toEqual([null, false, true, -1, 2, "a", "b"]);
+
+		expect(() => new SecondaryIndex("orders/", "meta..side")).toThrow("Invalid index path");
+	});
+});
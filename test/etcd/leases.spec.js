@@ -0,0 +1,76 @@
+"use strict";
+
+const { TestCluster, waitFor } = require("../helpers/cluster");
+
+describe("etcd leases", () => {
+	let cluster;
+	let broker;
+
+	const etcd = () => broker.getLocalService("etcd");
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1");
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("grants a lease and attaches keys to it", async () => {
+		const lease = await broker.call("etcd.grantLease", { ttl: 60 });
+		expect(lease).toMatchObject({ leaseId: lease.revision, ttl: 60, ownerNode: "node-1", keys: [] });
+
+		await broker.call("etcd.set", { key: "session/a", value: 1, lease: lease.leaseId });
+		await broker.call("etcd.set", { key: "session/b", value: 2, lease: lease.leaseId });
+
+		const [listed] = (await broker.call("etcd.leases")).filter(item => item.leaseId === lease.leaseId);
+		expect(listed.keys).toEqual(["session/a", "session/b"]);
+	});
+
+	it("refuses keys on an unknown lease", async () => {
+		await expect(broker.call("etcd.set", { key: "session/c", value: 1, lease: 999999 }))
+			.rejects.toMatchObject({ code: 404, type: "NOT_FOUND", data: { leaseId: 999999 } });
+		expect(etcd().readEntry("session/c")).toBeNull();
+	});
+
+	it("revokes a lease with its keys", async () => {
+		const { leaseId } = await broker.call("etcd.grantLease", { ttl: 60 });
+		await broker.call("etcd.set", { key: "session/revoked", value: 1, lease: leaseId });
+
+		expect(await broker.call("etcd.revokeLease", { leaseId })).toMatchObject({ leaseId, revoked: true, keys: ["session/revoked"] });
+		expect(etcd().readEntry("session/revoked")).toBeNull();
+
+		await expect(broker.call("etcd.revokeLease", { leaseId })).rejects.toMatchObject({ code: 404 });
+		await expect(broker.call("etcd.keepAlive", { leaseId })).rejects.toMatchObject({ code: 404 });
+	});
+
+	it("expires a lease that is not kept alive", async () => {
+		const { leaseId } = await broker.call("etcd.grantLease", { ttl: 0.3 });
+		await broker.call("etcd.set", { key: "session/expiring", value: 1, lease: leaseId });
+
+		await waitFor(() => !etcd().storage.leases.has(leaseId));
+		expect(etcd().readEntry("session/expiring")).toBeNull();
+	});
+
+	it("keeps a lease alive while it is refreshed", async () => {
+		const { leaseId } = await broker.call("etcd.grantLease", { ttl: 0.4 });
+		await broker.call("etcd.set", { key: "session/alive", value: 1, lease: leaseId });
+
+		for (let i = 0; i < 6; i++) {
+			await new Promise(resolve => setTimeout(resolve, 150));
+			expect(await broker.call("etcd.keepAlive", { leaseId })).toMatchObject({ leaseId, keys: ["session/alive"] });
+		}
+
+		expect(etcd().readEntry("session/alive").value).toBe(1);
+		await broker.call("etcd.revokeLease", { leaseId });
+	});
+
+	it("revokes the leases of a disconnected owner", async () => {
+		const { leaseId } = await broker.call("etcd.grantLease", { ttl: 60, ownerNode: "client-x" });
+		await broker.call("etcd.set", { key: "session/owned", value: 1, lease: leaseId });
+
+		await etcd().revokeNodeLeases("client-x");
+
+		expect(etcd().storage.leases.has(leaseId)).toBe(false);
+		expect(etcd().readEntry("session/owned")).toBeNull();
+	});
+});
@@ -0,0 +1,106 @@
+"use strict";
+
+const { TestCluster, waitFor } = require("../helpers/cluster");
+
+describe("etcd locks and semaphores", () => {
+	let cluster;
+	let broker;
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1");
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("grants an exclusive lock with a growing fencing token", async () => {
+		const first = await broker.call("etcd.lock", { name: "jobs", ttl: 60 });
+		expect(first).toMatchObject({ kind: "lock", name: "jobs", holder: "node-1", limit: 1 });
+
+		await expect(broker.call("etcd.lock", { name: "jobs", timeout: 0 }))
+			.rejects.toMatchObject({ code: 409, type: "CONFLICT", data: { holders: ["node-1"] } });
+
+		await broker.call("etcd.unlock", { name: "jobs", leaseId: first.leaseId });
+		const second = await broker.call("etcd.lock", { name: "jobs", timeout: 0 });
+
+		expect(second.token).toBeGreaterThan(first.token);
+		await broker.call("etcd.unlock", { name: "jobs", leaseId: second.leaseId });
+	});
+
+	it("hands the lock to waiters in arrival order", async () => {
+		const held = await broker.call("etcd.lock", { name: "queue", ttl: 60 });
+		const order = [];
+
+		const waiters = ["a", "b"].map(id => broker.call("etcd.lock", { name: "queue", ttl: 60, timeout: 5000 }).then(lock => {
+			order.push(id);
+			return lock;
+		}));
+		await waitFor(async () => {
+			const { locks } = await broker.call("etcd.locks");
+			return locks.some(lock => lock.name === "queue" && lock.waiting === 2);
+		});
+
+		const { locks } = await broker.call("etcd.locks");
+		expect(locks.find(lock => lock.name === "queue").holders).toMatchObject([{ leaseId: held.leaseId, holder: "node-1" }]);
+
+		await broker.call("etcd.unlock", { name: "queue", leaseId: held.leaseId });
+		const a = await waiters[0];
+		expect(order).toEqual(["a"]);
+
+		await broker.call("etcd.unlock", { name: "queue", leaseId: a.leaseId });
+		const b = await waiters[1];
+		expect(order).toEqual(["a", "b"]);
+		await broker.call("etcd.unlock", { name: "queue", leaseId: b.leaseId });
+	});
+
+	it("times out a waiter that does not get the lock", async () => {
+		const held = await broker.call("etcd.lock", { name: "slow", ttl: 60 });
+
+		await expect(broker.call("etcd.lock", { name: "slow", timeout: 100 }))
+			.rejects.toMatchObject({ code: 408, type: "LOCK_TIMEOUT" });
+
+		await broker.call("etcd.unlock", { name: "slow", leaseId: held.leaseId });
+	});
+
+	it("refuses to release a lock held by another lease", async () => {
+		const held = await broker.call("etcd.lock", { name: "owned", ttl: 60 });
+
+		await expect(broker.call("etcd.unlock", { name: "owned", leaseId: held.leaseId + 1000 }))
+			.rejects.toMatchObject({ code: 409, type: "CONFLICT" });
+
+		await broker.call("etcd.unlock", { name: "owned", leaseId: held.leaseId });
+	});
+
+	it("frees a lock whose lease expires", async () => {
+		await broker.call("etcd.lock", { name: "expiring", ttl: 0.3 });
+
+		await expect(broker.call("etcd.lock", { name: "expiring", ttl: 60, timeout: 3000 })).resolves.toMatchObject({ name: "expiring" });
+	});
+
+	it("admits up to the semaphore limit", async () => {
+		const slots = [
+			await broker.call("etcd.acquireSemaphore", { name: "pool", limit: 2, ttl: 60 }),
+			await broker.call("etcd.acquireSemaphore", { name: "pool", limit: 2, ttl: 60 })
+		];
+
+		await expect(broker.call("etcd.acquireSemaphore", { name: "pool", limit: 2, timeout: 0 }))
+			.rejects.toMatchObject({ code: 409, message: "Semaphore 'pool' is not available" });
+
+		const { semaphores } = await broker.call("etcd.locks");
+		expect(semaphores.find(semaphore => semaphore.name === "pool").holders).toHaveLength(2);
+
+		await broker.call("etcd.releaseSemaphore", { name: "pool", leaseId: slots[0].leaseId });
+		await expect(broker.call("etcd.acquireSemaphore", { name: "pool", limit: 2, timeout: 0 })).resolves.toMatchObject({ kind: "semaphore" });
+	});
+
+	it("keeps the limit of a semaphore in use", async () => {
+		const slot = await broker.call("etcd.acquireSemaphore", { name: "sized", limit: 2, ttl: 60 });
+
+		await expect(broker.call("etcd.acquireSemaphore", { name: "sized", limit: 5, timeout: 0 }))
+			.rejects.toMatchObject({ code: 409, type: "LIMIT_MISMATCH", data: { limit: 2, requested: 5 } });
+
+		// Une fois libre, le sémaphore accepte une nouvelle limite
+		await broker.call("etcd.releaseSemaphore", { name: "sized", leaseId: slot.leaseId });
+		await expect(broker.call("etcd.acquireSemaphore", { name: "sized", limit: 5, timeout: 0 })).resolves.toMatchObject({ limit: 5 });
+	});
+});
@@ -0,0 +1,87 @@
+"use strict";
+
+const EtcdNamespaces = require("../../services/storage/etcd-namespaces");
+const { TestCluster } = require("../helpers/cluster");
+
+describe("etcd namespaces and quotas", () => {
+	let cluster;
+	let broker;
+
+	// `app/logs` est contenu dans `app` : ses clés comptent dans les deux quotas
+	const settings = {
+		namespaces: {
+			app: { maxKeys: 4 },
+			"app/logs": { maxBytes: 40 },
+			secrets: {}
+		}
+	};
+	const usage = async name => (await broker.call("etcd.namespaces")).namespaces.find(namespace => namespace.namespace === name);
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { etcd: settings });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("tracks the usage of nested namespaces and unscoped keys", async () => {
+		await broker.call("etcd.set", { key: "app/a", value: 1 });
+		await broker.call("etcd.set", { key: "app/logs/1", value: "x" });
+		await broker.call("etcd.set", { key: "free/z", value: true });
+
+		expect(await usage("app")).toMatchObject({ prefix: "app/", keys: 2, maxKeys: 4 });
+		// "app/logs/1" (10 octets) + "\"x\"" (3 octets)
+		expect(await usage("app/logs")).toMatchObject({ keys: 1, bytes: 13, maxBytes: 40 });
+		expect((await broker.call("etcd.namespaces")).unscoped.keys).toBe(1);
+	});
+
+	it("refuses a write over the byte quota of an inner namespace", async () => {
+		await expect(broker.call("etcd.set", { key: "app/logs/2", value: "a long log line that does not fit" }))
+			.rejects.toMatchObject({ code: 413, type: "QUOTA_EXCEEDED", data: { namespace: "app/logs", key: "app/logs/2" } });
+
+		expect(await broker.call("etcd.get", { key: "app/logs/2" })).toBeNull();
+	});
+
+	it("refuses a write over the key quota of an outer namespace, but allows shrinking", async () => {
+		await broker.call("etcd.set", { key: "app/b", value: 2 });
+		await broker.call("etcd.set", { key: "app/c", value: 3 });
+
+		await expect(broker.call("etcd.set", { key: "app/d", value: 4 }))
+			.rejects.toMatchObject({ code: 413, data: { namespace: "app", keys: 4, maxKeys: 4 } });
+
+		// Réécrire une clé existante ne consomme pas de nouvelle clé
+		await expect(broker.call("etcd.set", { key: "app/c", value: 30 })).resolves.toBeDefined();
+
+		await broker.call("etcd.delete", { key: "app/a" });
+		await expect(broker.call("etcd.set", { key: "app/d", value: 4 })).resolves.toBeDefined();
+	});
+
+	it("checks every write of a transaction against the quotas", async () => {
+		await expect(broker.call("etcd.txn", {
+			success: [
+				{ type: "delete", key: "app/b" },
+				{ type: "set", key: "app/e", value: 5 },
+				{ type: "set", key: "app/f", value: 6 }
+			]
+		})).rejects.toMatchObject({ type: "QUOTA_EXCEEDED" });
+
+		expect(await broker.call("etcd.get", { key: "app/b" })).not.toBeNull();
+		expect((await usage("app")).keys).toBe(4);
+	});
+
+	it("restricts key listings to a namespace", async () => {
+		expect(await broker.call("etcd.keys", { namespace: "app/logs" })).toEqual(["app/logs/1"]);
+		expect(await broker.call("etcd.getPrefix", { prefix: "app/", namespace: "app", keysOnly: true }))
+			.toEqual(["app/b", "app/c", "app/d", "app/logs/1"]);
+
+		await expect(broker.call("etcd.keys", { namespace: "unknown" })).rejects.toMatchObject({ code: 404 });
+	});
+
+	it("rejects invalid namespace settings", () => {
+		const initialize = namespaces => EtcdNamespaces.methods.initializeNamespaces.call({ settings: { namespaces } });
+
+		expect(() => initialize({ "app/": {} })).toThrow("Invalid etcd namespace 'app/'");
+		expect(() => initialize({ app: { maxKeys: 0 } })).toThrow("Invalid maxKeys for etcd namespace 'app': 0");
+		expect(() => initialize({ app: { maxBytes: 1.5 } })).toThrow("Invalid maxBytes");
+	});
+});
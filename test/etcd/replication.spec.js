@@ -0,0 +1,71 @@
+"use strict";
+
+const { TestCluster, waitFor } = require("../helpers/cluster");
+
+describe("etcd log-index replication", () => {
+	let cluster;
+	let master;
+	let slave;
+
+	// Changelog court : un slave absent pendant plus de 3 écritures est rattrapé par snapshot
+	const settings = { changelogSize: 3, writeConcern: "local" };
+	const etcd = broker => broker.getLocalService("etcd");
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		master = await cluster.master("node-1", { etcd: settings });
+
+		for (let i = 1; i <= 6; i++) {
+			await master.call("etcd.set", { key: `config/k${i}`, value: i });
+		}
+		await master.call("etcd.delete", { key: "config/k1" });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("serves incremental changes while they are in the changelog, a snapshot otherwise", () => {
+		const service = etcd(master);
+		const revision = service.storage.revision;
+
+		const recent = service.getSyncPayload(revision - 2, service.storage.revisionTerm);
+		expect(recent.snapshot).toBeUndefined();
+		expect(recent.changes.map(change => change.revision)).toEqual([revision - 1, revision]);
+
+		expect(service.getSyncPayload(0).snapshot).toMatchObject({ revision });
+		expect(service.getSyncPayload(revision + 1).snapshot).toBeDefined();
+
+		// Même révision, terme différent : historique divergent
+		expect(service.getSyncPayload(revision - 1, service.storage.revisionTerm + 1).snapshot).toBeDefined();
+	});
+
+	it("catches a late slave up by snapshot", async () => {
+		slave = await cluster.node("node-2", { etcd: settings });
+		await waitFor(() => etcd(slave).masterId === "node-1");
+
+		await etcd(slave).periodicSync();
+
+		expect(etcd(slave).storage.revision).toBe(etcd(master).storage.revision);
+		expect(etcd(slave).readEntry("config/k1")).toBeNull();
+		expect(etcd(slave).readEntry("config/k6").value).toBe(6);
+	});
+
+	it("then replicates each write by log index", async () => {
+		const result = await master.call("etcd.set", { key: "config/k7", value: 7, writeConcern: "majority" });
+
+		expect(result.replication.acknowledged).toEqual(["node-1", "node-2"]);
+		expect(etcd(slave).storage.revision).toBe(result.revision);
+		expect(etcd(slave).readEntry("config/k7").value).toBe(7);
+	});
+
+	it("refuses changes that leave a gap in the slave log", async () => {
+		const revision = etcd(slave).storage.revision;
+
+		await expect(slave.call("etcd.append", {
+			changes: [{ revision: revision + 2, action: "set", key: "config/gap", value: 1, term: etcd(master).currentTerm }]
+		}, { nodeID: "node-2", meta: { term: etcd(master).currentTerm, leaderId: "node-1" } })).rejects.toMatchObject({
+			type: "REVISION_GAP",
+			data: { revision }
+		});
+		expect(etcd(slave).readEntry("config/gap")).toBeNull();
+	});
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const EtcdSecrets = require("../../services/storage/etcd-secrets");
+const SecretCipher = require("../../services/storage/secret-cipher");
+const { TestCluster, waitForLeader } = require("../helpers/cluster");
+
+describe("etcd secrets", () => {
+	let cluster;
+	let nodes;
+	let master;
+	let slave;
+
+	const etcd = broker => broker.getLocalService("etcd");
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		nodes = [await cluster.master("node-1"), await cluster.node("node-2")];
+
+		({ master, slaves: [slave] } = await waitForLeader(nodes));
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("encrypts secrets before they are stored and replicated", async () => {
+		await slave.call("etcd.setSecret", { key: "secrets/api-key", value: { token: "s3cr3t" } }, { nodeID: slave.nodeID });
+
+		for (const broker of [master, slave]) {
+			const { value } = await broker.call("etcd.get", { key: "secrets/api-key" }, { nodeID: broker.nodeID });
+			expect(SecretCipher.isEnvelope(value)).toBe(true);
+			expect(JSON.stringify(value)).not.toContain("s3cr3t");
+		}
+		expect(JSON.stringify(etcd(slave).getChangesSince(0))).not.toContain("s3cr3t");
+	});
+
+	it("decrypts on every node sharing the cluster key", async () => {
+		for (const broker of [master, slave]) {
+			expect(await broker.call("etcd.getSecret", { key: "secrets/api-key" }, { nodeID: broker.nodeID }))
+				.toMatchObject({ key: "secrets/api-key", value: { token: "s3cr3t" }, version: 1 });
+		}
+
+		await expect(master.call("etcd.getSecret", { key: "secrets/missing" })).rejects.toMatchObject({ code: 404 });
+		await expect(master.call("etcd.getSecret", { key: "config/plain" })).rejects.toMatchObject({ code: 404 });
+	});
+
+	it("refuses plaintext in the secret namespace and secrets outside of it", async () => {
+		await expect(master.call("etcd.set", { key: "secrets/plain", value: "visible" }))
+			.rejects.toMatchObject({ name: "ValidationError", data: { key: "secrets/plain" } });
+		await expect(master.call("etcd.txn", { success: [{ type: "set", key: "secrets/plain", value: "visible" }] }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+		await expect(master.call("etcd.setSecret", { key: "config/token", value: "x" }))
+			.rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("reports a node configured with another key instead of decrypting garbage", async () => {
+		const otherKey = path.join(cluster.dir, "other-secret.key");
+		fs.writeFileSync(otherKey, SecretCipher.generateMasterKey(), { mode: 0o600 });
+
+		nodes.push(await cluster.node("node-3", { etcd: { secretKeyFile: otherKey } }));
+		await waitForLeader(nodes);
+		await etcd(nodes[2]).periodicSync();
+
+		await expect(nodes[2].call("etcd.getSecret", { key: "secrets/api-key" }, { nodeID: "node-3" }))
+			.rejects.toMatchObject({ code: 500, type: "SECRET_KEY_MISMATCH" });
+	});
+
+	describe("master key", () => {
+		it("starts without the shared key file, never creates one, and refuses secrets", async () => {
+			const isolated = new TestCluster();
+			const file = path.join(isolated.dir, "absent", "etcd-secret.key");
+			try {
+				const broker = await isolated.master("node-1", { etcd: { secretKeyFile: file } });
+
+				await expect(broker.call("etcd.setSecret", { key: "secrets/token", value: "x" }))
+					.rejects.toMatchObject({ code: 503, type: "SECRET_KEY_MISSING", data: { secretKeyFile: file } });
+				await expect(broker.call("etcd.getSecret", { key: "secrets/token" }))
+					.rejects.toMatchObject({ code: 503, type: "SECRET_KEY_MISSING" });
+				await expect(broker.call("etcd.set", { key: "config/plain", value: 1 })).resolves.toBeDefined();
+
+				expect(fs.existsSync(file)).toBe(false);
+			} finally {
+				await isolated.stop();
+			}
+		});
+
+		it("refuses to start with a key that is too short", async () => {
+			const file = path.join(cluster.dir, "short.key");
+			fs.writeFileSync(file, "abcd\n");
+
+			await expect(EtcdSecrets.methods.initializeSecrets.call({ settings: { secretNamespace: "secrets", secretKeyFile: file } }))
+				.rejects.toThrow(`Invalid secret key file ${file}: Secret master key must be at least 32 bytes`);
+		});
+	});
+});
@@ -0,0 +1,70 @@
+"use strict";
+
+const path = require("path");
+const { TestCluster, gatewayUrl } = require("../helpers/cluster");
+
+describe("etcd storage backends", () => {
+	let cluster;
+
+	const etcd = broker => broker.getLocalService("etcd");
+
+	beforeEach(() => {
+		cluster = new TestCluster();
+	});
+
+	afterEach(() => cluster.stop());
+
+	it.each(["json", "embedded"])("keeps the data of the %s adapter across a restart", async adapter => {
+		let broker = await cluster.master("node-1", { etcd: { storageAdapter: adapter } });
+		await broker.call("etcd.set", { key: "store/a", value: { n: 1 } });
+		await broker.call("etcd.set", { key: "store/b", value: "two", ttl: 3600 });
+		await broker.call("etcd.delete", { key: "store/a" });
+		const { revision } = etcd(broker).storage;
+		await cluster.stopNode(broker);
+
+		broker = await cluster.master("node-1", { etcd: { storageAdapter: adapter } });
+
+		expect(etcd(broker).storage.revision).toBe(revision);
+		expect(etcd(broker).readEntry("store/a")).toBeNull();
+		expect(etcd(broker).readEntry("store/b").value).toBe("two");
+		expect((await broker.call("etcd.getStats")).adapter).toBe(adapter);
+	});
+
+	it("migrates the active storage to another adapter", async () => {
+		let broker = await cluster.master("node-1", { etcd: { storageAdapter: "json" } });
+		await broker.call("etcd.set", { key: "store/migrated", value: 42 });
+
+		expect(await broker.call("etcd.migrateStorage", { to: "embedded" })).toMatchObject({
+			from: "json",
+			to: "embedded",
+			dbPath: path.join(cluster.dir, "node-1"),
+			keys: 1,
+			revision: etcd(broker).storage.revision
+		});
+		await cluster.stopNode(broker);
+
+		broker = await cluster.master("node-1", { etcd: { storageAdapter: "embedded" } });
+		expect(etcd(broker).readEntry("store/migrated").value).toBe(42);
+	});
+
+	it("refuses migrations that would lose or overwrite the active data", async () => {
+		const broker = await cluster.master("node-1", { etcd: { storageAdapter: "json" } });
+
+		await expect(broker.call("etcd.migrateStorage", { to: "memory" })).rejects.toMatchObject({ name: "ValidationError" });
+		await expect(broker.call("etcd.migrateStorage", { to: "json" })).rejects.toMatchObject({ name: "ValidationError" });
+		await expect(broker.call("etcd.migrateStorage", { to: "embedded", from: "memory" })).rejects.toMatchObject({ name: "ValidationError" });
+	});
+
+	it("does not expose the migration through the HTTP gateway", async () => {
+		const broker = await cluster.master("node-1", { gateway: true });
+
+		const response = await fetch(`${await gatewayUrl(broker)}/etcd/migrateStorage`, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify({ to: "json", dbPath: path.join(cluster.dir, "elsewhere") })
+		});
+
+		expect(response.status).toBe(404);
+		expect(broker.getLocalService("api").isInternalAction("etcd.migrateStorage")).toBe(true);
+	});
+});
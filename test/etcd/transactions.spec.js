@@ -0,0 +1,123 @@
+"use strict";
+
+const { TestCluster, waitForLeader } = require("../helpers/cluster");
+
+describe("etcd transactions", () => {
+	let cluster;
+	let master;
+	let slave;
+
+	const etcd = broker => broker.getLocalService("etcd");
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		const nodes = [await cluster.master("node-1"), await cluster.node("node-2")];
+
+		({ master, slaves: [slave] } = await waitForLeader(nodes));
+
+		await master.call("etcd.set", { key: "account/a", value: { balance: 100 } });
+		await master.call("etcd.set", { key: "account/b", value: { balance: 0 } });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("applies the success branch atomically under a single revision", async () => {
+		const result = await master.call("etcd.txn", {
+			compare: [
+				{ key: "account/a", target: "value", value: { balance: 100 } },
+				{ key: "account/b", target: "version", result: "equal", value: 1 }
+			],
+			success: [
+				{ type: "set", key: "account/a", value: { balance: 60 } },
+				{ type: "set", key: "account/b", value: { balance: 40 } },
+				{ type: "get", key: "account/a" }
+			]
+		});
+
+		expect(result).toMatchObject({
+			succeeded: true,
+			responses: [
+				{ type: "set", key: "account/a", version: 2 },
+				{ type: "set", key: "account/b", version: 2 },
+				{ type: "get", key: "account/a", value: { balance: 60 } }
+			]
+		});
+		expect(result.replication.acknowledged).toEqual([master.nodeID, slave.nodeID]);
+
+		// Une seule entrée "txn" du changelog, rejouée telle quelle par le slave
+		const [change] = etcd(slave).getChangesSince(result.revision - 1);
+		expect(change).toMatchObject({ action: "txn", revision: result.revision });
+		expect(etcd(slave).readEntry("account/b").value).toEqual({ balance: 40 });
+	});
+
+	it("takes the failure branch when a condition is false", async () => {
+		const result = await master.call("etcd.txn", {
+			compare: [{ key: "account/a", target: "value", value: { balance: 100 } }],
+			success: [{ type: "delete", key: "account/a" }],
+			failure: [{ type: "get", key: "account/a" }]
+		});
+
+		expect(result).toMatchObject({ succeeded: false, responses: [{ type: "get", value: { balance: 60 } }] });
+		expect(result.replication).toBeUndefined();
+	});
+
+	it("compares existence and ordering", async () => {
+		const result = await master.call("etcd.txn", {
+			compare: [
+				{ key: "account/missing", target: "exists", value: false },
+				{ key: "account/a", target: "modRevision", result: "greater", value: 0 }
+			],
+			success: [
+				{ type: "set", key: "account/missing", value: 1 },
+				{ type: "delete", key: "account/b" }
+			]
+		});
+
+		expect(result.succeeded).toBe(true);
+		expect(result.responses[1]).toEqual({ type: "delete", key: "account/b", deleted: true });
+		expect(etcd(slave).readEntry("account/b")).toBeNull();
+	});
+
+	it("rejects a branch that writes a key twice, without applying anything", async () => {
+		const revision = etcd(master).storage.revision;
+
+		await expect(master.call("etcd.txn", {
+			success: [
+				{ type: "set", key: "account/c", value: 1 },
+				{ type: "delete", key: "account/c" }
+			]
+		})).rejects.toMatchObject({ name: "ValidationError", data: { key: "account/c" } });
+
+		expect(etcd(master).storage.revision).toBe(revision);
+	});
+
+	it("is forwarded to the master when sent to a slave", async () => {
+		const result = await slave.call("etcd.txn", {
+			success: [{ type: "set", key: "account/forwarded", value: true }]
+		}, { nodeID: slave.nodeID });
+
+		expect(result.succeeded).toBe(true);
+		expect(etcd(master).readEntry("account/forwarded").value).toBe(true);
+	});
+
+	it("lets a single one of concurrent transactions on the same condition succeed", async () => {
+		const results = await Promise.all(["a", "b", "c"].map(owner => master.call("etcd.txn", {
+			compare: [{ key: "account/owner", target: "exists", value: false }],
+			success: [{ type: "set", key: "account/owner", value: owner }]
+		})));
+
+		const winners = results.filter(result => result.succeeded);
+		expect(winners).toHaveLength(1);
+		expect(etcd(master).readEntry("account/owner")).toMatchObject({ version: 1, modRevision: winners[0].revision });
+	});
+
+	it("lets a single one of concurrent compare-and-swaps succeed", async () => {
+		await master.call("etcd.set", { key: "account/cas", value: 0 });
+
+		const results = await Promise.all([1, 2, 3].map(newValue => master.call("etcd.compareAndSwap", { key: "account/cas", expectedValue: 0, newValue })));
+
+		const winners = results.filter(result => result.swapped);
+		expect(winners).toHaveLength(1);
+		expect(etcd(master).readEntry("account/cas")).toMatchObject({ value: winners[0].value, version: 2 });
+	});
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const { TestCluster } = require("../helpers/cluster");
+
+describe("etcd write-ahead log", () => {
+	let cluster;
+	let broker;
+	let crashes = 0;
+
+	// Adaptateur durable : le journal est écrit ; pas de compaction périodique pendant les tests
+	const settings = { storageAdapter: "json" };
+	const etcd = node => node.getLocalService("etcd");
+
+	/**
+	 * Copier le répertoire du nœud en cours d'exécution, comme après un arrêt brutal
+	 * (sans l'état d'élection : la copie démarre seule)
+	 */
+	const crashImage = () => {
+		const nodeID = `crash-${++crashes}`;
+		fs.cpSync(path.join(cluster.dir, "node-1"), path.join(cluster.dir, nodeID), {
+			recursive: true,
+			filter: source => !["election.json", "backups"].includes(path.basename(source))
+		});
+		return nodeID;
+	};
+
+	const segmentsOf = nodeID => fs.readdirSync(path.join(cluster.dir, nodeID)).filter(file => /^wal-\d+\.log$/.test(file)).sort();
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", { etcd: settings });
+
+		for (let i = 1; i <= 3; i++) {
+			await broker.call("etcd.set", { key: `wal/k${i}`, value: i });
+		}
+		await broker.call("etcd.delete", { key: "wal/k1" });
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("appends each change to the current segment before answering", () => {
+		const [segment] = segmentsOf("node-1");
+		const lines = fs.readFileSync(path.join(cluster.dir, "node-1", segment), "utf8").trim().split("\n");
+
+		expect(lines.length).toBeGreaterThanOrEqual(4);
+		expect(lines[lines.length - 1]).toMatch(/^[0-9a-f]{16} \{.*"action":"delete".*"key":"wal\/k1"/);
+	});
+
+	it("replays the log after a crash", async () => {
+		const restarted = await cluster.master(crashImage(), { etcd: settings });
+
+		expect(etcd(restarted).storage.revision).toBe(etcd(broker).storage.revision);
+		expect(etcd(restarted).readEntry("wal/k1")).toBeNull();
+		expect(etcd(restarted).readEntry("wal/k3").value).toBe(3);
+		expect((await restarted.call("etcd.getStats")).wal.records).toBeGreaterThanOrEqual(4);
+
+		await cluster.stopNode(restarted);
+	});
+
+	it("truncates an incomplete record at the end of the log", async () => {
+		const nodeID = crashImage();
+		const [segment] = segmentsOf(nodeID);
+		const file = path.join(cluster.dir, nodeID, segment);
+		const length = fs.statSync(file).size;
+		fs.appendFileSync(file, "0123456789abcdef {\"revision\":99,\"act");
+
+		const restarted = await cluster.master(nodeID, { etcd: settings });
+
+		expect(etcd(restarted).storage.revision).toBe(etcd(broker).storage.revision);
+		expect(fs.statSync(file).size).toBe(length);
+
+		await cluster.stopNode(restarted);
+	});
+
+	it("stops at a corrupted record and drops everything after it", async () => {
+		const nodeID = crashImage();
+		const [segment] = segmentsOf(nodeID);
+		const file = path.join(cluster.dir, nodeID, segment);
+
+		// Valeur modifiée sans recalculer l'empreinte
+		const lines = fs.readFileSync(file, "utf8").split("\n");
+		const index = lines.findIndex(line => line.includes("\"key\":\"wal/k2\""));
+		lines[index] = lines[index].replace("\"value\":2", "\"value\":20");
+		fs.writeFileSync(file, lines.join("\n"));
+
+		const restarted = await cluster.master(nodeID, { etcd: settings });
+
+		expect(etcd(restarted).readEntry("wal/k1").value).toBe(1);
+		expect(etcd(restarted).readEntry("wal/k2")).toBeNull();
+		expect(etcd(restarted).readEntry("wal/k3")).toBeNull();
+		expect(fs.readFileSync(file, "utf8").split("\n")).toHaveLength(index + 1);
+
+		await cluster.stopNode(restarted);
+	});
+
+	it("checkpoints into the adapter and removes the covered segments", async () => {
+		const service = etcd(broker);
+		await broker.call("etcd.set", { key: "wal/k4", value: 4 });
+
+		await service.compactWal();
+
+		expect(segmentsOf("node-1")).toEqual([service.wal.segment.name]);
+		expect(service.wal.snapshotRevision).toBe(service.storage.revision);
+
+		const data = JSON.parse(fs.readFileSync(path.join(cluster.dir, "node-1", "data.json"), "utf8"));
+		expect(JSON.stringify(data)).toContain("wal/k4");
+
+		// Redémarrage à partir du seul point de contrôle
+		const restarted = await cluster.master(crashImage(), { etcd: settings });
+		expect(etcd(restarted).storage.revision).toBe(service.storage.revision);
+		expect(etcd(restarted).readEntry("wal/k4").value).toBe(4);
+	});
+});
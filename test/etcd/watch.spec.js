@@ -0,0 +1,152 @@
+"use strict";
+
+const EtcdWatchClient = require("../../services/watch/etcd-watch-client");
+const { TestCluster, waitFor, gatewayUrl } = require("../helpers/cluster");
+
+describe("etcd watch API", () => {
+	let cluster;
+	let broker;
+	let client;
+
+	// Changelog court : les révisions anciennes sont compactées rapidement
+	const settings = { changelogSize: 5 };
+
+	beforeAll(async () => {
+		cluster = new TestCluster();
+		broker = await cluster.master("node-1", {
+			etcd: settings,
+			gateway: true,
+			services: [{ name: "watcher", mixins: [EtcdWatchClient] }]
+		});
+		client = broker.getLocalService("watcher");
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("delivers set and delete events on a prefix, in revision order", async () => {
+		const events = [];
+		const subscription = await client.watchEtcd({ prefix: "watch/a/" }, event => events.push(event));
+
+		const first = await broker.call("etcd.set", { key: "watch/a/x", value: 1 });
+		await broker.call("etcd.set", { key: "other/y", value: 1 });
+		const removed = await broker.call("etcd.delete", { key: "watch/a/x" });
+
+		await waitFor(() => events.length === 2);
+		expect(events).toMatchObject([
+			{ type: "set", key: "watch/a/x", value: 1, revision: first.revision },
+			{ type: "delete", key: "watch/a/x", value: undefined, revision: removed.revision }
+		]);
+
+		await subscription.stop();
+	});
+
+	it("only follows the watched key", async () => {
+		const events = [];
+		const subscription = await client.watchEtcd({ key: "watch/b" }, event => events.push(event));
+
+		await broker.call("etcd.set", { key: "watch/b2", value: 1 });
+		await broker.call("etcd.set", { key: "watch/b", value: 2 });
+
+		await waitFor(() => events.length === 1);
+		expect(events[0]).toMatchObject({ key: "watch/b", value: 2 });
+
+		await subscription.stop();
+	});
+
+	it("replays retained changes from a revision before the following ones", async () => {
+		const { revision } = await broker.call("etcd.set", { key: "watch/c/1", value: 1 });
+		await broker.call("etcd.set", { key: "watch/c/2", value: 2 });
+
+		const events = [];
+		const subscription = await client.watchEtcd({ prefix: "watch/c/", fromRevision: revision }, event => events.push(event));
+		await broker.call("etcd.set", { key: "watch/c/3", value: 3 });
+
+		await waitFor(() => events.length === 3);
+		expect(events.map(event => event.key)).toEqual(["watch/c/1", "watch/c/2", "watch/c/3"]);
+
+		await subscription.stop();
+	});
+
+	it("delivers every key changed by a restore, all at the restored revision", async () => {
+		await broker.call("etcd.set", { key: "watch/g/1", value: 1 });
+		await broker.call("etcd.set", { key: "watch/g/2", value: 2 });
+		const backup = await broker.call("etcd.backup");
+
+		await broker.call("etcd.set", { key: "watch/g/1", value: 10 });
+		await broker.call("etcd.delete", { key: "watch/g/2" });
+		await broker.call("etcd.set", { key: "watch/g/3", value: 3 });
+
+		const events = [];
+		const subscription = await client.watchEtcd({ prefix: "watch/g/" }, event => events.push(event));
+		const { revision } = await broker.call("etcd.restore", { name: backup.name });
+
+		await waitFor(() => events.length === 3);
+		expect(events.sort((a, b) => a.key.localeCompare(b.key))).toMatchObject([
+			{ type: "set", key: "watch/g/1", value: 1, revision },
+			{ type: "set", key: "watch/g/2", value: 2, revision },
+			{ type: "delete", key: "watch/g/3", revision }
+		]);
+
+		await subscription.stop();
+	});
+
+	it("refuses a revision that has been compacted", async () => {
+		for (let i = 0; i < 6; i++) {
+			await broker.call("etcd.set", { key: "watch/d", value: i });
+		}
+
+		await expect(broker.call("etcd.watch", { key: "watch/d", fromRevision: 1 })).rejects.toMatchObject({
+			code: 410,
+			type: "REVISION_COMPACTED",
+			data: { fromRevision: 1 }
+		});
+	});
+
+	it("validates watch requests", async () => {
+		await expect(broker.call("etcd.watch", {})).rejects.toMatchObject({ name: "ValidationError" });
+		await expect(broker.call("etcd.watch", { key: "watch/e", prefix: "watch/" })).rejects.toMatchObject({ name: "ValidationError" });
+
+		await broker.call("etcd.watch", { key: "watch/e", watchId: "dup" });
+		await expect(broker.call("etcd.watch", { key: "watch/e", watchId: "dup" })).rejects.toMatchObject({ code: 409 });
+		await broker.call("etcd.unwatch", { watchId: "dup" });
+	});
+
+	it("lists and cancels watchers", async () => {
+		const result = await broker.call("etcd.watch", { prefix: "watch/f/", watchId: "listed", event: "custom.watch" });
+		expect(result).toMatchObject({ watchId: "listed", nodeId: "node-1", event: "custom.watch", replayed: 0 });
+
+		expect(await broker.call("etcd.watchers")).toEqual([
+			expect.objectContaining({ watchId: "listed", prefix: "watch/f/", event: "custom.watch", ownerNode: "node-1" })
+		]);
+
+		expect(await broker.call("etcd.unwatch", { watchId: "listed" })).toEqual({ watchId: "listed", canceled: true });
+		expect(await broker.call("etcd.unwatch", { watchId: "listed" })).toEqual({ watchId: "listed", canceled: false });
+		expect(await broker.call("etcd.watchers")).toEqual([]);
+	});
+
+	it("streams changes as server-sent events and ends the stream when the gateway stops", async () => {
+		const response = await fetch(`${await gatewayUrl(broker)}/etcd/watch?prefix=watch/h/`);
+		expect(response.headers.get("content-type")).toBe("text/event-stream");
+
+		// Lire le flux jusqu'à `count` événements (ou sa fin)
+		const reader = response.body.getReader();
+		const decoder = new TextDecoder();
+		let buffer = "";
+		const readEvents = async count => {
+			while (buffer.split("\n\n").length <= count) {
+				const { value, done } = await reader.read();
+				if (done) return null;
+				buffer += decoder.decode(value);
+			}
+			return buffer.split("\n\n").slice(0, count).map(block => block.match(/^event: (.+)$/m)[1]);
+		};
+
+		expect(await readEvents(1)).toEqual(["ready"]);
+		const { revision } = await broker.call("etcd.set", { key: "watch/h/1", value: 1 });
+		expect(await readEvents(2)).toEqual(["ready", "set"]);
+		expect(buffer).toContain(`id: ${revision}\n`);
+
+		await broker.destroyService(broker.getLocalService("api"));
+		expect(await readEvents(3)).toBeNull();
+	});
+});
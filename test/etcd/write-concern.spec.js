@@ -0,0 +1,72 @@
+"use strict";
+
+const { TestCluster, waitFor } = require("../helpers/cluster");
+
+describe("etcd write concerns", () => {
+	let cluster;
+	let master;
+	let slave;
+
+	// Trois membres attendus, deux démarrés : la majorité est atteignable, pas l'unanimité
+	// (délai d'élection long : le master ne se retire pas pendant le dernier test, seul)
+	const settings = { clusterSize: 3, electionTimeout: 2000, writeConcerns: { "cache/": "local" } };
+
+	beforeAll(async () => {
+		cluster = new TestCluster({ transporter: "Fake" });
+		const nodes = [await cluster.node("node-1", { etcd: settings }), await cluster.node("node-2", { etcd: settings })];
+
+		// Élu par la majorité des trois membres attendus
+		await waitFor(() => {
+			master = nodes.find(broker => broker.getLocalService("etcd").isMaster);
+			slave = nodes.find(broker => broker !== master);
+			return master && slave.getLocalService("etcd").masterId === master.nodeID;
+		});
+	});
+
+	afterAll(() => cluster.stop());
+
+	it("acknowledges a majority write once a slave has applied it", async () => {
+		const result = await master.call("etcd.set", { key: "config/a", value: 1 });
+
+		expect(result.replication).toMatchObject({ writeConcern: "majority", required: 2, acknowledged: [master.nodeID, slave.nodeID] });
+		expect(slave.getLocalService("etcd").readEntry("config/a").value).toBe(1);
+	});
+
+	it("fails a write whose concern cannot be met, leaving it applied", async () => {
+		await expect(master.call("etcd.set", { key: "config/b", value: 2, writeConcern: "all" })).rejects.toMatchObject({
+			code: 503,
+			type: "WRITE_CONCERN_FAILED",
+			data: { key: "config/b", required: 3 }
+		});
+
+		expect((await master.call("etcd.get", { key: "config/b" })).value).toBe(2);
+	});
+
+	it("revokes the lease of a lock whose concern cannot be met", async () => {
+		await expect(master.call("etcd.lock", { name: "unsafe", ttl: 60, writeConcern: "all" }))
+			.rejects.toMatchObject({ type: "WRITE_CONCERN_FAILED" });
+
+		const { locks } = await master.call("etcd.locks");
+		expect(locks.filter(lock => lock.name === "unsafe")).toEqual([]);
+		expect(await master.call("etcd.leases")).toEqual([]);
+
+		const lock = await master.call("etcd.lock", { name: "unsafe", ttl: 60, timeout: 0 });
+		await master.call("etcd.unlock", { name: "unsafe", leaseId: lock.leaseId });
+	});
+
+	it("applies the longest configured prefix, unless the call overrides it", async () => {
+		const cached = await master.call("etcd.set", { key: "cache/x", value: 1 });
+		expect(cached.replication).toMatchObject({ writeConcern: "local", required: 1 });
+
+		const forced = await master.call("etcd.set", { key: "cache/y", value: 1, writeConcern: "majority" });
+		expect(forced.replication.required).toBe(2);
+	});
+
+	it("fails majority writes once the slave is gone", async () => {
+		await cluster.stopNode(slave);
+		await waitFor(async () => (await master.getLocalService("etcd").getEtcdSlaves()).length === 0);
+
+		await expect(master.call("etcd.set", { key: "config/c", value: 3 })).rejects.toMatchObject({ type: "WRITE_CONCERN_FAILED" });
+		await expect(master.call("etcd.set", { key: "config/c", value: 3, writeConcern: "local" })).resolves.toBeDefined();
+	});
+});
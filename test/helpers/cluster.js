@@ -0,0 +1,191 @@
+// test/helpers/cluster.js
+"use strict";
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ServiceBroker } = require("moleculer");
+const EtcdService = require("../../services/etcd.service");
+const CoderdbService = require("../../services/coderdb.service");
+const ApiService = require("../../services/api.service");
+const SecretCipher = require("../../services/storage/secret-cipher");
+
+// Délais raccourcis : un nœud seul est élu en quelques dizaines de millisecondes
+const ETCD_SETTINGS = {
+	storageAdapter: "memory",
+	heartbeatInterval: 50,
+	electionTimeout: 200,
+	syncInterval: 60000,
+	walCompactInterval: 0,
+	expireInterval: 100,
+	replicationTimeout: 1000,
+	forwardTimeout: 3000
+};
+
+const CODERDB_SETTINGS = {
+	actionRefreshInterval: 60000,
+	sandbox: {
+		timeout: 1000,
+		maxHeapMb: 32
+	}
+};
+
+let clusterCount = 0;
+
+/**
+ * Attendre qu'une condition soit vraie
+ */
+async function waitFor(predicate, timeout = 5000, interval = 20) {
+	const deadline = Date.now() + timeout;
+	while (!(await predicate())) {
+		if (Date.now() > deadline) {
+			throw new Error(`Condition not met within ${timeout}ms`);
+		}
+		await new Promise(resolve => setTimeout(resolve, interval));
+	}
+}
+
+/**
+ * Attendre qu'un seul nœud etcd soit master, reconnu par tous les autres, et que
+ * chaque nœud voie les services etcd de tous (un vote peut précéder la découverte)
+ * @returns {{ master: ServiceBroker, slaves: ServiceBroker[] }}
+ */
+async function waitForLeader(brokers, timeout = 5000) {
+	const etcd = broker => broker.getLocalService("etcd");
+	let leaders = [];
+
+	await waitFor(async () => {
+		for (const broker of brokers) {
+			if ((await etcd(broker).getEtcdNodes()).length !== brokers.length) return false;
+		}
+
+		leaders = brokers.filter(broker => etcd(broker).isMaster);
+		return leaders.length === 1 && brokers.every(broker =>
+			etcd(broker).masterId === leaders[0].nodeID && etcd(broker).members.size === brokers.length
+		);
+	}, timeout);
+
+	return { master: leaders[0], slaves: brokers.filter(broker => broker !== leaders[0]) };
+}
+
+class TestCluster {
+	/**
+	 * Brokers de test dans un répertoire temporaire, partageant la clé maître des secrets
+	 * Avec `transporter: "Fake"`, les nœuds d'un même cluster se voient (namespace dédié)
+	 */
+	constructor({ transporter = null } = {}) {
+		this.transporter = transporter;
+		this.namespace = `test-${process.pid}-${++clusterCount}`;
+		this.dir = fs.mkdtempSync(path.join(os.tmpdir(), "coderdb-test-"));
+		this.secretKeyFile = path.join(this.dir, "etcd-secret.key");
+		fs.writeFileSync(this.secretKeyFile, `${SecretCipher.generateMasterKey()}\n`, { mode: 0o600 });
+		this.brokers = [];
+	}
+
+	/**
+	 * Démarrer un nœud etcd, avec coderdb si `coderdb` est fourni (réglages ou true)
+	 * et la passerelle HTTP sur un port libre si `gateway` est vrai (voir gatewayUrl)
+	 */
+	async node(nodeID, { etcd = {}, coderdb = null, gateway = false, services = [] } = {}) {
+		const broker = new ServiceBroker({
+			nodeID,
+			namespace: this.namespace,
+			transporter: this.transporter,
+			logger: process.env.TEST_LOG ? { type: "Console", options: { level: process.env.TEST_LOG } } : false,
+			heartbeatInterval: 1,
+			heartbeatTimeout: 3
+		});
+
+		broker.createService({
+			...EtcdService,
+			settings: {
+				...EtcdService.settings,
+				dbPath: path.join(this.dir, nodeID),
+				backupPath: path.join(this.dir, nodeID, "backups"),
+				secretKeyFile: this.secretKeyFile,
+				...ETCD_SETTINGS,
+				...etcd
+			}
+		});
+
+		if (coderdb) {
+			broker.createService({
+				...CoderdbService,
+				settings: {
+					...CoderdbService.settings,
+					...CODERDB_SETTINGS,
+					...(coderdb === true ? {} : coderdb)
+				}
+			});
+		}
+
+		if (gateway) {
+			broker.createService({
+				...ApiService,
+				settings: { ...ApiService.settings, port: 0, host: "127.0.0.1" }
+			});
+		}
+
+		services.forEach(schema => broker.createService(schema));
+
+		this.brokers.push(broker);
+		await broker.start();
+		return broker;
+	}
+
+	/**
+	 * Démarrer un nœud et attendre que ses services soient master
+	 */
+	async master(nodeID, options = {}) {
+		const broker = await this.node(nodeID, options);
+		await waitFor(() => broker.getLocalService("etcd").isMaster);
+		if (options.coderdb) {
+			await waitFor(() => broker.getLocalService("coderdb").isMaster);
+		}
+		return broker;
+	}
+
+	/**
+	 * Arrêter un nœud
+	 */
+	async stopNode(broker) {
+		this.brokers = this.brokers.filter(candidate => candidate !== broker);
+		await broker.stop();
+	}
+
+	/**
+	 * Arrêter tous les nœuds et supprimer le répertoire
+	 */
+	async stop() {
+		for (const broker of this.brokers.reverse()) {
+			await broker.stop();
+		}
+		this.brokers = [];
+		fs.rmSync(this.dir, { recursive: true, force: true });
+	}
+}
+
+/**
+ * URL de base de la passerelle HTTP d'un nœud, une fois qu'elle écoute
+ */
+async function gatewayUrl(broker) {
+	const { server } = broker.getLocalService("api");
+	await new Promise(resolve => server.listening ? resolve() : server.once("listening", resolve));
+	return `http://127.0.0.1:${server.address().port}/brain`;
+}
+
+/**
+ * Code d'une fonction stockée, au format accepté par FunctionValidator
+ */
+function storedFunction(name, body, extra = {}) {
+	return {
+		name,
+		inputParams: [],
+		outputParams: [],
+		code: `function(inputParams, dependencies) {\n${body}\n}`,
+		testCode: "function test(fn, inputParams, console) {\n\treturn true;\n}",
+		...extra
+	};
+}
+
+module.exports = { TestCluster, waitFor, waitForLeader, gatewayUrl, storedFunction };
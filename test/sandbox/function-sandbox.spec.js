@@ -0,0 +1,83 @@
+"use strict";
+
+const FunctionSandbox = require("../../services/sandbox/function-sandbox");
+
+describe("FunctionSandbox", () => {
+	const sandbox = new FunctionSandbox({ timeout: 500, maxHeapMb: 32 });
+
+	it("runs synchronous and asynchronous functions", async () => {
+		expect(await sandbox.run({ code: "function(inputParams) { return inputParams.a + 1; }", inputs: { a: 1 } }))
+			.toMatchObject({ success: true, result: 2 });
+		expect(await sandbox.run({ code: "async function() { await null; return [1, 2]; }" }))
+			.toMatchObject({ success: true, result: [1, 2] });
+	});
+
+	it("captures console output and errors", async () => {
+		const report = await sandbox.run({ code: "function() { console.log('hello', { a: 1 }); throw new Error('boom'); }" });
+
+		expect(report).toMatchObject({ success: false, error: "boom" });
+		expect(report.logs.map(log => log.message)).toEqual(["hello {\"a\":1}"]);
+	});
+
+	it("runs the test code against the function", async () => {
+		const report = await sandbox.run({
+			code: "function(inputParams) { return inputParams.a * 2; }",
+			testCode: "function test(fn) { if (fn({ a: 2 }) !== 4) throw new Error('bad'); return 'ok'; }",
+			inputs: { a: 1 },
+			runTests: true
+		});
+
+		expect(report.testResults).toEqual({ success: true, message: "ok" });
+	});
+
+	it("refuses the constructor-chain escape to the host", async () => {
+		const escapes = [
+			"function() { return this.constructor.constructor('return process')().pid; }",
+			"function() { return globalThis.constructor.constructor('return process')().pid; }",
+			"function() { return (function () {}).constructor('return process')().pid; }",
+			"function() { return Object.getPrototypeOf(async function () {}).constructor('return process')(); }",
+			"function() { return Object.getPrototypeOf(function* () {}).constructor('return process')().next(); }"
+		];
+
+		for (const code of escapes) {
+			const report = await sandbox.run({ code });
+			expect(report.success).toBe(false);
+			expect(report.result).toBeNull();
+		}
+	});
+
+	it("does not hand host callbacks to a replaced Promise.prototype.then", async () => {
+		const report = await sandbox.run({
+			code: "function() { Promise.prototype.then = function (resolve) { return resolve.constructor('return process')(); }; return 1; }"
+		});
+
+		expect(report.success).toBe(false);
+		expect(report.error).toMatch(/is not a function/);
+	});
+
+	it("refuses import()", async () => {
+		expect(await sandbox.run({ code: "async function() { const fs = await import('fs'); return typeof fs.readFileSync; }" }))
+			.toMatchObject({ success: false, error: "import() is not allowed in the sandbox" });
+
+		// L'erreur levée appartient au contexte : elle ne mène pas non plus à l'hôte
+		const report = await sandbox.run({
+			code: "async function() { try { await import('fs'); } catch (err) { return err.constructor.constructor('return process')().pid; } }"
+		});
+		expect(report.success).toBe(false);
+	});
+
+	it("refuses code generation from strings", async () => {
+		expect(await sandbox.run({ code: "function() { return eval('1 + 1'); }" }))
+			.toMatchObject({ success: false, error: expect.stringMatching(/Code generation from strings disallowed/) });
+	});
+
+	it("reports a never-settling promise as a timeout", async () => {
+		expect(await sandbox.run({ code: "function() { return new Promise(() => {}); }" }))
+			.toMatchObject({ success: false, error: "Execution timed out after 500ms" });
+	});
+
+	it("interrupts infinite loops", async () => {
+		expect(await sandbox.run({ code: "function() { while (true) {} }" }))
+			.toMatchObject({ success: false, error: expect.stringMatching(/timed out/) });
+	});
+});
@@ -0,0 +1,78 @@
+"use strict";
+
+const FunctionValidator = require("../../services/validators/function-validator");
+const ContractValidator = require("../../services/validators/contract-validator");
+
+const definition = inputParams => ({
+	name: "order",
+	inputParams,
+	outputParams: [],
+	code: "function(inputParams) { return inputParams; }",
+	testCode: "function test() {}"
+});
+
+describe("FunctionValidator type system", () => {
+	const inputParams = [
+		{
+			name: "order",
+			type: "object",
+			properties: [
+				{ name: "symbol", type: "string", pattern: "^[A-Z]+$" },
+				{ name: "side", type: "string", enum: ["buy", "sell"] },
+				{ name: "legs", type: "array", min: 1, items: { type: "object", properties: [{ name: "price", type: "number", min: 0 }] } },
+				{ name: "note", type: ["string", "null"], required: false }
+			]
+		}
+	];
+
+	it("accepts and normalizes nested schemas", () => {
+		const [param] = FunctionValidator.validate(definition(inputParams)).inputParams;
+
+		expect(param).toMatchObject({ name: "order", type: "object", required: true });
+		expect(param.properties.map(property => property.name)).toEqual(["symbol", "side", "legs", "note"]);
+		expect(param.properties[2].items).toMatchObject({ type: "object", properties: [{ name: "price", type: "number", min: 0 }] });
+		expect(param.properties[3]).toMatchObject({ type: ["string", "null"], required: false });
+	});
+
+	it.each([
+		["an unknown type", [{ name: "a", type: "date" }], /invalid type: date/],
+		["an empty enum", [{ name: "a", type: "string", enum: [] }], /enum must be a non-empty array/],
+		["properties on a non-object", [{ name: "a", type: "string", properties: [] }], /only applies to object types/],
+		["items on a non-array", [{ name: "a", type: "number", items: { type: "number" } }], /items only applies to array types/],
+		["min greater than max", [{ name: "a", type: "number", min: 2, max: 1 }], /min cannot be greater than max/],
+		["an invalid pattern", [{ name: "a", type: "string", pattern: "(" }], /not a valid regular expression/],
+		["a default outside the enum", [{ name: "a", type: "string", enum: ["x"], default: "y" }], /default value is invalid/],
+		["duplicated properties", [{ name: "a", type: "object", properties: [{ name: "b", type: "any" }, { name: "b", type: "any" }] }], /duplicated/]
+	])("rejects %s", (label, params, message) => {
+		expect(() => FunctionValidator.validate(definition(params))).toThrow(message);
+	});
+
+	it("rejects schemas nested too deeply", () => {
+		let schema = { type: "number" };
+		for (let depth = 0; depth < 12; depth++) {
+			schema = { type: "array", items: schema };
+		}
+		expect(() => FunctionValidator.validate(definition([{ name: "a", ...schema }]))).toThrow(/maximum nesting depth/);
+	});
+
+	it("checks values against nested schemas with field paths", () => {
+		const { inputParams: normalized } = FunctionValidator.validate(definition(inputParams));
+
+		expect(ContractValidator.validateInputs(normalized, {
+			order: { symbol: "BTC", side: "buy", legs: [{ price: 1 }] }
+		})).toEqual({ order: { symbol: "BTC", side: "buy", legs: [{ price: 1 }] } });
+
+		let error;
+		try {
+			ContractValidator.validateInputs(normalized, { order: { symbol: "btc", side: "hold", legs: [{ price: -1 }] } });
+		} catch (err) {
+			error = err;
+		}
+
+		expect(error.data.map(({ type, field }) => `${type}:${field}`)).toEqual([
+			"pattern:order.symbol",
+			"enum:order.side",
+			"min:order.legs[0].price"
+		]);
+	});
+});